@@ -0,0 +1,176 @@
+/**
+ * Health checks shared by check_health and the background health monitor
+ *
+ * Checks the environment, Azure AD authentication, Fabric API connectivity,
+ * the service principal's workspace role and the LLM model setting. Overall
+ * status is healthy, degraded (Fabric unreachable) or unhealthy (no token or
+ * missing configuration).
+ */
+
+const { fetchAllPages } = require("../shared/pagination");
+const { resolveWorkspaceId, loadWorkspaceConfig } = require("../shared/workspaces");
+const { getTokenInfo, getAuthMethod, missingCredentials, AUTH_METHODS } = require("../shared/auth");
+const { fabricRequest, FabricApiError } = require("../shared/fabric-client");
+const { listRoleAssignments, servicePrincipalRole } = require("../shared/workspace-roles");
+
+const STATUSES = ["healthy", "degraded", "unhealthy"];
+
+async function listWorkspaces() {
+  const { items } = await fetchAllPages((path) => fabricRequest("GET", path), "/workspaces");
+  return items;
+}
+
+/**
+ * Run all checks; each check has a status (OK, WARN, FAIL, SKIP) and the
+ * network checks a latency_ms
+ *
+ * @param {object} [options]
+ * @param {string} [options.workspace] - workspace reference (default workspace when empty)
+ * @param {object} [options.context] - OpenClaw call context
+ */
+async function runHealthChecks({ workspace, context } = {}) {
+  let workspaceId = null;
+  const result = {
+    status: "healthy",
+    timestamp: new Date().toISOString(),
+    checks: {},
+    warnings: [],
+  };
+
+  // Check 1: Environment variables
+  let authMethod;
+  let missingEnv;
+  try {
+    authMethod = getAuthMethod();
+    missingEnv = missingCredentials();
+  } catch {
+    authMethod = null;
+    missingEnv = ["AZURE_AUTH_METHOD"];
+  }
+  // A default workspace in workspaces.json replaces POWERBI_WORKSPACE_ID
+  let configDefault = null;
+  try {
+    configDefault = loadWorkspaceConfig().default;
+  } catch (err) {
+    result.warnings.push(err.message);
+  }
+  if (!process.env.POWERBI_WORKSPACE_ID && !configDefault) {
+    missingEnv.push("POWERBI_WORKSPACE_ID (or a default in workspaces.json)");
+  }
+  if (missingEnv.length > 0) {
+    result.status = "unhealthy";
+    result.checks.environment = {
+      status: "FAIL",
+      message: `Missing environment variables: ${missingEnv.join(", ")}`,
+    };
+  } else {
+    result.checks.environment = { status: "OK", message: "All required variables set" };
+  }
+
+  // Check 2: Azure AD authentication
+  try {
+    const start = Date.now();
+    const tokenResult = await getTokenInfo();
+    const elapsed = Date.now() - start;
+    const expiresInMin = Math.floor(tokenResult.expiresIn / 60);
+    const via = AUTH_METHODS[tokenResult.method].label;
+    result.checks.azure_auth = {
+      status: "OK",
+      latency_ms: elapsed,
+      message: tokenResult.cached
+        ? `Token valid (${via}, expires in ~${expiresInMin} min, cached)`
+        : `Token acquired (${via}, ${elapsed} ms, expires in ${expiresInMin} min)`,
+    };
+  } catch (err) {
+    result.status = "unhealthy";
+    result.checks.azure_auth = {
+      status: "FAIL",
+      message: err.message,
+      hint: `Check AZURE_TENANT_ID, AZURE_CLIENT_ID and the ${authMethod ? AUTH_METHODS[authMethod].label : "credential"} settings in .env`,
+    };
+  }
+
+  // Check 3: Fabric API connectivity
+  if (result.checks.azure_auth?.status === "OK") {
+    try {
+      const start = Date.now();
+      workspaceId = await resolveWorkspaceId(workspace, { context, listWorkspaces });
+      const data = await fabricRequest("GET", `/workspaces/${workspaceId}`);
+      const elapsed = Date.now() - start;
+      result.checks.fabric_api = {
+        status: "OK",
+        latency_ms: elapsed,
+        message: `Connected (${elapsed} ms) — Workspace: ${data.displayName || workspaceId}`,
+      };
+    } catch (err) {
+      result.status = "degraded";
+      if (err instanceof FabricApiError && err.status === 403) {
+        result.checks.fabric_api = {
+          status: "FAIL",
+          message: `Access denied (403) — Service Principal may not have workspace permissions`,
+          hint: "Add the Service Principal to the Power BI workspace as Admin/Member",
+        };
+      } else if (err instanceof FabricApiError && err.status > 0) {
+        result.checks.fabric_api = {
+          status: "FAIL",
+          message: `HTTP ${err.status} from Fabric API`,
+          hint: err.hint || undefined,
+        };
+      } else if (err instanceof FabricApiError) {
+        result.checks.fabric_api = {
+          status: "FAIL",
+          message: err.message,
+          hint: "Check internet connectivity on the Oracle VM",
+        };
+      } else {
+        result.checks.fabric_api = { status: "FAIL", message: err.message };
+      }
+    }
+  } else {
+    result.checks.fabric_api = { status: "SKIP", message: "Skipped (Azure auth failed)" };
+  }
+
+  // Check 4: Service principal's workspace role
+  if (result.checks.fabric_api?.status === "OK") {
+    try {
+      const role = servicePrincipalRole(await listRoleAssignments(workspaceId), {
+        clientId: process.env.AZURE_CLIENT_ID,
+      });
+      if (!role) {
+        result.checks.workspace_role = {
+          status: "OK",
+          message: "No direct role assignment — access comes through a group",
+        };
+      } else {
+        result.checks.workspace_role = { status: "OK", message: `Service principal is ${role}` };
+        if (role === "Viewer") {
+          result.warnings.push("Service principal is only Viewer — creating and editing content needs Contributor or higher");
+        }
+      }
+    } catch (err) {
+      result.checks.workspace_role = {
+        status: "WARN",
+        message: err instanceof FabricApiError && err.status === 403
+          ? "Role assignments not readable (403) — listing them needs Member or Admin, so the service principal is probably Contributor or Viewer"
+          : err.message,
+      };
+    }
+  }
+
+  // Check 5: Model set
+  const model = process.env.DEFAULT_MODEL || process.env.ANTHROPIC_MODEL;
+  if (!model) {
+    result.warnings.push("DEFAULT_MODEL not set — OpenClaw will use its default model");
+  } else {
+    result.checks.llm_model = { status: "OK", message: `Configured: ${model}` };
+  }
+
+  if (result.warnings.length === 0) delete result.warnings;
+
+  return result;
+}
+
+module.exports = {
+  STATUSES,
+  runHealthChecks,
+};
@@ -0,0 +1,335 @@
+/**
+ * Background health monitor
+ *
+ * Runs the check_health checks every FABIOBOT_HEALTH_INTERVAL_SECONDS
+ * (default 300, 0 turns the monitor off) and keeps a rolling history in
+ * workspace/health/health-history.jsonl (override with
+ * FABIOBOT_HEALTH_HISTORY_FILE, size with FABIOBOT_HEALTH_HISTORY_SIZE).
+ *
+ * When the status moves between healthy, degraded and unhealthy an alert is
+ * posted to the configured channel: FABIOBOT_ALERT_WEBHOOK_URL (Slack, Teams
+ * or any webhook taking { "text": ... }) and/or Telegram via
+ * TELEGRAM_BOT_TOKEN + FABIOBOT_ALERT_TELEGRAM_CHAT_ID.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { STATUSES, runHealthChecks } = require("./health-checks");
+
+const DEFAULT_INTERVAL_SECONDS = 300;
+const DEFAULT_HISTORY_SIZE = 2016; // one week at 5 minutes
+const ALERT_TIMEOUT_MS = 10000;
+const STATUS_ICONS = { healthy: "✅", degraded: "⚠️", unhealthy: "🔴" };
+const LATENCY_CHECKS = ["azure_auth", "fabric_api"];
+
+const monitor = { timer: null, intervalSeconds: null, startedAt: null, running: false };
+let historyCache = { file: null, entries: [], lines: 0 };
+
+function historyFile() {
+  return process.env.FABIOBOT_HEALTH_HISTORY_FILE || path.join(__dirname, "..", "..", "workspace", "health", "health-history.jsonl");
+}
+
+function historySize() {
+  const size = Number(process.env.FABIOBOT_HEALTH_HISTORY_SIZE);
+  return Number.isInteger(size) && size > 0 ? size : DEFAULT_HISTORY_SIZE;
+}
+
+/**
+ * Monitor interval in seconds; 0 when the monitor is turned off
+ */
+function monitorIntervalSeconds() {
+  const value = process.env.FABIOBOT_HEALTH_INTERVAL_SECONDS;
+  if (value == null || value === "") return DEFAULT_INTERVAL_SECONDS;
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : 0;
+}
+
+/**
+ * History entries, oldest first (read once per history file)
+ */
+function loadHealthHistory() {
+  const file = historyFile();
+  if (historyCache.file !== file) {
+    let lines = [];
+    try {
+      lines = fs.readFileSync(file, "utf8").split("\n").filter(Boolean);
+    } catch (err) {
+      if (err.code !== "ENOENT") console.error(`[health] Failed to read ${file}: ${err.message}`);
+    }
+    const entries = lines.flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+    historyCache = { file, entries: entries.slice(-historySize()), lines: lines.length };
+  }
+  return historyCache.entries;
+}
+
+/**
+ * Compact history entry from a runHealthChecks result
+ */
+function historyEntry(result, durationMs) {
+  const entry = {
+    timestamp: result.timestamp || new Date().toISOString(),
+    status: result.status,
+    duration_ms: durationMs,
+    checks: Object.fromEntries(Object.entries(result.checks || {}).map(([name, check]) => [name, check.status])),
+    latency_ms: {},
+  };
+  for (const name of LATENCY_CHECKS) {
+    if (result.checks?.[name]?.latency_ms != null) entry.latency_ms[name] = result.checks[name].latency_ms;
+  }
+  const problems = Object.entries(result.checks || {})
+    .filter(([, check]) => check.status === "FAIL" || check.status === "WARN")
+    .map(([name, check]) => `${name}: ${check.message}`);
+  if (problems.length) entry.problems = problems;
+  return entry;
+}
+
+/**
+ * Append an entry; the file is rewritten once it grows well past the
+ * history size
+ */
+async function appendHistory(entry) {
+  const entries = loadHealthHistory();
+  entries.push(entry);
+  const size = historySize();
+  if (entries.length > size) entries.splice(0, entries.length - size);
+
+  const file = historyFile();
+  try {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    if (historyCache.lines + 1 > size * 1.5) {
+      await fs.promises.writeFile(file, entries.map((e) => `${JSON.stringify(e)}\n`).join(""), "utf8");
+      historyCache.lines = entries.length;
+    } else {
+      await fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`, "utf8");
+      historyCache.lines++;
+    }
+  } catch (err) {
+    console.error(`[health] Failed to write health history: ${err.message}`);
+  }
+}
+
+function formatAge(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+/**
+ * Start of the current status streak (timestamp of its first entry)
+ */
+function statusSince(entries) {
+  const last = entries[entries.length - 1];
+  let since = last?.timestamp;
+  for (let i = entries.length - 1; i >= 0 && entries[i].status === last.status; i--) since = entries[i].timestamp;
+  return since;
+}
+
+/**
+ * Alert text for a status change
+ */
+function alertMessage(entry, previous, previousSince) {
+  const icon = STATUS_ICONS[entry.status] || "ℹ️";
+  const lines = [];
+  if (!previous) {
+    lines.push(`${icon} FabioBot is ${entry.status}`);
+  } else if (entry.status === "healthy") {
+    const outage = previousSince ? ` for ${formatAge(Date.parse(entry.timestamp) - Date.parse(previousSince))}` : "";
+    lines.push(`${icon} FabioBot is healthy again (was ${previous.status}${outage})`);
+  } else {
+    lines.push(`${icon} FabioBot is ${entry.status} (was ${previous.status})`);
+  }
+  for (const problem of entry.problems || []) lines.push(`- ${problem}`);
+  return lines.join("\n");
+}
+
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(ALERT_TIMEOUT_MS),
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+}
+
+/**
+ * Post an alert to every configured channel
+ *
+ * @returns {Promise<Array<{ channel: string, sent: boolean, error?: string }>>}
+ */
+async function sendAlert(text) {
+  const targets = [];
+  if (process.env.FABIOBOT_ALERT_WEBHOOK_URL) {
+    targets.push(["webhook", () => postJson(process.env.FABIOBOT_ALERT_WEBHOOK_URL, { text })]);
+  }
+  if (process.env.TELEGRAM_BOT_TOKEN && process.env.FABIOBOT_ALERT_TELEGRAM_CHAT_ID) {
+    const base = process.env.TELEGRAM_API_BASE_URL || "https://api.telegram.org";
+    targets.push(["telegram", () => postJson(`${base}/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`, {
+      chat_id: process.env.FABIOBOT_ALERT_TELEGRAM_CHAT_ID,
+      text,
+    })]);
+  }
+  if (!targets.length) console.error(`[health] No alert channel configured: ${text}`);
+
+  return Promise.all(targets.map(async ([channel, send]) => {
+    try {
+      await send();
+      return { channel, sent: true };
+    } catch (err) {
+      console.error(`[health] Failed to send ${channel} alert: ${err.message}`);
+      return { channel, sent: false, error: err.message };
+    }
+  }));
+}
+
+/**
+ * Run the checks once, record the result and alert on a status change.
+ * The first run only alerts when the bot is not healthy.
+ */
+async function runMonitorCheck({ runCheck = runHealthChecks, notify = sendAlert } = {}) {
+  const entries = loadHealthHistory();
+  const previous = entries[entries.length - 1] || null;
+  const previousSince = previous ? statusSince(entries) : null;
+
+  const start = Date.now();
+  let result;
+  try {
+    result = await runCheck({});
+  } catch (err) {
+    result = { status: "unhealthy", timestamp: new Date().toISOString(), checks: { monitor: { status: "FAIL", message: err.message } } };
+  }
+  const entry = historyEntry(result, Date.now() - start);
+  await appendHistory(entry);
+
+  const changed = previous ? previous.status !== entry.status : entry.status !== "healthy";
+  if (!changed) return { entry, alert: null };
+  const text = alertMessage(entry, previous, previousSince);
+  return { entry, alert: { text, deliveries: await notify(text) } };
+}
+
+/**
+ * Start the background monitor (no-op when it runs or is turned off).
+ * The timer does not keep the process alive and runs never overlap.
+ */
+function startHealthMonitor({ intervalSeconds = monitorIntervalSeconds(), ...options } = {}) {
+  if (monitor.timer || !(intervalSeconds > 0)) return false;
+  monitor.intervalSeconds = intervalSeconds;
+  monitor.startedAt = new Date().toISOString();
+  monitor.timer = setInterval(async () => {
+    if (monitor.running) return;
+    monitor.running = true;
+    try {
+      await runMonitorCheck(options);
+    } catch (err) {
+      console.error(`[health] Monitor run failed: ${err.message}`);
+    } finally {
+      monitor.running = false;
+    }
+  }, intervalSeconds * 1000);
+  monitor.timer.unref?.();
+  return true;
+}
+
+function stopHealthMonitor() {
+  if (monitor.timer) clearInterval(monitor.timer);
+  monitor.timer = null;
+  monitor.intervalSeconds = null;
+  monitor.startedAt = null;
+}
+
+function monitorStatus() {
+  return {
+    running: Boolean(monitor.timer),
+    interval_seconds: monitor.intervalSeconds,
+    started_at: monitor.startedAt,
+  };
+}
+
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function latencyStats(entries, check) {
+  const values = entries.map((e) => e.latency_ms?.[check]).filter((v) => typeof v === "number");
+  if (!values.length) return null;
+  return {
+    avg: Math.round(values.reduce((sum, v) => sum + v, 0) / values.length),
+    p95: percentile(values, 95),
+    max: Math.max(...values),
+  };
+}
+
+const uptime = (entries) => Math.round((entries.filter((e) => e.status === "healthy").length / entries.length) * 1000) / 10;
+
+/**
+ * Uptime, status changes and latency trends over the last `hours`
+ *
+ * @param {object[]} history - entries oldest first
+ * @param {object} [options]
+ * @param {number} [options.hours]
+ * @param {number} [options.buckets] - number of trend buckets
+ * @param {number} [options.now]
+ */
+function summarizeHealthHistory(history, { hours = 24, buckets = 12, now = Date.now() } = {}) {
+  const from = now - hours * 3600000;
+  const entries = history.filter((e) => Date.parse(e.timestamp) >= from);
+  if (!entries.length) return { period_hours: hours, checks_run: 0 };
+
+  const byStatus = Object.fromEntries(STATUSES.map((status) => [status, 0]));
+  for (const e of entries) byStatus[e.status] = (byStatus[e.status] || 0) + 1;
+  const changes = [];
+  for (let i = 1; i < entries.length; i++) {
+    if (entries[i].status !== entries[i - 1].status) {
+      changes.push({ at: entries[i].timestamp, from: entries[i - 1].status, to: entries[i].status, problems: entries[i].problems });
+    }
+  }
+
+  const bucketMs = (hours * 3600000) / buckets;
+  const trend = [];
+  for (let i = 0; i < buckets; i++) {
+    const start = from + i * bucketMs;
+    const slice = entries.filter((e) => {
+      const t = Date.parse(e.timestamp);
+      return t >= start && (t < start + bucketMs || (i === buckets - 1 && t <= now));
+    });
+    if (!slice.length) continue;
+    trend.push({
+      from: new Date(start).toISOString(),
+      checks: slice.length,
+      uptime_percent: uptime(slice),
+      fabric_api_ms: latencyStats(slice, "fabric_api")?.avg ?? null,
+    });
+  }
+
+  const last = entries[entries.length - 1];
+  return {
+    period_hours: hours,
+    checks_run: entries.length,
+    uptime_percent: uptime(entries),
+    by_status: byStatus,
+    current: { status: last.status, since: statusSince(entries), last_check: last.timestamp, problems: last.problems },
+    state_changes: changes,
+    latency_ms: Object.fromEntries(LATENCY_CHECKS.map((check) => [check, latencyStats(entries, check)])),
+    trend,
+  };
+}
+
+module.exports = {
+  monitorIntervalSeconds,
+  loadHealthHistory,
+  runMonitorCheck,
+  sendAlert,
+  startHealthMonitor,
+  stopHealthMonitor,
+  monitorStatus,
+  summarizeHealthHistory,
+};
@@ -1,196 +1,109 @@
 /**
  * Bot Status / Health Monitoring Skill for OpenClaw
  *
- * Checks Azure AD auth, Fabric API connectivity, and workspace status.
- * Useful for diagnosing issues from Telegram.
+ * Checks Azure AD auth, Fabric API connectivity, and workspace status, and
+ * answers "who changed what" from the audit log. Useful for diagnosing
+ * issues from Telegram. The same checks run in the background (see
+ * health-monitor.js) and alert the chat when the status changes.
  */
 
-let tokenCache = { token: null, expiresAt: 0 };
+const { fetchAllPages, paginateForChat, countBy } = require("../shared/pagination");
+const { resolveWorkspaceId } = require("../shared/workspaces");
+const { getAuthMethod, AUTH_METHODS } = require("../shared/auth");
+const { fabricRequest } = require("../shared/fabric-client");
+const { withToolContext, queryAuditLog } = require("../shared/audit-log");
+const { runHealthChecks } = require("./health-checks");
+const { startHealthMonitor, monitorStatus, loadHealthHistory, summarizeHealthHistory } = require("./health-monitor");
 
-async function getAccessToken() {
-  const now = Date.now();
-  if (tokenCache.token && tokenCache.expiresAt > now + 60000) {
-    return { token: tokenCache.token, cached: true, expiresIn: Math.floor((tokenCache.expiresAt - now) / 1000) };
-  }
+startHealthMonitor();
 
-  const tenantId = process.env.AZURE_TENANT_ID;
-  const clientId = process.env.AZURE_CLIENT_ID;
-  const clientSecret = process.env.AZURE_CLIENT_SECRET;
-
-  if (!tenantId || !clientId || !clientSecret) {
-    throw new Error("Missing Azure AD credentials (AZURE_TENANT_ID, AZURE_CLIENT_ID, AZURE_CLIENT_SECRET)");
-  }
-
-  const body = new URLSearchParams({
-    grant_type: "client_credentials",
-    client_id: clientId,
-    client_secret: clientSecret,
-    scope: "https://analysis.windows.net/powerbi/api/.default",
-  });
-
-  const response = await fetch(
-    `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/token`,
-    {
-      method: "POST",
-      headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      body: body.toString(),
-    }
-  );
+/**
+ * GET a Fabric API path; failures throw FabricApiError (status, details)
+ */
+function fabricGet(path) {
+  return fabricRequest("GET", path);
+}
 
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Azure AD authentication failed (${response.status}): ${error}`);
-  }
+async function listWorkspaces() {
+  const { items } = await fetchAllPages(fabricGet, "/workspaces");
+  return items;
+}
 
-  const data = await response.json();
-  tokenCache = {
-    token: data.access_token,
-    expiresAt: Date.now() + data.expires_in * 1000,
+/**
+ * One audit entry as a compact chat row
+ */
+function formatAuditEntry(entry) {
+  const target = entry.target
+    ? `${entry.target.type}${entry.target.name ? ` '${entry.target.name}'` : ""}${entry.target.id ? ` (${entry.target.id})` : ""}`
+    : null;
+  return {
+    time: entry.timestamp,
+    user: entry.user?.name || entry.user?.id || "unknown",
+    tool: entry.tool,
+    workspace_id: entry.workspace_id,
+    item: target,
+    summary: entry.summary,
+    status: entry.status,
+    result: entry.result,
+    error: entry.error,
   };
-
-  return { token: data.access_token, cached: false, expiresIn: data.expires_in };
 }
 
-module.exports = {
+module.exports = withToolContext({
   /**
    * Comprehensive health check
    */
-  check_health: async () => {
-    const result = {
-      status: "healthy",
-      timestamp: new Date().toISOString(),
-      checks: {},
-      warnings: [],
-    };
-
-    // Check 1: Environment variables
-    const requiredEnv = ["AZURE_TENANT_ID", "AZURE_CLIENT_ID", "AZURE_CLIENT_SECRET", "POWERBI_WORKSPACE_ID"];
-    const missingEnv = requiredEnv.filter((key) => !process.env[key]);
-    if (missingEnv.length > 0) {
-      result.status = "unhealthy";
-      result.checks.environment = {
-        status: "FAIL",
-        message: `Missing environment variables: ${missingEnv.join(", ")}`,
-      };
-    } else {
-      result.checks.environment = { status: "OK", message: "All required variables set" };
-    }
-
-    // Check 2: Azure AD authentication
-    try {
-      const start = Date.now();
-      const tokenResult = await getAccessToken();
-      const elapsed = Date.now() - start;
-      const expiresInMin = Math.floor(tokenResult.expiresIn / 60);
-      result.checks.azure_auth = {
-        status: "OK",
-        message: tokenResult.cached
-          ? `Token valid (expires in ~${expiresInMin} min, cached)`
-          : `Token acquired (${elapsed} ms, expires in ${expiresInMin} min)`,
-      };
-    } catch (err) {
-      result.status = "unhealthy";
-      result.checks.azure_auth = {
-        status: "FAIL",
-        message: err.message,
-        hint: "Check AZURE_TENANT_ID, AZURE_CLIENT_ID, AZURE_CLIENT_SECRET in .env",
-      };
-    }
-
-    // Check 3: Fabric API connectivity
-    if (result.checks.azure_auth?.status === "OK") {
-      try {
-        const start = Date.now();
-        const tokenResult = await getAccessToken();
-        const workspaceId = process.env.POWERBI_WORKSPACE_ID;
-        const response = await fetch(
-          `https://api.fabric.microsoft.com/v1/workspaces/${workspaceId}`,
-          {
-            headers: { Authorization: `Bearer ${tokenResult.token}` },
-          }
-        );
-        const elapsed = Date.now() - start;
-
-        if (response.ok) {
-          const data = await response.json();
-          result.checks.fabric_api = {
-            status: "OK",
-            message: `Connected (${elapsed} ms) — Workspace: ${data.displayName || workspaceId}`,
-          };
-        } else if (response.status === 403) {
-          result.status = "degraded";
-          result.checks.fabric_api = {
-            status: "FAIL",
-            message: `Access denied (403) — Service Principal may not have workspace permissions`,
-            hint: "Add the Service Principal to the Power BI workspace as Admin/Member",
-          };
-        } else {
-          result.status = "degraded";
-          result.checks.fabric_api = {
-            status: "FAIL",
-            message: `HTTP ${response.status} from Fabric API`,
-          };
-        }
-      } catch (err) {
-        result.status = "degraded";
-        result.checks.fabric_api = {
-          status: "FAIL",
-          message: `Network error: ${err.message}`,
-          hint: "Check internet connectivity on the Oracle VM",
-        };
-      }
-    } else {
-      result.checks.fabric_api = { status: "SKIP", message: "Skipped (Azure auth failed)" };
-    }
+  check_health: async ({ workspace } = {}, context) => {
+    const result = await runHealthChecks({ workspace, context });
+    return JSON.stringify(result, null, 2);
+  },
 
-    // Check 4: Model set
-    const model = process.env.DEFAULT_MODEL || process.env.ANTHROPIC_MODEL;
-    if (!model) {
-      result.warnings.push("DEFAULT_MODEL not set — OpenClaw will use its default model");
-    } else {
-      result.checks.llm_model = { status: "OK", message: `Configured: ${model}` };
+  /**
+   * Uptime, status changes and latency trends from the background monitor
+   */
+  get_health_history: async ({ hours = 24 } = {}) => {
+    const period = Number(hours);
+    if (!Number.isFinite(period) || period <= 0 || period > 24 * 30) {
+      return JSON.stringify({ error: "hours must be a positive number (at most 720)" });
     }
-
-    if (result.warnings.length === 0) delete result.warnings;
-
-    return JSON.stringify(result, null, 2);
+    return JSON.stringify({
+      monitor: monitorStatus(),
+      ...summarizeHealthHistory(loadHealthHistory(), { hours: period }),
+    }, null, 2);
   },
 
   /**
    * Workspace item summary
    */
-  get_workspace_summary: async () => {
-    const workspaceId = process.env.POWERBI_WORKSPACE_ID;
-    if (!workspaceId) {
-      return JSON.stringify({ error: "POWERBI_WORKSPACE_ID not configured" });
+  get_workspace_summary: async ({ workspace } = {}, context) => {
+    let workspaceId;
+    try {
+      workspaceId = await resolveWorkspaceId(workspace, { context, listWorkspaces });
+    } catch (err) {
+      return JSON.stringify({ error: err.message });
     }
 
-    const tokenResult = await getAccessToken();
-    const response = await fetch(
-      `https://api.fabric.microsoft.com/v1/workspaces/${workspaceId}/items`,
-      { headers: { Authorization: `Bearer ${tokenResult.token}` } }
-    );
-
-    if (!response.ok) {
-      const err = await response.text();
+    let items;
+    let workspaceName = workspaceId === process.env.POWERBI_WORKSPACE_ID
+      ? process.env.POWERBI_WORKSPACE_NAME
+      : null;
+    try {
+      ({ items } = await fetchAllPages(fabricGet, `/workspaces/${workspaceId}/items`));
+      if (!workspaceName) {
+        workspaceName = (await fabricGet(`/workspaces/${workspaceId}`)).displayName;
+      }
+    } catch (err) {
       return JSON.stringify({
-        error: `Failed to list workspace items (${response.status})`,
-        details: err,
+        error: `Failed to list workspace items (${err.status || "network error"})`,
+        details: err.details || err.message,
       });
     }
 
-    const data = await response.json();
-    const items = data.value || [];
-
-    const counts = {};
-    for (const item of items) {
-      const type = item.type || "Unknown";
-      counts[type] = (counts[type] || 0) + 1;
-    }
+    const counts = countBy(items, "type");
 
     return JSON.stringify({
       workspace_id: workspaceId,
-      workspace_name: process.env.POWERBI_WORKSPACE_NAME || "N/A",
+      workspace_name: workspaceName || "N/A",
       total_items: items.length,
       by_type: counts,
       timestamp: new Date().toISOString(),
@@ -212,6 +125,13 @@ module.exports = {
         azure_tenant: process.env.AZURE_TENANT_ID
           ? `${process.env.AZURE_TENANT_ID.substring(0, 8)}...`
           : "not set",
+        azure_auth_method: (() => {
+          try {
+            return AUTH_METHODS[getAuthMethod()].label;
+          } catch (err) {
+            return err.message;
+          }
+        })(),
         azure_client: process.env.AZURE_CLIENT_ID
           ? `${process.env.AZURE_CLIENT_ID.substring(0, 8)}...`
           : "not set",
@@ -228,4 +148,25 @@ module.exports = {
 
     return JSON.stringify(info, null, 2);
   },
-};
+
+  /**
+   * Query the audit log of mutating Fabric operations
+   */
+  get_audit_log: async ({ since, until, user, item, tool, workspace, result, page, page_size } = {}, context) => {
+    try {
+      const workspaceId = workspace
+        ? await resolveWorkspaceId(workspace, { context, listWorkspaces })
+        : undefined;
+      const entries = await queryAuditLog({ since, until, user, item, tool, workspaceId, result });
+      const filters = Object.fromEntries(
+        Object.entries({ since, until, user, item, tool, workspace: workspaceId, result }).filter(([, v]) => v)
+      );
+      return JSON.stringify({
+        filters,
+        ...paginateForChat(entries.map(formatAuditEntry), { page, page_size }),
+      }, null, 2);
+    } catch (err) {
+      return JSON.stringify({ error: err.message });
+    }
+  },
+});
@@ -1,85 +1,143 @@
 /**
  * Fabric API Skill for OpenClaw
  *
- * Generic wrapper for Microsoft Fabric REST API calls.
+ * Generic wrapper for Microsoft Fabric REST API calls. Calls pass through the
+ * safety policy in policy.js: blocked calls are explained, destructive ones
+ * need a confirmation token from a preview call first.
  */
 
-let tokenCache = { token: null, expiresAt: 0 };
+const { isLongRunningOperation, chatProgressReporter } = require("../shared/long-running-operation");
+const { resolveWorkspaceId, conversationKey } = require("../shared/workspaces");
+const { isApiPath, sendRequest, followOperation, fabricRequest, errorHint, FabricApiError } = require("../shared/fabric-client");
+const { evaluateRequest, issueConfirmation, redeemConfirmation } = require("./policy");
+const { withToolContext, recordAudit } = require("../shared/audit-log");
+const { fetchAllPages } = require("../shared/pagination");
 
-async function getAccessToken() {
-  const now = Date.now();
-  if (tokenCache.token && tokenCache.expiresAt > now + 60000) {
-    return tokenCache.token;
-  }
-
-  const tenantId = process.env.AZURE_TENANT_ID;
-  const clientId = process.env.AZURE_CLIENT_ID;
-  const clientSecret = process.env.AZURE_CLIENT_SECRET;
+const BODY_PREVIEW_LENGTH = 500;
 
-  if (!tenantId || !clientId || !clientSecret) {
-    throw new Error(
-      "Missing Azure AD credentials. Set AZURE_TENANT_ID, AZURE_CLIENT_ID, AZURE_CLIENT_SECRET in .env"
-    );
-  }
+async function listWorkspaces() {
+  const { items } = await fetchAllPages((p) => fabricRequest("GET", p), "/workspaces");
+  return items;
+}
 
-  const body = new URLSearchParams({
-    grant_type: "client_credentials",
-    client_id: clientId,
-    client_secret: clientSecret,
-    scope: "https://analysis.windows.net/powerbi/api/.default",
-  });
-
-  const response = await fetch(
-    `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/token`,
-    {
-      method: "POST",
-      headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      body: body.toString(),
-    }
-  );
-
-  if (!response.ok) {
-    const status = response.status;
-    if (status === 401 || status === 403) {
-      throw new Error(
-        `Azure AD authentication failed (${status}). Check AZURE_CLIENT_SECRET — it may have expired.`
-      );
-    }
-    throw new Error(`Azure AD token error (${status}). Check your Azure AD credentials in .env`);
+/**
+ * Describe what a destructive call would touch (best effort GET of the target)
+ */
+async function describeTarget(method, path) {
+  if (!["DELETE", "PATCH", "PUT"].includes(method)) return null;
+  try {
+    const item = await fabricRequest("GET", path.split("?")[0], null, { retries: 0 });
+    if (!item || typeof item !== "object") return null;
+    return {
+      id: item.id,
+      name: item.displayName || item.name,
+      type: item.type || undefined,
+      description: item.description || undefined,
+    };
+  } catch {
+    return null;
   }
-
-  const data = await response.json();
-  tokenCache = {
-    token: data.access_token,
-    expiresAt: now + data.expires_in * 1000,
-  };
-  return data.access_token;
 }
 
-module.exports = {
-  fabric_api_call: async ({ method, path, body }) => {
+module.exports = withToolContext({
+  fabric_api_call: async ({ method, path: rawPath, body, workspace, confirmation_token }, context) => {
     if (!method) return JSON.stringify({ error: "method is required (GET, POST, PUT, PATCH, DELETE)" });
-    if (!path) return JSON.stringify({ error: "path is required (e.g. /workspaces/{id}/items)" });
+    if (!rawPath) return JSON.stringify({ error: "path is required (e.g. /workspaces/{workspaceId}/items)" });
+    if (!isApiPath(rawPath)) {
+      return JSON.stringify({ error: "path must be relative to the Fabric API and start with a single '/' (e.g. /workspaces/{workspaceId}/items) — full URLs are not allowed" });
+    }
+
+    // {workspaceId} in the path is replaced with the resolved workspace
+    let path = rawPath;
+    if (/\{workspaceId\}/.test(rawPath)) {
+      try {
+        const workspaceId = await resolveWorkspaceId(workspace, { context, listWorkspaces });
+        path = rawPath.replace(/\{workspaceId\}/g, workspaceId);
+      } catch (err) {
+        return JSON.stringify({ error: err.message });
+      }
+    }
 
-    const token = await getAccessToken();
     const upperMethod = method.toUpperCase();
+    const requestBody = body && ["POST", "PUT", "PATCH"].includes(upperMethod) ? body : null;
+
+    const decision = evaluateRequest(upperMethod, path);
+    if (decision.action === "block") {
+      return JSON.stringify({
+        ok: false,
+        blocked: true,
+        request: `${upperMethod} ${path}`,
+        reason: decision.reason,
+        rule: decision.rule,
+        hint: "This call is not permitted by the API safety policy (skills/config/api-policy.json). Ask an administrator to change the policy if it is needed.",
+      }, null, 2);
+    }
 
-    const options = {
-      method: upperMethod,
-      headers: {
-        Authorization: `Bearer ${token}`,
-        "Content-Type": "application/json",
-      },
-    };
+    if (decision.action === "confirm") {
+      const conversation = conversationKey(context);
+      if (!confirmation_token) {
+        const { token, expiresAt } = issueConfirmation(upperMethod, path, requestBody, conversation);
+        const bodyText = requestBody == null ? null : typeof requestBody === "string" ? requestBody : JSON.stringify(requestBody);
+        return JSON.stringify({
+          ok: false,
+          confirmation_required: true,
+          preview: {
+            request: `${upperMethod} ${path}`,
+            target: await describeTarget(upperMethod, path),
+            body: bodyText && bodyText.length > BODY_PREVIEW_LENGTH
+              ? `${bodyText.substring(0, BODY_PREVIEW_LENGTH)}… (${bodyText.length} chars)`
+              : bodyText,
+            rule: decision.rule,
+          },
+          confirmation_token: token,
+          expires_at: expiresAt,
+          message:
+            "This call can change or delete content. Show the preview to the user and, only after they confirm, " +
+            "repeat the exact same call with confirmation_token set.",
+        }, null, 2);
+      }
+      const problem = redeemConfirmation(confirmation_token, upperMethod, path, requestBody, conversation);
+      if (problem) {
+        return JSON.stringify({ ok: false, confirmation_required: true, error: problem }, null, 2);
+      }
+    }
 
-    if (body && ["POST", "PUT", "PATCH"].includes(upperMethod)) {
-      options.body = typeof body === "string" ? body : JSON.stringify(body);
+    let response;
+    try {
+      ({ response } = await sendRequest(upperMethod, path, { body: requestBody }));
+    } catch (err) {
+      await recordAudit({ method: upperMethod, path, body: requestBody, status: err.status || 0, ok: false, error: err.message });
+      if (err instanceof FabricApiError) return JSON.stringify({ ok: false, ...err.toJSON() }, null, 2);
+      throw err;
     }
 
-    const response = await fetch(
-      `https://api.fabric.microsoft.com/v1${path}`,
-      options
-    );
+    // Follow 202 Accepted long-running operations to their final result
+    if (isLongRunningOperation(response)) {
+      const operationId = response.headers.get("x-ms-operation-id");
+      try {
+        const data = await followOperation(response, {
+          description: `${upperMethod} ${path}`,
+          onProgress: chatProgressReporter(context, `${upperMethod} ${path}`),
+        });
+        await recordAudit({ method: upperMethod, path, body: requestBody, status: response.status, ok: true, result: data, operationId });
+        return JSON.stringify({
+          status: response.status,
+          statusText: response.statusText,
+          ok: true,
+          operation: { id: operationId, status: "Succeeded" },
+          data,
+        }, null, 2);
+      } catch (err) {
+        await recordAudit({ method: upperMethod, path, body: requestBody, status: response.status, ok: false, error: err.message, operationId });
+        return JSON.stringify({
+          status: response.status,
+          statusText: response.statusText,
+          ok: false,
+          operation: { id: operationId, status: "Failed" },
+          error: err.message,
+        }, null, 2);
+      }
+    }
 
     let data = null;
     const text = await response.text();
@@ -89,6 +147,16 @@ module.exports = {
       data = text;
     }
 
+    await recordAudit({
+      method: upperMethod,
+      path,
+      body: requestBody,
+      status: response.status,
+      ok: response.ok,
+      error: response.ok ? undefined : text.substring(0, 300),
+      result: data,
+    });
+
     const result = {
       status: response.status,
       statusText: response.statusText,
@@ -97,15 +165,9 @@ module.exports = {
     };
 
     if (!response.ok) {
-      const status = response.status;
-      let hint = "";
-      if (status === 401) hint = "Token rejected — try the request again or check Azure credentials.";
-      else if (status === 403) hint = "Access denied — Service Principal may lack workspace permissions.";
-      else if (status === 404) hint = "Resource not found — verify the path and IDs.";
-      else if (status === 429) hint = "Rate limited — wait a moment before retrying.";
-      result.hint = hint;
+      result.hint = errorHint(response.status) || "";
     }
 
     return JSON.stringify(result, null, 2);
   },
-};
+});
@@ -0,0 +1,230 @@
+/**
+ * Safety policy for fabric_api_call
+ *
+ * Every call is checked against a policy before it is sent:
+ *
+ *   1. read-only mode blocks everything except GET (and readOnlyExceptions)
+ *   2. protected workspaces reject any mutating call
+ *   3. deny rules block, allow rules (when present) whitelist
+ *   4. confirm rules need a two-step confirmation token
+ *
+ * Rules are "METHOD PATH" patterns: METHOD is a verb, "PUT|PATCH" or "*";
+ * in PATH "*" matches one segment and "**" any number of segments, e.g.
+ * "DELETE /workspaces/*" or "PUT|PATCH /deploymentPipelines/**". Query strings
+ * are ignored when matching. Rules see the path as the URL parser resolves it
+ * against the API base URL; absolute URLs, repeated slashes and "." / ".."
+ * segments are refused outright.
+ *
+ * The policy file is skills/config/api-policy.json (override the path with
+ * FABIOBOT_API_POLICY_FILE); FABRIC_API_READ_ONLY=true forces read-only mode.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { loadWorkspaceConfig } = require("../shared/workspaces");
+const { isApiPath, baseUrl } = require("../shared/fabric-client");
+const confirmations = require("../shared/confirmations");
+
+const DEFAULT_POLICY = {
+  readOnly: false,
+  readOnlyExceptions: ["POST /workspaces/*/*/*/getDefinition"],
+  protectedWorkspaces: [],
+  allow: [],
+  deny: ["DELETE /workspaces/*"],
+  confirm: [
+    "DELETE /**",
+    "PUT /**",
+    "PATCH /workspaces/*",
+    "POST /workspaces/*/*/*/updateDefinition",
+    "POST /workspaces/*/assignToCapacity",
+    "POST /workspaces/*/unassignFromCapacity",
+    "POST /workspaces/*/roleAssignments",
+    "POST /deploymentPipelines/*/deploy",
+  ],
+  confirmationTtlSeconds: 300,
+};
+
+const SAFE_METHODS = new Set(["GET", "HEAD"]);
+
+let policyCache = { file: null, mtimeMs: 0, policy: null };
+
+function policyFile() {
+  return process.env.FABIOBOT_API_POLICY_FILE || path.join(__dirname, "..", "config", "api-policy.json");
+}
+
+/**
+ * Load the policy (defaults merged with the policy file, re-read on change)
+ */
+function loadPolicy() {
+  const file = policyFile();
+  let policy = DEFAULT_POLICY;
+  let stat = null;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    // no policy file: defaults only
+  }
+
+  if (stat) {
+    if (policyCache.file === file && policyCache.mtimeMs === stat.mtimeMs) {
+      policy = policyCache.policy;
+    } else {
+      let raw;
+      try {
+        raw = JSON.parse(fs.readFileSync(file, "utf8"));
+      } catch (err) {
+        throw new Error(`API policy ${file} is not valid JSON: ${err.message}`);
+      }
+      policy = { ...DEFAULT_POLICY, ...raw };
+      policyCache = { file, mtimeMs: stat.mtimeMs, policy };
+    }
+  }
+
+  if (/^(1|true|yes)$/i.test(process.env.FABRIC_API_READ_ONLY || "")) {
+    policy = { ...policy, readOnly: true };
+  }
+  return policy;
+}
+
+/**
+ * Compile a "METHOD /path/pattern" rule into a matcher
+ */
+function compileRule(rule) {
+  const match = String(rule).trim().match(/^(\S+)\s+(\S+)$/);
+  if (!match) throw new Error(`Invalid API policy rule '${rule}'. Use "METHOD /path/pattern"`);
+  const methods = match[1].toUpperCase().split("|");
+  const source = match[2]
+    .replace(/\/+$/, "")
+    .split("/")
+    .map((segment) => {
+      if (segment === "**") return "(?:/[^/]+)*";
+      return segment ? `/${segment.split("*").map(escapeRegExp).join("[^/]*")}` : "";
+    })
+    .join("");
+  const pattern = new RegExp(`^${source}/?$`, "i");
+  return (method, requestPath) => (methods.includes("*") || methods.includes(method)) && pattern.test(requestPath);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function firstMatch(rules, method, requestPath) {
+  return (rules || []).find((rule) => compileRule(rule)(method, requestPath)) || null;
+}
+
+/**
+ * Workspace IDs from protectedWorkspaces (IDs or workspaces.json aliases)
+ */
+function protectedWorkspaceIds(policy) {
+  const aliases = loadWorkspaceConfig().aliases;
+  return (policy.protectedWorkspaces || []).map((ref) => {
+    const alias = aliases[String(ref).toLowerCase()];
+    return (alias ? alias.id : String(ref)).toLowerCase();
+  });
+}
+
+/**
+ * Path (without query) as the URL parser resolves it against the Fabric API
+ * base URL; { error } for paths that would resolve somewhere other than they
+ * read
+ */
+function resolveRequestPath(requestPath) {
+  if (!isApiPath(requestPath)) {
+    return { error: `'${requestPath}' is not an API path — use a path starting with a single '/' (e.g. /workspaces)` };
+  }
+  const rawPath = requestPath.split(/[?#]/)[0];
+  const segments = rawPath.slice(1).split("/");
+  for (const [index, segment] of segments.entries()) {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(segment);
+    } catch {
+      return { error: `'${requestPath}' contains an invalid percent-encoding` };
+    }
+    if (decoded === "." || decoded === "..") {
+      return { error: `'${requestPath}' contains a '${decoded}' segment — use the full path without '.' or '..'` };
+    }
+    if (!segment && index < segments.length - 1) {
+      return { error: `'${requestPath}' contains repeated slashes` };
+    }
+    if (/[/\\]/.test(decoded)) {
+      return { error: `'${requestPath}' contains an encoded slash or a backslash` };
+    }
+  }
+
+  const base = new URL(baseUrl("fabric"));
+  const url = new URL(`${base.href.replace(/\/+$/, "")}${rawPath}`);
+  const prefix = base.pathname.replace(/\/+$/, "");
+  if (url.origin !== base.origin || !url.pathname.startsWith(`${prefix}/`)) {
+    return { error: `'${requestPath}' resolves outside the Fabric API` };
+  }
+  // Rules and workspace IDs compare decoded segments, so "%61bc" is "abc"
+  return { path: url.pathname.slice(prefix.length).split("/").map(decodeURIComponent).join("/") };
+}
+
+/**
+ * Decide what to do with a call.
+ *
+ * @returns {{ action: "allow" | "block" | "confirm", reason?: string, rule?: string }}
+ */
+function evaluateRequest(method, requestPath, policy = loadPolicy()) {
+  const upper = method.toUpperCase();
+  const resolved = resolveRequestPath(requestPath);
+  if (resolved.error) return { action: "block", reason: resolved.error, rule: "path" };
+  const cleanPath = resolved.path;
+  const mutating = !SAFE_METHODS.has(upper);
+
+  if (policy.readOnly && mutating && !firstMatch(policy.readOnlyExceptions, upper, cleanPath)) {
+    return {
+      action: "block",
+      reason: `The Fabric API is in read-only mode; ${upper} requests are not allowed.`,
+      rule: "readOnly",
+    };
+  }
+
+  const workspaceId = cleanPath.match(/^\/workspaces\/([^/]+)/i)?.[1]?.toLowerCase();
+  if (mutating && workspaceId && protectedWorkspaceIds(policy).includes(workspaceId)) {
+    return {
+      action: "block",
+      reason: `Workspace ${workspaceId} is protected; ${upper} requests against it are not allowed from chat.`,
+      rule: "protectedWorkspaces",
+    };
+  }
+
+  const denied = firstMatch(policy.deny, upper, cleanPath);
+  if (denied) {
+    return { action: "block", reason: `${upper} ${cleanPath} matches the deny rule "${denied}".`, rule: denied };
+  }
+
+  if ((policy.allow || []).length > 0 && !firstMatch(policy.allow, upper, cleanPath)) {
+    return {
+      action: "block",
+      reason: `${upper} ${cleanPath} does not match any allow rule (${policy.allow.join(", ")}).`,
+      rule: "allow",
+    };
+  }
+
+  const confirm = firstMatch(policy.confirm, upper, cleanPath);
+  if (confirm) return { action: "confirm", rule: confirm };
+  return { action: "allow" };
+}
+
+/**
+ * Issue a single-use confirmation token with the policy's expiry
+ */
+function issueConfirmation(method, requestPath, body, conversation, policy = loadPolicy()) {
+  return confirmations.issueConfirmation(
+    method, requestPath, body, conversation,
+    policy.confirmationTtlSeconds || DEFAULT_POLICY.confirmationTtlSeconds
+  );
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  loadPolicy,
+  resolveRequestPath,
+  evaluateRequest,
+  issueConfirmation,
+  redeemConfirmation: confirmations.redeemConfirmation,
+};
@@ -0,0 +1,204 @@
+/**
+ * DAX formatter
+ *
+ * Lays out DAX the way the measures in this repo are written: function names
+ * and keywords in upper case, a function call on one line when it fits and
+ * otherwise one argument per line, VAR / RETURN on their own lines with the
+ * RETURN expression indented. Comments are kept; a line comment always ends
+ * its line.
+ */
+
+const { KEYWORDS, tokenize, isQualified, buildTree, splitArguments, isFunctionCall } = require("./dax-tokenizer");
+
+const DEFAULT_WIDTH = 80;
+const INDENT = "    ";
+
+// Keywords that start a new line in a sequence
+const STATEMENTS = new Set(["DEFINE", "EVALUATE", "ORDER", "START", "MEASURE", "COLUMN", "TABLE", "VAR", "RETURN"]);
+
+// Statements inside DEFINE are indented one level
+const DEFINITIONS = new Set(["MEASURE", "COLUMN", "TABLE", "VAR"]);
+
+const isLineComment = (token) => token.type === "comment" && /^(\/\/|--)/.test(token.text);
+const upper = (token) => (token.type === "identifier" ? token.value.toUpperCase() : null);
+
+/**
+ * Text of a single token in formatted output
+ */
+function tokenText(token, next) {
+  if (token.type === "identifier") {
+    const word = token.value.toUpperCase();
+    if (isFunctionCall(token, next) || KEYWORDS.has(word)) return word;
+  }
+  if (token.type === "comment") return token.text.trimEnd();
+  return token.text;
+}
+
+/**
+ * Space between two consecutive items on a line
+ */
+function separator(previous, item) {
+  if (!previous) return "";
+  const first = item.type === "group" ? item.open : item;
+  const last = previous.type === "group" ? previous.close || previous.open : previous;
+  if (isFunctionCall(previous, item)) return "";
+  if (isQualified(last, first)) return "";
+  if (first.type === "operator" && first.value === ",") return "";
+  if (previous.unary) return "";
+  return " ";
+}
+
+/**
+ * Mark `-` and `+` used as signs so no space follows them
+ */
+function markUnary(items) {
+  items.forEach((item, i) => {
+    if (item.type !== "operator" || (item.value !== "-" && item.value !== "+")) return;
+    const previous = items.slice(0, i).reverse().find((p) => p.type !== "comment");
+    if (!previous || (previous.type === "operator" && previous.value !== ")") || STATEMENTS.has(upper(previous)) ||
+      ["IN", "NOT"].includes(upper(previous))) {
+      item.unary = true;
+    }
+  });
+}
+
+class Writer {
+  constructor(width) {
+    this.width = width;
+    this.lines = [];
+    this.current = "";
+    this.level = 0;
+    this.previous = null;
+  }
+
+  get column() {
+    return this.current.length;
+  }
+
+  newline(level = this.level) {
+    if (this.current.trim()) this.lines.push(this.current.trimEnd());
+    this.level = level;
+    this.current = INDENT.repeat(level);
+    this.previous = null;
+  }
+
+  write(text, item) {
+    this.current += (this.current.trim() ? separator(this.previous, item) : "") + text;
+    this.previous = item;
+    if (isLineComment(item)) this.newline();
+  }
+
+  text() {
+    this.newline();
+    return this.lines.join("\n");
+  }
+}
+
+/**
+ * Items rendered on one line, or null when they cannot be (line comments,
+ * statement keywords)
+ */
+function inline(items) {
+  markUnary(items);
+  let text = "";
+  let previous = null;
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    let part;
+    if (item.type === "group") {
+      const args = splitArguments(item.items).map(inline);
+      if (args.some((a) => a === null)) return null;
+      const close = item.close ? item.close.value : "";
+      part = `${item.open.value}${args.join(", ")}${close}`;
+    } else {
+      if (isLineComment(item) || STATEMENTS.has(upper(item))) return null;
+      part = tokenText(item, items[i + 1]);
+    }
+    text += (text ? separator(previous, item) : "") + part;
+    previous = item;
+  }
+  return text;
+}
+
+/**
+ * Write a sequence of items, starting new lines for VAR / RETURN / EVALUATE
+ * and breaking groups that do not fit
+ */
+function writeSequence(writer, items, level) {
+  markUnary(items);
+  let inDefine = false;
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    const keyword = upper(item);
+
+    if (item.type !== "group" && STATEMENTS.has(keyword)) {
+      if (keyword === "DEFINE") inDefine = true;
+      if (keyword === "EVALUATE") inDefine = false;
+      const statementLevel = inDefine && DEFINITIONS.has(keyword) ? level + 1 : level;
+      // ORDER only starts a line as ORDER BY
+      if (keyword !== "ORDER" || upper(items[i + 1] || {}) === "BY") writer.newline(statementLevel);
+      writer.write(tokenText(item, items[i + 1]), item);
+      if (keyword === "DEFINE") writer.newline(level + 1);
+      if (keyword === "RETURN") writer.newline(statementLevel + 1);
+      continue;
+    }
+
+    if (item.type === "group") {
+      writeGroup(writer, item, writer.level);
+    } else {
+      writer.write(tokenText(item, items[i + 1]), item);
+    }
+  }
+}
+
+/**
+ * Write a parenthesized group: inline when it fits, else one argument per line
+ */
+function writeGroup(writer, group, level) {
+  const text = inline([group]);
+  const space = writer.current.trim() ? separator(writer.previous, group).length : 0;
+  if (text !== null && writer.column + space + text.length <= writer.width) {
+    writer.write(text, group);
+    return;
+  }
+
+  writer.write(group.open.value, { ...group, close: group.open });
+  const args = splitArguments(group.items);
+  args.forEach((arg, index) => {
+    writer.newline(level + 1);
+    writeSequence(writer, arg, level + 1);
+    if (index < args.length - 1) {
+      const comma = { type: "operator", value: ",", text: "," };
+      // A trailing line comment already ended the line: put the comma before it
+      if (!writer.current.trim() && writer.lines.length && isLineComment(arg[arg.length - 1])) {
+        const last = writer.lines.pop();
+        const commentAt = last.lastIndexOf(arg[arg.length - 1].text.trimEnd());
+        writer.lines.push(`${last.substring(0, commentAt).trimEnd()}, ${last.substring(commentAt)}`);
+      } else {
+        writer.write(",", comma);
+      }
+    }
+  });
+  if (group.close) {
+    writer.newline(level);
+    writer.write(group.close.value, group.close);
+  }
+}
+
+/**
+ * Format a DAX expression or query.
+ *
+ * @param {string} expression
+ * @param {{ width?: number }} [options] - maximum line length (default 80)
+ * @returns {string}
+ */
+function formatDax(expression, { width = DEFAULT_WIDTH } = {}) {
+  const tokens = tokenize(expression);
+  const writer = new Writer(Math.max(Number(width) || DEFAULT_WIDTH, 20));
+  writeSequence(writer, buildTree(tokens), 0);
+  return writer.text();
+}
+
+module.exports = {
+  formatDax,
+};
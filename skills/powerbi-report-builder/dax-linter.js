@@ -0,0 +1,252 @@
+/**
+ * DAX linter
+ *
+ * Checks a DAX expression or query without running it: unclosed strings,
+ * names and parentheses, references to tables, columns and measures that do
+ * not exist in the model (when a schema is given) and common anti-patterns.
+ * Findings carry the line and column of the problem.
+ */
+
+const {
+  KEYWORDS,
+  tokenize,
+  significantTokens,
+  buildTree,
+  splitArguments,
+  isFunctionCall,
+  referencesIn,
+} = require("./dax-tokenizer");
+const { suggest } = require("./report-validator");
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+const sameName = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+function finding(severity, rule, token, message, suggestions = []) {
+  const result = { severity, rule, message, line: token.line, column: token.column };
+  if (suggestions.length) result.suggestions = suggestions;
+  return result;
+}
+
+/**
+ * Unclosed strings, names, comments and brackets
+ */
+function checkSyntax(tokens) {
+  const findings = [];
+  const what = { string: "string", table: "table name", column: "[name]", comment: "/* comment" };
+  for (const token of tokens) {
+    if (token.unterminated) {
+      findings.push(finding("error", "unterminated", token, `Unclosed ${what[token.type]} starting here`));
+    } else if (token.type === "unknown") {
+      findings.push(finding("error", "unexpected-character", token, `Unexpected character '${token.text}'`));
+    }
+  }
+
+  const open = [];
+  for (const token of significantTokens(tokens)) {
+    if (token.type !== "operator") continue;
+    if (token.value === "(" || token.value === "{") {
+      open.push(token);
+    } else if (token.value === ")" || token.value === "}") {
+      const expected = token.value === ")" ? "(" : "{";
+      const last = open[open.length - 1];
+      if (last && last.value === expected) {
+        open.pop();
+      } else if (last) {
+        findings.push(finding("error", "unbalanced-parentheses", token,
+          `'${token.value}' closes '${last.value}' opened at line ${last.line}, column ${last.column}`));
+        open.pop();
+      } else {
+        findings.push(finding("error", "unbalanced-parentheses", token, `'${token.value}' has no matching '${expected}'`));
+      }
+    }
+  }
+  for (const token of open) {
+    findings.push(finding("error", "unbalanced-parentheses", token, `'${token.value}' is never closed`));
+  }
+  return findings;
+}
+
+/**
+ * Names the expression defines itself: VAR names, DEFINE TABLE names and
+ * DEFINE MEASURE / COLUMN names
+ */
+function localNames(list) {
+  const variables = new Set();
+  const measures = new Set();
+  const definitions = new Set();
+  for (let i = 0; i < list.length - 1; i++) {
+    const keyword = list[i].type === "identifier" ? list[i].value.toUpperCase() : null;
+    const next = list[i + 1];
+    if ((keyword === "VAR" || keyword === "TABLE") && (next.type === "identifier" || next.type === "table")) {
+      variables.add(next.value.toLowerCase());
+    } else if ((keyword === "MEASURE" || keyword === "COLUMN") && list[i + 2]?.type === "column") {
+      if (keyword === "MEASURE") measures.add(list[i + 2].value.toLowerCase());
+      definitions.add(list[i + 2]);
+    }
+  }
+  return { variables, measures, definitions };
+}
+
+/**
+ * References to unknown tables, columns and measures, measures written with
+ * a table prefix and columns written without one
+ */
+function checkReferences(tokens, schema) {
+  const findings = [];
+  const list = significantTokens(tokens);
+  const { variables, measures: localMeasures, definitions } = localNames(list);
+  const tableNames = schema.tables.map((t) => t.name);
+  const measureNames = schema.tables.flatMap((t) => t.measures.map((m) => m.name));
+  const isMeasure = (name) => localMeasures.has(name.toLowerCase()) || measureNames.some((m) => sameName(m, name));
+  const findTable = (name) => schema.tables.find((t) => sameName(t.name, name));
+
+  for (const ref of referencesIn(tokens)) {
+    const columnToken = ref.name !== null && ref.table !== null ? list[list.indexOf(ref.token) + 1] : ref.token;
+    if (definitions.has(columnToken)) continue;
+
+    if (ref.table !== null) {
+      if (variables.has(ref.table.toLowerCase())) continue;
+      const table = findTable(ref.table);
+      if (!table) {
+        findings.push(finding("error", "unknown-table", ref.token, `Table '${ref.table}' not found in the semantic model`,
+          suggest(ref.table, tableNames)));
+        continue;
+      }
+      if (ref.name === null) continue;
+      if (table.columns.some((c) => sameName(c.name, ref.name))) continue;
+      if (isMeasure(ref.name)) {
+        findings.push(finding("warning", "qualified-measure", ref.token,
+          `Measure [${ref.name}] is written with a table prefix — reference measures as [${ref.name}] so they are not mistaken for columns`));
+        continue;
+      }
+      const fields = [...table.columns, ...table.measures].map((f) => f.name);
+      findings.push(finding("error", "unknown-column", ref.token, `Column '${table.name}[${ref.name}]' not found`,
+        suggest(ref.name, fields).map((f) => `${table.name}[${f}]`)));
+    } else {
+      if (isMeasure(ref.name)) continue;
+      const owners = schema.tables.filter((t) => t.columns.some((c) => sameName(c.name, ref.name)));
+      if (owners.length) {
+        findings.push(finding("warning", "unqualified-column", ref.token,
+          `Column [${ref.name}] is written without its table — use ${owners.map((t) => `${quoteTable(t.name)}[${ref.name}]`).join(" or ")}`));
+      } else {
+        findings.push(finding("warning", "unknown-reference", ref.token,
+          `[${ref.name}] is not a measure or column in the model (fine if the expression creates it, e.g. with ADDCOLUMNS)`,
+          suggest(ref.name, measureNames).map((m) => `[${m}]`)));
+      }
+    }
+  }
+
+  // Unquoted table names: identifiers that are not functions, keywords or variables
+  for (let i = 0; i < list.length; i++) {
+    const token = list[i];
+    if (token.type !== "identifier" || KEYWORDS.has(token.value.toUpperCase())) continue;
+    const next = list[i + 1];
+    const previous = list[i - 1];
+    if (next && ((next.type === "operator" && next.value === "(") || (next.type === "column" && next.start === token.end))) continue;
+    if (previous && previous.type === "identifier" && ["VAR", "TABLE"].includes(previous.value.toUpperCase())) continue;
+    if (variables.has(token.value.toLowerCase()) || findTable(token.value)) continue;
+    findings.push(finding("error", "unknown-table", token, `'${token.value}' is not a table or variable in the semantic model`,
+      suggest(token.value, tableNames)));
+  }
+  return findings;
+}
+
+function quoteTable(name) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : `'${name.replace(/'/g, "''")}'`;
+}
+
+/**
+ * First token of a tree node
+ */
+const firstToken = (node) => (node.type === "group" ? node.open : node);
+
+/**
+ * Anti-patterns found by walking the parenthesized tree
+ */
+function checkPatterns(nodes) {
+  const findings = [];
+
+  const walk = (items) => {
+    const list = items.filter((n) => n.type !== "comment");
+    list.forEach((node, i) => {
+      if (node.type === "group") {
+        walk(node.items);
+        return;
+      }
+      const next = list[i + 1];
+      const name = node.type === "identifier" ? node.value.toUpperCase() : null;
+
+      if (isFunctionCall(node, next)) {
+        if (name === "IFERROR" || name === "ISERROR") {
+          findings.push(finding("warning", "iferror", node,
+            `${name} hides errors and is slow — test the condition instead (e.g. DIVIDE for division by zero, IF / ISBLANK for missing values)`));
+        }
+        if (name === "CALCULATE" || name === "CALCULATETABLE") {
+          splitArguments(next.items).slice(1).forEach((arg) => {
+            const filter = arg.filter((n) => n.type !== "comment");
+            const [fn, group] = filter;
+            if (!fn || fn.type !== "identifier" || fn.value.toUpperCase() !== "FILTER" || !isFunctionCall(fn, group)) return;
+            const table = splitArguments(group.items)[0] || [];
+            const source = table.filter((n) => n.type !== "comment");
+            if (source.length === 1 && (source[0].type === "table" || source[0].type === "identifier")) {
+              findings.push(finding("warning", "filter-table-in-calculate", fn,
+                `FILTER over the whole table ${source[0].text} inside ${name} — filter the column instead, e.g. ` +
+                "KEEPFILTERS(Sales[Amount] > 100) or FILTER(ALL(Sales[Amount]), …)"));
+            }
+          });
+        }
+      }
+
+      if (node.type === "operator" && node.value === "/") {
+        const divisor = next && firstToken(next);
+        if (!divisor || divisor.type !== "number") {
+          findings.push(finding("info", "divide-operator", node,
+            "Division with / fails on zero or blank divisors — DIVIDE(numerator, denominator) returns blank instead"));
+        }
+      }
+    });
+  };
+
+  walk(nodes);
+  return findings;
+}
+
+/**
+ * Lint a DAX expression or query.
+ *
+ * @param {string} expression
+ * @param {{ schema?: object }} [options] - parsed semantic model, enables
+ *   reference checks (unknown names, qualified measures, unqualified columns)
+ * @returns {Array<{ severity: "error" | "warning" | "info", rule: string, message: string,
+ *   line: number, column: number, suggestions?: string[] }>}
+ */
+function lintDax(expression, { schema = null } = {}) {
+  const tokens = tokenize(expression);
+  if (!significantTokens(tokens).length) {
+    return [{ severity: "error", rule: "empty", message: "The DAX expression is empty", line: 1, column: 1 }];
+  }
+
+  const findings = [
+    ...checkSyntax(tokens),
+    ...(schema ? checkReferences(tokens, schema) : []),
+    ...checkPatterns(buildTree(tokens)),
+  ];
+  return findings.sort((a, b) =>
+    SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || a.line - b.line || a.column - b.column
+  );
+}
+
+/**
+ * Count findings by severity
+ */
+function summarizeFindings(findings) {
+  const summary = { errors: 0, warnings: 0, info: 0 };
+  for (const f of findings) summary[{ error: "errors", warning: "warnings", info: "info" }[f.severity]]++;
+  return summary;
+}
+
+module.exports = {
+  lintDax,
+  summarizeFindings,
+};
@@ -0,0 +1,183 @@
+/**
+ * DAX query results for chat
+ *
+ * Turns executeQueries responses into a compact monospace table that fits a
+ * Telegram message (row limit, column limit, cell truncation), a CSV file
+ * with every row, and readable messages for DAX errors.
+ */
+
+const DEFAULT_MAX_ROWS = 20;
+const MAX_CHAT_ROWS = 100;
+const DEFAULT_MAX_COLUMNS = 8;
+const DEFAULT_COLUMN_WIDTH = 24;
+
+// executeQueries returns at most this many rows per query
+const SERVICE_ROW_LIMIT = 100000;
+
+/**
+ * Reject text that is not a DAX query before calling the API
+ */
+function checkDaxQuery(query) {
+  const text = String(query || "")
+    .replace(/\/\*[\s\S]*?\*\//g, " ")
+    .replace(/(\/\/|--).*$/gm, " ")
+    .trim();
+  if (!text) throw new Error("dax_query is required");
+  if (!/^(DEFINE|EVALUATE)\b/i.test(text) || !/\bEVALUATE\b/i.test(text)) {
+    throw new Error(
+      "A DAX query must start with EVALUATE (or DEFINE … EVALUATE) and return a table. " +
+      "To check a single value use e.g. EVALUATE ROW(\"Total\", [Total Sales])"
+    );
+  }
+}
+
+/**
+ * Turn an executeQueries error into a readable message.
+ *
+ * The service reports DAX errors as "Query (line, column) message" inside
+ * error["pbi.error"].details; the offending query line is quoted with a caret.
+ */
+function describeDaxError(errorBody, query) {
+  let data = errorBody;
+  if (typeof errorBody === "string") {
+    try {
+      data = JSON.parse(errorBody);
+    } catch {
+      return null;
+    }
+  }
+  const error = data?.error || data;
+  const details = error?.["pbi.error"]?.details || error?.details || [];
+  const detail = details.find((d) => d.code === "DetailsMessage")?.detail?.value || error?.message;
+  if (!detail) return null;
+
+  const position = detail.match(/^Query \((\d+), (\d+)\)\s*/);
+  if (!position) return `DAX error: ${detail}`;
+
+  const line = Number(position[1]);
+  const column = Number(position[2]);
+  let message = `DAX error at line ${line}, column ${column}: ${detail.substring(position[0].length)}`;
+  const source = String(query || "").split(/\r?\n/)[line - 1];
+  if (source !== undefined) {
+    message += `\n${source}\n${" ".repeat(Math.max(column - 1, 0))}^`;
+  }
+  return message;
+}
+
+/**
+ * Short column headers: Sales[Amount] → Amount, [Total] → Total, unless the
+ * short name would be ambiguous
+ */
+function columnLabels(columns) {
+  const short = columns.map((c) => {
+    const match = c.match(/^(?:'?(.*?)'?)?\[(.*)\]$/);
+    return match ? match[2] : c;
+  });
+  return short.map((name, i) => (short.indexOf(name) !== short.lastIndexOf(name) ? columns[i] : name));
+}
+
+/**
+ * Display text for one value
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number") {
+    if (Number.isInteger(value)) return String(value);
+    return String(Number(value.toFixed(4)));
+  }
+  if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+  const text = String(value);
+  const date = text.match(/^(\d{4}-\d{2}-\d{2})T00:00:00(\.0+)?Z?$/);
+  return date ? date[1] : text.replace(/\s+/g, " ");
+}
+
+function truncate(text, width) {
+  return text.length > width ? `${text.substring(0, width - 1)}…` : text;
+}
+
+/**
+ * Render rows as an aligned plain-text table (numbers right-aligned)
+ */
+function renderTable(columns, rows, { columnWidth = DEFAULT_COLUMN_WIDTH } = {}) {
+  const labels = columnLabels(columns);
+  const cells = rows.map((row) => columns.map((c) => truncate(formatValue(row[c]), columnWidth)));
+  const numeric = columns.map((c) => rows.length > 0 && rows.every((row) => row[c] == null || typeof row[c] === "number"));
+  const widths = columns.map((_, i) =>
+    Math.max(truncate(labels[i], columnWidth).length, ...cells.map((r) => r[i].length))
+  );
+  const line = (values) =>
+    values.map((v, i) => (numeric[i] ? v.padStart(widths[i]) : v.padEnd(widths[i]))).join(" │ ").trimEnd();
+
+  return [
+    line(labels.map((l) => truncate(l, columnWidth))),
+    widths.map((w) => "─".repeat(w)).join("─┼─"),
+    ...cells.map(line),
+  ].join("\n");
+}
+
+/**
+ * Render all rows as CSV (UTF-8 with BOM so Excel detects the encoding)
+ */
+function toCsv(columns, rows) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return "";
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [columnLabels(columns).map(escape).join(",")];
+  for (const row of rows) lines.push(columns.map((c) => escape(row[c])).join(","));
+  return `\ufeff${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * Summarize an executeQueries response for chat.
+ *
+ * @param {object} response - executeQueries JSON
+ * @param {object} [options]
+ * @param {number} [options.maxRows] - rows shown in the chat table
+ * @param {number} [options.maxColumns] - columns shown in the chat table
+ * @param {number} [options.columnWidth] - characters per cell before truncation
+ * @returns {{ columns: string[], rows: object[], complete: boolean, result: object }}
+ */
+function summarizeQueryResult(response, { maxRows, maxColumns, columnWidth } = {}) {
+  const rows = response?.results?.[0]?.tables?.[0]?.rows || [];
+  const columns = [];
+  for (const row of rows) {
+    for (const key of Object.keys(row)) if (!columns.includes(key)) columns.push(key);
+  }
+
+  const rowLimit = Math.min(Math.max(Number(maxRows) || DEFAULT_MAX_ROWS, 1), MAX_CHAT_ROWS);
+  const columnLimit = Math.max(Number(maxColumns) || DEFAULT_MAX_COLUMNS, 1);
+  const width = Math.max(Number(columnWidth) || DEFAULT_COLUMN_WIDTH, 4);
+  const shownColumns = columns.slice(0, columnLimit);
+  const shownRows = rows.slice(0, rowLimit);
+
+  const summary = {
+    row_count: rows.length,
+    column_count: columns.length,
+    columns: columnLabels(columns),
+    shown_rows: shownRows.length,
+    table: rows.length ? renderTable(shownColumns, shownRows, { columnWidth: width }) : "(no rows)",
+  };
+
+  const notes = [];
+  if (rows.length > shownRows.length) notes.push(`Showing ${shownRows.length} of ${rows.length} rows.`);
+  if (columns.length > shownColumns.length) {
+    notes.push(`${columns.length - shownColumns.length} column(s) not shown: ${columnLabels(columns).slice(columnLimit).join(", ")}.`);
+  }
+  if (rows.length >= SERVICE_ROW_LIMIT) {
+    notes.push(`The service returns at most ${SERVICE_ROW_LIMIT} rows per query — add filters or TOPN to see the rest.`);
+  }
+  if (notes.length) summary.note = notes.join(" ");
+
+  const complete = shownRows.length === rows.length && shownColumns.length === columns.length;
+  return { columns, rows, complete, result: summary };
+}
+
+module.exports = {
+  checkDaxQuery,
+  describeDaxError,
+  summarizeQueryResult,
+  renderTable,
+  toCsv,
+};
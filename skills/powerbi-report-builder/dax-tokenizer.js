@@ -0,0 +1,222 @@
+/**
+ * DAX tokenizer
+ *
+ * Splits a DAX expression or query into tokens with their position, without
+ * dropping anything: whitespace and comments are tokens too, so the formatter
+ * can keep comments and the linter can point at a line and column. Unclosed
+ * strings, names and block comments are marked `unterminated` instead of
+ * throwing.
+ */
+
+const { readName } = require("./semantic-model-parser");
+
+// Words that are part of the language rather than table or variable names
+const KEYWORDS = new Set([
+  "DEFINE", "EVALUATE", "MEASURE", "COLUMN", "TABLE", "VAR", "RETURN", "ORDER", "BY",
+  "ASC", "DESC", "START", "AT", "IN", "NOT", "TRUE", "FALSE",
+]);
+
+const OPERATORS = ["&&", "||", "<>", "<=", ">=", "==", "+", "-", "*", "/", "^", "&", "=", "<", ">", ",", "(", ")", "{", "}", ";"];
+
+/**
+ * Tokenize DAX.
+ *
+ * Token types: whitespace, comment, string, number, identifier (functions,
+ * keywords, unquoted table and variable names), table ('Quoted Table'),
+ * column ([Column] or [Measure]), operator and unknown.
+ *
+ * @param {string} text
+ * @returns {Array<{ type: string, text: string, value: string, start: number, end: number,
+ *   line: number, column: number, unterminated?: boolean }>}
+ */
+function tokenize(text) {
+  const source = String(text || "");
+  const tokens = [];
+  let line = 1;
+  let lineStart = 0;
+  let i = 0;
+
+  const push = (type, end, value, extra = {}) => {
+    const token = {
+      type,
+      text: source.substring(i, end),
+      value: value === undefined ? source.substring(i, end) : value,
+      start: i,
+      end,
+      line,
+      column: i - lineStart + 1,
+      ...extra,
+    };
+    tokens.push(token);
+    for (let j = i; j < end; j++) {
+      if (source[j] === "\n") {
+        line++;
+        lineStart = j + 1;
+      }
+    }
+    i = end;
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+    const next = source[i + 1];
+    const rest = source.substring(i);
+
+    if (/\s/.test(ch)) {
+      push("whitespace", i + rest.match(/^\s+/)[0].length);
+    } else if ((ch === "/" && next === "/") || (ch === "-" && next === "-")) {
+      const end = source.indexOf("\n", i);
+      push("comment", end === -1 ? source.length : end);
+    } else if (ch === "/" && next === "*") {
+      const end = source.indexOf("*/", i + 2);
+      push("comment", end === -1 ? source.length : end + 2, undefined, end === -1 ? { unterminated: true } : {});
+    } else if (ch === '"') {
+      let j = i + 1;
+      while (j < source.length && !(source[j] === '"' && source[j + 1] !== '"')) j += source[j] === '"' ? 2 : 1;
+      const closed = j < source.length;
+      const end = closed ? j + 1 : source.length;
+      const value = source.substring(i + 1, closed ? j : end).replace(/""/g, '"');
+      push("string", end, value, closed ? {} : { unterminated: true });
+    } else if (ch === "'") {
+      const { name, rest: after } = readName(rest);
+      const end = source.length - after.length;
+      push("table", end, name, source[end - 1] === "'" && end - i > 1 ? {} : { unterminated: true });
+    } else if (ch === "[") {
+      let j = i + 1;
+      let name = "";
+      while (j < source.length && source[j] !== "\n") {
+        if (source[j] === "]") {
+          if (source[j + 1] === "]") {
+            name += "]";
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        name += source[j++];
+      }
+      const closed = source[j] === "]";
+      push("column", closed ? j + 1 : j, name, closed ? {} : { unterminated: true });
+    } else if (/[0-9]/.test(ch) || (ch === "." && /[0-9]/.test(next || ""))) {
+      push("number", i + rest.match(/^(\d*\.?\d+|\d+\.)([eE][+-]?\d+)?/)[0].length);
+    } else if (/[A-Za-z_]/.test(ch)) {
+      push("identifier", i + rest.match(/^[A-Za-z_][A-Za-z0-9_.]*/)[0].length);
+    } else {
+      const op = OPERATORS.find((o) => rest.startsWith(o));
+      push(op ? "operator" : "unknown", i + (op ? op.length : 1));
+    }
+  }
+
+  return tokens;
+}
+
+const CLOSING = { "(": ")", "{": "}" };
+
+/**
+ * Group tokens by parentheses and braces: { type: "group", open, items, close }.
+ * Whitespace is dropped, comments are kept. Unbalanced brackets are left as
+ * plain tokens (the linter reports them); an unclosed group has close null.
+ */
+function buildTree(tokens) {
+  const root = { items: [] };
+  const stack = [root];
+  for (const token of tokens) {
+    if (token.type === "whitespace") continue;
+    const current = stack[stack.length - 1];
+    if (token.type === "operator" && CLOSING[token.value]) {
+      const group = { type: "group", open: token, items: [], close: null };
+      current.items.push(group);
+      stack.push(group);
+    } else if (token.type === "operator" && (token.value === ")" || token.value === "}") && stack.length > 1 &&
+      CLOSING[current.open.value] === token.value) {
+      current.close = token;
+      stack.pop();
+    } else {
+      current.items.push(token);
+    }
+  }
+  return root.items;
+}
+
+/**
+ * Split group items into comma-separated arguments
+ */
+function splitArguments(items) {
+  const args = [[]];
+  for (const item of items) {
+    if (item.type === "operator" && item.value === ",") args.push([]);
+    else args[args.length - 1].push(item);
+  }
+  return args.length === 1 && args[0].length === 0 ? [] : args;
+}
+
+/**
+ * True when `token` is a function name and `next` its argument list
+ * (whitespace is allowed in between, as in `CALCULATE (`)
+ */
+function isFunctionCall(token, next) {
+  if (!token || token.type !== "identifier" || !next || next.type !== "group" || next.open.value !== "(") return false;
+  const word = token.value.toUpperCase();
+  return word === "NOT" || !KEYWORDS.has(word);
+}
+
+/**
+ * Tokens without whitespace and comments
+ */
+function significantTokens(tokens) {
+  return tokens.filter((t) => t.type !== "whitespace" && t.type !== "comment");
+}
+
+/**
+ * True when `token` is a column reference written right after a table name
+ * (`Sales[Amount]`, `'Sales Line'[Amount]`)
+ */
+function isQualified(previous, token) {
+  return token.type === "column" && previous && previous.end === token.start &&
+    (previous.type === "table" || (previous.type === "identifier" && !KEYWORDS.has(previous.value.toUpperCase())));
+}
+
+/**
+ * Column, measure and table references in a list of tokens.
+ *
+ * Returns [{ table, name, token }]: `Sales[Amount]` → { table: "Sales", name: "Amount" },
+ * `[Total Sales]` → { table: null, name }, `'Date'` → { table: "Date", name: null }.
+ * `token` is the first token of the reference.
+ */
+function referencesIn(tokens) {
+  const list = significantTokens(tokens);
+  const refs = [];
+  for (let i = 0; i < list.length; i++) {
+    const token = list[i];
+    const next = list[i + 1];
+    if (next && isQualified(token, next)) {
+      refs.push({ table: token.value, name: next.value, token });
+      i++;
+    } else if (token.type === "column") {
+      refs.push({ table: null, name: token.value, token });
+    } else if (token.type === "table") {
+      refs.push({ table: token.value, name: null, token });
+    }
+  }
+  return refs;
+}
+
+/**
+ * Column, measure and table references in a DAX expression (strings and
+ * comments are skipped)
+ */
+function daxReferences(expression) {
+  return referencesIn(tokenize(expression)).map(({ table, name }) => ({ table, name }));
+}
+
+module.exports = {
+  KEYWORDS,
+  tokenize,
+  significantTokens,
+  isQualified,
+  buildTree,
+  splitArguments,
+  isFunctionCall,
+  referencesIn,
+  daxReferences,
+};
@@ -2,177 +2,436 @@
  * PowerBI Report Builder Skill for OpenClaw
  *
  * Creates Power BI reports from existing semantic models via Fabric REST API.
- * Uses Azure AD Service Principal authentication.
+ * Authentication and HTTP handling live in shared/fabric-client.js.
  */
 
-const https = require("https");
+const { parseSemanticModelDefinition } = require("./semantic-model-parser");
+const { compileReportSpec } = require("./report-spec-compiler");
+const { validateReportParts, formatValidationErrors } = require("./report-validator");
+const { buildStarterReportSpec } = require("./starter-report");
+const {
+  decodeDefinitionParts,
+  encodeDefinitionParts,
+  summarizeReportParts,
+  applyReportChanges,
+} = require("./report-definition");
+const { diffReportParts } = require("./report-diff");
+const { applyMeasureChange, findMeasure } = require("./model-editor");
+const { formatDax } = require("./dax-formatter");
+const { lintDax, summarizeFindings } = require("./dax-linter");
+const { analyzeModel } = require("./model-analyzer");
+const { analyzeReportParts } = require("./report-analyzer");
+const { checkDaxQuery, describeDaxError, summarizeQueryResult, toCsv } = require("./dax-query");
+const {
+  RUNNING_STATUSES,
+  refreshObjects,
+  buildRefreshRequest,
+  refreshRequestId,
+  summarizeRefresh,
+  summarizeHistory,
+  buildScheduleUpdate,
+  summarizeSchedule,
+} = require("./refresh");
+const {
+  exportFormat,
+  resolveExportPages,
+  resolveBookmark,
+  exportFilter,
+  buildExportRequest,
+  exportFile,
+} = require("./report-export");
+const {
+  SOURCE_TYPES,
+  resolveSourceDir,
+  itemFolderName,
+  toByPathReference,
+  byPathModelFolder,
+  writeItemFolder,
+  readSourceTree,
+} = require("./workspace-source");
+const { chatProgressReporter } = require("../shared/long-running-operation");
+const { fabricRequest, powerbiRequest, FabricApiError } = require("../shared/fabric-client");
+const { sendAttachment } = require("../shared/attachments");
+const { withToolContext } = require("../shared/audit-log");
+const { fetchAllPages, paginateForChat } = require("../shared/pagination");
+const { resolveWorkspaceId, conversationKey } = require("../shared/workspaces");
+const { issueConfirmation, redeemConfirmation } = require("../shared/confirmations");
+const { toList } = require("../shared/params");
 
-// Azure AD token cache
-let tokenCache = { token: null, expiresAt: 0 };
+/**
+ * List all semantic models in the workspace
+ */
+async function listSemanticModels({ workspaceId, limit } = {}) {
+  const { items, truncated } = await fetchAllPages(
+    (path) => fabricRequest("GET", path),
+    `/workspaces/${workspaceId}/semanticModels`,
+    { limit }
+  );
+
+  const models = items.map((model) => ({
+    id: model.id,
+    name: model.displayName,
+    description: model.description || "",
+  }));
+  return { models, truncated };
+}
 
 /**
- * Get Azure AD access token for Power BI API
+ * Download a semantic model's definition parts (TMDL or model.bim, base64)
  */
-async function getAccessToken() {
-  const now = Date.now();
-  if (tokenCache.token && tokenCache.expiresAt > now + 60000) {
-    return tokenCache.token;
+async function fetchSemanticModelParts(semanticModelId, { workspaceId, onProgress = null } = {}) {
+  if (!semanticModelId) {
+    throw new Error("semantic_model_id is required");
   }
 
-  const tenantId = process.env.AZURE_TENANT_ID;
-  const clientId = process.env.AZURE_CLIENT_ID;
-  const clientSecret = process.env.AZURE_CLIENT_SECRET;
+  const definition = await fabricRequest(
+    "POST",
+    `/workspaces/${workspaceId}/semanticModels/${semanticModelId}/getDefinition`,
+    null,
+    { onProgress }
+  );
 
-  if (!tenantId || !clientId || !clientSecret) {
+  const parts = definition?.definition?.parts;
+  if (!parts) {
     throw new Error(
-      "Missing Azure AD credentials. Set AZURE_TENANT_ID, AZURE_CLIENT_ID, AZURE_CLIENT_SECRET in .env"
+      `Semantic model definition for '${semanticModelId}' was empty. The model may still be loading — try again in a moment.`
     );
   }
+  return parts;
+}
 
-  const body = new URLSearchParams({
-    grant_type: "client_credentials",
-    client_id: clientId,
-    client_secret: clientSecret,
-    scope: "https://analysis.windows.net/powerbi/api/.default",
-  });
+/**
+ * Get semantic model schema (tables, columns, measures, relationships)
+ *
+ * Decodes the TMDL / model.bim parts returned by getDefinition and returns
+ * a normalized schema instead of raw base64 payloads.
+ */
+async function getSemanticModelSchema(semanticModelId, { workspaceId, onProgress = null } = {}) {
+  const parts = await fetchSemanticModelParts(semanticModelId, { workspaceId, onProgress });
+  return {
+    semantic_model_id: semanticModelId,
+    ...parseSemanticModelDefinition(parts),
+  };
+}
 
-  const response = await fetch(
-    `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/token`,
-    {
-      method: "POST",
-      headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      body: body.toString(),
-    }
+/**
+ * Add, update or delete a measure and push the model back with
+ * updateDefinition. The change is checked against the model first (unique
+ * name, referenced tables and columns exist); nothing is written on errors.
+ */
+async function editMeasure(semanticModelId, change, { workspaceId, onProgress = null } = {}) {
+  const parts = await fetchSemanticModelParts(semanticModelId, { workspaceId, onProgress });
+  const schema = parseSemanticModelDefinition(parts);
+  const result = applyMeasureChange(parts, change, schema);
+
+  // .platform is only needed when metadata changes; leave it untouched
+  await fabricRequest(
+    "POST",
+    `/workspaces/${workspaceId}/semanticModels/${semanticModelId}/updateDefinition`,
+    { definition: { parts: result.parts.filter((p) => p.path !== ".platform") } },
+    { onProgress }
   );
 
-  if (!response.ok) {
-    const error = await response.text();
-    const status = response.status;
-    if (status === 401 || status === 403) {
-      throw new Error(
-        `Azure AD authentication failed (${status}). Check AZURE_CLIENT_SECRET — it may have expired. Regenerate it in Azure Portal > App registrations.`
-      );
+  const output = {
+    semantic_model_id: semanticModelId,
+    table: result.table,
+    measure: result.measure,
+    change: result.applied,
+  };
+  if (result.warnings.length) output.warnings = result.warnings;
+  return output;
+}
+
+/**
+ * Pick the measures to check: one measure, the measures of one table, or all
+ */
+function selectMeasures(schema, { measure, table }) {
+  if (measure) {
+    const found = findMeasure(schema, measure, table);
+    return [{ table: found.table, measure: found.measure }];
+  }
+  const tables = table ? [schema.tables.find((t) => t.name.toLowerCase() === String(table).toLowerCase())] : schema.tables;
+  if (tables[0] === undefined) throw new Error(`Table '${table}' not found in the semantic model`);
+  return tables.flatMap((t) => t.measures.map((m) => ({ table: t, measure: m })));
+}
+
+/**
+ * Format a DAX expression, or the expression of an existing measure
+ */
+async function formatDaxExpression(expression, { semanticModelId, measure, table, width, workspaceId, onProgress = null } = {}) {
+  let source = expression;
+  const output = {};
+  if (!source) {
+    if (!semanticModelId || !measure) {
+      throw new Error("Pass expression, or semantic_model_id and measure to format an existing measure");
     }
-    throw new Error(`Azure AD token error (${status}). Check AZURE_TENANT_ID and AZURE_CLIENT_ID values.`);
+    const schema = await getSemanticModelSchema(semanticModelId, { workspaceId, onProgress });
+    const [found] = selectMeasures(schema, { measure, table });
+    source = found.measure.expression || "";
+    output.measure = `${found.table.name}[${found.measure.name}]`;
+  }
+
+  output.formatted = formatDax(source, { width });
+  output.changed = output.formatted !== String(source).replace(/\r\n/g, "\n").trim();
+  const syntaxErrors = lintDax(source).filter((f) => f.severity === "error");
+  if (syntaxErrors.length) {
+    output.syntax_errors = syntaxErrors;
+    output.note = "The expression has syntax errors, so the layout may be off — fix them first";
+  }
+  return output;
+}
+
+/**
+ * Lint a DAX expression, or the measures of a semantic model when no
+ * expression is given. With a semantic model, table / column / measure
+ * references are checked against its schema.
+ */
+async function lintDaxExpressions(expression, { semanticModelId, measure, table, workspaceId, onProgress = null } = {}) {
+  if (!expression && !semanticModelId) {
+    throw new Error("Pass expression, or semantic_model_id to lint the measures of a model");
+  }
+  const schema = semanticModelId ? await getSemanticModelSchema(semanticModelId, { workspaceId, onProgress }) : null;
+
+  if (expression) {
+    const findings = lintDax(expression, { schema });
+    const result = { summary: summarizeFindings(findings), findings };
+    if (!schema) result.note = "Pass semantic_model_id to also check table, column and measure names";
+    return result;
   }
 
-  const data = await response.json();
-  tokenCache = {
-    token: data.access_token,
-    expiresAt: now + data.expires_in * 1000,
+  const measures = selectMeasures(schema, { measure, table });
+  const findings = measures.flatMap(({ table: t, measure: m }) =>
+    lintDax(m.expression || "", { schema }).map((f) => ({ measure: `${t.name}[${m.name}]`, ...f }))
+  );
+  return {
+    semantic_model_id: semanticModelId,
+    measures_checked: measures.length,
+    measures_with_findings: new Set(findings.map((f) => f.measure)).size,
+    summary: summarizeFindings(findings),
+    findings,
   };
+}
 
-  return data.access_token;
+/**
+ * Run the best-practice rules over a semantic model
+ */
+async function analyzeModelBestPractices(semanticModelId, { minSeverity, workspaceId, onProgress = null } = {}) {
+  const schema = await getSemanticModelSchema(semanticModelId, { workspaceId, onProgress });
+  return {
+    semantic_model_id: semanticModelId,
+    model: schema.summary,
+    ...analyzeModel(schema, { minSeverity: minSeverity || "info" }),
+  };
 }
 
 /**
- * Make an authenticated request to the Fabric/Power BI REST API with retry logic
+ * Run a DAX query with the Power BI executeQueries API and summarize the
+ * result for chat. Rows that do not fit the chat table are sent as a CSV
+ * attachment (always when `csv` is set).
  */
-async function fabricApiRequest(method, path, body = null, retries = 2) {
-  const token = await getAccessToken();
-  const baseUrl = "https://api.fabric.microsoft.com/v1";
+async function executeDaxQuery(
+  semanticModelId,
+  query,
+  { workspaceId, maxRows, maxColumns, csv = false, context = null } = {}
+) {
+  if (!semanticModelId) throw new Error("semantic_model_id is required");
+  checkDaxQuery(query);
 
-  const options = {
-    method,
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json",
-    },
-  };
+  const start = Date.now();
+  let response;
+  try {
+    response = await powerbiRequest(
+      "POST",
+      `/groups/${workspaceId}/datasets/${semanticModelId}/executeQueries`,
+      { queries: [{ query }], serializerSettings: { includeNulls: true } }
+    );
+  } catch (err) {
+    const daxError = err instanceof FabricApiError && err.status === 400 ? describeDaxError(err.details, query) : null;
+    if (daxError) throw new Error(daxError);
+    throw err;
+  }
 
-  if (body) {
-    options.body = JSON.stringify(body);
+  const queryError = response?.results?.[0]?.error || response?.error;
+  if (queryError) {
+    throw new Error(describeDaxError({ error: queryError }, query) || "The DAX query failed without an error message");
   }
 
-  for (let attempt = 0; attempt <= retries; attempt++) {
-    const response = await fetch(`${baseUrl}${path}`, options);
+  const { columns, rows, complete, result } = summarizeQueryResult(response, { maxRows, maxColumns });
+  const output = { semantic_model_id: semanticModelId, ...result, duration_ms: Date.now() - start };
 
-    if (response.ok) {
-      const text = await response.text();
-      return text ? JSON.parse(text) : null;
-    }
+  if (rows.length && (csv || !complete)) {
+    output.attachment = await sendAttachment(context, {
+      filename: "dax-query-result.csv",
+      content: toCsv(columns, rows),
+      mimeType: "text/csv",
+      caption: `DAX query result — ${rows.length} row(s), ${columns.length} column(s)`,
+    });
+  }
+  return output;
+}
 
-    const status = response.status;
-    const errorText = await response.text();
+const REFRESH_POLL_SECONDS = 15;
+const REFRESH_WAIT_SECONDS = 600;
+// Refreshes on Premium / Fabric capacity time out after 5 hours
+const REFRESH_TRACK_SECONDS = 5 * 3600;
 
-    // Retry on transient errors (429 rate limit, 5xx server errors)
-    if ((status === 429 || status >= 500) && attempt < retries) {
-      const delay = (attempt + 1) * 1000;
-      await new Promise((r) => setTimeout(r, delay));
-      continue;
-    }
+/**
+ * Refresh history of a semantic model, newest first
+ */
+async function fetchRefreshHistory(workspaceId, semanticModelId, top = 10) {
+  const data = await powerbiRequest("GET", `/groups/${workspaceId}/datasets/${semanticModelId}/refreshes?$top=${top}`);
+  return data?.value || [];
+}
 
-    // Provide user-friendly error messages
-    if (status === 401) {
-      tokenCache = { token: null, expiresAt: 0 }; // clear cached token
-      throw new Error("Authentication token rejected (401). The token may have been revoked. Try again.");
-    }
-    if (status === 403) {
-      throw new Error(
-        `Access denied (403) to ${path}. The Service Principal may not have permission for this workspace. ` +
-        "Add it as Admin/Member in the Power BI workspace settings."
-      );
-    }
-    if (status === 404) {
-      throw new Error(`Resource not found (404): ${path}. Check that the workspace ID and item IDs are correct.`);
-    }
-    if (status === 429) {
-      throw new Error("Rate limit exceeded (429). Too many API requests. Wait a moment and try again.");
+// Identifies a history entry across reads
+const refreshKey = (entry) => entry.requestId || `${entry.id}:${entry.startTime}`;
+
+/**
+ * Poll the refresh history until the refresh finishes or the time limit
+ * passes. Without a request ID the first entry missing from `knownRefreshes`
+ * (the history read before the trigger) counts, so an earlier refresh is
+ * never reported instead and clock differences with the service do not
+ * matter. Background polls do not keep the process alive.
+ */
+async function waitForRefresh(
+  workspaceId,
+  semanticModelId,
+  requestId,
+  { knownRefreshes, timeoutSeconds, onProgress = null, background = false } = {}
+) {
+  const pollSeconds = Number(process.env.FABRIC_REFRESH_POLL_SECONDS) || REFRESH_POLL_SECONDS;
+  const deadline = Date.now() + timeoutSeconds * 1000;
+
+  while (true) {
+    const history = await fetchRefreshHistory(workspaceId, semanticModelId);
+    const entry = requestId
+      ? history.find((e) => e.requestId === requestId)
+      : history.find((e) => !knownRefreshes.has(refreshKey(e)));
+    if (entry && !RUNNING_STATUSES.has(entry.status)) return summarizeRefresh(entry);
+    if (onProgress) onProgress({ status: entry ? "InProgress" : "NotStarted" });
+    if (Date.now() + pollSeconds * 1000 > deadline) {
+      return entry ? summarizeRefresh(entry) : { request_id: requestId, status: "NotStarted" };
     }
-    throw new Error(`Fabric API error (${status}) on ${method} ${path}: ${errorText.substring(0, 200)}`);
+    await new Promise((resolve) => {
+      const timer = setTimeout(resolve, pollSeconds * 1000);
+      if (background) timer.unref();
+    });
   }
 }
 
 /**
- * List all semantic models in the workspace
+ * One-line chat message for a finished (or still running) refresh
  */
-async function listSemanticModels() {
-  const workspaceId = process.env.POWERBI_WORKSPACE_ID;
-  if (!workspaceId) {
-    throw new Error("POWERBI_WORKSPACE_ID not configured in .env");
+function refreshMessage(name, result) {
+  if (result.status === "Completed") return `✅ Refresh of '${name}' completed in ${result.duration}`;
+  if (result.status === "Failed") {
+    return `❌ Refresh of '${name}' failed after ${result.duration}: ${result.error?.message || "no error details returned"}`;
   }
+  if (result.status === "InProgress" || result.status === "NotStarted") {
+    return `⏳ Refresh of '${name}' is still running — check get_refresh_history later`;
+  }
+  return `⚠️ Refresh of '${name}' ended with status ${result.status}`;
+}
 
-  const result = await fabricApiRequest(
-    "GET",
-    `/workspaces/${workspaceId}/semanticModels`
-  );
-
-  return (result.value || []).map((model) => ({
-    id: model.id,
-    name: model.displayName,
-    description: model.description || "",
-  }));
+/**
+ * Keep polling a refresh after the tool call returned and post the result
+ * to the chat. Returns false when the context cannot send messages.
+ */
+function trackRefreshInChat(workspaceId, semanticModelId, { requestId, knownRefreshes }, name, context) {
+  if (!context || typeof context.sendMessage !== "function") return false;
+  waitForRefresh(workspaceId, semanticModelId, requestId, { knownRefreshes, timeoutSeconds: REFRESH_TRACK_SECONDS, background: true })
+    .then((result) => context.sendMessage(refreshMessage(name, result)))
+    .catch((err) => context.sendMessage(`⚠️ Lost track of the refresh of '${name}': ${err.message}`))
+    .catch(() => {});
+  return true;
 }
 
 /**
- * Get semantic model schema (tables, columns, measures, relationships)
+ * Trigger a semantic model refresh (whole model, or specific tables and
+ * partitions) and wait for it to finish. Refreshes that outlast the wait
+ * are tracked in the background and reported to the chat.
  */
-async function getSemanticModelSchema(semanticModelId) {
-  if (!semanticModelId) {
-    throw new Error("semantic_model_id is required");
-  }
-  const workspaceId = process.env.POWERBI_WORKSPACE_ID;
+async function refreshSemanticModel(
+  semanticModelId,
+  { workspaceId, tables, partitions, type, wait = true, context = null, onProgress = null } = {}
+) {
+  if (!semanticModelId) throw new Error("semantic_model_id is required");
+  const model = await fabricRequest("GET", `/workspaces/${workspaceId}/semanticModels/${semanticModelId}`);
+  const targeted = [tables, partitions].some((v) => v != null && v !== "" && !(Array.isArray(v) && !v.length));
+  const objects = targeted
+    ? refreshObjects({ tables, partitions }, await getSemanticModelSchema(semanticModelId, { workspaceId }))
+    : [];
+  const body = buildRefreshRequest({ type, objects });
 
-  const definition = await fabricApiRequest(
-    "POST",
-    `/workspaces/${workspaceId}/semanticModels/${semanticModelId}/getDefinition`
-  );
+  let requestId = null;
+  const knownRefreshes = new Set((await fetchRefreshHistory(workspaceId, semanticModelId)).map(refreshKey));
+  await powerbiRequest("POST", `/groups/${workspaceId}/datasets/${semanticModelId}/refreshes`, body, {
+    onHeaders: (headers) => {
+      requestId = refreshRequestId(headers);
+    },
+  });
+
+  const output = {
+    semantic_model_id: semanticModelId,
+    semantic_model: model.displayName,
+    request_id: requestId,
+    refreshed: objects.length ? objects.map((o) => (o.partition ? `${o.table}/${o.partition}` : o.table)) : "whole model",
+    type: body.type || "Full",
+  };
+  const waitSeconds = wait ? Number(process.env.FABRIC_REFRESH_WAIT_SECONDS) || REFRESH_WAIT_SECONDS : 0;
+  const result = wait
+    ? await waitForRefresh(workspaceId, semanticModelId, requestId, { knownRefreshes, timeoutSeconds: waitSeconds, onProgress })
+    : { request_id: requestId, status: "InProgress" };
+  if (result.status !== "InProgress" && result.status !== "NotStarted") return { ...output, ...result };
 
-  return definition;
+  const tracked = trackRefreshInChat(workspaceId, semanticModelId, { requestId, knownRefreshes }, model.displayName, context);
+  return {
+    ...output,
+    ...result,
+    note: tracked
+      ? "The refresh is still running; the result will be posted to this chat when it finishes."
+      : "The refresh is still running; check get_refresh_history for the result.",
+  };
 }
 
 /**
- * Create a new report from a semantic model
+ * Recent refreshes with durations, errors and the age of the data
  */
-async function createReport(semanticModelId, reportName, reportDefinition) {
+async function getRefreshHistory(semanticModelId, { workspaceId, top } = {}) {
   if (!semanticModelId) throw new Error("semantic_model_id is required");
-  if (!reportName) throw new Error("report_name is required");
-  if (!reportDefinition) throw new Error("report_definition is required");
+  const count = top == null || top === "" ? 10 : Number(top);
+  if (!Number.isInteger(count) || count < 1 || count > 100) throw new Error("top must be a whole number from 1 to 100");
 
-  const workspaceId = process.env.POWERBI_WORKSPACE_ID;
+  const entries = await fetchRefreshHistory(workspaceId, semanticModelId, count);
+  return { semantic_model_id: semanticModelId, ...summarizeHistory(entries) };
+}
 
-  // Build PBIR definition pointing to the semantic model
-  const pbirDefinition = {
+/**
+ * Scheduled refresh settings of a semantic model
+ */
+async function getRefreshSchedule(semanticModelId, { workspaceId } = {}) {
+  if (!semanticModelId) throw new Error("semantic_model_id is required");
+  const schedule = await powerbiRequest("GET", `/groups/${workspaceId}/datasets/${semanticModelId}/refreshSchedule`);
+  return { semantic_model_id: semanticModelId, ...summarizeSchedule(schedule) };
+}
+
+/**
+ * Change the scheduled refresh (only the given settings change)
+ */
+async function setRefreshSchedule(semanticModelId, changes, { workspaceId } = {}) {
+  if (!semanticModelId) throw new Error("semantic_model_id is required");
+  const body = buildScheduleUpdate(changes);
+  const path = `/groups/${workspaceId}/datasets/${semanticModelId}/refreshSchedule`;
+  await powerbiRequest("PATCH", path, body);
+  const schedule = await powerbiRequest("GET", path);
+  return { semantic_model_id: semanticModelId, changed: Object.keys(body.value), ...summarizeSchedule(schedule) };
+}
+
+/**
+ * Build the definition.pbir content pointing a report at a semantic model
+ */
+function buildPbirDefinition(semanticModelId) {
+  return {
     version: "4.0",
     datasetReference: {
       byPath: null,
@@ -186,10 +445,94 @@ async function createReport(semanticModelId, reportName, reportDefinition) {
       },
     },
   };
+}
+
+/**
+ * Base64 encode a definition part (objects are serialized as JSON)
+ */
+function encodePart(path, content) {
+  const text = typeof content === "string" ? content : JSON.stringify(content, null, 2);
+  return {
+    path,
+    payload: Buffer.from(text).toString("base64"),
+    payloadType: "InlineBase64",
+  };
+}
+
+/**
+ * Parse a report spec passed as a JSON string or object
+ */
+function parseReportSpec(reportSpec) {
+  if (typeof reportSpec !== "string") return reportSpec;
+  try {
+    return JSON.parse(reportSpec);
+  } catch (err) {
+    throw new Error(`report_spec is not valid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Compile a report spec and validate it against the semantic model schema.
+ * Spec errors (bad field syntax, missing pages) are reported as validation
+ * errors instead of being thrown.
+ */
+function compileAndValidate(spec, schema) {
+  let parts;
+  try {
+    parts = compileReportSpec(spec, { schema });
+  } catch (err) {
+    return {
+      parts: null,
+      validation: {
+        valid: false,
+        errors: [{ location: "report spec", message: err.message, suggestions: [] }],
+        warnings: [],
+      },
+    };
+  }
+  return { parts, validation: validateReportParts(parts, schema) };
+}
+
+/**
+ * Validate a report spec against a semantic model without deploying it
+ */
+async function validateReportDefinition(semanticModelId, reportSpec, { workspaceId, onProgress = null } = {}) {
+  if (!semanticModelId) throw new Error("semantic_model_id is required");
+  if (!reportSpec) throw new Error("report_spec is required");
+
+  const spec = parseReportSpec(reportSpec);
+  const schema = await getSemanticModelSchema(semanticModelId, { workspaceId, onProgress });
+  return compileAndValidate(spec, schema).validation;
+}
+
+/**
+ * Create a new report from a semantic model
+ *
+ * The compact report spec is compiled into PBIR folder-format parts
+ * (definition/report.json, pages/*, visuals/*) and validated against the
+ * model schema; nothing is deployed while validation errors remain.
+ */
+async function createReport(
+  semanticModelId,
+  reportName,
+  reportSpec,
+  { workspaceId, onProgress = null, schema = null } = {}
+) {
+  if (!semanticModelId) throw new Error("semantic_model_id is required");
+  if (!reportName) throw new Error("report_name is required");
+  if (!reportSpec) throw new Error("report_spec is required");
+
+  const spec = parseReportSpec(reportSpec);
 
-  // Base64 encode the definitions
-  const pbirPayload = Buffer.from(JSON.stringify(pbirDefinition)).toString("base64");
-  const reportPayload = Buffer.from(reportDefinition).toString("base64");
+  // The schema tells the compiler which fields are measures vs columns
+  const modelSchema = schema || await getSemanticModelSchema(semanticModelId, { workspaceId, onProgress });
+  const { parts: reportParts, validation } = compileAndValidate(spec, modelSchema);
+  if (!validation.valid) {
+    throw new Error(
+      `Report '${reportName}' was not deployed — ${validation.errors.length} validation error(s):\n` +
+      formatValidationErrors(validation)
+    );
+  }
 
   const platformConfig = {
     $schema:
@@ -203,85 +546,885 @@ async function createReport(semanticModelId, reportName, reportDefinition) {
       logicalId: crypto.randomUUID(),
     },
   };
-  const platformPayload = Buffer.from(JSON.stringify(platformConfig)).toString("base64");
 
   const body = {
     displayName: reportName,
     description: `Auto-generated report from semantic model by FabioBot`,
     definition: {
       parts: [
-        {
-          path: "definition.pbir",
-          payload: pbirPayload,
-          payloadType: "InlineBase64",
-        },
-        {
-          path: "report.json",
-          payload: reportPayload,
-          payloadType: "InlineBase64",
-        },
-        {
-          path: ".platform",
-          payload: platformPayload,
-          payloadType: "InlineBase64",
-        },
+        encodePart("definition.pbir", buildPbirDefinition(semanticModelId)),
+        ...reportParts.map((part) => encodePart(part.path, part.content)),
+        encodePart(".platform", platformConfig),
       ],
     },
   };
 
-  const result = await fabricApiRequest(
+  const result = await fabricRequest(
     "POST",
     `/workspaces/${workspaceId}/reports`,
-    body
+    body,
+    { onProgress }
   );
 
   return {
     id: result.id,
     name: result.displayName,
+    pages: reportParts.filter((p) => p.path.endsWith("/page.json")).length,
+    visuals: reportParts.filter((p) => p.path.endsWith("/visual.json")).length,
     webUrl: `https://app.fabric.microsoft.com/groups/${workspaceId}/reports/${result.id}`,
   };
 }
 
+/**
+ * Generate and deploy a default report for a semantic model
+ */
+async function generateStarterReport(
+  semanticModelId,
+  { workspaceId, reportName, previewOnly = false, onProgress = null } = {}
+) {
+  if (!semanticModelId) throw new Error("semantic_model_id is required");
+
+  const schema = await getSemanticModelSchema(semanticModelId, { workspaceId, onProgress });
+  const spec = buildStarterReportSpec(schema);
+
+  if (previewOnly) {
+    return { deployed: false, report_spec: spec };
+  }
+
+  let name = reportName;
+  if (!name) {
+    const model = await fabricRequest(
+      "GET",
+      `/workspaces/${workspaceId}/semanticModels/${semanticModelId}`
+    );
+    name = `${model.displayName} - Starter Report`;
+  }
+
+  const report = await createReport(semanticModelId, name, spec, { workspaceId, onProgress, schema });
+  return {
+    deployed: true,
+    ...report,
+    page_names: spec.pages.map((p) => p.name),
+  };
+}
+
+/**
+ * Download a report's definition parts (PBIR folder format, base64)
+ */
+async function fetchEncodedReportParts(reportId, { workspaceId, onProgress = null } = {}) {
+  if (!reportId) throw new Error("report_id is required");
+
+  const definition = await fabricRequest(
+    "POST",
+    `/workspaces/${workspaceId}/reports/${reportId}/getDefinition?format=PBIR`,
+    null,
+    { onProgress }
+  );
+
+  const parts = definition?.definition?.parts;
+  if (!parts) {
+    throw new Error(`Report definition for '${reportId}' was empty. Try again in a moment.`);
+  }
+  return parts;
+}
+
+/**
+ * Download and decode a report's definition parts (PBIR folder format)
+ */
+async function fetchReportParts(reportId, options = {}) {
+  return decodeDefinitionParts(await fetchEncodedReportParts(reportId, options));
+}
+
+/**
+ * Get a report's definition as a page/visual summary (optionally with parts)
+ */
+async function getReportDefinition(reportId, { workspaceId, includeParts = false, onProgress = null } = {}) {
+  const parts = await fetchReportParts(reportId, { workspaceId, onProgress });
+  const summary = { report_id: reportId, ...summarizeReportParts(parts) };
+  if (includeParts) {
+    summary.parts = parts
+      .filter((p) => p.content !== undefined)
+      .map((p) => ({ path: p.path, content: p.content }));
+  }
+  return summary;
+}
+
+/**
+ * Apply edits to an existing report and push them back with updateDefinition.
+ * The report keeps its ID and URL.
+ */
+async function updateReport(reportId, changes, { workspaceId, onProgress = null } = {}) {
+  if (!reportId) throw new Error("report_id is required");
+  if (!changes) throw new Error("changes is required");
+
+  let changeList = changes;
+  if (typeof changes === "string") {
+    try {
+      changeList = JSON.parse(changes);
+    } catch (err) {
+      throw new Error(`changes is not valid JSON: ${err.message}`);
+    }
+  }
+  if (!Array.isArray(changeList)) changeList = [changeList];
+
+  const current = await fetchReportParts(reportId, { workspaceId, onProgress });
+  const semanticModelId = summarizeReportParts(current).semantic_model_id;
+  const schema = semanticModelId
+    ? await getSemanticModelSchema(semanticModelId, { workspaceId, onProgress })
+    : null;
+
+  const { parts, applied } = applyReportChanges(current, changeList, { schema });
+
+  if (schema) {
+    const validation = validateReportParts(parts, schema);
+    if (!validation.valid) {
+      throw new Error(
+        `Report '${reportId}' was not updated — ${validation.errors.length} validation error(s):\n` +
+        formatValidationErrors(validation)
+      );
+    }
+  }
+
+  // .platform is only needed when metadata changes; leave it untouched
+  const body = {
+    definition: {
+      parts: encodeDefinitionParts(parts.filter((p) => p.path !== ".platform")),
+    },
+  };
+  await fabricRequest(
+    "POST",
+    `/workspaces/${workspaceId}/reports/${reportId}/updateDefinition`,
+    body,
+    { onProgress }
+  );
+
+  return {
+    id: reportId,
+    changes: applied,
+    validated: Boolean(schema),
+    webUrl: `https://app.fabric.microsoft.com/groups/${workspaceId}/reports/${reportId}`,
+  };
+}
+
+/**
+ * Copy a report into a new report bound to another semantic model (in the
+ * same or another workspace). Every field the report uses is checked against
+ * the target model first; nothing is created while fields are missing.
+ */
+async function cloneReport(
+  reportId,
+  { workspaceId, targetWorkspaceId, targetSemanticModel, reportName, checkOnly = false, onProgress = null } = {}
+) {
+  if (!reportId) throw new Error("report_id is required");
+  if (!targetSemanticModel) throw new Error("target_semantic_model is required (ID or name)");
+  const targetWorkspace = targetWorkspaceId || workspaceId;
+
+  const source = await fabricRequest("GET", `/workspaces/${workspaceId}/reports/${reportId}`);
+  const parts = await fetchReportParts(reportId, { workspaceId, onProgress });
+  const summary = summarizeReportParts(parts);
+  if (summary.format !== "PBIR") {
+    throw new Error(
+      `'${source.displayName}' uses the legacy report.json format, so its fields cannot be checked. ` +
+      "Open it once in Power BI Desktop with the PBIR preview enabled and republish, then clone it."
+    );
+  }
+
+  const { models } = await listSemanticModels({ workspaceId: targetWorkspace });
+  const ref = String(targetSemanticModel).trim().toLowerCase();
+  const model = models.find((m) => m.id.toLowerCase() === ref) || models.find((m) => m.name.toLowerCase() === ref);
+  if (!model) {
+    throw new Error(
+      `Semantic model '${targetSemanticModel}' not found in the target workspace — models: ${models.map((m) => m.name).join(", ") || "none"}`
+    );
+  }
+
+  const schema = await getSemanticModelSchema(model.id, { workspaceId: targetWorkspace, onProgress });
+  const validation = validateReportParts(parts, schema);
+  const name = reportName || `${source.displayName} (${model.name})`;
+  const result = {
+    source_report: { id: reportId, name: source.displayName, semantic_model_id: summary.semantic_model_id },
+    target_semantic_model: { id: model.id, name: model.name },
+    report_name: name,
+    fields_checked: validation.checked.fields,
+    warnings: validation.warnings,
+  };
+  if (checkOnly) return { cloned: false, valid: validation.valid, errors: validation.errors, ...result };
+  if (!validation.valid) {
+    throw new Error(
+      `Report '${source.displayName}' was not cloned — ${validation.errors.length} field(s) do not match '${model.name}':\n` +
+      formatValidationErrors(validation)
+    );
+  }
+
+  const platformConfig = {
+    $schema:
+      "https://developer.microsoft.com/json-schemas/fabric/gitIntegration/platformProperties/2.0.0/schema.json",
+    metadata: { type: "Report", displayName: name },
+    config: { version: "2.0", logicalId: crypto.randomUUID() },
+  };
+  const body = {
+    displayName: name,
+    description: `Cloned from '${source.displayName}' by FabioBot`,
+    definition: {
+      parts: [
+        encodePart("definition.pbir", buildPbirDefinition(model.id)),
+        ...encodeDefinitionParts(parts.filter((p) => p.path !== "definition.pbir" && p.path !== ".platform")),
+        encodePart(".platform", platformConfig),
+      ],
+    },
+  };
+  const created = await fabricRequest("POST", `/workspaces/${targetWorkspace}/reports`, body, { onProgress });
+
+  return {
+    cloned: true,
+    id: created.id,
+    ...result,
+    pages: summary.pages.length,
+    visuals: summary.pages.reduce((n, p) => n + p.visuals.length, 0),
+    webUrl: `https://app.fabric.microsoft.com/groups/${targetWorkspace}/reports/${created.id}`,
+  };
+}
+
+/**
+ * Compare a report with another report, a proposed spec, or a proposed
+ * set of update_report changes (parsed)
+ */
+async function diffReports(
+  reportId,
+  { workspaceId, otherReportId, otherWorkspaceId, proposedSpec, proposedChanges, onProgress = null } = {}
+) {
+  if (!reportId) throw new Error("report_id is required");
+  const provided = [otherReportId, proposedSpec, proposedChanges].filter(Boolean).length;
+  if (provided !== 1) {
+    throw new Error("Provide exactly one of other_report_id, proposed_spec or proposed_changes");
+  }
+
+  const before = await fetchReportParts(reportId, { workspaceId, onProgress });
+  let after;
+
+  if (otherReportId) {
+    after = await fetchReportParts(otherReportId, { workspaceId: otherWorkspaceId || workspaceId, onProgress });
+  } else {
+    const semanticModelId = summarizeReportParts(before).semantic_model_id;
+    const schema = semanticModelId
+      ? await getSemanticModelSchema(semanticModelId, { workspaceId, onProgress })
+      : null;
+    if (proposedSpec) {
+      after = [
+        ...before.filter((p) => !p.path.startsWith("definition/")),
+        ...compileReportSpec(parseReportSpec(proposedSpec), { schema }),
+      ];
+    } else {
+      const changeList = Array.isArray(proposedChanges) ? proposedChanges : [proposedChanges];
+      after = applyReportChanges(before, changeList, { schema }).parts;
+    }
+  }
+
+  return {
+    report_id: reportId,
+    compared_with: otherReportId || (proposedSpec ? "proposed spec" : "proposed changes"),
+    ...diffReportParts(before, after),
+  };
+}
+
+/**
+ * Check an existing report, or a report spec before create_report, against
+ * the visualization guidelines
+ */
+async function analyzeReport(
+  reportId,
+  { workspaceId, reportSpec, semanticModelId, minSeverity, onProgress = null } = {}
+) {
+  if (Boolean(reportId) === Boolean(reportSpec)) {
+    throw new Error("Provide exactly one of report_id or report_spec");
+  }
+
+  let parts;
+  if (reportId) {
+    parts = await fetchReportParts(reportId, { workspaceId, onProgress });
+    semanticModelId = summarizeReportParts(parts).semantic_model_id;
+  }
+  const schema = semanticModelId
+    ? await getSemanticModelSchema(semanticModelId, { workspaceId, onProgress })
+    : null;
+  if (!parts) {
+    const spec = parseReportSpec(reportSpec);
+    try {
+      parts = compileReportSpec(spec, { schema });
+    } catch (err) {
+      throw new Error(`report_spec: ${err.message}`);
+    }
+  }
+
+  return {
+    ...(reportId ? { report_id: reportId } : { source: "report spec" }),
+    semantic_model_id: semanticModelId || null,
+    ...analyzeReportParts(parts, { schema, minSeverity: minSeverity || "info" }),
+  };
+}
+
+const EXPORT_POLL_SECONDS = 5;
+const EXPORT_TIMEOUT_SECONDS = 900;
+
+/**
+ * Export a report to PDF, PNG or PPTX with the Power BI ExportTo API and
+ * send the file to the chat. Pages and bookmarks are given by display name;
+ * filters use the report spec format or the ExportTo filter syntax.
+ */
+async function exportReport(
+  reportId,
+  { workspaceId, format, pages, bookmark, filters, includeHiddenPages = false, context = null, onProgress = null } = {}
+) {
+  if (!reportId) throw new Error("report_id is required");
+  const fileFormat = exportFormat(format || "PDF");
+  const report = await fabricRequest("GET", `/workspaces/${workspaceId}/reports/${reportId}`);
+  const reportPath = `/groups/${workspaceId}/reports/${reportId}`;
+
+  const pageList = pages ? (await powerbiRequest("GET", `${reportPath}/pages`))?.value || [] : [];
+  const pageNames = pages ? resolveExportPages(pages, pageList) : [];
+  const bookmarkName = bookmark
+    ? resolveBookmark(bookmark, await fetchReportParts(reportId, { workspaceId, onProgress }))
+    : null;
+  const filter = exportFilter(filters);
+  const body = buildExportRequest({ format: fileFormat, pageNames, bookmarkName, filter, includeHiddenPages });
+
+  // The export job and its status polls suggest the next poll with Retry-After
+  let delay = EXPORT_POLL_SECONDS;
+  const onHeaders = (headers) => {
+    const retryAfter = Number(headers.get("retry-after"));
+    delay = Number.isFinite(retryAfter) && retryAfter > 0 ? Math.min(retryAfter, 30) : EXPORT_POLL_SECONDS;
+  };
+  let job = await powerbiRequest("POST", `${reportPath}/ExportTo`, body, { onHeaders });
+  const timeoutSeconds = Number(process.env.FABRIC_EXPORT_TIMEOUT_SECONDS) || EXPORT_TIMEOUT_SECONDS;
+  const deadline = Date.now() + timeoutSeconds * 1000;
+
+  while (job.status !== "Succeeded") {
+    if (job.status === "Failed") {
+      throw new Error(`Export of '${report.displayName}' failed: ${job.error?.message || job.error?.code || "no error details returned"}`);
+    }
+    if (onProgress) onProgress({ status: job.status, percentComplete: job.percentComplete });
+    if (Date.now() + delay * 1000 > deadline) {
+      throw new Error(
+        `Export of '${report.displayName}' did not finish within ${timeoutSeconds} s (export ${job.id}). ` +
+        "Large reports can take longer — try fewer pages."
+      );
+    }
+    await new Promise((resolve) => setTimeout(resolve, delay * 1000));
+    job = await powerbiRequest("GET", `${reportPath}/exports/${job.id}`, null, { onHeaders });
+  }
+
+  const content = await powerbiRequest("GET", `${reportPath}/exports/${job.id}/file`, null, { responseType: "buffer" });
+  const { filename, mimeType } = exportFile(report.displayName, fileFormat, job.resourceFileExtension);
+  const pageLabel = pageNames.length
+    ? pageNames.map((name) => pageList.find((p) => p.name === name).displayName).join(", ")
+    : "all pages";
+
+  return {
+    report_id: reportId,
+    report_name: report.displayName,
+    format: fileFormat,
+    pages: pageLabel,
+    bookmark: bookmark || undefined,
+    filter: filter || undefined,
+    attachment: await sendAttachment(context, {
+      filename,
+      content,
+      mimeType,
+      caption: `${report.displayName} — ${fileFormat} (${pageLabel})`,
+    }),
+  };
+}
+
+/**
+ * Select source items by name ("Sales Overview" or "Sales Overview (Report)")
+ */
+function selectSourceItems(items, names) {
+  const refs = toList(names);
+  if (!refs.length) return items;
+  return refs.flatMap((ref) => {
+    const match = String(ref).match(/^(.*?)\s*\((SemanticModel|Report)\)$/i);
+    const [name, type] = match ? [match[1], match[2]] : [String(ref), null];
+    const found = items.filter((i) => i.name.toLowerCase() === name.trim().toLowerCase() && (!type || i.type.toLowerCase() === type.toLowerCase()));
+    if (!found.length) {
+      throw new Error(`'${ref}' not found — items: ${items.map((i) => `${i.name} (${i.type})`).join(", ") || "none"}`);
+    }
+    return found;
+  });
+}
+
+/**
+ * Download every report and semantic model definition into a PBIP-style
+ * source tree: <directory>/<Name>.<Type>/ with the decoded parts
+ */
+async function exportWorkspace({ workspaceId, directory, items, onProgress = null } = {}) {
+  const workspace = await fabricRequest("GET", `/workspaces/${workspaceId}`);
+  const dir = resolveSourceDir(directory || workspace.displayName);
+  const { items: all } = await fetchAllPages((path) => fabricRequest("GET", path), `/workspaces/${workspaceId}/items`);
+  const sourceItems = all
+    .filter((i) => SOURCE_TYPES.includes(i.type))
+    .map((i) => ({ id: i.id, name: i.displayName, type: i.type }))
+    .sort((a, b) => SOURCE_TYPES.indexOf(a.type) - SOURCE_TYPES.indexOf(b.type) || a.name.localeCompare(b.name));
+  const selected = selectSourceItems(sourceItems, items);
+  if (!selected.length) throw new Error(`Workspace '${workspace.displayName}' has no reports or semantic models`);
+
+  const modelFolders = new Map(
+    selected.filter((i) => i.type === "SemanticModel").map((i) => [i.id, itemFolderName(i.name, i.type)])
+  );
+  const exported = [];
+  const failed = [];
+  for (const item of selected) {
+    try {
+      let parts;
+      if (item.type === "SemanticModel") {
+        parts = await fetchSemanticModelParts(item.id, { workspaceId, onProgress });
+      } else {
+        parts = await fetchEncodedReportParts(item.id, { workspaceId, onProgress });
+        const pbir = decodeDefinitionParts(parts).find((p) => p.path === "definition.pbir");
+        if (pbir && typeof pbir.content === "object") {
+          parts = parts.map((p) => (p.path === "definition.pbir"
+            ? encodePart(p.path, toByPathReference(pbir.content, modelFolders))
+            : p));
+        }
+      }
+      const folder = itemFolderName(item.name, item.type);
+      const files = writeItemFolder(dir, folder, { name: item.name, type: item.type, parts });
+      exported.push({ name: item.name, type: item.type, folder, files });
+    } catch (err) {
+      failed.push({ name: item.name, type: item.type, error: err.message });
+    }
+  }
+
+  const result = { workspace: workspace.displayName, directory: dir, exported };
+  if (failed.length) result.failed = failed;
+  return result;
+}
+
+const itemCollection = (type) => (type === "Report" ? "reports" : "semanticModels");
+
+/**
+ * Read a source tree written by export_workspace (or a Fabric Git / PBIP
+ * folder) and match its items by name and type against the workspace: each
+ * one is either created or overwrites an existing item. `writes` lists the
+ * calls the import makes, with a hash of each item's files.
+ */
+async function planWorkspaceImport(directory, { workspaceId, items } = {}) {
+  const dir = resolveSourceDir(directory);
+  const tree = selectSourceItems(readSourceTree(dir), items);
+  const { items: existing } = await fetchAllPages((path) => fabricRequest("GET", path), `/workspaces/${workspaceId}/items`);
+  const findExisting = (item) => existing.find(
+    (e) => e.type === item.type && e.displayName.toLowerCase() === item.name.toLowerCase()
+  );
+
+  const planned = tree.map((item) => ({ ...item, current: findExisting(item) || null }));
+  return {
+    directory: dir,
+    tree: planned,
+    existing,
+    writes: planned.map((item) => ({
+      method: "POST",
+      path: item.current
+        ? `/workspaces/${workspaceId}/${itemCollection(item.type)}/${item.current.id}/updateDefinition`
+        : `/workspaces/${workspaceId}/${itemCollection(item.type)}`,
+      name: item.name,
+      type: item.type,
+      sha256: item.sha256,
+    })),
+    summary: planned.map((item) => ({
+      name: item.name,
+      type: item.type,
+      action: item.current ? "update" : "create",
+      id: item.current?.id,
+      files: item.parts.length,
+    })),
+  };
+}
+
+/**
+ * Create or update the items of a planned import. Reports with a byPath
+ * model reference are bound to the model of that name in the target
+ * workspace.
+ */
+async function importWorkspace(plan, { workspaceId, onProgress = null } = {}) {
+  const { directory: dir, tree, existing } = plan;
+
+  // Model folder → ID in the target workspace, for byPath report references
+  const modelIds = new Map(
+    existing.filter((e) => e.type === "SemanticModel").map((e) => [itemFolderName(e.displayName, e.type), e.id])
+  );
+  const results = [];
+  for (const item of tree) {
+    const { current } = item;
+    const collection = itemCollection(item.type);
+    try {
+      let parts = item.parts;
+      const pbirPart = parts.find((p) => p.path === "definition.pbir");
+      if (item.type === "Report" && pbirPart) {
+        const folder = byPathModelFolder(decodeDefinitionParts([pbirPart])[0].content);
+        if (folder) {
+          const modelId = modelIds.get(folder);
+          if (!modelId) throw new Error(`definition.pbir points at '${folder}', which is neither in the tree nor in the workspace`);
+          parts = parts.map((p) => (p.path === "definition.pbir" ? encodePart(p.path, buildPbirDefinition(modelId)) : p));
+        }
+      }
+
+      let id;
+      if (current) {
+        // .platform only carries metadata; the item keeps its name and ID
+        await fabricRequest(
+          "POST",
+          `/workspaces/${workspaceId}/${collection}/${current.id}/updateDefinition`,
+          { definition: { parts: parts.filter((p) => p.path !== ".platform") } },
+          { onProgress }
+        );
+        id = current.id;
+      } else {
+        const created = await fabricRequest(
+          "POST",
+          `/workspaces/${workspaceId}/${collection}`,
+          { displayName: item.name, definition: { parts } },
+          { onProgress }
+        );
+        id = created.id;
+      }
+      if (item.type === "SemanticModel") modelIds.set(item.folder, id);
+      results.push({ name: item.name, type: item.type, action: current ? "updated" : "created", id });
+    } catch (err) {
+      results.push({ name: item.name, type: item.type, action: "failed", error: err.message });
+    }
+  }
+
+  return {
+    directory: dir,
+    created: results.filter((r) => r.action === "created").length,
+    updated: results.filter((r) => r.action === "updated").length,
+    failed: results.filter((r) => r.action === "failed").length,
+    items: results,
+  };
+}
+
 /**
  * List all reports in the workspace
  */
-async function listReports() {
-  const workspaceId = process.env.POWERBI_WORKSPACE_ID;
-  const result = await fabricApiRequest(
-    "GET",
-    `/workspaces/${workspaceId}/reports`
+async function listReports({ workspaceId, limit } = {}) {
+  const { items, truncated } = await fetchAllPages(
+    (path) => fabricRequest("GET", path),
+    `/workspaces/${workspaceId}/reports`,
+    { limit }
   );
 
-  return (result.value || []).map((report) => ({
+  const reports = items.map((report) => ({
     id: report.id,
     name: report.displayName,
     description: report.description || "",
   }));
+  return { reports, truncated };
+}
+
+/**
+ * List every workspace the Service Principal can access
+ */
+async function listWorkspaces() {
+  const { items } = await fetchAllPages((path) => fabricRequest("GET", path), "/workspaces");
+  return items;
+}
+
+/**
+ * Resolve the target workspace and chat progress reporter for a tool call
+ */
+async function toolScope(workspace, context, label = null) {
+  return {
+    workspaceId: await resolveWorkspaceId(workspace, { context, listWorkspaces }),
+    onProgress: label ? chatProgressReporter(context, label) : null,
+  };
 }
 
 // Export skill handlers
-module.exports = {
-  list_semantic_models: async () => {
-    const models = await listSemanticModels();
-    return JSON.stringify(models, null, 2);
+module.exports = withToolContext({
+  list_semantic_models: async ({ workspace, limit, page, page_size } = {}, context) => {
+    const { workspaceId } = await toolScope(workspace, context);
+    const { models, truncated } = await listSemanticModels({ workspaceId, limit });
+    return JSON.stringify(paginateForChat(models, { page, page_size, truncated }), null, 2);
   },
 
-  get_semantic_model_schema: async ({ semantic_model_id }) => {
-    const schema = await getSemanticModelSchema(semantic_model_id);
+  get_semantic_model_schema: async ({ semantic_model_id, workspace }, context) => {
+    const scope = await toolScope(workspace, context, "Loading model definition");
+    const schema = await getSemanticModelSchema(semantic_model_id, scope);
     return JSON.stringify(schema, null, 2);
   },
 
-  create_report: async ({ semantic_model_id, report_name, report_definition }) => {
-    const result = await createReport(
-      semantic_model_id,
-      report_name,
-      report_definition
-    );
+  create_report: async ({ semantic_model_id, report_name, report_spec, workspace }, context) => {
+    const scope = await toolScope(workspace, context, `Creating report '${report_name}'`);
+    const result = await createReport(semantic_model_id, report_name, report_spec, scope);
+    return JSON.stringify(result, null, 2);
+  },
+
+  validate_report_definition: async ({ semantic_model_id, report_spec, workspace }, context) => {
+    const scope = await toolScope(workspace, context, "Loading model definition");
+    const result = await validateReportDefinition(semantic_model_id, report_spec, scope);
+    return JSON.stringify(result, null, 2);
+  },
+
+  generate_starter_report: async ({ semantic_model_id, report_name, preview_only, workspace }, context) => {
+    const scope = await toolScope(workspace, context, "Generating starter report");
+    const result = await generateStarterReport(semantic_model_id, {
+      ...scope,
+      reportName: report_name,
+      previewOnly: preview_only === true || preview_only === "true",
+    });
+    return JSON.stringify(result, null, 2);
+  },
+
+  get_report_definition: async ({ report_id, include_parts, workspace }, context) => {
+    const scope = await toolScope(workspace, context, "Loading report definition");
+    const result = await getReportDefinition(report_id, {
+      ...scope,
+      includeParts: include_parts === true || include_parts === "true",
+    });
+    return JSON.stringify(result, null, 2);
+  },
+
+  update_report: async ({ report_id, changes, workspace }, context) => {
+    const scope = await toolScope(workspace, context, "Updating report");
+    const result = await updateReport(report_id, changes, scope);
+    return JSON.stringify(result, null, 2);
+  },
+
+  diff_reports: async (
+    { report_id, other_report_id, other_workspace, proposed_spec, proposed_changes, workspace },
+    context
+  ) => {
+    let proposedChanges = proposed_changes;
+    if (typeof proposed_changes === "string") {
+      try {
+        proposedChanges = JSON.parse(proposed_changes);
+      } catch (err) {
+        return JSON.stringify({ error: `proposed_changes is not valid JSON: ${err.message}` });
+      }
+    }
+    const scope = await toolScope(workspace, context, "Loading report definitions");
+    const otherWorkspaceId = other_workspace
+      ? await resolveWorkspaceId(other_workspace, { context, listWorkspaces })
+      : null;
+    const result = await diffReports(report_id, {
+      ...scope,
+      otherReportId: other_report_id,
+      otherWorkspaceId,
+      proposedSpec: proposed_spec,
+      proposedChanges,
+    });
+    return JSON.stringify(result, null, 2);
+  },
+
+  clone_report: async (
+    { report_id, target_semantic_model, target_workspace, report_name, check_only, workspace },
+    context
+  ) => {
+    const scope = await toolScope(workspace, context, "Cloning report");
+    const targetWorkspaceId = target_workspace
+      ? await resolveWorkspaceId(target_workspace, { context, listWorkspaces })
+      : null;
+    const result = await cloneReport(report_id, {
+      ...scope,
+      targetWorkspaceId,
+      targetSemanticModel: target_semantic_model,
+      reportName: report_name,
+      checkOnly: check_only === true || check_only === "true",
+    });
+    return JSON.stringify(result, null, 2);
+  },
+
+  analyze_report: async ({ report_id, report_spec, semantic_model_id, min_severity, workspace }, context) => {
+    const scope = await toolScope(workspace, context, "Loading report definition");
+    const result = await analyzeReport(report_id, {
+      ...scope,
+      reportSpec: report_spec,
+      semanticModelId: semantic_model_id,
+      minSeverity: min_severity,
+    });
+    return JSON.stringify(result, null, 2);
+  },
+
+  export_report: async (
+    { report_id, format, pages, bookmark, filters, include_hidden_pages, workspace },
+    context
+  ) => {
+    const scope = await toolScope(workspace, context, "Exporting report");
+    const result = await exportReport(report_id, {
+      ...scope,
+      format,
+      pages,
+      bookmark,
+      filters,
+      includeHiddenPages: include_hidden_pages === true || include_hidden_pages === "true",
+      context,
+    });
+    return JSON.stringify(result, null, 2);
+  },
+
+  add_measure: async (
+    { semantic_model_id, table, name, expression, format_string, display_folder, description, workspace },
+    context
+  ) => {
+    const scope = await toolScope(workspace, context, `Adding measure '${name}'`);
+    const result = await editMeasure(semantic_model_id, {
+      op: "add",
+      table,
+      name,
+      expression,
+      formatString: format_string,
+      displayFolder: display_folder,
+      description,
+    }, scope);
+    return JSON.stringify(result, null, 2);
+  },
+
+  update_measure: async (
+    { semantic_model_id, name, table, expression, format_string, display_folder, description, workspace },
+    context
+  ) => {
+    const scope = await toolScope(workspace, context, `Updating measure '${name}'`);
+    const result = await editMeasure(semantic_model_id, {
+      op: "update",
+      table,
+      name,
+      expression,
+      formatString: format_string,
+      displayFolder: display_folder,
+      description,
+    }, scope);
+    return JSON.stringify(result, null, 2);
+  },
+
+  delete_measure: async ({ semantic_model_id, name, table, workspace }, context) => {
+    const scope = await toolScope(workspace, context, `Deleting measure '${name}'`);
+    const result = await editMeasure(semantic_model_id, { op: "delete", table, name }, scope);
+    return JSON.stringify(result, null, 2);
+  },
+
+  format_dax: async ({ expression, semantic_model_id, measure, table, width, workspace } = {}, context) => {
+    const scope = await toolScope(workspace, context);
+    const result = await formatDaxExpression(expression, {
+      ...scope,
+      semanticModelId: semantic_model_id,
+      measure,
+      table,
+      width,
+    });
+    return JSON.stringify(result, null, 2);
+  },
+
+  lint_dax: async ({ expression, semantic_model_id, measure, table, workspace } = {}, context) => {
+    const scope = await toolScope(workspace, context, semantic_model_id ? "Loading model definition" : null);
+    const result = await lintDaxExpressions(expression, {
+      ...scope,
+      semanticModelId: semantic_model_id,
+      measure,
+      table,
+    });
+    return JSON.stringify(result, null, 2);
+  },
+
+  analyze_model_best_practices: async ({ semantic_model_id, min_severity, workspace }, context) => {
+    const scope = await toolScope(workspace, context, "Loading model definition");
+    const result = await analyzeModelBestPractices(semantic_model_id, { ...scope, minSeverity: min_severity });
+    return JSON.stringify(result, null, 2);
+  },
+
+  execute_dax_query: async ({ semantic_model_id, dax_query, max_rows, max_columns, csv, workspace }, context) => {
+    const { workspaceId } = await toolScope(workspace, context);
+    const result = await executeDaxQuery(semantic_model_id, dax_query, {
+      workspaceId,
+      maxRows: max_rows,
+      maxColumns: max_columns,
+      csv: csv === true || csv === "true",
+      context,
+    });
+    return JSON.stringify(result, null, 2);
+  },
+
+  refresh_semantic_model: async ({ semantic_model_id, tables, partitions, type, wait, workspace }, context) => {
+    const scope = await toolScope(workspace, context, "Refreshing semantic model");
+    const result = await refreshSemanticModel(semantic_model_id, {
+      ...scope,
+      tables,
+      partitions,
+      type,
+      wait: !(wait === false || wait === "false"),
+      context,
+    });
+    return JSON.stringify(result, null, 2);
+  },
+
+  get_refresh_history: async ({ semantic_model_id, top, workspace }, context) => {
+    const { workspaceId } = await toolScope(workspace, context);
+    const result = await getRefreshHistory(semantic_model_id, { workspaceId, top });
+    return JSON.stringify(result, null, 2);
+  },
+
+  get_refresh_schedule: async ({ semantic_model_id, workspace }, context) => {
+    const { workspaceId } = await toolScope(workspace, context);
+    const result = await getRefreshSchedule(semantic_model_id, { workspaceId });
+    return JSON.stringify(result, null, 2);
+  },
+
+  set_refresh_schedule: async (
+    { semantic_model_id, enabled, days, times, time_zone, notify_option, workspace },
+    context
+  ) => {
+    const { workspaceId } = await toolScope(workspace, context);
+    const result = await setRefreshSchedule(semantic_model_id, {
+      enabled,
+      days,
+      times,
+      timeZone: time_zone,
+      notifyOption: notify_option,
+    }, { workspaceId });
+    return JSON.stringify(result, null, 2);
+  },
+
+  export_workspace: async ({ directory, items, workspace } = {}, context) => {
+    const scope = await toolScope(workspace, context, "Exporting workspace");
+    const result = await exportWorkspace({ ...scope, directory, items });
+    return JSON.stringify(result, null, 2);
+  },
+
+  import_workspace: async ({ directory, items, dry_run, workspace, confirmation_token } = {}, context) => {
+    const scope = await toolScope(workspace, context, "Importing workspace");
+    const plan = await planWorkspaceImport(directory, { workspaceId: scope.workspaceId, items });
+    const preview = { directory: plan.directory, workspace_id: scope.workspaceId, items: plan.summary };
+    if (dry_run === true || dry_run === "true") return JSON.stringify({ ...preview, dry_run: true }, null, 2);
+
+    // The token is bound to the planned writes: same items, actions and
+    // file contents (changed files need a new preview)
+    const request = ["POST", `/workspaces/${scope.workspaceId}/items`, plan.writes];
+    const conversation = conversationKey(context);
+    if (!confirmation_token) {
+      const { token, expiresAt } = issueConfirmation(...request, conversation);
+      const overwritten = plan.summary.filter((i) => i.action === "update").map((i) => `${i.name} (${i.type})`);
+      return JSON.stringify({
+        ok: false,
+        confirmation_required: true,
+        ...preview,
+        overwritten,
+        confirmation_token: token,
+        expires_at: expiresAt,
+        message:
+          "Nothing was imported yet. Show the plan to the user — updated items are overwritten with the files — and, only after " +
+          "they confirm, repeat the call with the same parameters and confirmation_token set.",
+      }, null, 2);
+    }
+    const problem = redeemConfirmation(confirmation_token, ...request, conversation);
+    if (problem) {
+      return JSON.stringify({ ok: false, confirmation_required: true, error: problem }, null, 2);
+    }
+
+    const result = await importWorkspace(plan, scope);
     return JSON.stringify(result, null, 2);
   },
 
-  list_reports: async () => {
-    const reports = await listReports();
-    return JSON.stringify(reports, null, 2);
+  list_reports: async ({ workspace, limit, page, page_size } = {}, context) => {
+    const { workspaceId } = await toolScope(workspace, context);
+    const { reports, truncated } = await listReports({ workspaceId, limit });
+    return JSON.stringify(paginateForChat(reports, { page, page_size, truncated }), null, 2);
   },
-};
+});
@@ -0,0 +1,293 @@
+/**
+ * Best-practice analyzer for semantic models
+ *
+ * Runs declarative rules over a parsed model (semantic-model-parser.js).
+ * The default rules ship in model-rules.json next to this file; a team file
+ * at skills/config/model-rules.json (override the path with
+ * FABIOBOT_MODEL_RULES_FILE) can add rules, replace rules with the same id,
+ * change severities and disable rules:
+ *
+ *   {
+ *     "disable": ["MEASURE_WITHOUT_DESCRIPTION"],
+ *     "severity": { "UNUSED_HIDDEN_COLUMN": "warning" },
+ *     "rules": [{ "id": "…", "name": "…", "severity": "warning", "scope": "table",
+ *                 "match": { "property": "name", "matches": "^(dim|fact)_" } }]
+ *   }
+ *
+ * A rule flags every object in its scope (model, table, column, measure,
+ * relationship) that its `match` condition is true for. Conditions compare
+ * one property (equals, notEquals, in, matches, empty, greaterThan,
+ * lessThan) or combine conditions with all / any / not. Objects in auto
+ * date/time tables are skipped.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { daxReferences } = require("./dax-tokenizer");
+const { lintDax } = require("./dax-linter");
+
+const DEFAULT_RULES_FILE = path.join(__dirname, "model-rules.json");
+const SCOPES = ["model", "table", "column", "measure", "relationship"];
+const SEVERITIES = ["error", "warning", "info"];
+const OPERATORS = ["equals", "notEquals", "in", "matches", "empty", "greaterThan", "lessThan"];
+const MAX_OBJECTS = 25;
+
+let rulesCache = { file: null, mtimeMs: 0, rules: null };
+
+function rulesFile() {
+  return process.env.FABIOBOT_MODEL_RULES_FILE || path.join(__dirname, "..", "config", "model-rules.json");
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Model rules file ${file} is not valid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Throw when a condition is malformed (unknown operator, bad regex)
+ */
+function checkCondition(condition, where) {
+  if (!condition || typeof condition !== "object" || Array.isArray(condition)) {
+    throw new Error(`${where}: a condition must be an object`);
+  }
+  if (condition.all || condition.any) {
+    const list = condition.all || condition.any;
+    if (!Array.isArray(list) || !list.length) throw new Error(`${where}: all / any needs a non-empty list of conditions`);
+    list.forEach((c, i) => checkCondition(c, `${where}.${condition.all ? "all" : "any"}[${i}]`));
+    return;
+  }
+  if (condition.not) {
+    checkCondition(condition.not, `${where}.not`);
+    return;
+  }
+  if (typeof condition.property !== "string") {
+    throw new Error(`${where}: a condition needs "property" (or all / any / not)`);
+  }
+  const operators = OPERATORS.filter((op) => op in condition);
+  if (operators.length !== 1) {
+    throw new Error(`${where}: use exactly one of ${OPERATORS.join(", ")} with property '${condition.property}'`);
+  }
+  if (operators[0] === "matches") {
+    try {
+      new RegExp(condition.matches, "i");
+    } catch (err) {
+      throw new Error(`${where}: invalid regular expression: ${err.message}`);
+    }
+  }
+  if (operators[0] === "in" && !Array.isArray(condition.in)) throw new Error(`${where}: "in" needs a list`);
+}
+
+/**
+ * Throw when a rule is incomplete
+ */
+function checkRule(rule, source) {
+  const where = `Rule ${rule?.id || "(no id)"} in ${source}`;
+  if (!rule || typeof rule.id !== "string" || !rule.id) throw new Error(`A rule in ${source} has no id`);
+  if (!rule.name) throw new Error(`${where} has no name`);
+  if (!SEVERITIES.includes(rule.severity)) throw new Error(`${where}: severity must be one of ${SEVERITIES.join(", ")}`);
+  if (!SCOPES.includes(rule.scope)) throw new Error(`${where}: scope must be one of ${SCOPES.join(", ")}`);
+  checkCondition(rule.match, `${where} match`);
+}
+
+/**
+ * Default rules merged with the team rules file (re-read when it changes)
+ */
+function loadModelRules() {
+  const file = rulesFile();
+  let stat = null;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    // no team file: default rules only
+  }
+  if (rulesCache.file === file && rulesCache.mtimeMs === (stat ? stat.mtimeMs : 0)) return rulesCache.rules;
+
+  const defaults = readJson(DEFAULT_RULES_FILE).rules;
+  defaults.forEach((rule) => checkRule(rule, DEFAULT_RULES_FILE));
+  let rules = defaults.map((rule) => ({ ...rule, source: "default" }));
+
+  if (stat) {
+    const team = readJson(file);
+    for (const rule of team.rules || []) {
+      checkRule(rule, file);
+      rules = rules.filter((r) => r.id !== rule.id);
+      rules.push({ ...rule, source: "team" });
+    }
+    for (const [id, severity] of Object.entries(team.severity || {})) {
+      if (!SEVERITIES.includes(severity)) {
+        throw new Error(`Severity '${severity}' for ${id} in ${file} must be one of ${SEVERITIES.join(", ")}`);
+      }
+      rules = rules.map((r) => (r.id === id ? { ...r, severity } : r));
+    }
+    const disabled = new Set(team.disable || []);
+    rules = rules.filter((r) => !disabled.has(r.id));
+  }
+
+  rulesCache = { file, mtimeMs: stat ? stat.mtimeMs : 0, rules };
+  return rules;
+}
+
+const isEmpty = (value) => value === undefined || value === null || value === "" || (Array.isArray(value) && !value.length);
+
+/**
+ * Evaluate a rule condition against one object
+ */
+function matches(condition, object) {
+  if (condition.all) return condition.all.every((c) => matches(c, object));
+  if (condition.any) return condition.any.some((c) => matches(c, object));
+  if (condition.not) return !matches(condition.not, object);
+
+  const value = condition.property.split(".").reduce((o, key) => (o == null ? undefined : o[key]), object);
+  if ("empty" in condition) return isEmpty(value) === Boolean(condition.empty);
+  // Flags such as isHidden are left out of the schema when not set
+  if ("equals" in condition) return value === condition.equals || (value === undefined && condition.equals === false);
+  if ("notEquals" in condition) return value !== condition.notEquals;
+  if ("in" in condition) return condition.in.includes(value);
+  if ("matches" in condition) return !isEmpty(value) && new RegExp(condition.matches, "i").test(String(value));
+  if ("greaterThan" in condition) return Number(value) > condition.greaterThan;
+  if ("lessThan" in condition) return Number(value) < condition.lessThan;
+  return false;
+}
+
+const key = (table, column) => `${String(table).toLowerCase()}\u0000${String(column).toLowerCase()}`;
+
+/**
+ * Columns used by DAX, relationships, hierarchies, sort orders or roles
+ */
+function usedColumns(schema) {
+  const used = new Set();
+  const useExpression = (expression, homeTable) => {
+    for (const ref of daxReferences(expression)) {
+      if (ref.name === null) continue;
+      if (ref.table !== null) {
+        used.add(key(ref.table, ref.name));
+      } else {
+        // Unqualified: the calculated column's own table, or any table for measures
+        for (const t of homeTable ? [homeTable] : schema.tables) used.add(key(t.name, ref.name));
+      }
+    }
+  };
+
+  for (const rel of schema.relationships) {
+    used.add(key(rel.fromTable, rel.fromColumn));
+    used.add(key(rel.toTable, rel.toColumn));
+  }
+  for (const table of schema.tables) {
+    for (const m of table.measures) useExpression(m.expression, null);
+    for (const c of table.columns) {
+      if (c.expression) useExpression(c.expression, table);
+      if (c.sortByColumn) used.add(key(table.name, c.sortByColumn));
+    }
+    for (const h of table.hierarchies) for (const l of h.levels) used.add(key(table.name, l.column));
+    for (const item of table.calculationItems || []) useExpression(item.expression, null);
+  }
+  for (const role of schema.roles) {
+    for (const tp of role.tablePermissions) {
+      const table = schema.tables.find((t) => t.name.toLowerCase() === String(tp.table).toLowerCase());
+      if (tp.filterExpression) useExpression(tp.filterExpression, table || null);
+    }
+  }
+  return used;
+}
+
+/**
+ * Objects per rule scope, with the derived properties rules can use
+ */
+function modelObjects(schema) {
+  const used = usedColumns(schema);
+  const foreignKeys = new Set(
+    schema.relationships.filter((r) => r.fromCardinality === "many").map((r) => key(r.fromTable, r.fromColumn))
+  );
+  const tables = schema.tables.filter((t) => !t.isAutoDateTable);
+
+  return {
+    model: [{
+      label: schema.name || "Model",
+      name: schema.name,
+      culture: schema.culture,
+      compatibilityLevel: schema.compatibilityLevel,
+      autoDateTime: schema.autoDateTime,
+      autoDateTables: schema.tables.filter((t) => t.isAutoDateTable).length,
+      hasDateTable: tables.some((t) => t.isDateTable),
+      tableCount: tables.length,
+      relationshipCount: schema.relationships.length,
+      roleCount: schema.roles.length,
+    }],
+    table: tables.map((t) => ({
+      ...t,
+      label: t.name,
+      columnCount: t.columns.length,
+      measureCount: t.measures.length,
+    })),
+    column: tables.flatMap((t) => t.columns.map((c) => ({
+      ...c,
+      label: `${t.name}[${c.name}]`,
+      table: t.name,
+      isForeignKey: foreignKeys.has(key(t.name, c.name)),
+      isUsed: used.has(key(t.name, c.name)),
+    }))),
+    measure: tables.flatMap((t) => t.measures.map((m) => ({
+      ...m,
+      label: `${t.name}[${m.name}]`,
+      table: t.name,
+      daxErrors: lintDax(m.expression, { schema }).filter((f) => f.severity === "error").length,
+    }))),
+    relationship: schema.relationships.map((r) => ({
+      ...r,
+      label: `${r.fromTable}[${r.fromColumn}] → ${r.toTable}[${r.toColumn}]${r.isActive ? "" : " (inactive)"}`,
+    })),
+  };
+}
+
+/**
+ * Run the rules over a parsed semantic model.
+ *
+ * @param {object} schema - parseSemanticModelDefinition(parts)
+ * @param {object} [options]
+ * @param {Array} [options.rules] - rules to run (default: loadModelRules())
+ * @param {string} [options.minSeverity] - skip rules below this severity
+ * @returns {{ rules_checked: number, summary: object, findings: { error: Array, warning: Array, info: Array } }}
+ */
+function analyzeModel(schema, { rules = loadModelRules(), minSeverity = "info" } = {}) {
+  if (!SEVERITIES.includes(minSeverity)) {
+    throw new Error(`min_severity must be one of ${SEVERITIES.join(", ")}`);
+  }
+  const active = rules.filter((r) => SEVERITIES.indexOf(r.severity) <= SEVERITIES.indexOf(minSeverity));
+  const objects = modelObjects(schema);
+  const findings = { error: [], warning: [], info: [] };
+
+  for (const rule of active) {
+    const flagged = objects[rule.scope].filter((o) => matches(rule.match, o)).map((o) => o.label);
+    if (!flagged.length) continue;
+    const finding = {
+      rule: rule.id,
+      name: rule.name,
+      category: rule.category || undefined,
+      count: flagged.length,
+      objects: flagged.slice(0, MAX_OBJECTS),
+      description: rule.description || undefined,
+      fix: rule.fix || undefined,
+    };
+    if (flagged.length > MAX_OBJECTS) finding.more = flagged.length - MAX_OBJECTS;
+    if (rule.source === "team") finding.source = "team";
+    findings[rule.severity].push(finding);
+  }
+
+  return {
+    rules_checked: active.length,
+    summary: {
+      errors: findings.error.reduce((n, f) => n + f.count, 0),
+      warnings: findings.warning.reduce((n, f) => n + f.count, 0),
+      info: findings.info.reduce((n, f) => n + f.count, 0),
+    },
+    findings,
+  };
+}
+
+module.exports = {
+  analyzeModel,
+  loadModelRules,
+};
@@ -0,0 +1,472 @@
+/**
+ * Semantic model measure editing
+ *
+ * Applies add / update / delete measure changes to the parts returned by the
+ * semanticModels getDefinition API. TMDL table files are edited line by line
+ * so everything around the measure (lineage tags, annotations, other objects)
+ * is left as it was; legacy model.bim definitions are edited as JSON.
+ */
+
+const { decodePart, indentOf, readName, readExpression, parseTmdl } = require("./semantic-model-parser");
+const { suggest, formatValidationErrors } = require("./report-validator");
+const { daxReferences } = require("./dax-tokenizer");
+const { lintDax } = require("./dax-linter");
+
+const SIMPLE_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const FENCE_OPEN = /=\s*```\s*$/;
+
+/**
+ * Quote a TMDL object name when it is not a plain identifier
+ */
+function tmdlName(name) {
+  return SIMPLE_NAME.test(name) ? name : `'${name.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Quote a TMDL property value when the parser would otherwise change it
+ */
+function tmdlValue(value) {
+  const text = String(value);
+  if (text !== text.trim() || (text.startsWith('"') && text.endsWith('"'))) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+const sameName = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+/**
+ * Find a table by name (case-insensitive) or throw with suggestions
+ */
+function findTable(schema, tableName) {
+  if (!tableName) throw new Error("table is required");
+  const table = schema.tables.find((t) => sameName(t.name, tableName));
+  if (!table) {
+    const hints = suggest(tableName, schema.tables.map((t) => t.name));
+    throw new Error(
+      `Table '${tableName}' not found in the semantic model.${hints.length ? ` Did you mean: ${hints.join(", ")}?` : ""}`
+    );
+  }
+  return table;
+}
+
+/**
+ * Find an existing measure, optionally within one table
+ */
+function findMeasure(schema, name, tableName) {
+  if (!name) throw new Error("name is required");
+  const tables = tableName ? [findTable(schema, tableName)] : schema.tables;
+  for (const table of tables) {
+    const measure = table.measures.find((m) => sameName(m.name, name));
+    if (measure) return { table, measure };
+  }
+  const all = tables.flatMap((t) => t.measures.map((m) => m.name));
+  const hints = suggest(name, all);
+  throw new Error(
+    `Measure '${name}' not found${tableName ? ` in table '${tables[0].name}'` : " in the semantic model"}.` +
+    (hints.length ? ` Did you mean: ${hints.join(", ")}?` : "")
+  );
+}
+
+/**
+ * Check a measure name and expression against the model.
+ *
+ * Qualified references (`Table[Column]`, `'Table'`) must exist; unqualified
+ * `[Name]` references that match no measure or column are only warnings,
+ * since ADDCOLUMNS / SUMMARIZE can introduce columns inside the expression.
+ * Syntax errors from lint_dax block the change; its anti-pattern findings
+ * are passed on as warnings.
+ */
+function checkMeasure(schema, { table, name, expression, existing = null }) {
+  const errors = [];
+  const warnings = [];
+  const tableNames = schema.tables.map((t) => t.name);
+  const allMeasures = schema.tables.flatMap((t) => t.measures.map((m) => ({ table: t, measure: m })));
+
+  if (name !== undefined) {
+    const clash = allMeasures.find(({ measure }) => sameName(measure.name, name) && measure !== existing);
+    if (clash) {
+      errors.push({
+        location: "name",
+        message: `A measure named '${clash.measure.name}' already exists in table '${clash.table.name}'`,
+        suggestions: [],
+      });
+    }
+    const column = table.columns.find((c) => sameName(c.name, name));
+    if (column) {
+      errors.push({
+        location: "name",
+        message: `'${name}' is already a column of table '${table.name}'`,
+        suggestions: [],
+      });
+    }
+  }
+
+  if (expression !== undefined) {
+    // Syntax errors and anti-patterns; references are checked below
+    for (const f of lintDax(expression)) {
+      const message = `${f.message} (line ${f.line}, column ${f.column})`;
+      if (f.severity === "error") errors.push({ location: "expression", message: f.rule === "empty" ? f.message : message, suggestions: [] });
+      else if (f.severity === "warning") warnings.push(message);
+    }
+    for (const ref of daxReferences(expression)) {
+      if (ref.table !== null) {
+        const target = schema.tables.find((t) => sameName(t.name, ref.table));
+        if (!target) {
+          errors.push({
+            location: "expression",
+            message: `Table '${ref.table}' not found in the semantic model`,
+            suggestions: suggest(ref.table, tableNames),
+          });
+          continue;
+        }
+        if (ref.name === null) continue;
+        const fields = [...target.columns, ...target.measures].map((f) => f.name);
+        if (!fields.some((f) => sameName(f, ref.name))) {
+          errors.push({
+            location: "expression",
+            message: `Column '${target.name}[${ref.name}]' not found`,
+            suggestions: suggest(ref.name, fields).map((f) => `${target.name}[${f}]`),
+          });
+        }
+      } else {
+        const selfName = existing ? existing.name : name;
+        if (selfName !== undefined && sameName(ref.name, selfName)) {
+          errors.push({ location: "expression", message: `The measure refers to itself ([${ref.name}])`, suggestions: [] });
+        } else if (
+          !allMeasures.some(({ measure }) => sameName(measure.name, ref.name)) &&
+          !schema.tables.some((t) => t.columns.some((c) => sameName(c.name, ref.name)))
+        ) {
+          warnings.push(
+            `[${ref.name}] is not a measure or column in the model (fine if the expression creates it, e.g. with ADDCOLUMNS)`
+          );
+        }
+      }
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Measures whose expressions reference the given measure
+ */
+function dependentMeasures(schema, table, measure) {
+  const dependents = [];
+  for (const t of schema.tables) {
+    for (const m of t.measures) {
+      if (m === measure) continue;
+      const uses = daxReferences(m.expression).some(
+        (ref) => ref.name !== null && sameName(ref.name, measure.name) && (ref.table === null || sameName(ref.table, table.name))
+      );
+      if (uses) dependents.push(`${t.name}[${m.name}]`);
+    }
+  }
+  return dependents;
+}
+
+// --- TMDL text editing ---------------------------------------------------------
+
+/**
+ * Index after the last line of the object declared on line `start`
+ * (blank lines at the end are not included)
+ */
+function blockEnd(lines, start, indent) {
+  let end = start + 1;
+  let fenced = FENCE_OPEN.test(lines[start]);
+  for (let j = start + 1; j < lines.length; j++) {
+    const trimmed = lines[j].trim();
+    if (fenced) {
+      if (trimmed === "```") fenced = false;
+      end = j + 1;
+      continue;
+    }
+    if (!trimmed) continue;
+    if (indentOf(lines[j]) <= indent) break;
+    if (FENCE_OPEN.test(lines[j])) fenced = true;
+    end = j + 1;
+  }
+  return end;
+}
+
+/**
+ * First line of the `///` description above line `index`
+ */
+function descriptionStart(lines, index, indent) {
+  let start = index;
+  while (start > 0 && lines[start - 1].trim().startsWith("///") && indentOf(lines[start - 1]) === indent) start--;
+  return start;
+}
+
+function isDeclaration(line, keyword, name) {
+  const trimmed = line.trim();
+  if (!trimmed.startsWith(`${keyword} `) && !trimmed.startsWith(`${keyword}\t`)) return false;
+  return sameName(readName(trimmed.substring(keyword.length)).name, name);
+}
+
+/**
+ * Render a measure as TMDL lines at the given indent level
+ */
+function renderTmdlMeasure({ name, expression, description }, properties, unit, level) {
+  return [
+    ...renderTmdlDescription(description, unit, level),
+    ...renderTmdlHeader(name, expression, unit, level),
+    ...properties,
+  ];
+}
+
+function renderTmdlDescription(description, unit, level) {
+  if (!description) return [];
+  return String(description).replace(/\r\n/g, "\n").split("\n").map((line) => `${unit.repeat(level)}/// ${line}`.trimEnd());
+}
+
+function renderTmdlHeader(name, expression, unit, level) {
+  const pad = unit.repeat(level);
+  const exprLines = String(expression).replace(/\r\n/g, "\n").trim().split("\n");
+  if (exprLines.length === 1) return [`${pad}measure ${tmdlName(name)} = ${exprLines[0]}`];
+  return [
+    `${pad}measure ${tmdlName(name)} =`,
+    ...exprLines.map((line) => (line.trim() ? `${unit.repeat(level + 2)}${line}` : "")),
+  ];
+}
+
+/**
+ * Property lines (`formatString: …`) for the given values
+ */
+function propertyLines(values, unit, level) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null && value !== "")
+    .map(([key, value]) => `${unit.repeat(level)}${key}: ${tmdlValue(value)}`);
+}
+
+/**
+ * Split the lines of a measure body into property groups keyed by name
+ * (child objects such as annotations are kept as unnamed groups)
+ */
+function propertyGroups(lines, level) {
+  const groups = [];
+  for (const line of lines) {
+    if (line.trim() && indentOf(line) === level) {
+      const key = line.trim().match(/^([A-Za-z_]\w*)\s*:/)?.[1] || null;
+      groups.push({ key, lines: [line] });
+    } else if (groups.length) {
+      groups[groups.length - 1].lines.push(line);
+    }
+  }
+  return groups;
+}
+
+/**
+ * Apply a measure change to the TMDL file that declares the table
+ */
+function editTmdl(parts, op, tableName, measureName, values) {
+  const part = parts.find(
+    (p) => p.path.endsWith(".tmdl") &&
+      parseTmdl(decodePart(p)).children.some((n) => n.keyword === "table" && sameName(n.name, tableName))
+  );
+  if (!part) throw new Error(`No TMDL file in the definition declares table '${tableName}'`);
+
+  const text = decodePart(part);
+  const newline = text.includes("\r\n") ? "\r\n" : "\n";
+  const lines = text.split(/\r?\n/);
+  const unit = (lines.find((l) => /^[\t ]/.test(l) && l.trim()) || "\t").startsWith("\t") ? "\t" : "    ";
+
+  const tableStart = lines.findIndex((l) => indentOf(l) === 0 && isDeclaration(l, "table", tableName));
+  const tableEnd = blockEnd(lines, tableStart, 0);
+  const level = 1;
+  const measureLines = [];
+  for (let i = tableStart + 1; i < tableEnd; i++) {
+    if (indentOf(lines[i]) === level && /^measure\s/.test(lines[i].trim())) measureLines.push(i);
+  }
+  const header = measureLines.find((i) => isDeclaration(lines[i], "measure", measureName));
+
+  if (op === "add") {
+    const block = renderTmdlMeasure(
+      { name: measureName, expression: values.expression, description: values.description },
+      propertyLines({ formatString: values.formatString, displayFolder: values.displayFolder }, unit, level + 1),
+      unit,
+      level
+    );
+    if (measureLines.length) {
+      const after = blockEnd(lines, measureLines[measureLines.length - 1], level);
+      lines.splice(after, 0, "", ...block);
+    } else {
+      // New measures go before the first column / partition of the table
+      const firstChild = lines.findIndex(
+        (l, i) => i > tableStart && i < tableEnd && indentOf(l) === level && /^([a-zA-Z]+\s|\/\/\/)/.test(l.trim()) &&
+          !/^[A-Za-z_]\w*\s*:/.test(l.trim())
+      );
+      if (firstChild === -1) lines.splice(tableEnd, 0, "", ...block);
+      else lines.splice(descriptionStart(lines, firstChild, level), 0, ...block, "");
+    }
+  } else {
+    const start = descriptionStart(lines, header, level);
+    const end = blockEnd(lines, header, level);
+
+    if (op === "delete") {
+      lines.splice(start, end - start);
+      // Drop the blank line that separated the measure from its neighbours
+      if (start < lines.length && !lines[start].trim() && (start === 0 || !lines[start - 1].trim())) {
+        lines.splice(start, 1);
+      }
+    } else {
+      const headerText = lines[header].trim();
+      const afterName = readName(headerText.substring("measure".length)).rest.trim();
+      const expressionEnd = afterName.startsWith("=")
+        ? readExpression(lines, header, level, afterName.substring(1)).lastIndex + 1
+        : header + 1;
+
+      const description = values.description === undefined
+        ? lines.slice(start, header)
+        : renderTmdlDescription(values.description, unit, level);
+      const headerLines = values.expression === undefined
+        ? lines.slice(header, expressionEnd)
+        : renderTmdlHeader(readName(headerText.substring("measure".length)).name, values.expression, unit, level);
+
+      const groups = propertyGroups(lines.slice(expressionEnd, end), level + 1);
+      for (const key of ["formatString", "displayFolder"]) {
+        if (values[key] === undefined) continue;
+        const replacement = propertyLines({ [key]: values[key] }, unit, level + 1);
+        const index = groups.findIndex((g) => g.key === key);
+        if (index === -1) {
+          // After the other properties, before child objects like annotations
+          const lastProperty = groups.map((g) => g.key !== null).lastIndexOf(true);
+          if (replacement.length) groups.splice(lastProperty + 1, 0, { key, lines: replacement });
+        } else if (replacement.length) {
+          groups[index] = { key, lines: replacement };
+        } else {
+          groups.splice(index, 1);
+        }
+      }
+
+      lines.splice(start, end - start, ...description, ...headerLines, ...groups.flatMap((g) => g.lines));
+    }
+  }
+
+  return parts.map((p) =>
+    p === part
+      ? { path: p.path, payload: Buffer.from(lines.join(newline)).toString("base64"), payloadType: "InlineBase64" }
+      : p
+  );
+}
+
+/**
+ * Apply a measure change to a legacy model.bim definition
+ */
+function editModelBim(parts, op, tableName, measureName, values) {
+  const part = parts.find((p) => p.path === "model.bim" || p.path.endsWith("/model.bim"));
+  const bim = JSON.parse(decodePart(part));
+  const table = (bim.model?.tables || []).find((t) => sameName(t.name, tableName));
+  table.measures = table.measures || [];
+  const multiline = (value) => {
+    const lines = String(value).replace(/\r\n/g, "\n").split("\n");
+    return lines.length > 1 ? lines : lines[0];
+  };
+
+  if (op === "delete") {
+    table.measures = table.measures.filter((m) => !sameName(m.name, measureName));
+  } else {
+    let measure = table.measures.find((m) => sameName(m.name, measureName));
+    if (!measure) {
+      measure = { name: measureName };
+      table.measures.push(measure);
+    }
+    const fields = {
+      expression: values.expression === undefined ? undefined : multiline(String(values.expression).trim()),
+      formatString: values.formatString,
+      displayFolder: values.displayFolder,
+      description: values.description,
+    };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value === undefined) continue;
+      if (value === "") delete measure[key];
+      else measure[key] = value;
+    }
+  }
+
+  const payload = Buffer.from(JSON.stringify(bim, null, 2)).toString("base64");
+  return parts.map((p) => (p === part ? { path: p.path, payload, payloadType: "InlineBase64" } : p));
+}
+
+/**
+ * Apply one measure change to getDefinition parts.
+ *
+ * @param {Array} parts - raw getDefinition parts (base64 payloads)
+ * @param {{ op: "add" | "update" | "delete", table?: string, name: string,
+ *   expression?: string, formatString?: string, displayFolder?: string,
+ *   description?: string }} change - "" clears a property on update
+ * @param {object} schema - parseSemanticModelDefinition(parts)
+ * @returns {{ parts: Array, table: string, measure: string, applied: string, warnings: string[] }}
+ */
+function applyMeasureChange(parts, change, schema) {
+  const { op, name } = change;
+  const values = {
+    expression: change.expression,
+    formatString: change.formatString,
+    displayFolder: change.displayFolder,
+    description: change.description,
+  };
+  let table;
+  let measure = null;
+  let check;
+  let warnings = [];
+
+  if (op === "add") {
+    if (!name) throw new Error("name is required");
+    if (values.expression === undefined) throw new Error("expression is required");
+    table = findTable(schema, change.table);
+    check = checkMeasure(schema, { table, name, expression: values.expression });
+  } else if (op === "update" || op === "delete") {
+    ({ table, measure } = findMeasure(schema, name, change.table));
+    if (op === "update") {
+      if (Object.values(values).every((v) => v === undefined)) {
+        throw new Error("Nothing to update — pass expression, format_string, display_folder or description");
+      }
+      check = checkMeasure(schema, { table, expression: values.expression, existing: measure });
+    } else {
+      const dependents = dependentMeasures(schema, table, measure);
+      if (dependents.length) {
+        warnings.push(`These measures still reference [${measure.name}] and will break: ${dependents.join(", ")}`);
+      }
+    }
+  } else {
+    throw new Error(`Unknown measure change '${op}'. Use add, update or delete`);
+  }
+
+  const label = `${table.name}[${measure ? measure.name : name}]`;
+  if (check) {
+    if (check.errors.length) {
+      const verb = { add: "added", update: "updated" }[op];
+      throw new Error(
+        `Measure ${label} was not ${verb} — ${check.errors.length} problem(s):\n` + formatValidationErrors(check)
+      );
+    }
+    warnings = check.warnings;
+  }
+
+  const measureName = measure ? measure.name : name;
+  const edited = schema.format === "TMSL"
+    ? editModelBim(parts, op, table.name, measureName, values)
+    : editTmdl(parts, op, table.name, measureName, values);
+
+  const changed = Object.entries({
+    expression: values.expression,
+    "format string": values.formatString,
+    "display folder": values.displayFolder,
+    description: values.description,
+  }).filter(([, v]) => v !== undefined).map(([k]) => k);
+  const applied = {
+    add: `Added measure ${label}`,
+    update: `Updated ${changed.join(", ")} of measure ${label}`,
+    delete: `Deleted measure ${label}`,
+  }[op];
+
+  return { parts: edited, table: table.name, measure: measureName, applied, warnings };
+}
+
+module.exports = {
+  applyMeasureChange,
+  daxReferences,
+  checkMeasure,
+  findMeasure,
+};
@@ -0,0 +1,252 @@
+/**
+ * Semantic model refresh helpers
+ *
+ * Builds request bodies for the Power BI dataset refresh APIs (refreshes,
+ * refreshSchedule) and turns refresh history entries into chat-sized
+ * summaries with durations and error details.
+ */
+
+const { suggest } = require("./report-validator");
+const { toList } = require("../shared/params");
+
+const REFRESH_TYPES = ["Full", "ClearValues", "Calculate", "DataOnly", "Automatic", "Defragment"];
+const DAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const DAY_SHORTCUTS = {
+  daily: DAYS,
+  weekdays: DAYS.slice(1, 6),
+  weekends: [DAYS[6], DAYS[0]],
+};
+const NOTIFY_OPTIONS = ["NoNotification", "MailOnFailure"];
+// Premium / Fabric capacities allow 48 refreshes a day, shared capacity 8
+const MAX_SCHEDULE_TIMES = 48;
+// History statuses of refreshes that have not finished yet
+const RUNNING_STATUSES = new Set(["Unknown", "NotStarted", "InProgress"]);
+
+const sameName = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+/**
+ * Refresh objects for `tables` and `partitions` ("Table/Partition" or
+ * { table, partition }), checked against the model schema
+ */
+function refreshObjects({ tables, partitions }, schema) {
+  const objects = [];
+  const findTable = (name) => {
+    const table = schema.tables.find((t) => sameName(t.name, name));
+    if (!table) {
+      const hint = suggest(name, schema.tables.map((t) => t.name));
+      throw new Error(`Table '${name}' not found in the semantic model${hint.length ? ` — did you mean ${hint.join(", ")}?` : ""}`);
+    }
+    return table;
+  };
+
+  for (const name of toList(tables)) objects.push({ table: findTable(name).name });
+  for (const ref of toList(partitions)) {
+    const [tableName, partitionName] = typeof ref === "object"
+      ? [ref.table, ref.partition]
+      : [String(ref).slice(0, String(ref).lastIndexOf("/")), String(ref).slice(String(ref).lastIndexOf("/") + 1)];
+    if (!tableName || !partitionName) {
+      throw new Error(`Partition '${typeof ref === "object" ? JSON.stringify(ref) : ref}' must be written as Table/Partition`);
+    }
+    const table = findTable(tableName);
+    const names = (table.partitions || []).map((p) => p.name);
+    const partition = names.find((p) => sameName(p, partitionName));
+    if (!partition) {
+      const hint = suggest(partitionName, names);
+      throw new Error(
+        `Partition '${partitionName}' not found in table '${table.name}'` +
+        (hint.length ? ` — did you mean ${hint.join(", ")}?` : names.length ? ` (partitions: ${names.join(", ")})` : "")
+      );
+    }
+    objects.push({ table: table.name, partition });
+  }
+  return objects;
+}
+
+/**
+ * Body for POST /datasets/{id}/refreshes. Targeted refreshes and refresh
+ * types use the enhanced refresh API; a plain refresh uses the basic body,
+ * which also works on shared capacity.
+ */
+function buildRefreshRequest({ type, objects = [] } = {}) {
+  if (type && !REFRESH_TYPES.some((t) => sameName(t, type))) {
+    throw new Error(`Refresh type must be one of ${REFRESH_TYPES.join(", ")}`);
+  }
+  if (!type && !objects.length) return { notifyOption: "NoNotification" };
+  const body = {
+    type: type ? REFRESH_TYPES.find((t) => sameName(t, type)) : "Full",
+    commitMode: "transactional",
+    retryCount: 0,
+  };
+  if (objects.length) body.objects = objects;
+  return body;
+}
+
+/**
+ * Request id of a triggered refresh, from the Location or x-ms-request-id header
+ */
+function refreshRequestId(headers) {
+  const location = headers.get("location");
+  const fromLocation = location ? location.replace(/\/+$/, "").split("/").pop() : null;
+  return fromLocation || headers.get("x-ms-request-id") || headers.get("requestid") || null;
+}
+
+/**
+ * "1h 2m", "3m 12s", "8s"
+ */
+function formatDuration(seconds) {
+  if (seconds == null || !Number.isFinite(seconds)) return null;
+  const s = Math.max(0, Math.round(seconds));
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`;
+  if (s < 86400) return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+  return `${Math.floor(s / 86400)}d ${Math.floor((s % 86400) / 3600)}h`;
+}
+
+/**
+ * Error code and message from serviceExceptionJson or enhanced refresh messages
+ */
+function refreshError(entry) {
+  if (entry.serviceExceptionJson) {
+    try {
+      const error = JSON.parse(entry.serviceExceptionJson);
+      return {
+        code: error.errorCode || error.error?.code || null,
+        message: error.errorDescription || error.error?.message || error.message || entry.serviceExceptionJson,
+      };
+    } catch {
+      return { code: null, message: entry.serviceExceptionJson };
+    }
+  }
+  const errors = (entry.messages || []).filter((m) => !m.type || m.type === "Error");
+  if (errors.length) return { code: errors[0].code || null, message: errors.map((m) => m.message).join(" ") };
+  return null;
+}
+
+/**
+ * Chat-sized summary of a refresh history entry (or enhanced refresh details)
+ */
+function summarizeRefresh(entry, now = Date.now()) {
+  const running = RUNNING_STATUSES.has(entry.status);
+  const start = entry.startTime ? Date.parse(entry.startTime) : null;
+  const end = entry.endTime ? Date.parse(entry.endTime) : running ? now : null;
+  const seconds = start && end ? (end - start) / 1000 : null;
+
+  const summary = {
+    request_id: entry.requestId || null,
+    status: running ? "InProgress" : entry.status,
+    refresh_type: entry.refreshType || entry.type || null,
+    start_time: entry.startTime || null,
+    end_time: running ? null : entry.endTime || null,
+    duration: formatDuration(seconds),
+    duration_seconds: seconds == null ? null : Math.round(seconds),
+  };
+  if (entry.extendedStatus && entry.extendedStatus !== entry.status) summary.extended_status = entry.extendedStatus;
+  if (entry.objects?.length) {
+    summary.objects = entry.objects.map((o) => (o.partition ? `${o.table}/${o.partition}` : o.table));
+  }
+  const error = entry.status === "Failed" ? refreshError(entry) : null;
+  if (error) summary.error = error;
+  return summary;
+}
+
+/**
+ * Refresh history plus the age of the last successful refresh
+ */
+function summarizeHistory(entries, now = Date.now()) {
+  const refreshes = entries.map((e) => summarizeRefresh(e, now));
+  const lastSuccess = refreshes.find((r) => r.status === "Completed");
+  const ageSeconds = lastSuccess?.end_time ? (now - Date.parse(lastSuccess.end_time)) / 1000 : null;
+  const finished = refreshes.filter((r) => r.duration_seconds != null && r.status === "Completed");
+
+  return {
+    last_successful_refresh: lastSuccess
+      ? { end_time: lastSuccess.end_time, age: ageSeconds == null ? null : `${formatDuration(ageSeconds)} ago` }
+      : null,
+    in_progress: refreshes.some((r) => r.status === "InProgress"),
+    failures: refreshes.filter((r) => r.status === "Failed").length,
+    average_duration: finished.length
+      ? formatDuration(finished.reduce((n, r) => n + r.duration_seconds, 0) / finished.length)
+      : null,
+    refreshes,
+  };
+}
+
+/**
+ * Validate and normalize a refresh schedule change into the PATCH
+ * /refreshSchedule body ({ value: {...} }). Only the given fields change.
+ */
+function buildScheduleUpdate({ enabled, days, times, timeZone, notifyOption } = {}) {
+  const value = {};
+
+  if (enabled !== undefined) {
+    if (typeof enabled === "string" && !["true", "false"].includes(enabled)) throw new Error("enabled must be true or false");
+    value.enabled = enabled === true || enabled === "true";
+  }
+
+  if (days !== undefined) {
+    const shortcut = typeof days === "string" ? DAY_SHORTCUTS[days.trim().toLowerCase()] : null;
+    value.days = shortcut || toList(days).map((day) => {
+      const match = DAYS.find((d) => sameName(d, day) || sameName(d.slice(0, 3), day));
+      if (!match) throw new Error(`Unknown day '${day}' — use ${DAYS.join(", ")}, daily, weekdays or weekends`);
+      return match;
+    });
+    value.days = DAYS.filter((d) => value.days.includes(d));
+  }
+
+  if (times !== undefined) {
+    const list = toList(times).map((time) => {
+      const match = String(time).trim().match(/^(\d{1,2}):(\d{2})$/);
+      if (!match || Number(match[1]) > 23 || !["00", "30"].includes(match[2])) {
+        throw new Error(`Invalid time '${time}' — use HH:MM on the hour or half hour, e.g. 07:00 or 18:30`);
+      }
+      return `${match[1].padStart(2, "0")}:${match[2]}`;
+    });
+    value.times = [...new Set(list)].sort();
+    if (value.times.length > MAX_SCHEDULE_TIMES) {
+      throw new Error(`A schedule can have at most ${MAX_SCHEDULE_TIMES} times a day`);
+    }
+  }
+
+  if (timeZone !== undefined) {
+    if (!String(timeZone).trim()) throw new Error("time_zone must be a Windows time zone id, e.g. UTC or Central Europe Standard Time");
+    value.localTimeZoneId = String(timeZone).trim();
+  }
+
+  if (notifyOption !== undefined) {
+    const option = NOTIFY_OPTIONS.find((o) => sameName(o, notifyOption));
+    if (!option) throw new Error(`notify_option must be one of ${NOTIFY_OPTIONS.join(", ")}`);
+    value.notifyOption = option;
+  }
+
+  if (!Object.keys(value).length) {
+    throw new Error("Nothing to change — pass enabled, days, times, time_zone or notify_option");
+  }
+  if (value.enabled && value.days?.length === 0) throw new Error("An enabled schedule needs at least one day");
+  if (value.enabled && value.times?.length === 0) throw new Error("An enabled schedule needs at least one time");
+  return { value };
+}
+
+/**
+ * Chat-sized refresh schedule
+ */
+function summarizeSchedule(schedule) {
+  return {
+    enabled: Boolean(schedule?.enabled),
+    days: schedule?.days || [],
+    times: schedule?.times || [],
+    time_zone: schedule?.localTimeZoneId || null,
+    notify_option: schedule?.notifyOption || null,
+  };
+}
+
+module.exports = {
+  RUNNING_STATUSES,
+  refreshObjects,
+  buildRefreshRequest,
+  refreshRequestId,
+  formatDuration,
+  summarizeRefresh,
+  summarizeHistory,
+  buildScheduleUpdate,
+  summarizeSchedule,
+};
@@ -0,0 +1,303 @@
+/**
+ * Report quality checks
+ *
+ * Checks a decoded PBIR definition — an existing report or a compiled
+ * report spec — against the VISUALIZATION GUIDELINES in agent-config.json:
+ * busy pages, overlapping or off-canvas visuals, visuals without titles,
+ * mixed fonts and hard-coded colors, pages without slicers, a first page
+ * without KPIs, bar charts over dates and pages that do not fit the phone
+ * layout. Every finding names the guideline it checks.
+ */
+
+const { listPages } = require("./report-definition");
+const { visualTitle, unwrapField } = require("./report-validator");
+
+const SEVERITIES = ["error", "warning", "info"];
+const DEFAULT_PAGE_WIDTH = 1280;
+const DEFAULT_PAGE_HEIGHT = 720;
+const MAX_VISUALS_PER_PAGE = 8;
+const MAX_FONTS = 2;
+const MAX_COLORS = 6;
+const MIN_VISUALS_FOR_SLICER = 3;
+const OVERLAP_TOLERANCE = 4;
+// Width of the Power BI phone layout canvas
+const MOBILE_CANVAS_WIDTH = 320;
+
+// Lines of the VISUALIZATION GUIDELINES list in agent-config.json
+const GUIDELINES = {
+  trends: "Line charts for trends over time",
+  kpis: "Always include a title page with key KPIs",
+  slicers: "Slicers for interactive filtering",
+  colors: "Use consistent color scheme",
+  fonts: `Use at most ${MAX_FONTS} fonts across the report`,
+  mobile: "Ensure mobile-responsive layout where possible",
+  focus: `Keep pages focused: at most ${MAX_VISUALS_PER_PAGE} visuals per page`,
+  layout: "Keep visuals inside the page and do not overlap them",
+  titles: "Give every chart and table a title",
+};
+
+const DECORATIVE_TYPES = new Set(["textbox", "shape", "basicShape", "image", "actionButton", "pageNavigator", "bookmarkNavigator"]);
+const BACKGROUND_TYPES = new Set(["shape", "basicShape", "image"]);
+const SLICER_TYPES = new Set(["slicer", "advancedSlicerVisual", "listSlicer", "textSlicer"]);
+const KPI_TYPES = new Set(["card", "cardVisual", "multiRowCard", "kpi", "gauge"]);
+const BAR_CHART_TYPES = new Set([
+  "clusteredBarChart",
+  "clusteredColumnChart",
+  "barChart",
+  "columnChart",
+  "hundredPercentStackedBarChart",
+  "hundredPercentStackedColumnChart",
+]);
+
+const visualType = (doc) => doc?.visual?.visualType || (doc?.visualGroup ? "group" : "unknown");
+const isDataVisual = (type) => type !== "group" && !DECORATIVE_TYPES.has(type) && !SLICER_TYPES.has(type);
+
+/**
+ * Text of a Literal expression ('text' → text)
+ */
+function literalText(value) {
+  const raw = value?.expr?.Literal?.Value;
+  return typeof raw === "string" ? raw.replace(/^'|'$/g, "").replace(/''/g, "'") : null;
+}
+
+/**
+ * Fonts and hard-coded hex colors set in a visual's formatting objects
+ */
+function collectStyles(node, found = { fonts: [], colors: [] }) {
+  if (!node || typeof node !== "object") return found;
+  if (Array.isArray(node)) {
+    node.forEach((item) => collectStyles(item, found));
+    return found;
+  }
+  for (const [key, value] of Object.entries(node)) {
+    const text = typeof value === "string" ? value : literalText(value);
+    if (key === "fontFamily" && text) {
+      // Font lists such as "'Segoe UI', wf_segoe-ui_normal, helvetica" fall back in order
+      found.fonts.push(text.split(",")[0].trim().replace(/^['"]|['"]$/g, ""));
+    } else if ((key === "color" || key === "fontColor") && text && /^#[0-9a-f]{3,8}$/i.test(text)) {
+      found.colors.push(text.toUpperCase());
+    } else if (typeof value === "object") {
+      collectStyles(value, found);
+    }
+  }
+  return found;
+}
+
+/**
+ * Hex colors defined by a custom theme (StaticResources/RegisteredResources)
+ */
+function themeColors(parts) {
+  const colors = new Set();
+  const walk = (node) => {
+    if (typeof node === "string") {
+      if (/^#[0-9a-f]{3,8}$/i.test(node)) colors.add(node.toUpperCase());
+    } else if (node && typeof node === "object") {
+      Object.values(node).forEach(walk);
+    }
+  };
+  for (const part of parts) {
+    if (/^StaticResources\/RegisteredResources\/[^/]+\.json$/.test(part.path) && part.content?.dataColors) {
+      walk(part.content);
+    }
+  }
+  return colors;
+}
+
+/**
+ * Phone layout positions: page id → [{ id, position }]
+ */
+function mobileLayouts(parts) {
+  const layouts = new Map();
+  for (const part of parts) {
+    const match = part.path.match(/^definition\/pages\/([^/]+)\/visuals\/([^/]+)\/mobile\.json$/);
+    if (!match || !part.content?.position) continue;
+    if (!layouts.has(match[1])) layouts.set(match[1], []);
+    layouts.get(match[1]).push({ id: match[2], position: part.content.position });
+  }
+  return layouts;
+}
+
+/**
+ * True when a category field is a date: a dateTime column, any column of
+ * a date table, or a date hierarchy level
+ */
+function isDateField(field, schema) {
+  if (!field) return false;
+  if (field.kind === "hierarchy") return /date/i.test(field.name || "");
+  const table = schema?.tables.find((t) => t.name.toLowerCase() === String(field.table).toLowerCase());
+  if (!table) return false;
+  if (table.isDateTable) return true;
+  const column = table.columns.find((c) => c.name.toLowerCase() === String(field.name).toLowerCase());
+  return column?.dataType === "dateTime";
+}
+
+function overlaps(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return width > OVERLAP_TOLERANCE && height > OVERLAP_TOLERANCE;
+}
+
+/**
+ * Check a decoded report definition against the visualization guidelines.
+ *
+ * @param {Array} parts - decodeDefinitionParts() or compileReportSpec() output
+ * @param {object} [options]
+ * @param {object} [options.schema] - parsed semantic model, enables the date checks
+ * @param {string} [options.minSeverity] - drop findings below this severity
+ * @returns {{ pages: number, visuals: number, summary: object,
+ *   findings: { error: Array, warning: Array, info: Array } }}
+ */
+function analyzeReportParts(parts, { schema = null, minSeverity = "info" } = {}) {
+  if (!SEVERITIES.includes(minSeverity)) {
+    throw new Error(`min_severity must be one of ${SEVERITIES.join(", ")}`);
+  }
+  const pages = listPages(parts);
+  const layouts = mobileLayouts(parts);
+  const findings = [];
+  const add = (severity, check, location, message) =>
+    findings.push({ severity, check, guideline: GUIDELINES[check], location, message });
+
+  const fonts = new Map();
+  const colors = new Map();
+  let visualCount = 0;
+  let slicerCount = 0;
+
+  pages.forEach((page, pageIndex) => {
+    const pageWidth = page.part.content?.width || DEFAULT_PAGE_WIDTH;
+    const pageHeight = page.part.content?.height || DEFAULT_PAGE_HEIGHT;
+    const pageLocation = `page '${page.displayName}'`;
+    const visuals = page.visuals
+      .filter((v) => v.doc && !v.doc.isHidden)
+      .map((v) => ({
+        ...v,
+        type: visualType(v.doc),
+        title: visualTitle(v.doc),
+        position: v.doc.position || null,
+      }));
+    const label = (v) => `${pageLocation} › visual '${v.title || v.id}'`;
+    const data = visuals.filter((v) => isDataVisual(v.type));
+    visualCount += visuals.filter((v) => v.type !== "group").length;
+    slicerCount += visuals.filter((v) => SLICER_TYPES.has(v.type)).length;
+
+    if (data.length > MAX_VISUALS_PER_PAGE) {
+      add("warning", "focus", pageLocation,
+        `${data.length} charts, tables and cards on one page — split the page or move details to a drill-through page`);
+    }
+
+    for (const v of visuals) {
+      if (v.type === "group" || !v.position) continue;
+      const { x, y, width, height } = v.position;
+      if (x < 0 || y < 0 || x + width > pageWidth + 1 || y + height > pageHeight + 1) {
+        add("error", "layout", label(v),
+          `Visual at ${Math.round(x)},${Math.round(y)} (${Math.round(width)}×${Math.round(height)}) is outside the ` +
+          `${pageWidth}×${pageHeight} page, so part of it is cut off`);
+      }
+    }
+
+    const placed = visuals.filter((v) => v.type !== "group" && v.position && !BACKGROUND_TYPES.has(v.type));
+    for (let i = 0; i < placed.length; i++) {
+      for (let j = i + 1; j < placed.length; j++) {
+        if (!overlaps(placed[i].position, placed[j].position)) continue;
+        add("warning", "layout", label(placed[i]), `Overlaps visual '${placed[j].title || placed[j].id}'`);
+      }
+    }
+
+    for (const v of data) {
+      if (KPI_TYPES.has(v.type)) continue;
+      const show = literalText(v.doc.visual?.visualContainerObjects?.title?.[0]?.properties?.show);
+      if (show === "false") {
+        add("warning", "titles", label(v), "The title is turned off");
+      } else if (!v.title) {
+        add("warning", "titles", label(v),
+          `${v.type} has no title — Power BI shows a generated one such as "Sales by Category", or nothing`);
+      }
+    }
+
+    for (const v of visuals) {
+      const styles = collectStyles([v.doc.visual?.objects, v.doc.visual?.visualContainerObjects]);
+      for (const font of styles.fonts) {
+        if (!fonts.has(font.toLowerCase())) fonts.set(font.toLowerCase(), { name: font, visuals: new Set() });
+        fonts.get(font.toLowerCase()).visuals.add(label(v));
+      }
+      for (const color of styles.colors) {
+        if (!colors.has(color)) colors.set(color, new Set());
+        colors.get(color).add(label(v));
+      }
+    }
+
+    if (data.length >= MIN_VISUALS_FOR_SLICER && !visuals.some((v) => SLICER_TYPES.has(v.type))) {
+      add("info", "slicers", pageLocation, `${data.length} visuals but no slicer — add one for the main dimension or date`);
+    }
+
+    if (pageIndex === 0 && data.length && !data.some((v) => KPI_TYPES.has(v.type))) {
+      add("warning", "kpis", pageLocation, "The first page has no cards or KPIs for the key numbers");
+    }
+
+    if (schema) {
+      for (const v of data) {
+        if (!BAR_CHART_TYPES.has(v.type)) continue;
+        const category = v.doc.visual?.query?.queryState?.Category?.projections || [];
+        if (category.some((p) => isDateField(unwrapField(p.field), schema))) {
+          add("info", "trends", label(v), `${v.type} over dates — a line chart shows the trend better`);
+        }
+      }
+    }
+
+    const mobile = layouts.get(page.id);
+    if (!mobile) {
+      if (data.length) {
+        add("info", "mobile", pageLocation,
+          `No phone layout — the Power BI app shows the ${pageWidth}×${pageHeight} page scaled to the screen width`);
+      }
+    } else {
+      for (const { id, position } of mobile) {
+        if (position.x < 0 || position.x + position.width > MOBILE_CANVAS_WIDTH + 1) {
+          const v = visuals.find((item) => item.id === id);
+          add("warning", "mobile", v ? label(v) : `${pageLocation} › visual '${id}'`,
+            `Phone layout position is wider than the ${MOBILE_CANVAS_WIDTH} px phone canvas`);
+        }
+      }
+      const placedOnPhone = new Set(mobile.map((m) => m.id));
+      for (const v of visuals) {
+        if (v.type === "group" || DECORATIVE_TYPES.has(v.type) || placedOnPhone.has(v.id)) continue;
+        add("warning", "mobile", label(v), "Missing from the phone layout — the Power BI app does not show it on phones");
+      }
+    }
+  });
+
+  if (fonts.size > MAX_FONTS) {
+    const list = [...fonts.values()].map((f) => `${f.name} (${f.visuals.size} visual(s))`);
+    add("info", "fonts", "report", `${fonts.size} fonts are used: ${list.join(", ")} — set fonts in the theme instead`);
+  }
+
+  const theme = themeColors(parts);
+  const offTheme = theme.size ? [...colors.keys()].filter((c) => !theme.has(c)) : [];
+  if (offTheme.length) {
+    add("warning", "colors", "report",
+      `${offTheme.length} hard-coded color(s) are not in the report theme: ${offTheme.join(", ")}`);
+  } else if (!theme.size && colors.size > MAX_COLORS) {
+    add("warning", "colors", "report",
+      `${colors.size} different hard-coded colors (${[...colors.keys()].join(", ")}) — use theme colors instead`);
+  }
+
+  if (visualCount && !slicerCount) {
+    add("warning", "slicers", "report", "The report has no slicers, so viewers cannot filter it");
+  }
+
+  const grouped = { error: [], warning: [], info: [] };
+  const limit = SEVERITIES.indexOf(minSeverity);
+  for (const { severity, ...finding } of findings) {
+    if (SEVERITIES.indexOf(severity) <= limit) grouped[severity].push(finding);
+  }
+  return {
+    pages: pages.length,
+    visuals: visualCount,
+    summary: { errors: grouped.error.length, warnings: grouped.warning.length, info: grouped.info.length },
+    findings: grouped,
+  };
+}
+
+module.exports = {
+  analyzeReportParts,
+  GUIDELINES,
+};
@@ -0,0 +1,305 @@
+/**
+ * PBIR report definition helpers
+ *
+ * Decodes the parts returned by the reports getDefinition API, summarizes
+ * them for chat (pages → visuals → field bindings) and applies edit
+ * operations before the parts are pushed back with updateDefinition.
+ */
+
+const { decodePart } = require("./semantic-model-parser");
+const { compilePage, compileVisualPart, literal, stableId } = require("./report-spec-compiler");
+const { visualTitle, unwrapField } = require("./report-validator");
+
+const PAGES_JSON = "definition/pages/pages.json";
+const MARGIN = 20;
+
+/**
+ * Decode getDefinition parts. JSON parts (.json, .pbir, .pbism, .platform)
+ * get a parsed `content`; other parts keep their original base64 payload.
+ */
+function decodeDefinitionParts(parts) {
+  return (parts || []).map((part) => {
+    if (!/\.(json|pbir|pbism|platform)$/.test(part.path)) {
+      return { path: part.path, payload: part.payload };
+    }
+    const text = decodePart(part);
+    try {
+      return { path: part.path, content: JSON.parse(text) };
+    } catch {
+      return { path: part.path, content: text };
+    }
+  });
+}
+
+/**
+ * Re-encode decoded parts for updateDefinition / create
+ */
+function encodeDefinitionParts(parts) {
+  return parts.map((part) => {
+    if (part.content === undefined) {
+      return { path: part.path, payload: part.payload, payloadType: "InlineBase64" };
+    }
+    const text = typeof part.content === "string" ? part.content : JSON.stringify(part.content, null, 2);
+    return { path: part.path, payload: Buffer.from(text).toString("base64"), payloadType: "InlineBase64" };
+  });
+}
+
+/**
+ * Throw unless the definition is in PBIR folder format
+ */
+function assertPbirFormat(parts) {
+  if (!parts.some((p) => p.path === "definition/report.json")) {
+    throw new Error(
+      "This report uses the legacy report.json format and cannot be edited part by part. " +
+      "Open it once in Power BI Desktop with the PBIR preview enabled and republish, or recreate it with create_report."
+    );
+  }
+}
+
+/**
+ * Ordered page list: [{ id, displayName, page, visuals: [{ id, doc, part }] }]
+ */
+function listPages(parts) {
+  const pagesMeta = parts.find((p) => p.path === PAGES_JSON)?.content || {};
+  const pages = new Map();
+
+  for (const part of parts) {
+    const pageMatch = part.path.match(/^definition\/pages\/([^/]+)\/page\.json$/);
+    if (pageMatch) {
+      pages.set(pageMatch[1], {
+        id: pageMatch[1],
+        displayName: part.content?.displayName || pageMatch[1],
+        part,
+        visuals: [],
+      });
+    }
+  }
+  for (const part of parts) {
+    const visualMatch = part.path.match(/^definition\/pages\/([^/]+)\/visuals\/([^/]+)\/visual\.json$/);
+    if (visualMatch && pages.has(visualMatch[1])) {
+      pages.get(visualMatch[1]).visuals.push({ id: visualMatch[2], doc: part.content, part });
+    }
+  }
+
+  const order = pagesMeta.pageOrder || [];
+  return [...pages.values()].sort((a, b) => {
+    const ia = order.indexOf(a.id);
+    const ib = order.indexOf(b.id);
+    return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib);
+  });
+}
+
+/**
+ * Describe a visual's field bindings as { role: ["Table[Field]", ...] }
+ */
+function visualFields(doc) {
+  const fields = {};
+  const queryState = doc?.visual?.query?.queryState || {};
+  for (const [role, state] of Object.entries(queryState)) {
+    fields[role] = (state.projections || []).map((p) => {
+      const field = unwrapField(p.field);
+      if (!field) return p.queryRef || "?";
+      const ref = `${field.table}[${field.name}]`;
+      return p.field.Aggregation ? p.queryRef || ref : ref;
+    });
+  }
+  return fields;
+}
+
+/**
+ * Chat-sized summary of a decoded report definition
+ */
+function summarizeReportParts(parts) {
+  const pbir = parts.find((p) => p.path === "definition.pbir")?.content;
+  const byConnection = pbir?.datasetReference?.byConnection;
+
+  return {
+    format: parts.some((p) => p.path === "definition/report.json") ? "PBIR" : "PBIR-Legacy",
+    semantic_model_id: byConnection?.pbiModelDatabaseName || null,
+    dataset_reference: byConnection ? "byConnection" : pbir?.datasetReference?.byPath ? "byPath" : null,
+    pages: listPages(parts).map((page) => ({
+      name: page.displayName,
+      id: page.id,
+      visuals: page.visuals.map((v) => ({
+        id: v.id,
+        type: v.doc?.visual?.visualType || (v.doc?.visualGroup ? "group" : "unknown"),
+        title: visualTitle(v.doc || {}) || undefined,
+        fields: visualFields(v.doc),
+      })),
+    })),
+    part_count: parts.length,
+  };
+}
+
+/**
+ * Find a page by display name or id (case-insensitive display name)
+ */
+function findPage(pages, ref) {
+  if (!ref) throw new Error("Change needs a 'page' (display name or id)");
+  const page =
+    pages.find((p) => p.id === ref) ||
+    pages.find((p) => p.displayName.toLowerCase() === String(ref).toLowerCase());
+  if (!page) {
+    throw new Error(`Page '${ref}' not found. Pages: ${pages.map((p) => p.displayName).join(", ")}`);
+  }
+  return page;
+}
+
+/**
+ * Find a visual on a page by title or id
+ */
+function findVisual(page, ref) {
+  if (!ref) throw new Error("Change needs a 'visual' (title or id)");
+  const visual =
+    page.visuals.find((v) => v.id === ref) ||
+    page.visuals.find((v) => (visualTitle(v.doc || {}) || "").toLowerCase() === String(ref).toLowerCase());
+  if (!visual) {
+    const titles = page.visuals.map((v) => visualTitle(v.doc || {}) || v.id);
+    throw new Error(`Visual '${ref}' not found on page '${page.displayName}'. Visuals: ${titles.join(", ")}`);
+  }
+  return visual;
+}
+
+/**
+ * Apply a list of edit operations to decoded parts (returns new parts).
+ *
+ * Supported ops: add_page, remove_page, rename_page, add_visual,
+ * remove_visual, set_title.
+ */
+function applyReportChanges(inputParts, changes, { schema = null } = {}) {
+  assertPbirFormat(inputParts);
+  if (!Array.isArray(changes) || changes.length === 0) {
+    throw new Error("changes must be a non-empty array");
+  }
+
+  let parts = inputParts.map((p) => ({ ...p }));
+  const applied = [];
+
+  const pagesMeta = () => {
+    let meta = parts.find((p) => p.path === PAGES_JSON);
+    if (!meta) {
+      meta = { path: PAGES_JSON, content: { pageOrder: [] } };
+      parts.push(meta);
+    }
+    meta.content = { ...meta.content, pageOrder: [...(meta.content.pageOrder || [])] };
+    return meta.content;
+  };
+
+  for (const change of changes) {
+    const pages = listPages(parts);
+
+    switch (change.op) {
+      case "add_page": {
+        if (!change.page || typeof change.page !== "object") {
+          throw new Error("add_page needs a 'page' object in report spec format");
+        }
+        let compiled = compilePage(change.page, pages.length, { schema });
+        if (pages.some((p) => p.id === compiled.pageId)) {
+          const id = stableId(`page:${Date.now()}:${change.page.name}`);
+          compiled = compilePage({ ...change.page, id }, pages.length, { schema });
+        }
+        parts.push(...compiled.parts);
+        pagesMeta().pageOrder.push(compiled.pageId);
+        const visualCount = compiled.parts.filter((p) => p.path.endsWith("/visual.json")).length;
+        applied.push(`Added page '${change.page.name}' with ${visualCount} visual(s)`);
+        break;
+      }
+
+      case "remove_page": {
+        const page = findPage(pages, change.page);
+        if (pages.length === 1) throw new Error("Cannot remove the only page of a report");
+        const prefix = `definition/pages/${page.id}/`;
+        parts = parts.filter((p) => !p.path.startsWith(prefix));
+        const meta = pagesMeta();
+        meta.pageOrder = meta.pageOrder.filter((id) => id !== page.id);
+        if (meta.activePageName === page.id) meta.activePageName = meta.pageOrder[0];
+        applied.push(`Removed page '${page.displayName}'`);
+        break;
+      }
+
+      case "rename_page": {
+        const page = findPage(pages, change.page);
+        if (!change.name) throw new Error("rename_page needs a new 'name'");
+        page.part.content = { ...page.part.content, displayName: change.name };
+        applied.push(`Renamed page '${page.displayName}' to '${change.name}'`);
+        break;
+      }
+
+      case "add_visual": {
+        const page = findPage(pages, change.page);
+        if (!change.visual || typeof change.visual !== "object") {
+          throw new Error("add_visual needs a 'visual' object in report spec format");
+        }
+        const bottom = page.visuals.reduce(
+          (max, v) => Math.max(max, (v.doc?.position?.y || 0) + (v.doc?.position?.height || 0)),
+          0
+        );
+        // Extend the phone layout when the page has one (or no visuals yet)
+        const mobileLayout = parts
+          .filter((p) => p.path.startsWith(`definition/pages/${page.id}/visuals/`) && p.path.endsWith("/mobile.json"))
+          .map((p) => p.content?.position || {});
+        const options = {
+          pageId: page.id,
+          index: page.visuals.length,
+          pageWidth: page.part.content?.width,
+          startY: bottom + MARGIN,
+          schema,
+          mobileLayout: mobileLayout.length || !page.visuals.length ? mobileLayout : null,
+        };
+        let compiled = compileVisualPart(change.visual, options);
+        if (page.visuals.some((v) => v.id === compiled.name)) {
+          compiled = compileVisualPart({ ...change.visual, id: stableId(`visual:${page.id}:${Date.now()}`) }, options);
+        }
+        parts.push(...compiled.parts);
+        const [{ content: doc }] = compiled.parts;
+        applied.push(`Added ${doc.visual.visualType} '${change.visual.title || doc.name}' to page '${page.displayName}'`);
+        break;
+      }
+
+      case "remove_visual": {
+        const page = findPage(pages, change.page);
+        const visual = findVisual(page, change.visual);
+        const prefix = `definition/pages/${page.id}/visuals/${visual.id}/`;
+        parts = parts.filter((p) => !p.path.startsWith(prefix));
+        applied.push(`Removed visual '${visualTitle(visual.doc || {}) || visual.id}' from page '${page.displayName}'`);
+        break;
+      }
+
+      case "set_title": {
+        const page = findPage(pages, change.page);
+        const visual = findVisual(page, change.visual);
+        if (typeof change.title !== "string") throw new Error("set_title needs a 'title' string");
+        const doc = JSON.parse(JSON.stringify(visual.doc));
+        doc.visual = doc.visual || {};
+        doc.visual.visualContainerObjects = {
+          ...(doc.visual.visualContainerObjects || {}),
+          title: [{
+            properties: {
+              show: { expr: literal(true) },
+              text: { expr: literal(change.title) },
+            },
+          }],
+        };
+        visual.part.content = doc;
+        applied.push(`Set title of '${visualTitle(visual.doc || {}) || visual.id}' on page '${page.displayName}' to '${change.title}'`);
+        break;
+      }
+
+      default:
+        throw new Error(
+          `Unknown change op '${change.op}'. Use add_page, remove_page, rename_page, add_visual, remove_visual or set_title`
+        );
+    }
+  }
+
+  return { parts, applied };
+}
+
+module.exports = {
+  decodeDefinitionParts,
+  encodeDefinitionParts,
+  summarizeReportParts,
+  applyReportChanges,
+  listPages,
+  visualFields,
+};
@@ -0,0 +1,225 @@
+/**
+ * Structural report diff
+ *
+ * Compares two decoded PBIR definitions at page, visual, field-binding and
+ * filter level and returns a human-readable changelog, e.g.
+ * "page Sales: visual 'Revenue by Region' changed measure Sales[X] → Sales[Y] in Y".
+ */
+
+const { listPages } = require("./report-definition");
+const { visualTitle, unwrapField } = require("./report-validator");
+
+/**
+ * Describe a field expression as "measure Sales[Total]" / "column Geo[Region]"
+ */
+function describeField(expr, aliases = {}) {
+  const field = unwrapField(expr);
+  if (!field) return "unknown field";
+  const table = field.table || aliases[field.source] || "?";
+  if (field.kind === "hierarchy") return `hierarchy ${table}[${field.name}].${field.level}`;
+  const prefix = expr.Aggregation ? "aggregated column" : field.kind;
+  return `${prefix} ${table}[${field.name}]`;
+}
+
+/**
+ * Render a PBIR literal for display
+ */
+function literalText(node) {
+  const value = node?.Literal?.Value;
+  if (value === undefined) return "?";
+  return value.replace(/^'(.*)'$/, "$1").replace(/^datetime'(.*)'$/, "$1").replace(/[LDM]$/, "");
+}
+
+/**
+ * One-line description of a filter: "column Product[Category] in (Bikes, Helmets)"
+ */
+function describeFilter(filter) {
+  const aliases = {};
+  for (const from of filter.filter?.From || []) aliases[from.Name] = from.Entity;
+  const target = filter.field ? describeField(filter.field) : "filter";
+  const condition = filter.filter?.Where?.[0]?.Condition;
+  if (condition?.In) {
+    const values = (condition.In.Values || []).map((row) => row.map(literalText).join("/"));
+    return `${target} in (${values.join(", ")})`;
+  }
+  if (condition?.Comparison) {
+    const ops = ["=", ">", ">=", "<", "<="];
+    return `${target} ${ops[condition.Comparison.ComparisonKind] || "?"} ${literalText(condition.Comparison.Right)}`;
+  }
+  if (condition?.Not) return `${target} (excluding values)`;
+  return condition ? `${target} (custom condition)` : `${target} (no condition)`;
+}
+
+/**
+ * Compare two filter lists keyed by filter target
+ */
+function diffFilters(before = [], after = [], scope, changes) {
+  const key = (f) => (f.field ? describeField(f.field) : f.name);
+  const oldMap = new Map(before.map((f) => [key(f), f]));
+  const newMap = new Map(after.map((f) => [key(f), f]));
+
+  for (const [k, f] of newMap) {
+    if (!oldMap.has(k)) changes.push(`${scope}: added filter ${describeFilter(f)}`);
+    else if (describeFilter(oldMap.get(k)) !== describeFilter(f)) {
+      changes.push(`${scope}: filter changed ${describeFilter(oldMap.get(k))} → ${describeFilter(f)}`);
+    }
+  }
+  for (const [k, f] of oldMap) {
+    if (!newMap.has(k)) changes.push(`${scope}: removed filter ${describeFilter(f)}`);
+  }
+}
+
+/**
+ * Field bindings per role: { role: ["measure Sales[X]", ...] }
+ */
+function bindings(doc) {
+  const result = {};
+  for (const [role, state] of Object.entries(doc?.visual?.query?.queryState || {})) {
+    result[role] = (state.projections || []).map((p) => describeField(p.field));
+  }
+  return result;
+}
+
+/**
+ * Compare the field bindings of two matched visuals
+ */
+function diffBindings(before, after, scope, changes) {
+  const roles = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const role of roles) {
+    const removed = (before[role] || []).filter((f) => !(after[role] || []).includes(f));
+    const added = (after[role] || []).filter((f) => !(before[role] || []).includes(f));
+
+    // Pair removals with additions as in-place replacements
+    const pairs = Math.min(removed.length, added.length);
+    for (let i = 0; i < pairs; i++) {
+      const oldKind = removed[i].split(" ")[0];
+      const newKind = added[i].split(" ")[0];
+      const label = oldKind === newKind ? oldKind : "field";
+      const strip = (s) => (label === "field" ? s : s.substring(label.length + 1));
+      changes.push(`${scope} changed ${label} ${strip(removed[i])} → ${strip(added[i])} in ${role}`);
+    }
+    for (const f of removed.slice(pairs)) changes.push(`${scope} removed ${f} from ${role}`);
+    for (const f of added.slice(pairs)) changes.push(`${scope} added ${f} to ${role}`);
+  }
+}
+
+/**
+ * Match items by id first, then by a secondary key (display name / title)
+ */
+function matchItems(before, after, secondaryKey) {
+  const pairs = [];
+  const unmatchedAfter = new Set(after);
+  const unmatchedBefore = [];
+
+  for (const item of before) {
+    const same = after.find((a) => a.id === item.id && unmatchedAfter.has(a));
+    if (same) {
+      pairs.push([item, same]);
+      unmatchedAfter.delete(same);
+    } else {
+      unmatchedBefore.push(item);
+    }
+  }
+
+  const stillBefore = [];
+  for (const item of unmatchedBefore) {
+    const key = secondaryKey(item);
+    const same = key ? [...unmatchedAfter].find((a) => secondaryKey(a) === key) : null;
+    if (same) {
+      pairs.push([item, same]);
+      unmatchedAfter.delete(same);
+    } else {
+      stillBefore.push(item);
+    }
+  }
+
+  return { pairs, removed: stillBefore, added: [...unmatchedAfter] };
+}
+
+function visualLabel(v) {
+  return visualTitle(v.doc || {}) || `${v.doc?.visual?.visualType || "visual"} ${v.id}`;
+}
+
+/**
+ * Diff two decoded PBIR definitions
+ *
+ * @returns {{ changes: string[], summary: object }}
+ */
+function diffReportParts(beforeParts, afterParts) {
+  const changes = [];
+  const reportBefore = beforeParts.find((p) => p.path === "definition/report.json")?.content || {};
+  const reportAfter = afterParts.find((p) => p.path === "definition/report.json")?.content || {};
+
+  diffFilters(reportBefore.filterConfig?.filters, reportAfter.filterConfig?.filters, "report", changes);
+
+  const pages = matchItems(listPages(beforeParts), listPages(afterParts), (p) => p.displayName.toLowerCase());
+  const summary = {
+    pages_added: pages.added.length,
+    pages_removed: pages.removed.length,
+    visuals_added: 0,
+    visuals_removed: 0,
+    visuals_changed: 0,
+  };
+
+  for (const page of pages.added) {
+    changes.push(`added page '${page.displayName}' with ${page.visuals.length} visual(s)`);
+    summary.visuals_added += page.visuals.length;
+  }
+  for (const page of pages.removed) {
+    changes.push(`removed page '${page.displayName}' (${page.visuals.length} visual(s))`);
+    summary.visuals_removed += page.visuals.length;
+  }
+
+  for (const [oldPage, newPage] of pages.pairs) {
+    const scope = `page ${newPage.displayName}`;
+    if (oldPage.displayName !== newPage.displayName) {
+      changes.push(`page ${oldPage.displayName}: renamed to '${newPage.displayName}'`);
+    }
+    const oldDoc = oldPage.part.content || {};
+    const newDoc = newPage.part.content || {};
+    if (oldDoc.width !== newDoc.width || oldDoc.height !== newDoc.height) {
+      changes.push(`${scope}: page size ${oldDoc.width}×${oldDoc.height} → ${newDoc.width}×${newDoc.height}`);
+    }
+    diffFilters(oldDoc.filterConfig?.filters, newDoc.filterConfig?.filters, scope, changes);
+
+    const visuals = matchItems(oldPage.visuals, newPage.visuals, (v) => visualTitle(v.doc || {})?.toLowerCase());
+    for (const v of visuals.added) {
+      changes.push(`${scope}: added ${v.doc?.visual?.visualType || "visual"} '${visualLabel(v)}'`);
+      summary.visuals_added++;
+    }
+    for (const v of visuals.removed) {
+      changes.push(`${scope}: removed visual '${visualLabel(v)}'`);
+      summary.visuals_removed++;
+    }
+
+    for (const [oldVisual, newVisual] of visuals.pairs) {
+      const before = changes.length;
+      const label = `${scope}: visual '${visualLabel(oldVisual)}'`;
+      const oldType = oldVisual.doc?.visual?.visualType;
+      const newType = newVisual.doc?.visual?.visualType;
+      if (oldType !== newType) changes.push(`${label} changed type ${oldType} → ${newType}`);
+
+      const oldTitle = visualTitle(oldVisual.doc || {});
+      const newTitle = visualTitle(newVisual.doc || {});
+      if (oldTitle !== newTitle) changes.push(`${label} retitled '${oldTitle || ""}' → '${newTitle || ""}'`);
+
+      const a = oldVisual.doc?.position || {};
+      const b = newVisual.doc?.position || {};
+      if (a.x !== b.x || a.y !== b.y) changes.push(`${label} moved (${a.x}, ${a.y}) → (${b.x}, ${b.y})`);
+      if (a.width !== b.width || a.height !== b.height) {
+        changes.push(`${label} resized ${a.width}×${a.height} → ${b.width}×${b.height}`);
+      }
+
+      diffBindings(bindings(oldVisual.doc), bindings(newVisual.doc), label, changes);
+      diffFilters(oldVisual.doc?.filterConfig?.filters, newVisual.doc?.filterConfig?.filters, label, changes);
+      if (changes.length > before) summary.visuals_changed++;
+    }
+  }
+
+  return { identical: changes.length === 0, summary, changes };
+}
+
+module.exports = {
+  diffReportParts,
+  describeFilter,
+};
@@ -0,0 +1,152 @@
+/**
+ * Report export helpers
+ *
+ * Builds the body of the Power BI ExportTo API (format, pages, bookmark,
+ * report-level filters) from chat-friendly input: page and bookmark display
+ * names and filters in the report spec format.
+ */
+
+const { parseFieldRef } = require("./report-spec-compiler");
+const { suggest } = require("./report-validator");
+const { toList } = require("../shared/params");
+
+const EXPORT_FORMATS = ["PDF", "PNG", "PPTX"];
+const MIME_TYPES = {
+  pdf: "application/pdf",
+  png: "image/png",
+  pptx: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  zip: "application/zip",
+};
+const FILTER_OPERATORS = { "=": "eq", "<>": "ne", "!=": "ne", ">": "gt", ">=": "ge", "<": "lt", "<=": "le" };
+
+const sameName = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+/**
+ * Normalize the export format (case-insensitive)
+ */
+function exportFormat(format = "PDF") {
+  const match = EXPORT_FORMATS.find((f) => sameName(f, format));
+  if (!match) throw new Error(`format must be one of ${EXPORT_FORMATS.join(", ")}`);
+  return match;
+}
+
+/**
+ * Map page display names (or page names) to the page names ExportTo expects
+ *
+ * @param {Array|string} requested
+ * @param {Array<{ name: string, displayName: string }>} pages - Power BI pages API
+ */
+function resolveExportPages(requested, pages) {
+  return toList(requested).map((ref) => {
+    const page = pages.find((p) => sameName(p.displayName, ref) || sameName(p.name, ref));
+    if (!page) {
+      const names = pages.map((p) => p.displayName);
+      const hint = suggest(String(ref), names);
+      throw new Error(
+        `Page '${ref}' not found in the report — ${hint.length ? `did you mean ${hint.join(", ")}?` : `pages: ${names.join(", ")}`}`
+      );
+    }
+    return page.name;
+  });
+}
+
+/**
+ * Find a bookmark by display name or name in decoded PBIR parts
+ * (definition/bookmarks/{name}.bookmark.json)
+ */
+function resolveBookmark(ref, parts) {
+  const bookmarks = parts
+    .filter((p) => /^definition\/bookmarks\/[^/]+\.bookmark\.json$/.test(p.path) && p.content)
+    .map((p) => ({ name: p.content.name || p.path.split("/").pop().replace(/\.bookmark\.json$/, ""), displayName: p.content.displayName }));
+  const bookmark = bookmarks.find((b) => sameName(b.displayName || b.name, ref) || sameName(b.name, ref));
+  if (!bookmark) {
+    if (!bookmarks.length) throw new Error(`Bookmark '${ref}' not found — the report has no bookmarks`);
+    const names = bookmarks.map((b) => b.displayName || b.name);
+    const hint = suggest(String(ref), names);
+    throw new Error(
+      `Bookmark '${ref}' not found — ${hint.length ? `did you mean ${hint.join(", ")}?` : `bookmarks: ${names.join(", ")}`}`
+    );
+  }
+  return bookmark.name;
+}
+
+/**
+ * Escape a table or column name for an ExportTo filter (space → _x0020_)
+ */
+function escapeName(name) {
+  return String(name).replace(/[^A-Za-z0-9_]/g, (c) => `_x${c.charCodeAt(0).toString(16).toUpperCase().padStart(4, "0")}_`);
+}
+
+function filterValue(value) {
+  if (typeof value === "number" || typeof value === "boolean") return String(value);
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * One ExportTo filter expression from a spec-style filter
+ * ({ field, values } or { field, operator, value }) or a raw filter string
+ */
+function exportFilterExpression(filter) {
+  if (typeof filter === "string") return filter.trim();
+  if (!filter || typeof filter !== "object" || !filter.field) {
+    throw new Error(`Invalid filter ${JSON.stringify(filter)} — use { "field": "Table[Column]", "values": [...] }`);
+  }
+  const field = parseFieldRef(filter.field);
+  if (field.kind !== "column" || field.aggregation != null) {
+    throw new Error(`Filter field '${filter.field}' must be a column (Table[Column])`);
+  }
+  const target = `${escapeName(field.table)}/${escapeName(field.name)}`;
+
+  if (filter.values !== undefined) {
+    const values = Array.isArray(filter.values) ? filter.values : [filter.values];
+    if (!values.length) throw new Error(`Filter on ${filter.field} has no values`);
+    return values.length === 1
+      ? `${target} eq ${filterValue(values[0])}`
+      : `${target} in (${values.map(filterValue).join(", ")})`;
+  }
+  const operator = FILTER_OPERATORS[filter.operator || "="];
+  if (!operator) {
+    throw new Error(`Unknown filter operator '${filter.operator}' — use ${Object.keys(FILTER_OPERATORS).join(", ")}`);
+  }
+  if (filter.value === undefined) throw new Error(`Filter on ${filter.field} needs values or value`);
+  return `${target} ${operator} ${filterValue(filter.value)}`;
+}
+
+/**
+ * Combined report-level filter for ExportTo (null when there are none)
+ */
+function exportFilter(filters) {
+  const list = typeof filters === "string" && !filters.trim().startsWith("[") ? [filters] : toList(filters);
+  const expressions = list.map(exportFilterExpression).filter(Boolean);
+  return expressions.length ? expressions.join(" and ") : null;
+}
+
+/**
+ * Body for POST /reports/{id}/ExportTo
+ */
+function buildExportRequest({ format, pageNames = [], bookmarkName = null, filter = null, includeHiddenPages = false }) {
+  const configuration = {};
+  if (pageNames.length) configuration.pages = pageNames.map((pageName) => ({ pageName }));
+  if (bookmarkName) configuration.defaultBookmark = { name: bookmarkName };
+  if (filter) configuration.reportLevelFilters = [{ filter }];
+  if (includeHiddenPages) configuration.settings = { includeHiddenPages: true };
+  return { format, powerBIReportConfiguration: configuration };
+}
+
+/**
+ * File name and MIME type of an export (".zip" when PNG export returns several pages)
+ */
+function exportFile(reportName, format, extension) {
+  const ext = String(extension || format).replace(/^\./, "").toLowerCase();
+  return { filename: `${reportName}.${ext}`, mimeType: MIME_TYPES[ext] || "application/octet-stream" };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportFormat,
+  resolveExportPages,
+  resolveBookmark,
+  exportFilter,
+  buildExportRequest,
+  exportFile,
+};
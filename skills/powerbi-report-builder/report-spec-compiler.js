@@ -0,0 +1,583 @@
+/**
+ * Report spec compiler
+ *
+ * Turns a compact report spec into the parts of a PBIR (enhanced report
+ * format) definition: definition/report.json, pages/pages.json,
+ * pages/{page}/page.json and pages/{page}/visuals/{visual}/visual.json.
+ *
+ * Spec shape:
+ * {
+ *   "pages": [{
+ *     "name": "Overview",
+ *     "filters": [{ "field": "Product[Category]", "values": ["Bikes"] }],
+ *     "visuals": [{
+ *       "type": "bar",
+ *       "title": "Revenue by Region",
+ *       "fields": { "category": "Geo[Region]", "values": ["[Total Sales]"] },
+ *       "position": { "x": 20, "y": 20, "width": 600, "height": 300 },
+ *       "filters": [{ "field": "Sales[Amount]", "operator": ">", "value": 0 }]
+ *     }]
+ *   }],
+ *   "filters": []
+ * }
+ */
+
+const crypto = require("crypto");
+
+const SCHEMA_BASE = "https://developer.microsoft.com/json-schemas/fabric/item/report/definition";
+const DEFAULT_PAGE_WIDTH = 1280;
+const DEFAULT_PAGE_HEIGHT = 720;
+const MARGIN = 20;
+// Power BI phone layout canvas width and the gap between stacked visuals
+const MOBILE_WIDTH = 320;
+const MOBILE_GAP = 10;
+
+// Friendly visual names accepted in specs
+const VISUAL_TYPE_ALIASES = {
+  bar: "clusteredBarChart",
+  column: "clusteredColumnChart",
+  stackedbar: "barChart",
+  stackedcolumn: "columnChart",
+  line: "lineChart",
+  area: "areaChart",
+  combo: "lineClusteredColumnComboChart",
+  pie: "pieChart",
+  donut: "donutChart",
+  table: "tableEx",
+  matrix: "pivotTable",
+  card: "card",
+  multirowcard: "multiRowCard",
+  kpi: "kpi",
+  gauge: "gauge",
+  slicer: "slicer",
+  scatter: "scatterChart",
+  treemap: "treemap",
+  map: "map",
+  filledmap: "filledMap",
+  waterfall: "waterfallChart",
+  funnel: "funnel",
+  textbox: "textbox",
+};
+
+// Spec role name -> PBIR query role, per visual type
+const ROLE_MAPS = {
+  card: { values: "Values", value: "Values" },
+  multiRowCard: { values: "Values" },
+  kpi: { values: "Indicator", value: "Indicator", trend: "TrendLine", target: "Goal" },
+  gauge: { values: "Y", value: "Y", min: "MinValue", max: "MaxValue", target: "TargetValue" },
+  clusteredBarChart: { category: "Category", values: "Y", legend: "Series", tooltips: "Tooltips" },
+  clusteredColumnChart: { category: "Category", values: "Y", legend: "Series", tooltips: "Tooltips" },
+  barChart: { category: "Category", values: "Y", legend: "Series", tooltips: "Tooltips" },
+  columnChart: { category: "Category", values: "Y", legend: "Series", tooltips: "Tooltips" },
+  lineChart: { category: "Category", values: "Y", legend: "Series", tooltips: "Tooltips" },
+  areaChart: { category: "Category", values: "Y", legend: "Series", tooltips: "Tooltips" },
+  lineClusteredColumnComboChart: {
+    category: "Category",
+    values: "ColumnY",
+    columnvalues: "ColumnY",
+    linevalues: "Y2",
+    legend: "Series",
+  },
+  pieChart: { category: "Category", legend: "Category", values: "Y" },
+  donutChart: { category: "Category", legend: "Category", values: "Y" },
+  tableEx: { values: "Values", columns: "Values" },
+  pivotTable: { rows: "Rows", columns: "Columns", values: "Values" },
+  slicer: { values: "Values", field: "Values" },
+  scatterChart: { category: "Category", details: "Category", x: "X", y: "Y", size: "Size", legend: "Series" },
+  treemap: { category: "Group", group: "Group", values: "Values" },
+  map: { location: "Category", category: "Category", values: "Size", size: "Size", legend: "Series" },
+  filledMap: { location: "Category", category: "Category", values: "Gradient", legend: "Series" },
+  waterfallChart: { category: "Category", values: "Y", breakdown: "Breakdown" },
+  funnel: { category: "Category", values: "Y" },
+  textbox: {},
+};
+
+// Default visual size when the spec omits a position
+const DEFAULT_SIZES = {
+  card: [290, 140],
+  multiRowCard: [290, 140],
+  kpi: [290, 140],
+  gauge: [290, 200],
+  slicer: [290, 110],
+  textbox: [DEFAULT_PAGE_WIDTH - 2 * MARGIN, 60],
+  tableEx: [610, 320],
+  pivotTable: [610, 320],
+};
+const DEFAULT_CHART_SIZE = [610, 320];
+
+// QueryAggregateFunction values used by PBIR
+const AGGREGATIONS = {
+  sum: 0,
+  avg: 1,
+  average: 1,
+  count: 2,
+  min: 3,
+  max: 4,
+  countnonnull: 5,
+  median: 6,
+};
+const AGGREGATION_NAMES = ["Sum", "Avg", "Count", "Min", "Max", "CountNonNull", "Median"];
+
+// Comparison operators for advanced filters
+const COMPARISON_KINDS = { "=": 0, ">": 1, ">=": 2, "<": 3, "<=": 4 };
+
+/**
+ * Resolve a friendly or PBIR visual type name
+ */
+function resolveVisualType(type) {
+  if (!type) throw new Error("Every visual needs a 'type'");
+  return VISUAL_TYPE_ALIASES[String(type).toLowerCase().replace(/[\s_-]/g, "")] || type;
+}
+
+/**
+ * Map a spec role name to the PBIR query role for a visual type
+ */
+function resolveRole(visualType, role) {
+  const map = ROLE_MAPS[visualType] || {};
+  const key = String(role).toLowerCase().replace(/[\s_-]/g, "");
+  if (map[key]) return map[key];
+  // Already a PBIR role name (e.g. "Y", "Category")
+  return role;
+}
+
+/**
+ * Parse a field reference into { kind, table, name, aggregation }.
+ *
+ * Accepts `Table[Name]`, `'Table Name'[Name]`, `[Measure]`, `Sum(Table[Column])`
+ * or an object { table, column | measure, aggregation }. With a schema,
+ * names are classified as measure or column and bare `[Measure]` references
+ * are resolved to their home table.
+ */
+function parseFieldRef(ref, schema = null) {
+  let parsed;
+
+  if (ref && typeof ref === "object") {
+    parsed = {
+      kind: ref.measure ? "measure" : "column",
+      table: ref.table || null,
+      name: ref.measure || ref.column,
+      aggregation: ref.aggregation || null,
+    };
+  } else {
+    const text = String(ref || "").trim();
+    const aggMatch = text.match(/^([A-Za-z]+)\s*\((.*)\)$/);
+    const inner = aggMatch ? aggMatch[2].trim() : text;
+    const match = inner.match(/^(?:'((?:[^']|'')+)'|([^[\]']*?))?\s*\[([^\]]+)\]$/);
+    if (!match) {
+      throw new Error(`Invalid field reference '${text}'. Use Table[Column], [Measure] or Sum(Table[Column])`);
+    }
+    parsed = {
+      kind: null,
+      table: (match[1] ? match[1].replace(/''/g, "'") : match[2] || "").trim() || null,
+      name: match[3].trim(),
+      aggregation: aggMatch ? aggMatch[1] : null,
+    };
+  }
+
+  if (!parsed.name) throw new Error(`Invalid field reference ${JSON.stringify(ref)}`);
+
+  if (parsed.aggregation) {
+    const fn = AGGREGATIONS[String(parsed.aggregation).toLowerCase()];
+    if (fn === undefined) {
+      throw new Error(`Unknown aggregation '${parsed.aggregation}'. Use one of: ${AGGREGATION_NAMES.join(", ")}`);
+    }
+    parsed.aggregation = fn;
+    parsed.kind = "column";
+  }
+
+  if (!parsed.kind && schema) {
+    const tables = parsed.table
+      ? schema.tables.filter((t) => t.name === parsed.table)
+      : schema.tables;
+    const measureTable = tables.find((t) => t.measures.some((m) => m.name === parsed.name));
+    if (measureTable) {
+      parsed.kind = "measure";
+      parsed.table = measureTable.name;
+    }
+  }
+
+  if (!parsed.kind) parsed.kind = parsed.table ? "column" : "measure";
+  if (!parsed.table) {
+    throw new Error(`Field '${parsed.name}' needs a table — write it as Table[${parsed.name}]`);
+  }
+
+  return parsed;
+}
+
+/**
+ * Build a PBIR field expression (Column / Measure / Aggregation)
+ */
+function fieldExpression(field, sourceRef = { Entity: field.table }) {
+  const base = { Expression: { SourceRef: sourceRef }, Property: field.name };
+  if (field.kind === "measure") return { Measure: base };
+  if (field.aggregation != null) {
+    return { Aggregation: { Expression: { Column: base }, Function: field.aggregation } };
+  }
+  return { Column: base };
+}
+
+/**
+ * queryRef / nativeQueryRef names used by PBIR projections
+ */
+function queryRefOf(field) {
+  const ref = `${field.table}.${field.name}`;
+  if (field.aggregation != null) {
+    const fn = AGGREGATION_NAMES[field.aggregation];
+    return { queryRef: `${fn}(${ref})`, nativeQueryRef: `${fn} of ${field.name}` };
+  }
+  return { queryRef: ref, nativeQueryRef: field.name };
+}
+
+/**
+ * Encode a JS value as a PBIR literal. ISO date strings become datetime
+ * literals only for a dateTime column; everywhere else they stay text.
+ */
+function literal(value, dataType = null) {
+  if (value === null || value === undefined) return { Literal: { Value: "null" } };
+  if (typeof value === "boolean") return { Literal: { Value: String(value) } };
+  if (typeof value === "number") {
+    return { Literal: { Value: Number.isInteger(value) ? `${value}L` : `${value}D` } };
+  }
+  if (dataType === "dateTime" && /^\d{4}-\d{2}-\d{2}(T[\d:.]+)?$/.test(value)) {
+    const iso = value.includes("T") ? value : `${value}T00:00:00`;
+    return { Literal: { Value: `datetime'${iso}'` } };
+  }
+  return { Literal: { Value: `'${String(value).replace(/'/g, "''")}'` } };
+}
+
+/**
+ * Data type of a column field from the schema (null for measures or
+ * without a schema)
+ */
+function columnDataType(field, schema) {
+  if (!schema || field.kind !== "column" || field.aggregation != null) return null;
+  const table = schema.tables.find((t) => t.name === field.table);
+  return table?.columns.find((c) => c.name === field.name)?.dataType || null;
+}
+
+/**
+ * Compile a spec filter into a PBIR filterConfig entry
+ */
+function compileFilter(filter, schema, scope) {
+  if (!filter || !filter.field) throw new Error(`Filter on ${scope} needs a 'field'`);
+  const field = parseFieldRef(filter.field, schema);
+  const dataType = columnDataType(field, schema);
+  const entry = {
+    name: stableId(`filter:${scope}:${field.table}.${field.name}:${JSON.stringify(filter)}`),
+    field: fieldExpression(field),
+    type: "Categorical",
+  };
+
+  const sourceName = "t";
+  const sourceRef = { Source: sourceName };
+  const from = [{ Name: sourceName, Entity: field.table, Type: 0 }];
+  const target = fieldExpression(field, sourceRef);
+
+  if (Array.isArray(filter.values) && filter.values.length > 0) {
+    entry.filter = {
+      Version: 2,
+      From: from,
+      Where: [{
+        Condition: {
+          In: {
+            Expressions: [target],
+            Values: filter.values.map((v) => [literal(v, dataType)]),
+          },
+        },
+      }],
+    };
+  } else if (filter.operator) {
+    const kind = COMPARISON_KINDS[filter.operator];
+    if (kind === undefined) {
+      throw new Error(`Unsupported filter operator '${filter.operator}' on ${scope}. Use =, >, >=, < or <=`);
+    }
+    entry.type = "Advanced";
+    entry.filter = {
+      Version: 2,
+      From: from,
+      Where: [{
+        Condition: {
+          Comparison: { ComparisonKind: kind, Left: target, Right: literal(filter.value, dataType) },
+        },
+      }],
+    };
+  }
+
+  return entry;
+}
+
+/**
+ * Deterministic 20-character identifier for PBIR object names
+ */
+function stableId(seed) {
+  return crypto.createHash("sha1").update(seed).digest("hex").substring(0, 20);
+}
+
+/**
+ * Place visuals without an explicit position in a simple left-to-right flow
+ */
+function layoutVisuals(visuals, pageWidth, startY = MARGIN) {
+  let x = MARGIN;
+  let y = startY;
+  let rowHeight = 0;
+
+  return visuals.map((v) => {
+    if (v.position) return v.position;
+    const [width, height] = DEFAULT_SIZES[v.visualType] || DEFAULT_CHART_SIZE;
+    if (x + width > pageWidth - MARGIN && x > MARGIN) {
+      x = MARGIN;
+      y += rowHeight + MARGIN;
+      rowHeight = 0;
+    }
+    const position = { x, y, width, height };
+    x += width + MARGIN;
+    rowHeight = Math.max(rowHeight, height);
+    return position;
+  });
+}
+
+/**
+ * Phone layout position for a visual stacked at `y`: full phone width,
+ * keeping the visual's aspect ratio
+ */
+function mobilePosition(position, y, order) {
+  const height = Math.max(60, Math.round((position.height * MOBILE_WIDTH) / position.width));
+  return { x: 0, y, z: order * 1000, width: MOBILE_WIDTH, height, tabOrder: order * 1000 };
+}
+
+/**
+ * Phone layout: stack the visuals in reading order (top to bottom, left to
+ * right)
+ */
+function layoutMobile(docs) {
+  const ordered = docs
+    .map((doc, index) => ({ doc, index }))
+    .sort((a, b) => a.doc.position.y - b.doc.position.y || a.doc.position.x - b.doc.position.x || a.index - b.index);
+  const positions = new Array(docs.length);
+  let y = 0;
+  ordered.forEach(({ doc, index }, order) => {
+    positions[index] = mobilePosition(doc.position, y, order);
+    y += positions[index].height + MOBILE_GAP;
+  });
+  return positions;
+}
+
+function mobilePart(pageId, doc, position) {
+  return {
+    path: `definition/pages/${pageId}/visuals/${doc.name}/mobile.json`,
+    content: { $schema: `${SCHEMA_BASE}/visualContainerMobileState/1.0.0/schema.json`, position },
+  };
+}
+
+/**
+ * Compile one visual into a visual.json document
+ */
+function compileVisual(visual, visualType, position, index, pageId, schema) {
+  const name = visual.id || stableId(`visual:${pageId}:${index}:${visual.title || visualType}`);
+  const queryState = {};
+
+  for (const [role, refs] of Object.entries(visual.fields || {})) {
+    const pbirRole = resolveRole(visualType, role);
+    const list = Array.isArray(refs) ? refs : [refs];
+    queryState[pbirRole] = queryState[pbirRole] || { projections: [] };
+    for (const ref of list) {
+      const field = parseFieldRef(ref, schema);
+      queryState[pbirRole].projections.push({
+        field: fieldExpression(field),
+        ...queryRefOf(field),
+      });
+    }
+  }
+
+  const doc = {
+    $schema: `${SCHEMA_BASE}/visualContainer/1.0.0/schema.json`,
+    name,
+    position: {
+      x: position.x ?? 0,
+      y: position.y ?? 0,
+      z: index * 1000,
+      width: position.width ?? DEFAULT_CHART_SIZE[0],
+      height: position.height ?? DEFAULT_CHART_SIZE[1],
+      tabOrder: index * 1000,
+    },
+    visual: {
+      visualType,
+      drillFilterOtherVisuals: true,
+    },
+  };
+
+  if (Object.keys(queryState).length > 0) {
+    doc.visual.query = { queryState };
+  }
+
+  if (visualType === "textbox") {
+    doc.visual.objects = {
+      general: [{
+        properties: {
+          paragraphs: [{ textRuns: [{ value: String(visual.text || visual.title || "") }] }],
+        },
+      }],
+    };
+  }
+
+  if (visual.title) {
+    doc.visual.visualContainerObjects = {
+      title: [{
+        properties: {
+          show: { expr: literal(true) },
+          text: { expr: literal(String(visual.title)) },
+        },
+      }],
+    };
+  }
+
+  if (Array.isArray(visual.filters) && visual.filters.length > 0) {
+    doc.filterConfig = {
+      filters: visual.filters.map((f) => compileFilter(f, schema, `visual '${visual.title || name}'`)),
+    };
+  }
+
+  return doc;
+}
+
+/**
+ * Compile one spec page into its page.json, visual.json and phone layout
+ * (mobile.json) parts
+ */
+function compilePage(page, pageIndex, { schema = null } = {}) {
+  const displayName = page.name || page.displayName || `Page ${pageIndex + 1}`;
+  const pageId = page.id || stableId(`page:${pageIndex}:${displayName}`);
+  const width = page.width || DEFAULT_PAGE_WIDTH;
+  const height = page.height || DEFAULT_PAGE_HEIGHT;
+  const parts = [];
+
+  const pageDoc = {
+    $schema: `${SCHEMA_BASE}/page/1.0.0/schema.json`,
+    name: pageId,
+    displayName,
+    displayOption: "FitToPage",
+    height,
+    width,
+  };
+  if (Array.isArray(page.filters) && page.filters.length > 0) {
+    pageDoc.filterConfig = {
+      filters: page.filters.map((f) => compileFilter(f, schema, `page '${displayName}'`)),
+    };
+  }
+  parts.push({ path: `definition/pages/${pageId}/page.json`, content: pageDoc });
+
+  const visuals = (page.visuals || []).map((v) => ({ ...v, visualType: resolveVisualType(v.type) }));
+  const positions = layoutVisuals(visuals, width);
+
+  const docs = visuals.map((visual, index) => compileVisual(visual, visual.visualType, positions[index], index, pageId, schema));
+  const mobile = layoutMobile(docs);
+
+  docs.forEach((doc, index) => {
+    parts.push({
+      path: `definition/pages/${pageId}/visuals/${doc.name}/visual.json`,
+      content: doc,
+    });
+    parts.push(mobilePart(pageId, doc, mobile[index]));
+  });
+
+  return { pageId, parts };
+}
+
+/**
+ * Compile a single spec visual for an existing page. Without an explicit
+ * position the visual is placed below `startY` (the bottom of the page's
+ * current content). When the page has a phone layout (`mobileLayout`, the
+ * positions of its mobile.json parts) the visual is stacked below it too.
+ *
+ * @returns {{ name: string, parts: { path: string, content: object }[] }}
+ */
+function compileVisualPart(visual, { pageId, index, pageWidth = DEFAULT_PAGE_WIDTH, startY = MARGIN, schema = null, mobileLayout = null }) {
+  const visualType = resolveVisualType(visual.type);
+  const [position] = layoutVisuals([{ ...visual, visualType }], pageWidth, startY);
+  const doc = compileVisual(visual, visualType, position, index, pageId, schema);
+  const parts = [{
+    path: `definition/pages/${pageId}/visuals/${doc.name}/visual.json`,
+    content: doc,
+  }];
+  if (mobileLayout) {
+    const y = mobileLayout.reduce((max, p) => Math.max(max, (p.y || 0) + (p.height || 0) + MOBILE_GAP), 0);
+    parts.push(mobilePart(pageId, doc, mobilePosition(doc.position, y, mobileLayout.length)));
+  }
+  return { name: doc.name, parts };
+}
+
+/**
+ * Compile a report spec into PBIR definition parts.
+ *
+ * @param {object|string} spec - compact report spec (object or JSON string)
+ * @param {object} [options]
+ * @param {object} [options.schema] - parsed semantic model schema used to
+ *   classify measures vs columns and type filter values
+ * @returns {{ path: string, content: object }[]}
+ */
+function compileReportSpec(spec, { schema = null } = {}) {
+  const source = typeof spec === "string" ? JSON.parse(spec) : spec;
+  if (!source || !Array.isArray(source.pages) || source.pages.length === 0) {
+    throw new Error("Report spec needs a non-empty 'pages' array");
+  }
+
+  const parts = [];
+  const pageOrder = [];
+
+  const report = {
+    $schema: `${SCHEMA_BASE}/report/1.0.0/schema.json`,
+    themeCollection: {
+      baseTheme: {
+        name: "CY24SU06",
+        reportVersionAtImport: "5.55",
+        type: "SharedResources",
+      },
+    },
+    settings: {
+      useStylableVisualContainerHeader: true,
+      defaultDrillFilterOtherVisuals: true,
+      allowChangeFilterTypes: true,
+    },
+  };
+  if (Array.isArray(source.filters) && source.filters.length > 0) {
+    report.filterConfig = {
+      filters: source.filters.map((f) => compileFilter(f, schema, "report")),
+    };
+  }
+
+  parts.push({
+    path: "definition/version.json",
+    content: { $schema: `${SCHEMA_BASE}/versionMetadata/1.0.0/schema.json`, version: "2.0.0" },
+  });
+  parts.push({ path: "definition/report.json", content: report });
+
+  source.pages.forEach((page, pageIndex) => {
+    const compiled = compilePage(page, pageIndex, { schema });
+    pageOrder.push(compiled.pageId);
+    parts.push(...compiled.parts);
+  });
+
+  parts.push({
+    path: "definition/pages/pages.json",
+    content: {
+      $schema: `${SCHEMA_BASE}/pagesMetadata/1.0.0/schema.json`,
+      pageOrder,
+      activePageName: pageOrder[0],
+    },
+  });
+
+  return parts;
+}
+
+module.exports = {
+  compileReportSpec,
+  compilePage,
+  compileVisualPart,
+  literal,
+  stableId,
+  parseFieldRef,
+  resolveVisualType,
+  resolveRole,
+  VISUAL_TYPE_ALIASES,
+  ROLE_MAPS,
+};
@@ -0,0 +1,351 @@
+/**
+ * Report definition validator
+ *
+ * Cross-checks a PBIR definition (compiled from a spec or downloaded via
+ * getDefinition) against a parsed semantic model schema: every field
+ * reference, visual type and filter target must exist. Unknown names come
+ * back with near-match suggestions so typos are caught before deployment.
+ */
+
+const { VISUAL_TYPE_ALIASES } = require("./report-spec-compiler");
+
+// Built-in visual types accepted by the Power BI service
+const CORE_VISUAL_TYPES = new Set([
+  ...Object.values(VISUAL_TYPE_ALIASES),
+  "hundredPercentStackedBarChart",
+  "hundredPercentStackedColumnChart",
+  "lineStackedColumnComboChart",
+  "stackedAreaChart",
+  "ribbonChart",
+  "cardVisual",
+  "advancedSlicerVisual",
+  "listSlicer",
+  "textSlicer",
+  "decompositionTreeVisual",
+  "keyDriversVisual",
+  "qnaVisual",
+  "azureMap",
+  "shapeMap",
+  "scriptVisual",
+  "pythonVisual",
+  "actionButton",
+  "bookmarkNavigator",
+  "pageNavigator",
+  "shape",
+  "basicShape",
+  "image",
+]);
+
+/**
+ * Levenshtein distance (case-insensitive)
+ */
+function editDistance(a, b) {
+  const s = a.toLowerCase();
+  const t = b.toLowerCase();
+  const row = Array.from({ length: t.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= s.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= t.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (s[i - 1] === t[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return row[t.length];
+}
+
+/**
+ * Suggest up to three near-match names for a misspelled one
+ */
+function suggest(name, candidates) {
+  const threshold = Math.max(2, Math.floor(name.length / 3));
+  return candidates
+    .map((c) => ({ c, d: editDistance(name, c) }))
+    .filter(({ c, d }) => d <= threshold || c.toLowerCase().includes(name.toLowerCase()))
+    .sort((x, y) => x.d - y.d)
+    .slice(0, 3)
+    .map(({ c }) => c);
+}
+
+/**
+ * Unwrap a PBIR field expression into { kind, table, name, source }
+ */
+function unwrapField(expr) {
+  if (!expr || typeof expr !== "object") return null;
+  if (expr.Aggregation) return unwrapField(expr.Aggregation.Expression);
+  for (const kind of ["Column", "Measure"]) {
+    if (expr[kind]) {
+      const ref = expr[kind].Expression?.SourceRef || {};
+      return {
+        kind: kind.toLowerCase(),
+        table: ref.Entity || null,
+        source: ref.Source || null,
+        name: expr[kind].Property,
+      };
+    }
+  }
+  if (expr.HierarchyLevel) {
+    const hierarchy = expr.HierarchyLevel.Expression?.Hierarchy;
+    const ref = hierarchy?.Expression?.SourceRef || {};
+    return {
+      kind: "hierarchy",
+      table: ref.Entity || null,
+      source: ref.Source || null,
+      name: hierarchy?.Hierarchy,
+      level: expr.HierarchyLevel.Level,
+    };
+  }
+  return null;
+}
+
+/**
+ * Parse a definition part's content (string or object)
+ */
+function partContent(part) {
+  if (part.content === undefined) return null;
+  if (typeof part.content !== "string") return part.content;
+  try {
+    return JSON.parse(part.content);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate PBIR parts against a semantic model schema.
+ *
+ * @param {{ path: string, content: object|string }[]} parts
+ * @param {object} schema - normalized schema from semantic-model-parser
+ * @returns {{ valid: boolean, errors: object[], warnings: object[], checked: object }}
+ */
+function validateReportParts(parts, schema) {
+  const errors = [];
+  const warnings = [];
+  const checked = { pages: 0, visuals: 0, fields: 0, filters: 0 };
+
+  const tables = new Map(schema.tables.map((t) => [t.name, t]));
+  const tableNames = [...tables.keys()];
+  const report = partContent(parts.find((p) => p.path === "definition/report.json") || {}) || {};
+  const customVisuals = new Set([
+    ...(report.publicCustomVisuals || []),
+    ...(report.resourcePackages || [])
+      .filter((p) => p.type === "CustomVisual")
+      .flatMap((p) => (p.items || []).map((i) => i.name)),
+  ]);
+
+  const pageNames = {};
+  for (const part of parts) {
+    const match = part.path.match(/^definition\/pages\/([^/]+)\/page\.json$/);
+    if (match) pageNames[match[1]] = partContent(part)?.displayName || match[1];
+  }
+
+  function checkField(expr, location, aliases = {}) {
+    const field = unwrapField(expr);
+    if (!field) return;
+    checked.fields++;
+
+    const tableName = field.table || aliases[field.source];
+    const table = tables.get(tableName);
+    if (!table) {
+      errors.push({
+        location,
+        message: `Table '${tableName}' not found in the semantic model`,
+        suggestions: suggest(tableName || "", tableNames),
+      });
+      return;
+    }
+
+    const measureNames = table.measures.map((m) => m.name);
+    const columnNames = table.columns.map((c) => c.name);
+    const ref = `${tableName}[${field.name}]`;
+
+    if (field.kind === "hierarchy") {
+      const hierarchy = table.hierarchies.find((h) => h.name === field.name);
+      if (!hierarchy) {
+        errors.push({
+          location,
+          message: `Hierarchy '${field.name}' not found in table '${tableName}'`,
+          suggestions: suggest(field.name, table.hierarchies.map((h) => h.name)),
+        });
+      } else if (field.level && !hierarchy.levels.some((l) => l.name === field.level)) {
+        errors.push({
+          location,
+          message: `Level '${field.level}' not found in hierarchy '${tableName}'[${field.name}]`,
+          suggestions: suggest(field.level, hierarchy.levels.map((l) => l.name)),
+        });
+      }
+      return;
+    }
+
+    if (field.kind === "measure") {
+      if (measureNames.includes(field.name)) return;
+      if (columnNames.includes(field.name)) {
+        errors.push({ location, message: `${ref} is a column, not a measure`, suggestions: [] });
+        return;
+      }
+      errors.push({
+        location,
+        message: `Measure ${ref} not found`,
+        suggestions: suggestAcrossModel(field.name, tableName, "measures"),
+      });
+      return;
+    }
+
+    if (columnNames.includes(field.name)) return;
+    if (measureNames.includes(field.name)) {
+      errors.push({ location, message: `${ref} is a measure, not a column`, suggestions: [] });
+      return;
+    }
+    errors.push({
+      location,
+      message: `Column ${ref} not found`,
+      suggestions: suggestAcrossModel(field.name, tableName, "columns"),
+    });
+  }
+
+  // Prefer matches of the same kind in the referenced table, then any
+  // field in that table, then the whole model
+  function suggestAcrossModel(name, tableName, collection) {
+    const table = tables.get(tableName);
+    const fieldsOf = (t) => [...t.measures, ...t.columns].map((x) => x.name);
+    for (const candidates of [table[collection].map((x) => x.name), fieldsOf(table)]) {
+      const local = suggest(name, candidates);
+      if (local.length > 0) return local.map((n) => `${tableName}[${n}]`);
+    }
+    const all = schema.tables.flatMap((t) => fieldsOf(t).map((n) => `${t.name}[${n}]`));
+    return suggest(`${tableName}[${name}]`, all);
+  }
+
+  function checkFilters(filterConfig, location) {
+    for (const filter of filterConfig?.filters || []) {
+      checked.filters++;
+      const where = `${location} › filter`;
+      const aliases = {};
+      for (const from of filter.filter?.From || []) aliases[from.Name] = from.Entity;
+      for (const entity of Object.values(aliases)) {
+        if (!tables.has(entity)) {
+          errors.push({
+            location: where,
+            message: `Table '${entity}' not found in the semantic model`,
+            suggestions: suggest(entity, tableNames),
+          });
+        }
+      }
+      if (filter.field) {
+        checkField(filter.field, where, aliases);
+        continue;
+      }
+      for (const condition of filter.filter?.Where || []) {
+        for (const expr of collectFieldExpressions(condition.Condition)) {
+          checkField(expr, where, aliases);
+        }
+      }
+    }
+  }
+
+  checkFilters(report.filterConfig, "report");
+
+  for (const part of parts) {
+    const pageMatch = part.path.match(/^definition\/pages\/([^/]+)\/page\.json$/);
+    if (pageMatch) {
+      checked.pages++;
+      checkFilters(partContent(part)?.filterConfig, `page '${pageNames[pageMatch[1]]}'`);
+      continue;
+    }
+
+    const visualMatch = part.path.match(/^definition\/pages\/([^/]+)\/visuals\/([^/]+)\/visual\.json$/);
+    if (!visualMatch) continue;
+    checked.visuals++;
+
+    const doc = partContent(part);
+    if (!doc) {
+      errors.push({ location: part.path, message: "visual.json is not valid JSON", suggestions: [] });
+      continue;
+    }
+
+    const title = visualTitle(doc) || doc.name;
+    const location = `page '${pageNames[visualMatch[1]] || visualMatch[1]}' › visual '${title}'`;
+    const visualType = doc.visual?.visualType;
+
+    if (doc.visualGroup) continue;
+    if (!visualType) {
+      errors.push({ location, message: "Visual has no visualType", suggestions: [] });
+      continue;
+    }
+    if (!CORE_VISUAL_TYPES.has(visualType) && !customVisuals.has(visualType)) {
+      errors.push({
+        location,
+        message: `Unknown visual type '${visualType}'`,
+        suggestions: suggest(visualType, [...CORE_VISUAL_TYPES]),
+      });
+    }
+
+    const queryState = doc.visual?.query?.queryState || {};
+    if (Object.keys(queryState).length === 0 && !["textbox", "shape", "basicShape", "image", "actionButton", "pageNavigator", "bookmarkNavigator"].includes(visualType)) {
+      warnings.push({ location, message: "Visual has no fields bound" });
+    }
+    for (const [role, state] of Object.entries(queryState)) {
+      for (const projection of state.projections || []) {
+        checkField(projection.field, `${location} › ${role}`);
+      }
+    }
+
+    checkFilters(doc.filterConfig, location);
+  }
+
+  // A filter's source table and field can report the same missing table
+  const seen = new Set();
+  const unique = errors.filter((e) => {
+    const key = `${e.location}|${e.message}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  return { valid: unique.length === 0, errors: unique, warnings, checked };
+}
+
+/**
+ * Find Column / Measure / Aggregation expressions inside a filter condition
+ */
+function collectFieldExpressions(node, found = []) {
+  if (!node || typeof node !== "object") return found;
+  if (node.Column || node.Measure || node.Aggregation || node.HierarchyLevel) {
+    found.push(node);
+    return found;
+  }
+  for (const value of Object.values(node)) {
+    if (Array.isArray(value)) value.forEach((v) => collectFieldExpressions(v, found));
+    else collectFieldExpressions(value, found);
+  }
+  return found;
+}
+
+/**
+ * Read a visual's title text, if one is set
+ */
+function visualTitle(doc) {
+  const value = doc.visual?.visualContainerObjects?.title?.[0]?.properties?.text?.expr?.Literal?.Value;
+  return value ? value.replace(/^'|'$/g, "").replace(/''/g, "'") : null;
+}
+
+/**
+ * Render validation errors as a readable multi-line message
+ */
+function formatValidationErrors(result) {
+  return result.errors
+    .map((e) => {
+      const hint = e.suggestions?.length ? ` Did you mean: ${e.suggestions.join(", ")}?` : "";
+      return `- ${e.location}: ${e.message}.${hint}`;
+    })
+    .join("\n");
+}
+
+module.exports = {
+  validateReportParts,
+  formatValidationErrors,
+  visualTitle,
+  unwrapField,
+  suggest,
+};
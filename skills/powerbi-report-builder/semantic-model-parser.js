@@ -0,0 +1,597 @@
+/**
+ * Semantic model definition parser
+ *
+ * Decodes the parts returned by the Fabric getDefinition API (TMDL folder
+ * format or legacy model.bim) and normalizes them into a single schema shape:
+ * tables, columns, measures, hierarchies, partitions, relationships and roles.
+ */
+
+// TMDL keywords that open a new object (everything else is a property)
+const TMDL_OBJECT_KEYWORDS = new Set([
+  "model",
+  "database",
+  "table",
+  "column",
+  "measure",
+  "hierarchy",
+  "level",
+  "partition",
+  "relationship",
+  "role",
+  "tablePermission",
+  "columnPermission",
+  "member",
+  "annotation",
+  "extendedProperty",
+  "changedProperty",
+  "calculationGroup",
+  "calculationItem",
+  "expression",
+  "culture",
+  "linguisticMetadata",
+  "perspective",
+  "perspectiveTable",
+  "perspectiveColumn",
+  "perspectiveMeasure",
+  "perspectiveHierarchy",
+  "dataSource",
+  "queryGroup",
+  "variation",
+  "ref",
+]);
+
+/**
+ * Decode a definition part payload to UTF-8 text
+ */
+function decodePart(part) {
+  if (!part || part.payload == null) return "";
+  if (part.payloadType && part.payloadType !== "InlineBase64") {
+    return String(part.payload);
+  }
+  return Buffer.from(part.payload, "base64").toString("utf8").replace(/^﻿/, "");
+}
+
+/**
+ * Count indentation depth (tabs, or groups of 4 spaces)
+ */
+function indentOf(line) {
+  let depth = 0;
+  let spaces = 0;
+  for (const ch of line) {
+    if (ch === "\t") {
+      depth++;
+      spaces = 0;
+    } else if (ch === " ") {
+      spaces++;
+      if (spaces === 4) {
+        depth++;
+        spaces = 0;
+      }
+    } else {
+      break;
+    }
+  }
+  return depth;
+}
+
+/**
+ * Read a TMDL name (quoted with '' escapes, or a bare identifier).
+ * Returns { name, rest }.
+ */
+function readName(text) {
+  const src = text.trimStart();
+  if (src.startsWith("'")) {
+    let name = "";
+    let i = 1;
+    while (i < src.length) {
+      if (src[i] === "'") {
+        if (src[i + 1] === "'") {
+          name += "'";
+          i += 2;
+          continue;
+        }
+        i++;
+        break;
+      }
+      name += src[i++];
+    }
+    return { name, rest: src.substring(i) };
+  }
+  const match = src.match(/^([^\s=:.]+)/);
+  if (!match) return { name: "", rest: src };
+  return { name: match[1], rest: src.substring(match[1].length) };
+}
+
+/**
+ * Split a qualified column reference such as `Sales.Amount` or
+ * `'Sales Table'.'Net Amount'` into { table, column }.
+ */
+function splitColumnRef(ref) {
+  if (!ref) return { table: null, column: null };
+  const first = readName(ref);
+  const rest = first.rest.trimStart();
+  if (!rest.startsWith(".")) return { table: null, column: first.name };
+  return { table: first.name, column: readName(rest.substring(1)).name };
+}
+
+/**
+ * Strip surrounding double quotes from a TMDL property value
+ */
+function unquote(value) {
+  const v = value.trim();
+  if (v.length >= 2 && v.startsWith('"') && v.endsWith('"')) {
+    return v.substring(1, v.length - 1).replace(/""/g, '"');
+  }
+  return v;
+}
+
+/**
+ * Remove common leading indentation from a multi-line expression
+ */
+function normalizeExpression(lines) {
+  while (lines.length && !lines[lines.length - 1].trim()) lines.pop();
+  while (lines.length && !lines[0].trim()) lines.shift();
+  if (lines.length === 0) return "";
+  const minIndent = Math.min(
+    ...lines.filter((l) => l.trim()).map((l) => l.match(/^[\t ]*/)[0].length)
+  );
+  return lines.map((l) => l.substring(minIndent)).join("\n");
+}
+
+/**
+ * Parse TMDL text into a generic tree of objects.
+ *
+ * Each node: { keyword, name, expression, description, properties, children }.
+ * Properties hold `key: value` pairs, bare flags (true) and `key = expr` values.
+ */
+function parseTmdl(text) {
+  const root = { keyword: "root", name: null, properties: {}, children: [], indent: -1 };
+  const stack = [root];
+  const lines = text.replace(/\r\n/g, "\n").split("\n");
+  let pendingDescription = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const raw = lines[i];
+    const trimmed = raw.trim();
+    if (!trimmed) continue;
+
+    const indent = indentOf(raw);
+
+    if (trimmed.startsWith("///")) {
+      pendingDescription.push(trimmed.substring(3).trim());
+      continue;
+    }
+
+    while (stack.length > 1 && stack[stack.length - 1].indent >= indent) {
+      stack.pop();
+    }
+    const parent = stack[stack.length - 1];
+
+    const keywordMatch = trimmed.match(/^([A-Za-z]+)(\s+|$)/);
+    const keyword = keywordMatch ? keywordMatch[1] : null;
+
+    if (keyword && TMDL_OBJECT_KEYWORDS.has(keyword) && !/^[A-Za-z]+\s*:/.test(trimmed)) {
+      let rest = trimmed.substring(keyword.length);
+      let refKeyword = null;
+      if (keyword === "ref") {
+        const inner = rest.trim().match(/^([A-Za-z]+)\s+/);
+        refKeyword = inner ? inner[1] : null;
+        rest = inner ? rest.trim().substring(inner[0].length) : rest;
+      }
+      const { name, rest: afterName } = readName(rest);
+      const node = {
+        keyword: refKeyword ? `ref ${refKeyword}` : keyword,
+        name,
+        expression: null,
+        description: pendingDescription.length ? pendingDescription.join("\n") : null,
+        properties: {},
+        children: [],
+        indent,
+      };
+      pendingDescription = [];
+
+      const assign = afterName.trim();
+      if (assign.startsWith("=")) {
+        const read = readExpression(lines, i, indent, assign.substring(1));
+        node.expression = read.expression;
+        i = read.lastIndex;
+      }
+
+      parent.children.push(node);
+      stack.push(node);
+      continue;
+    }
+
+    pendingDescription = [];
+
+    const propMatch = trimmed.match(/^([A-Za-z_][\w]*)\s*(:|=)\s*(.*)$/);
+    if (propMatch) {
+      const [, key, op, value] = propMatch;
+      if (op === ":") {
+        parent.properties[key] = unquote(value);
+      } else {
+        const read = readExpression(lines, i, indent, value);
+        parent.properties[key] = read.expression;
+        i = read.lastIndex;
+      }
+      continue;
+    }
+
+    if (/^[A-Za-z_]\w*$/.test(trimmed)) {
+      parent.properties[trimmed] = true;
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Read an expression that starts after `=` on line `start`. Continuation
+ * lines are indented at least two levels deeper than the declaring line;
+ * ``` fenced blocks are read verbatim until the closing fence.
+ */
+function readExpression(lines, start, indent, firstLine) {
+  const head = firstLine.trim();
+
+  if (head.startsWith("```")) {
+    const body = [];
+    let j = start + 1;
+    for (; j < lines.length; j++) {
+      if (lines[j].trim() === "```") break;
+      body.push(lines[j]);
+    }
+    return { expression: normalizeExpression(body), lastIndex: j };
+  }
+
+  const body = head ? [head] : [];
+  let lastIndex = start;
+  for (let j = start + 1; j < lines.length; j++) {
+    const line = lines[j];
+    if (!line.trim()) {
+      body.push("");
+      continue;
+    }
+    if (indentOf(line) < indent + 2) break;
+    body.push(line);
+    lastIndex = j;
+  }
+  // Trailing blank lines belong to whatever follows the expression
+  while (body.length && !body[body.length - 1].trim()) body.pop();
+
+  if (head) {
+    const tail = normalizeExpression(body.slice(1));
+    return { expression: tail ? `${head}\n${tail}` : head, lastIndex };
+  }
+  return { expression: normalizeExpression(body), lastIndex };
+}
+
+function isTrue(value) {
+  return value === true || value === "true";
+}
+
+function childrenOf(node, keyword) {
+  return node.children.filter((c) => c.keyword === keyword);
+}
+
+function annotationsOf(node) {
+  const annotations = {};
+  for (const a of childrenOf(node, "annotation")) {
+    annotations[a.name] = a.expression;
+  }
+  return annotations;
+}
+
+/**
+ * Build a normalized table from a TMDL `table` node
+ */
+function tableFromTmdl(node) {
+  const columns = childrenOf(node, "column").map((c) => ({
+    name: c.name,
+    dataType: c.properties.dataType || (c.expression ? "variant" : "string"),
+    isHidden: isTrue(c.properties.isHidden),
+    type: c.expression ? "calculated" : "data",
+    expression: c.expression || undefined,
+    formatString: c.properties.formatString || undefined,
+    dataCategory: c.properties.dataCategory || undefined,
+    summarizeBy: c.properties.summarizeBy || undefined,
+    sortByColumn: c.properties.sortByColumn ? readName(c.properties.sortByColumn).name : undefined,
+    isKey: isTrue(c.properties.isKey) || undefined,
+    description: c.description || undefined,
+  }));
+
+  const measures = childrenOf(node, "measure").map((m) => ({
+    name: m.name,
+    expression: m.expression || "",
+    formatString: m.properties.formatString || undefined,
+    displayFolder: m.properties.displayFolder || undefined,
+    isHidden: isTrue(m.properties.isHidden),
+    description: m.description || undefined,
+  }));
+
+  const hierarchies = childrenOf(node, "hierarchy").map((h) => ({
+    name: h.name,
+    isHidden: isTrue(h.properties.isHidden),
+    levels: childrenOf(h, "level").map((l) => ({
+      name: l.name,
+      column: l.properties.column ? readName(l.properties.column).name : l.name,
+    })),
+  }));
+
+  const partitions = childrenOf(node, "partition").map((p) => ({
+    name: p.name,
+    sourceType: p.expression || undefined,
+    mode: p.properties.mode || undefined,
+  }));
+
+  const calculationGroup = childrenOf(node, "calculationGroup")[0];
+
+  return finalizeTable({
+    name: node.name,
+    description: node.description || undefined,
+    isHidden: isTrue(node.properties.isHidden),
+    dataCategory: node.properties.dataCategory || undefined,
+    showAsVariationsOnly: isTrue(node.properties.showAsVariationsOnly),
+    calculationItems: calculationGroup
+      ? childrenOf(calculationGroup, "calculationItem").map((ci) => ({
+        name: ci.name,
+        expression: ci.expression || "",
+      }))
+      : undefined,
+    columns,
+    measures,
+    hierarchies,
+    partitions,
+    annotations: annotationsOf(node),
+  });
+}
+
+/**
+ * Derive flags shared by both definition formats
+ */
+function finalizeTable(table) {
+  table.isDateTable =
+    table.dataCategory === "Time" && table.columns.some((c) => c.isKey && c.dataType === "dateTime");
+  table.isAutoDateTable =
+    /^(LocalDateTable|DateTableTemplate)_/.test(table.name) || table.showAsVariationsOnly === true;
+  delete table.showAsVariationsOnly;
+  if (!table.calculationItems) delete table.calculationItems;
+  if (Object.keys(table.annotations).length === 0) delete table.annotations;
+  return table;
+}
+
+/**
+ * Build a normalized relationship from a TMDL `relationship` node
+ */
+function relationshipFromTmdl(node) {
+  const from = splitColumnRef(node.properties.fromColumn);
+  const to = splitColumnRef(node.properties.toColumn);
+  return normalizeRelationship({
+    name: node.name,
+    fromTable: from.table,
+    fromColumn: from.column,
+    toTable: to.table,
+    toColumn: to.column,
+    fromCardinality: node.properties.fromCardinality,
+    toCardinality: node.properties.toCardinality,
+    crossFilteringBehavior: node.properties.crossFilteringBehavior,
+    isActive: node.properties.isActive,
+  });
+}
+
+/**
+ * Apply TOM defaults and compute a readable cardinality label
+ */
+function normalizeRelationship(rel) {
+  const fromCardinality = rel.fromCardinality || "many";
+  const toCardinality = rel.toCardinality || "one";
+  return {
+    name: rel.name,
+    fromTable: rel.fromTable,
+    fromColumn: rel.fromColumn,
+    toTable: rel.toTable,
+    toColumn: rel.toColumn,
+    fromCardinality,
+    toCardinality,
+    cardinality: `${fromCardinality}-to-${toCardinality}`,
+    crossFilteringBehavior: rel.crossFilteringBehavior || "oneDirection",
+    isActive: rel.isActive === undefined ? true : !(rel.isActive === false || rel.isActive === "false"),
+  };
+}
+
+/**
+ * Build a normalized role from a TMDL `role` node
+ */
+function roleFromTmdl(node) {
+  return {
+    name: node.name,
+    description: node.description || undefined,
+    modelPermission: node.properties.modelPermission || "read",
+    tablePermissions: childrenOf(node, "tablePermission").map((tp) => ({
+      table: tp.name,
+      filterExpression: tp.expression || undefined,
+    })),
+    members: childrenOf(node, "member").map((m) => m.name),
+  };
+}
+
+/**
+ * Parse a TMDL folder (definition/*.tmdl parts) into the normalized schema
+ */
+function parseTmdlParts(parts) {
+  const schema = emptySchema("TMDL");
+
+  for (const part of parts) {
+    if (!part.path.endsWith(".tmdl")) continue;
+    const tree = parseTmdl(decodePart(part));
+
+    for (const node of tree.children) {
+      if (node.keyword === "table") schema.tables.push(tableFromTmdl(node));
+      else if (node.keyword === "relationship") schema.relationships.push(relationshipFromTmdl(node));
+      else if (node.keyword === "role") schema.roles.push(roleFromTmdl(node));
+      else if (node.keyword === "model") {
+        schema.name = node.name;
+        schema.culture = node.properties.culture || schema.culture;
+        const annotations = annotationsOf(node);
+        if (annotations.__PBI_TimeIntelligenceEnabled !== undefined) {
+          schema.autoDateTime = annotations.__PBI_TimeIntelligenceEnabled === "1";
+        }
+        // Relationships and roles may also be nested inside model.tmdl
+        for (const child of node.children) {
+          if (child.keyword === "relationship") schema.relationships.push(relationshipFromTmdl(child));
+          if (child.keyword === "role") schema.roles.push(roleFromTmdl(child));
+        }
+      } else if (node.keyword === "database") {
+        schema.compatibilityLevel = Number(node.properties.compatibilityLevel) || undefined;
+      } else if (node.keyword === "expression") {
+        schema.expressions.push({ name: node.name, kind: node.properties.kind || "m" });
+      }
+    }
+  }
+
+  return schema;
+}
+
+/**
+ * Parse a legacy model.bim (TMSL JSON) into the normalized schema
+ */
+function parseModelBim(text) {
+  let bim;
+  try {
+    bim = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`model.bim is not valid JSON: ${err.message}`);
+  }
+  const model = bim.model || {};
+  const schema = emptySchema("TMSL");
+  const joinExpr = (e) => (Array.isArray(e) ? e.join("\n") : e);
+  const joinDesc = (d) => (Array.isArray(d) ? d.join("\n") : d) || undefined;
+
+  schema.name = bim.name || model.name;
+  schema.culture = model.culture;
+  schema.compatibilityLevel = bim.compatibilityLevel;
+  const timeIntelligence = (model.annotations || []).find((a) => a.name === "__PBI_TimeIntelligenceEnabled");
+  if (timeIntelligence) schema.autoDateTime = timeIntelligence.value === "1";
+
+  for (const t of model.tables || []) {
+    const annotations = {};
+    for (const a of t.annotations || []) annotations[a.name] = a.value;
+    schema.tables.push(finalizeTable({
+      name: t.name,
+      description: joinDesc(t.description),
+      isHidden: t.isHidden === true,
+      dataCategory: t.dataCategory,
+      showAsVariationsOnly: t.showAsVariationsOnly === true,
+      calculationItems: t.calculationGroup
+        ? (t.calculationGroup.calculationItems || []).map((ci) => ({
+          name: ci.name,
+          expression: joinExpr(ci.expression) || "",
+        }))
+        : undefined,
+      columns: (t.columns || [])
+        .filter((c) => c.type !== "rowNumber")
+        .map((c) => ({
+          name: c.name,
+          dataType: c.dataType || "string",
+          isHidden: c.isHidden === true,
+          type: c.type === "calculated" || c.type === "calculatedTableColumn" ? "calculated" : "data",
+          expression: joinExpr(c.expression) || undefined,
+          formatString: c.formatString,
+          dataCategory: c.dataCategory,
+          summarizeBy: c.summarizeBy,
+          sortByColumn: c.sortByColumn,
+          isKey: c.isKey || undefined,
+          description: joinDesc(c.description),
+        })),
+      measures: (t.measures || []).map((m) => ({
+        name: m.name,
+        expression: joinExpr(m.expression) || "",
+        formatString: m.formatString,
+        displayFolder: m.displayFolder,
+        isHidden: m.isHidden === true,
+        description: joinDesc(m.description),
+      })),
+      hierarchies: (t.hierarchies || []).map((h) => ({
+        name: h.name,
+        isHidden: h.isHidden === true,
+        levels: (h.levels || []).map((l) => ({ name: l.name, column: l.column })),
+      })),
+      partitions: (t.partitions || []).map((p) => ({
+        name: p.name,
+        sourceType: p.source?.type,
+        mode: p.mode,
+      })),
+      annotations,
+    }));
+  }
+
+  for (const r of model.relationships || []) {
+    schema.relationships.push(normalizeRelationship(r));
+  }
+
+  for (const role of model.roles || []) {
+    schema.roles.push({
+      name: role.name,
+      description: joinDesc(role.description),
+      modelPermission: role.modelPermission || "read",
+      tablePermissions: (role.tablePermissions || []).map((tp) => ({
+        table: tp.name,
+        filterExpression: joinExpr(tp.filterExpression),
+      })),
+      members: (role.members || []).map((m) => m.memberName),
+    });
+  }
+
+  for (const e of model.expressions || []) {
+    schema.expressions.push({ name: e.name, kind: e.kind || "m" });
+  }
+
+  return schema;
+}
+
+function emptySchema(format) {
+  return {
+    format,
+    name: undefined,
+    culture: undefined,
+    compatibilityLevel: undefined,
+    autoDateTime: undefined,
+    tables: [],
+    relationships: [],
+    roles: [],
+    expressions: [],
+  };
+}
+
+/**
+ * Parse getDefinition parts (TMDL or model.bim) into a normalized schema
+ */
+function parseSemanticModelDefinition(parts) {
+  if (!Array.isArray(parts) || parts.length === 0) {
+    throw new Error("Semantic model definition contains no parts");
+  }
+
+  const bim = parts.find((p) => p.path === "model.bim" || p.path.endsWith("/model.bim"));
+  const schema = bim ? parseModelBim(decodePart(bim)) : parseTmdlParts(parts);
+
+  schema.summary = {
+    tables: schema.tables.length,
+    columns: schema.tables.reduce((n, t) => n + t.columns.length, 0),
+    measures: schema.tables.reduce((n, t) => n + t.measures.length, 0),
+    hierarchies: schema.tables.reduce((n, t) => n + t.hierarchies.length, 0),
+    relationships: schema.relationships.length,
+    roles: schema.roles.length,
+  };
+
+  return schema;
+}
+
+module.exports = {
+  decodePart,
+  indentOf,
+  readName,
+  readExpression,
+  parseTmdl,
+  parseModelBim,
+  parseSemanticModelDefinition,
+  splitColumnRef,
+};
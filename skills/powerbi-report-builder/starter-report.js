@@ -0,0 +1,189 @@
+/**
+ * Starter report generator
+ *
+ * Builds a deterministic default report spec from a parsed semantic model
+ * schema: an overview page with KPI cards and slicers, a trend page when a
+ * date table is marked, and one breakdown page per dimension table. The
+ * result is a regular report spec that goes through compile + validate.
+ */
+
+const MAX_KPI_CARDS = 4;
+const MAX_SLICERS = 3;
+const MAX_BREAKDOWN_PAGES = 5;
+const PAGE_WIDTH = 1280;
+const FULL_WIDTH = PAGE_WIDTH - 40;
+
+// Column names that usually hold keys rather than labels
+const KEY_COLUMN_PATTERN = /(^id$|key$|id$|_id$|guid|code$|^rowid|sort|order$)/i;
+
+// Column names that usually have few distinct values. The model definition
+// carries no cardinality statistics, so slicer candidates are picked by name.
+const LOW_CARDINALITY_PATTERN =
+  /(category|segment|region|country|channel|status|type|class|group|department|gender|year|quarter|brand|tier|division|territory|continent|state)/i;
+
+const DATE_LABEL_PRIORITY = [/year.?month|month.?year/i, /^month$|month name/i, /quarter/i, /^year$/i];
+
+/**
+ * Visible measures ordered by the table that holds the most measures
+ */
+function mainMeasures(schema) {
+  return schema.tables
+    .filter((t) => !t.isHidden && !t.isAutoDateTable)
+    .sort((a, b) => b.measures.length - a.measures.length)
+    .flatMap((t) => t.measures.filter((m) => !m.isHidden).map((m) => ({ table: t.name, measure: m.name })));
+}
+
+function isLabelColumn(column) {
+  return (
+    !column.isHidden &&
+    column.dataType === "string" &&
+    !KEY_COLUMN_PATTERN.test(column.name.replace(/\s/g, ""))
+  );
+}
+
+/**
+ * Tables on the "one" side of a relationship (excluding date tables)
+ */
+function dimensionTables(schema) {
+  const names = new Set(
+    schema.relationships.filter((r) => r.isActive && r.toCardinality === "one").map((r) => r.toTable)
+  );
+  return schema.tables.filter(
+    (t) => names.has(t.name) && !t.isHidden && !t.isDateTable && !t.isAutoDateTable &&
+      t.columns.some(isLabelColumn)
+  );
+}
+
+/**
+ * Pick the column used as the x-axis of trend visuals
+ */
+function dateAxisColumn(dateTable) {
+  const visible = dateTable.columns.filter((c) => !c.isHidden);
+  for (const pattern of DATE_LABEL_PRIORITY) {
+    const match = visible.find((c) => pattern.test(c.name));
+    if (match) return match.name;
+  }
+  const key = dateTable.columns.find((c) => c.isKey) || dateTable.columns.find((c) => c.dataType === "dateTime");
+  return key ? key.name : null;
+}
+
+/**
+ * Columns that make good slicers, best candidates first
+ */
+function slicerColumns(schema, dimensions, dateTable) {
+  const candidates = [];
+  if (dateTable) {
+    const year = dateTable.columns.find((c) => !c.isHidden && /^year$/i.test(c.name));
+    if (year) candidates.push({ table: dateTable.name, column: year.name });
+  }
+  for (const table of dimensions) {
+    for (const column of table.columns) {
+      if (isLabelColumn(column) && LOW_CARDINALITY_PATTERN.test(column.name)) {
+        candidates.push({ table: table.name, column: column.name });
+      }
+    }
+  }
+  for (const table of dimensions) {
+    for (const column of table.columns) {
+      if (!column.isHidden && column.dataType === "boolean") {
+        candidates.push({ table: table.name, column: column.name });
+      }
+    }
+  }
+  return candidates.slice(0, MAX_SLICERS);
+}
+
+/**
+ * Build a starter report spec from a semantic model schema
+ */
+function buildStarterReportSpec(schema) {
+  const measures = mainMeasures(schema);
+  if (measures.length === 0) {
+    throw new Error(
+      "The semantic model has no visible measures, so no KPIs can be generated. Add measures first."
+    );
+  }
+
+  const kpis = measures.slice(0, MAX_KPI_CARDS);
+  const primary = measures[0];
+  const dateTable = schema.tables.find((t) => t.isDateTable);
+  const dimensions = dimensionTables(schema);
+  const pages = [];
+
+  // Overview: slicers, KPI cards, then the primary measure by the first dimension
+  const overview = { name: "Overview", visuals: [] };
+  for (const field of slicerColumns(schema, dimensions, dateTable)) {
+    overview.visuals.push({ type: "slicer", title: field.column, fields: { values: field } });
+  }
+  for (const kpi of kpis) {
+    overview.visuals.push({ type: "card", title: kpi.measure, fields: { values: kpi } });
+  }
+  if (dimensions.length > 0) {
+    const label = dimensions[0].columns.find(isLabelColumn);
+    overview.visuals.push({
+      type: "bar",
+      title: `${primary.measure} by ${label.name}`,
+      fields: { category: { table: dimensions[0].name, column: label.name }, values: [primary] },
+    });
+  }
+  if (dateTable && dateAxisColumn(dateTable)) {
+    overview.visuals.push({
+      type: "line",
+      title: `${primary.measure} over time`,
+      fields: { category: { table: dateTable.name, column: dateAxisColumn(dateTable) }, values: [primary] },
+    });
+  }
+  pages.push(overview);
+
+  // Trend page, only for a marked date table
+  if (dateTable && dateAxisColumn(dateTable)) {
+    const axis = { table: dateTable.name, column: dateAxisColumn(dateTable) };
+    pages.push({
+      name: "Trends",
+      visuals: [
+        {
+          type: "line",
+          title: `${kpis.slice(0, 2).map((k) => k.measure).join(" and ")} over time`,
+          fields: { category: axis, values: kpis.slice(0, 2) },
+          position: { x: 20, y: 20, width: FULL_WIDTH, height: 330 },
+        },
+        {
+          type: "table",
+          title: `${axis.column} detail`,
+          fields: { values: [axis, ...kpis] },
+          position: { x: 20, y: 370, width: FULL_WIDTH, height: 330 },
+        },
+      ],
+    });
+  }
+
+  // One breakdown page per dimension
+  for (const table of dimensions.slice(0, MAX_BREAKDOWN_PAGES)) {
+    const labels = table.columns.filter(isLabelColumn);
+    const category = { table: table.name, column: labels[0].name };
+    const page = {
+      name: `By ${table.name}`,
+      visuals: [
+        {
+          type: "bar",
+          title: `${primary.measure} by ${category.column}`,
+          fields: { category, values: [primary] },
+          position: { x: 20, y: 20, width: 610, height: 680 },
+        },
+        {
+          type: "table",
+          title: `${table.name} detail`,
+          fields: { values: [...labels.slice(0, 3).map((c) => ({ table: table.name, column: c.name })), ...kpis] },
+          position: { x: 650, y: 20, width: 610, height: 680 },
+        },
+      ],
+    };
+    pages.push(page);
+  }
+
+  return { pages };
+}
+
+module.exports = {
+  buildStarterReportSpec,
+};
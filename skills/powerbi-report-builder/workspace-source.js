@@ -0,0 +1,167 @@
+/**
+ * Workspace source trees (PBIP / Fabric Git folder layout)
+ *
+ * export_workspace writes every report and semantic model definition to
+ * `<dir>/<Name>.<Type>/` with the parts decoded to plain files, the same
+ * layout Fabric Git integration and Power BI Desktop projects use.
+ * Reports that point at a model in the same tree reference it with
+ * `byPath` ("../Sales Model.SemanticModel"), so a tree can be restored into
+ * another workspace. import_workspace reads the tree back.
+ *
+ * Trees live under workspace/source (override with FABIOBOT_SOURCE_DIR).
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const SOURCE_TYPES = ["SemanticModel", "Report"];
+// Local Power BI Desktop state, never part of a Fabric definition
+const IGNORED_ENTRIES = new Set([".pbi", ".DS_Store", "Thumbs.db"]);
+
+function sourceRoot() {
+  return process.env.FABIOBOT_SOURCE_DIR || path.join(__dirname, "..", "..", "workspace", "source");
+}
+
+/**
+ * Absolute tree directory for a user-supplied name; stays inside the source root
+ */
+function resolveSourceDir(directory) {
+  if (!directory || !String(directory).trim()) throw new Error("directory is required");
+  const root = path.resolve(sourceRoot());
+  const dir = path.resolve(root, String(directory).trim());
+  if (dir !== root && !dir.startsWith(root + path.sep)) {
+    throw new Error(`directory must be inside the source folder (${root})`);
+  }
+  if (dir === root) throw new Error("directory must name a folder inside the source folder, not the folder itself");
+  return dir;
+}
+
+/**
+ * `<Name>.<Type>` folder name with characters invalid in file names replaced
+ */
+function itemFolderName(name, type) {
+  const safe = String(name).replace(/[\\/:*?"<>|\x00-\x1f]/g, "_").replace(/[. ]+$/, "") || "item";
+  return `${safe}.${type}`;
+}
+
+/**
+ * Point definition.pbir at a model folder of the tree (PBIP byPath reference)
+ * when the model was exported too; other references are kept as they are
+ *
+ * @param {object} pbir - decoded definition.pbir
+ * @param {Map<string, string>} modelFolders - semantic model ID → folder name
+ */
+function toByPathReference(pbir, modelFolders) {
+  const modelId = pbir?.datasetReference?.byConnection?.pbiModelDatabaseName;
+  const folder = modelId && modelFolders.get(modelId);
+  if (!folder) return pbir;
+  return { ...pbir, datasetReference: { byPath: { path: `../${folder}` }, byConnection: null } };
+}
+
+/**
+ * Model folder name a byPath definition.pbir points at (null for byConnection)
+ */
+function byPathModelFolder(pbir) {
+  const ref = pbir?.datasetReference?.byPath?.path;
+  return ref ? path.posix.basename(String(ref).replace(/\\/g, "/")) : null;
+}
+
+/**
+ * Write one item's definition parts (base64) as decoded files. The folder is
+ * replaced so parts removed in the service (e.g. deleted pages) disappear.
+ *
+ * @returns {number} files written
+ */
+function writeItemFolder(dir, folder, { name, type, parts }) {
+  const target = path.join(dir, folder);
+  fs.rmSync(target, { recursive: true, force: true });
+
+  const files = [...parts];
+  if (!files.some((p) => p.path === ".platform")) {
+    const platform = {
+      $schema: "https://developer.microsoft.com/json-schemas/fabric/gitIntegration/platformProperties/2.0.0/schema.json",
+      metadata: { type, displayName: name },
+      config: { version: "2.0", logicalId: crypto.randomUUID() },
+    };
+    files.push({ path: ".platform", payload: Buffer.from(JSON.stringify(platform, null, 2)).toString("base64") });
+  }
+  for (const part of files) {
+    const file = path.join(target, ...part.path.split("/"));
+    if (!file.startsWith(target + path.sep)) throw new Error(`Unsafe part path '${part.path}' in ${folder}`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, Buffer.from(part.payload || "", "base64"));
+  }
+  return files.length;
+}
+
+function listFiles(dir, prefix = "") {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => !IGNORED_ENTRIES.has(entry.name))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap((entry) => {
+      const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+      return entry.isDirectory() ? listFiles(path.join(dir, entry.name), rel) : [rel];
+    });
+}
+
+/**
+ * SHA-256 of an item's definition parts (paths and contents)
+ */
+function partsHash(parts) {
+  const hash = crypto.createHash("sha256");
+  for (const part of [...parts].sort((a, b) => a.path.localeCompare(b.path))) {
+    hash.update(`${part.path}\n${part.payload}\n`);
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * Read the `<Name>.<Type>/` folders of a tree. The display name comes from
+ * .platform when present, otherwise from the folder name.
+ *
+ * @returns {Array<{ folder: string, name: string, type: string, parts: Array<{ path: string, payload: string, payloadType: string }>, sha256: string }>}
+ */
+function readSourceTree(dir) {
+  if (!fs.existsSync(dir)) throw new Error(`Source folder '${dir}' does not exist — run export_workspace first`);
+
+  const items = fs.readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => {
+      const match = entry.name.match(/^(.+)\.([A-Za-z]+)$/);
+      if (!match || !SOURCE_TYPES.includes(match[2])) return null;
+      const folder = path.join(dir, entry.name);
+      const parts = listFiles(folder).map((rel) => ({
+        path: rel,
+        payload: fs.readFileSync(path.join(folder, ...rel.split("/"))).toString("base64"),
+        payloadType: "InlineBase64",
+      }));
+      let platform = null;
+      if (fs.existsSync(path.join(folder, ".platform"))) {
+        try {
+          platform = JSON.parse(fs.readFileSync(path.join(folder, ".platform"), "utf8"));
+        } catch (err) {
+          throw new Error(`${entry.name}/.platform is not valid JSON: ${err.message}`);
+        }
+      }
+      return { folder: entry.name, name: platform?.metadata?.displayName || match[1], type: match[2], parts, sha256: partsHash(parts) };
+    })
+    .filter(Boolean);
+
+  if (!items.length) {
+    throw new Error(`No <Name>.SemanticModel or <Name>.Report folders found in '${dir}'`);
+  }
+  // Models first, so reports can be bound to them
+  return items.sort((a, b) => SOURCE_TYPES.indexOf(a.type) - SOURCE_TYPES.indexOf(b.type) || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  sourceRoot,
+  resolveSourceDir,
+  itemFolderName,
+  toByPathReference,
+  byPathModelFolder,
+  writeItemFolder,
+  readSourceTree,
+};
@@ -0,0 +1,300 @@
+/**
+ * Deployment pipelines (Fabric REST API)
+ *
+ * Lists pipelines and their stages, compares a stage with the next one and
+ * deploys all or selected items one stage forward. Pipelines, stages and
+ * items are referenced by name in chat: stages also match by a unique name
+ * prefix ("prod" → Production), order number or a workspace alias from
+ * workspaces.json; items as "Name" or "Name (Type)". A deployment is planned
+ * first (planDeployment) so the tool can show what it overwrites and ask for
+ * confirmation before deployStage runs it.
+ */
+
+const { fabricRequest } = require("../shared/fabric-client");
+const { OperationTimeoutError } = require("../shared/long-running-operation");
+const { fetchAllPages } = require("../shared/pagination");
+const { listWorkspaceAliases } = require("../shared/workspaces");
+
+const sameName = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+async function listAll(path) {
+  const { items } = await fetchAllPages((p) => fabricRequest("GET", p), path);
+  return items;
+}
+
+function stageSummary(stage) {
+  return {
+    id: stage.id,
+    order: stage.order,
+    name: stage.displayName,
+    workspace_id: stage.workspaceId || null,
+    workspace_name: stage.workspaceName || null,
+    is_public: stage.isPublic || undefined,
+  };
+}
+
+/**
+ * Every deployment pipeline with its stages in order
+ */
+async function listDeploymentPipelines() {
+  const pipelines = await listAll("/deploymentPipelines");
+  return Promise.all(pipelines.map(async (pipeline) => ({
+    id: pipeline.id,
+    name: pipeline.displayName,
+    description: pipeline.description || "",
+    stages: (await listAll(`/deploymentPipelines/${pipeline.id}/stages`))
+      .sort((a, b) => a.order - b.order)
+      .map(stageSummary),
+  })));
+}
+
+/**
+ * Find a pipeline by ID or name; with no reference, the only pipeline
+ */
+async function resolvePipeline(ref) {
+  const pipelines = await listDeploymentPipelines();
+  if (!pipelines.length) throw new Error("No deployment pipelines are shared with the service principal");
+  if (!ref) {
+    if (pipelines.length === 1) return pipelines[0];
+    throw new Error(`Several deployment pipelines exist — pass pipeline: ${pipelines.map((p) => p.name).join(", ")}`);
+  }
+  const pipeline = pipelines.find((p) => p.id === ref || sameName(p.name, ref));
+  if (!pipeline) {
+    throw new Error(`Deployment pipeline '${ref}' not found — pipelines: ${pipelines.map((p) => p.name).join(", ")}`);
+  }
+  return pipeline;
+}
+
+/**
+ * Find a stage by ID, name, order number, workspace alias or a name prefix
+ * that matches exactly one stage
+ */
+function resolveStage(pipeline, ref) {
+  const text = String(ref).trim();
+  const stages = pipeline.stages.map((s) => s.name).join(" → ");
+  const alias = listWorkspaceAliases().find((a) => sameName(a.alias, text));
+  const stage =
+    pipeline.stages.find((s) => s.id === text || sameName(s.name, text)) ||
+    (/^\d+$/.test(text) ? pipeline.stages.find((s) => s.order === Number(text)) : null) ||
+    (alias ? pipeline.stages.find((s) => s.workspace_id === alias.id) : null);
+  if (stage) return stage;
+
+  const prefixed = text ? pipeline.stages.filter((s) => s.name.toLowerCase().startsWith(text.toLowerCase())) : [];
+  if (prefixed.length === 1) return prefixed[0];
+  if (prefixed.length > 1) {
+    throw new Error(`Stage '${ref}' is ambiguous in '${pipeline.name}' — it matches ${prefixed.map((s) => s.name).join(", ")}; use the full stage name`);
+  }
+  throw new Error(`Stage '${ref}' not found in '${pipeline.name}' — stages: ${stages}`);
+}
+
+/**
+ * Source and target stage of a forward deployment; the target defaults to
+ * the stage after the source
+ */
+function resolveStagePair(pipeline, sourceRef, targetRef) {
+  if (!sourceRef) throw new Error("source_stage is required (e.g. Development)");
+  const source = resolveStage(pipeline, sourceRef);
+  const next = pipeline.stages.find((s) => s.order === source.order + 1);
+  if (!next) throw new Error(`'${source.name}' is the last stage of '${pipeline.name}' — there is nothing to deploy to`);
+  const target = targetRef ? resolveStage(pipeline, targetRef) : next;
+  if (target.id !== next.id) {
+    throw new Error(
+      `Deployments move content one stage forward: ${pipeline.stages.map((s) => s.name).join(" → ")}. ` +
+      `The stage after '${source.name}' is '${next.name}'.`
+    );
+  }
+  if (!source.workspace_id) throw new Error(`Stage '${source.name}' has no workspace assigned`);
+  if (!target.workspace_id) throw new Error(`Stage '${target.name}' has no workspace assigned — assign one in the pipeline first`);
+  return { source, target };
+}
+
+async function stageItems(pipelineId, stageId) {
+  return listAll(`/deploymentPipelines/${pipelineId}/stages/${stageId}/items`);
+}
+
+const itemLabel = (item) => `${item.itemDisplayName} (${item.itemType})`;
+
+/**
+ * Pair the items of two adjacent stages: new in source, paired, only in target
+ */
+function pairItems(sourceItems, targetItems) {
+  const paired = [];
+  const onlyInSource = [];
+  const matched = new Set();
+
+  for (const item of sourceItems) {
+    const target = targetItems.find((t) => (item.targetItemId && t.itemId === item.targetItemId) || t.sourceItemId === item.itemId) ||
+      targetItems.find((t) => !matched.has(t.itemId) && t.itemType === item.itemType && sameName(t.itemDisplayName, item.itemDisplayName));
+    if (target) {
+      matched.add(target.itemId);
+      paired.push({ source: item, target });
+    } else {
+      onlyInSource.push(item);
+    }
+  }
+  return { paired, onlyInSource, onlyInTarget: targetItems.filter((t) => !matched.has(t.itemId)) };
+}
+
+/**
+ * What deploying `sourceItems` would create, overwrite or leave alone
+ */
+function describeComparison(pipeline, source, target, sourceItems, targetItems) {
+  const { paired, onlyInSource, onlyInTarget } = pairItems(sourceItems, targetItems);
+  return {
+    pipeline: pipeline.name,
+    source_stage: `${source.name} (${source.workspace_name || source.workspace_id})`,
+    target_stage: `${target.name} (${target.workspace_name || target.workspace_id})`,
+    new_in_target: onlyInSource.map((i) => ({ name: i.itemDisplayName, type: i.itemType, id: i.itemId })),
+    overwritten_in_target: paired.map(({ source: s, target: t }) => ({
+      name: s.itemDisplayName,
+      type: s.itemType,
+      source_id: s.itemId,
+      target_id: t.itemId,
+      last_deployment_time: t.lastDeploymentTime || s.lastDeploymentTime || null,
+    })),
+    only_in_target: onlyInTarget.map((i) => ({ name: i.itemDisplayName, type: i.itemType, id: i.itemId })),
+    note: "The API does not say whether paired items differ in content; a deployment overwrites them with the source version.",
+  };
+}
+
+/**
+ * Compare a stage with the next one: what a deployment would create,
+ * overwrite or leave alone
+ */
+async function compareStages(pipelineRef, sourceRef, targetRef) {
+  const pipeline = await resolvePipeline(pipelineRef);
+  const { source, target } = resolveStagePair(pipeline, sourceRef, targetRef);
+  const [sourceItems, targetItems] = await Promise.all([
+    stageItems(pipeline.id, source.id),
+    stageItems(pipeline.id, target.id),
+  ]);
+  return describeComparison(pipeline, source, target, sourceItems, targetItems);
+}
+
+/**
+ * Match "Name" or "Name (Type)" references against the source stage items
+ */
+function selectItems(refs, sourceItems) {
+  return refs.map((ref) => {
+    const match = String(ref).trim().match(/^(.*?)\s*\(([^()]+)\)$/);
+    const [name, type] = match ? [match[1], match[2]] : [String(ref).trim(), null];
+    const found = sourceItems.filter((i) =>
+      (i.itemId === name || sameName(i.itemDisplayName, name)) && (!type || sameName(i.itemType, type))
+    );
+    if (found.length === 1) return found[0];
+    if (found.length > 1) {
+      throw new Error(`'${ref}' matches several items — use one of: ${found.map(itemLabel).join(", ")}`);
+    }
+    throw new Error(`'${ref}' is not in the source stage — items: ${sourceItems.map(itemLabel).join(", ") || "none"}`);
+  });
+}
+
+/**
+ * Resolve a deployment without running it: the deploy request and a preview
+ * of what it creates and overwrites in the target stage
+ *
+ * @param {object} options
+ * @param {string} [options.pipeline] - pipeline name or ID (optional with one pipeline)
+ * @param {string} options.sourceStage
+ * @param {string} [options.targetStage] - must be the stage after sourceStage
+ * @param {string[]} [options.items] - "Name" / "Name (Type)"; all items when empty
+ * @param {string} [options.note] - deployment note shown in the pipeline history
+ */
+async function planDeployment({ pipeline: pipelineRef, sourceStage, targetStage, items = [], note }) {
+  const pipeline = await resolvePipeline(pipelineRef);
+  const { source, target } = resolveStagePair(pipeline, sourceStage, targetStage);
+  const [sourceItems, targetItems] = await Promise.all([
+    stageItems(pipeline.id, source.id),
+    stageItems(pipeline.id, target.id),
+  ]);
+  if (!sourceItems.length) throw new Error(`Stage '${source.name}' has no items to deploy`);
+
+  const selected = items.length ? selectItems(items, sourceItems) : sourceItems;
+  // Always name the items, so a confirmed "all items" deployment only
+  // deploys what the preview showed
+  const body = {
+    sourceStageId: source.id,
+    targetStageId: target.id,
+    items: selected.map((i) => ({ sourceItemId: i.itemId, itemType: i.itemType })),
+  };
+  if (note) body.note = String(note).substring(0, 1024);
+
+  return {
+    pipeline,
+    source,
+    target,
+    selected,
+    targetItems,
+    path: `/deploymentPipelines/${pipeline.id}/deploy`,
+    body,
+    preview: {
+      ...describeComparison(pipeline, source, target, selected, targetItems),
+      items: items.length ? selected.map(itemLabel) : "all items of the source stage",
+    },
+  };
+}
+
+/**
+ * Run a planned deployment and report per-item results. A deployment that
+ * outlasts the operation time limit is reported as InProgress with its
+ * operation ID, not as failed.
+ *
+ * @param {object} plan - from planDeployment
+ * @param {object} [options]
+ * @param {function} [options.onProgress] - LRO progress callback
+ */
+async function deployStage(plan, { onProgress = null } = {}) {
+  const { pipeline, source, target, selected, targetItems, path, body } = plan;
+  const before = pairItems(selected, targetItems);
+
+  const output = {
+    pipeline: pipeline.name,
+    from: `${source.name} (${source.workspace_name || source.workspace_id})`,
+    to: `${target.name} (${target.workspace_name || target.workspace_id})`,
+  };
+  if (body.note) output.note = body.note;
+
+  let error = null;
+  try {
+    await fabricRequest("POST", path, body, { onProgress });
+  } catch (err) {
+    if (err instanceof OperationTimeoutError) {
+      return {
+        ...output,
+        status: "InProgress",
+        operation_id: err.operationId,
+        message: err.message,
+        items: selected.map((item) => ({ name: item.itemDisplayName, type: item.itemType, result: "InProgress" })),
+      };
+    }
+    error = err.message;
+  }
+
+  // Per-item outcome from the stages after the deployment
+  const after = pairItems(selected, await stageItems(pipeline.id, target.id));
+  const existedBefore = new Set(before.paired.map((p) => p.source.itemId));
+  const results = selected.map((item) => {
+    const pair = after.paired.find((p) => p.source.itemId === item.itemId);
+    const deployedNow = pair && (!error || pair.target.lastDeploymentTime !== before.paired.find((p) => p.source.itemId === item.itemId)?.target.lastDeploymentTime);
+    return {
+      name: item.itemDisplayName,
+      type: item.itemType,
+      result: !deployedNow ? "NotDeployed" : existedBefore.has(item.itemId) ? "Updated" : "Created",
+      target_id: pair?.target.itemId || null,
+      last_deployment_time: pair?.target.lastDeploymentTime || null,
+    };
+  });
+
+  output.status = error ? "Failed" : "Succeeded";
+  output.items = results;
+  if (error) output.error = error;
+  return output;
+}
+
+module.exports = {
+  listDeploymentPipelines,
+  resolveStage,
+  compareStages,
+  planDeployment,
+  deployStage,
+};
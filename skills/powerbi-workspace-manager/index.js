@@ -4,149 +4,273 @@
  * Provides workspace overview and management capabilities.
  */
 
-let tokenCache = { token: null, expiresAt: 0 };
+const { fabricRequest, powerbiRequest } = require("../shared/fabric-client");
+const { withToolContext } = require("../shared/audit-log");
+const { fetchAllPages, paginateForChat, countBy } = require("../shared/pagination");
+const { chatProgressReporter } = require("../shared/long-running-operation");
+const {
+  resolveWorkspaceId,
+  setCurrentWorkspace,
+  getCurrentWorkspace,
+  listWorkspaceAliases,
+  conversationKey,
+} = require("../shared/workspaces");
+const {
+  GUID,
+  normalizeRole,
+  normalizePrincipalType,
+  listRoleAssignments,
+  summarizeAssignment,
+  assignmentLabel,
+  findAssignment,
+  assertAdminRemains,
+} = require("../shared/workspace-roles");
+const { issueConfirmation, redeemConfirmation } = require("../shared/confirmations");
+const { toList } = require("../shared/params");
+const { listDeploymentPipelines, compareStages, planDeployment, deployStage } = require("./deployment-pipelines");
 
-async function getAccessToken() {
-  const now = Date.now();
-  if (tokenCache.token && tokenCache.expiresAt > now + 60000) {
-    return tokenCache.token;
-  }
-
-  const tenantId = process.env.AZURE_TENANT_ID;
-  const clientId = process.env.AZURE_CLIENT_ID;
-  const clientSecret = process.env.AZURE_CLIENT_SECRET;
-
-  if (!tenantId || !clientId || !clientSecret) {
-    throw new Error(
-      "Missing Azure AD credentials. Set AZURE_TENANT_ID, AZURE_CLIENT_ID, AZURE_CLIENT_SECRET in .env"
-    );
-  }
+async function listWorkspaces() {
+  const { items } = await fetchAllPages((p) => fabricRequest("GET", p), "/workspaces");
+  return items;
+}
 
-  const body = new URLSearchParams({
-    grant_type: "client_credentials",
-    client_id: clientId,
-    client_secret: clientSecret,
-    scope: "https://analysis.windows.net/powerbi/api/.default",
-  });
-
-  const response = await fetch(
-    `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/token`,
-    {
-      method: "POST",
-      headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      body: body.toString(),
-    }
-  );
-
-  if (!response.ok) {
-    const status = response.status;
-    if (status === 401 || status === 403) {
-      throw new Error(
-        `Azure AD authentication failed (${status}). Check AZURE_CLIENT_SECRET — it may have expired.`
-      );
-    }
-    throw new Error(`Azure AD token error (${status}). Check your Azure AD credentials in .env`);
+/**
+ * Resolve the `workspace` tool parameter; returns { workspaceId } or { error }
+ */
+async function resolveWorkspace(workspace, context) {
+  try {
+    return { workspaceId: await resolveWorkspaceId(workspace, { context, listWorkspaces }) };
+  } catch (err) {
+    return { error: err.message };
   }
-
-  const data = await response.json();
-  tokenCache = {
-    token: data.access_token,
-    expiresAt: now + data.expires_in * 1000,
-  };
-  return data.access_token;
 }
 
-async function apiRequest(method, path, retries = 2) {
-  const token = await getAccessToken();
+module.exports = withToolContext({
+  list_workspaces: async ({ page, page_size } = {}, context) => {
+    const workspaces = await listWorkspaces();
+    const aliases = listWorkspaceAliases();
+    const current = await resolveWorkspace(null, context);
 
-  for (let attempt = 0; attempt <= retries; attempt++) {
-    const response = await fetch(`https://api.fabric.microsoft.com/v1${path}`, {
-      method,
-      headers: {
-        Authorization: `Bearer ${token}`,
-        "Content-Type": "application/json",
-      },
+    const items = workspaces.map((w) => {
+      const entry = { id: w.id, name: w.displayName, type: w.type };
+      const alias = aliases.filter((a) => a.id === w.id).map((a) => a.alias);
+      if (alias.length) entry.aliases = alias;
+      if (w.capacityId) entry.capacityId = w.capacityId;
+      if (w.id === current.workspaceId) entry.current = true;
+      return entry;
     });
 
-    if (response.ok) {
-      const text = await response.text();
-      return text ? JSON.parse(text) : null;
+    const result = paginateForChat(items, { page, page_size });
+    result.current_workspace = current.workspaceId || null;
+    const unresolved = aliases.filter((a) => !workspaces.some((w) => w.id === a.id));
+    if (unresolved.length) {
+      result.inaccessible_aliases = unresolved.map((a) => ({ alias: a.alias, id: a.id }));
     }
+    return JSON.stringify(result, null, 2);
+  },
 
-    const status = response.status;
+  set_current_workspace: async ({ workspace } = {}, context) => {
+    if (!workspace) {
+      return JSON.stringify({ error: "workspace is required (ID, display name or alias)" });
+    }
+    const { workspaceId, error } = await resolveWorkspace(workspace, context);
+    if (error) return JSON.stringify({ error });
 
-    // Retry on transient errors
-    if ((status === 429 || status >= 500) && attempt < retries) {
-      await new Promise((r) => setTimeout(r, (attempt + 1) * 1000));
-      continue;
+    const info = await fabricRequest("GET", `/workspaces/${workspaceId}`);
+    const previous = getCurrentWorkspace(context);
+    setCurrentWorkspace(context, workspaceId);
+    return JSON.stringify({
+      current_workspace: workspaceId,
+      name: info?.displayName,
+      previous,
+      message: `All tools in this conversation now default to '${info?.displayName || workspaceId}'`,
+    }, null, 2);
+  },
+
+  get_workspace_info: async ({ workspace } = {}, context) => {
+    const { workspaceId, error } = await resolveWorkspace(workspace, context);
+    if (error) return JSON.stringify({ error });
+    const result = await fabricRequest("GET", `/workspaces/${workspaceId}`);
+    return JSON.stringify(result, null, 2);
+  },
+
+  list_workspace_items: async ({ item_type, limit, page, page_size, workspace } = {}, context) => {
+    const { workspaceId, error } = await resolveWorkspace(workspace, context);
+    if (error) return JSON.stringify({ error });
+    let path = `/workspaces/${workspaceId}/items`;
+    if (item_type) {
+      path += `?type=${encodeURIComponent(item_type)}`;
     }
+    const { items, truncated } = await fetchAllPages((p) => fabricRequest("GET", p), path, { limit });
+    const result = paginateForChat(items, { page, page_size, truncated });
+    if (result.total_pages > 1 || truncated) {
+      result.by_type = countBy(items, "type");
+    }
+    return JSON.stringify(result, null, 2);
+  },
 
-    if (status === 403) {
-      throw new Error(
-        `Access denied (403) to ${path}. The Service Principal may not have workspace permissions. ` +
-        "Add it as Admin/Member in the Power BI workspace settings."
-      );
+  get_report_pages: async ({ report_id, workspace }, context) => {
+    if (!report_id) {
+      return JSON.stringify({ error: "report_id is required" });
     }
-    if (status === 404) {
-      throw new Error(`Resource not found (404): ${path}. Check the workspace ID in .env`);
+    const { workspaceId, error } = await resolveWorkspace(workspace, context);
+    if (error) return JSON.stringify({ error });
+    const data = await powerbiRequest("GET", `/groups/${workspaceId}/reports/${report_id}/pages`);
+    return JSON.stringify(data.value, null, 2);
+  },
+
+  list_deployment_pipelines: async () => {
+    const pipelines = await listDeploymentPipelines();
+    return JSON.stringify({ total: pipelines.length, pipelines }, null, 2);
+  },
+
+  compare_pipeline_stages: async ({ pipeline, source_stage, target_stage } = {}) => {
+    if (!source_stage) {
+      return JSON.stringify({ error: "source_stage is required (stage name, order or workspace alias)" });
     }
-    if (status === 429) {
-      throw new Error("Rate limit exceeded (429). Wait a moment and try again.");
+    const result = await compareStages(pipeline, source_stage, target_stage);
+    return JSON.stringify(result, null, 2);
+  },
+
+  deploy_pipeline_stage: async ({ pipeline, source_stage, target_stage, items, note, confirmation_token } = {}, context) => {
+    if (!source_stage) {
+      return JSON.stringify({ error: "source_stage is required (stage name, order or workspace alias)" });
     }
-    const error = await response.text();
-    throw new Error(`API error (${status}) on ${method} ${path}: ${error.substring(0, 200)}`);
-  }
-}
+    const plan = await planDeployment({
+      pipeline,
+      sourceStage: source_stage,
+      targetStage: target_stage,
+      items: toList(items),
+      note,
+    });
+    const conversation = conversationKey(context);
 
-module.exports = {
-  get_workspace_info: async () => {
-    const workspaceId = process.env.POWERBI_WORKSPACE_ID;
-    if (!workspaceId) {
-      return JSON.stringify({ error: "POWERBI_WORKSPACE_ID not configured in .env" });
+    if (!confirmation_token) {
+      const { token, expiresAt } = issueConfirmation("POST", plan.path, plan.body, conversation);
+      return JSON.stringify({
+        ok: false,
+        confirmation_required: true,
+        preview: plan.preview,
+        confirmation_token: token,
+        expires_at: expiresAt,
+        message:
+          "A deployment overwrites the paired items in the target stage. Show the preview to the user and, only after they confirm, " +
+          "repeat the call with the same parameters and confirmation_token set.",
+      }, null, 2);
     }
-    const result = await apiRequest("GET", `/workspaces/${workspaceId}`);
+    const problem = redeemConfirmation(confirmation_token, "POST", plan.path, plan.body, conversation);
+    if (problem) {
+      return JSON.stringify({ ok: false, confirmation_required: true, error: problem }, null, 2);
+    }
+
+    const result = await deployStage(plan, { onProgress: chatProgressReporter(context, "Deploying") });
     return JSON.stringify(result, null, 2);
   },
 
-  list_workspace_items: async ({ item_type } = {}) => {
-    const workspaceId = process.env.POWERBI_WORKSPACE_ID;
-    if (!workspaceId) {
-      return JSON.stringify({ error: "POWERBI_WORKSPACE_ID not configured in .env" });
+  list_workspace_roles: async ({ workspace } = {}, context) => {
+    const { workspaceId, error } = await resolveWorkspace(workspace, context);
+    if (error) return JSON.stringify({ error });
+    const assignments = (await listRoleAssignments(workspaceId)).map(summarizeAssignment);
+    return JSON.stringify({
+      workspace_id: workspaceId,
+      total: assignments.length,
+      by_role: countBy(assignments, "role"),
+      assignments,
+    }, null, 2);
+  },
+
+  add_workspace_role: async ({ principal_id, principal_type, role, workspace } = {}, context) => {
+    if (!principal_id || !principal_type || !role) {
+      return JSON.stringify({ error: "principal_id, principal_type and role are required" });
     }
-    let path = `/workspaces/${workspaceId}/items`;
-    if (item_type) {
-      path += `?type=${item_type}`;
+    if (!GUID.test(String(principal_id).trim())) {
+      return JSON.stringify({
+        error: `principal_id must be the Azure AD object ID (a GUID), not '${principal_id}'. ` +
+          "Find it in Microsoft Entra ID (Users, Groups or Enterprise applications → Object ID).",
+      });
     }
-    const result = await apiRequest("GET", path);
-    return JSON.stringify(result.value || result, null, 2);
+    const { workspaceId, error } = await resolveWorkspace(workspace, context);
+    if (error) return JSON.stringify({ error });
+
+    const principal = { id: String(principal_id).trim().toLowerCase(), type: normalizePrincipalType(principal_type) };
+    const existing = (await listRoleAssignments(workspaceId)).find((a) => a.id.toLowerCase() === principal.id);
+    if (existing) {
+      return JSON.stringify({
+        error: `${assignmentLabel(existing)} already has the ${existing.role} role — use update_workspace_role to change it`,
+      });
+    }
+    const created = await fabricRequest("POST", `/workspaces/${workspaceId}/roleAssignments`, {
+      principal,
+      role: normalizeRole(role),
+    });
+    return JSON.stringify({ workspace_id: workspaceId, added: summarizeAssignment(created) }, null, 2);
   },
 
-  get_report_pages: async ({ report_id }) => {
-    if (!report_id) {
-      return JSON.stringify({ error: "report_id is required" });
+  update_workspace_role: async ({ principal, role, workspace } = {}, context) => {
+    if (!principal || !role) {
+      return JSON.stringify({ error: "principal and role are required" });
     }
-    const workspaceId = process.env.POWERBI_WORKSPACE_ID;
-    const token = await getAccessToken();
+    const { workspaceId, error } = await resolveWorkspace(workspace, context);
+    if (error) return JSON.stringify({ error });
 
-    const response = await fetch(
-      `https://api.powerbi.com/v1.0/myorg/groups/${workspaceId}/reports/${report_id}/pages`,
-      {
-        headers: { Authorization: `Bearer ${token}` },
-      }
-    );
+    const newRole = normalizeRole(role);
+    const assignments = await listRoleAssignments(workspaceId);
+    const target = findAssignment(assignments, principal);
+    if (target.role === newRole) {
+      return JSON.stringify({ workspace_id: workspaceId, principal: assignmentLabel(target), role: newRole, changed: false }, null, 2);
+    }
+    assertAdminRemains(assignments, target, newRole);
+    await fabricRequest("PATCH", `/workspaces/${workspaceId}/roleAssignments/${target.id}`, { role: newRole });
+    return JSON.stringify({
+      workspace_id: workspaceId,
+      principal: assignmentLabel(target),
+      previous_role: target.role,
+      role: newRole,
+      changed: true,
+    }, null, 2);
+  },
 
-    if (!response.ok) {
-      const status = response.status;
-      if (status === 404) {
-        throw new Error(`Report not found (404). Check that the report_id '${report_id}' is correct.`);
-      }
-      if (status === 403) {
-        throw new Error("Access denied (403). The Service Principal may not have access to this report.");
+  remove_workspace_role: async ({ principal, workspace, confirmation_token } = {}, context) => {
+    if (!principal) {
+      return JSON.stringify({ error: "principal is required (name, email, app ID or object ID)" });
+    }
+    const { workspaceId, error } = await resolveWorkspace(workspace, context);
+    if (error) return JSON.stringify({ error });
+
+    const assignments = await listRoleAssignments(workspaceId);
+    const target = findAssignment(assignments, principal);
+    assertAdminRemains(assignments, target, null);
+    const path = `/workspaces/${workspaceId}/roleAssignments/${target.id}`;
+    const conversation = conversationKey(context);
+
+    if (!confirmation_token) {
+      const { token, expiresAt } = issueConfirmation("DELETE", path, null, conversation);
+      const preview = { request: `DELETE ${path}`, principal: assignmentLabel(target), role: target.role };
+      if (target.principal?.servicePrincipalDetails?.aadAppId === process.env.AZURE_CLIENT_ID) {
+        preview.warning = "This is the bot's own service principal — it will lose access to the workspace";
       }
-      throw new Error(`Failed to get report pages (${status})`);
+      return JSON.stringify({
+        ok: false,
+        confirmation_required: true,
+        preview,
+        confirmation_token: token,
+        expires_at: expiresAt,
+        message:
+          "Removing a role takes away access to the workspace. Show the preview to the user and, only after they confirm, " +
+          "repeat the call with confirmation_token set.",
+      }, null, 2);
+    }
+    const problem = redeemConfirmation(confirmation_token, "DELETE", path, null, conversation);
+    if (problem) {
+      return JSON.stringify({ ok: false, confirmation_required: true, error: problem }, null, 2);
     }
 
-    const data = await response.json();
-    return JSON.stringify(data.value, null, 2);
+    await fabricRequest("DELETE", path);
+    return JSON.stringify({
+      ok: true,
+      workspace_id: workspaceId,
+      removed: assignmentLabel(target),
+      role: target.role,
+    }, null, 2);
   },
-};
+});
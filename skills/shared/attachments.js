@@ -0,0 +1,65 @@
+/**
+ * Files sent to the chat (CSV results, exported reports)
+ *
+ * The file is written to workspace/exports next to the skills directory
+ * (override with FABIOBOT_EXPORT_DIR) and handed to the channel with
+ * context.sendFile(path, { filename, caption, mimeType }) when the runtime
+ * provides it. Tools return the attachment info either way, so the user can
+ * be told where to find the file if it could not be sent.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+function exportDir() {
+  return process.env.FABIOBOT_EXPORT_DIR || path.join(__dirname, "..", "..", "workspace", "exports");
+}
+
+/**
+ * Make a user-supplied name safe to use as a file name
+ */
+function safeFileName(name) {
+  return String(name || "export").replace(/[^\w.-]+/g, "_").replace(/^_+|_+$/g, "").substring(0, 100) || "export";
+}
+
+/**
+ * Write a file and send it to the chat.
+ *
+ * @param {object} context - OpenClaw call context
+ * @param {object} file
+ * @param {string} file.filename - name shown in the chat
+ * @param {string|Buffer} file.content
+ * @param {string} [file.mimeType]
+ * @param {string} [file.caption]
+ * @returns {Promise<{ filename: string, path: string, size: number, mime_type: string, sent: boolean, error?: string }>}
+ */
+async function sendAttachment(context, { filename, content, mimeType = "application/octet-stream", caption }) {
+  const name = safeFileName(filename);
+  const dir = exportDir();
+  await fs.promises.mkdir(dir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\..+$/, "");
+  const file = path.join(dir, `${stamp}-${name}`);
+  await fs.promises.writeFile(file, content);
+
+  const result = {
+    filename: name,
+    path: file,
+    size: Buffer.byteLength(content),
+    mime_type: mimeType,
+    sent: false,
+  };
+  if (context && typeof context.sendFile === "function") {
+    try {
+      await context.sendFile(file, { filename: name, caption, mimeType });
+      result.sent = true;
+    } catch (err) {
+      result.error = `Could not send the file to the chat: ${err.message}`;
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  sendAttachment,
+  safeFileName,
+};
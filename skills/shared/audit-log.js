@@ -0,0 +1,236 @@
+/**
+ * Append-only audit log of mutating Fabric / Power BI calls
+ *
+ * Every POST, PUT, PATCH and DELETE sent through shared/fabric-client.js (and
+ * fabric_api_call) is written as one JSON line to the audit file, together
+ * with the chat user and tool that caused it. Read-only POST endpoints such
+ * as getDefinition are skipped.
+ *
+ * Skills wrap their exported handlers with withToolContext() so the client
+ * knows which tool and chat user a request belongs to.
+ *
+ * The file defaults to workspace/audit/fabric-audit.jsonl next to the skills
+ * directory; override it with FABIOBOT_AUDIT_LOG_FILE.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { AsyncLocalStorage } = require("async_hooks");
+const { conversationKey } = require("./workspaces");
+
+const MUTATING_METHODS = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+
+// POST endpoints that only read data
+const READ_ONLY_POST = /\/(getDefinition|executeQueries|GenerateToken)(\?|$)/i;
+
+const toolContext = new AsyncLocalStorage();
+
+function auditFile() {
+  return process.env.FABIOBOT_AUDIT_LOG_FILE || path.join(__dirname, "..", "..", "workspace", "audit", "fabric-audit.jsonl");
+}
+
+/**
+ * Wrap skill handlers so calls made inside them are attributed to the tool
+ * and chat user
+ */
+function withToolContext(handlers) {
+  const wrapped = {};
+  for (const [tool, handler] of Object.entries(handlers)) {
+    wrapped[tool] = (params, context) => toolContext.run({ tool, context }, () => handler(params, context));
+  }
+  return wrapped;
+}
+
+/**
+ * Chat user from the OpenClaw context: { id, name }
+ */
+function chatUser(context) {
+  if (!context) return { id: null, name: null };
+  const user = context.user || context.sender || context.from || {};
+  return {
+    id: user.id ?? context.userId ?? context.senderId ?? null,
+    name: user.name || user.displayName || user.username || context.userName || context.senderName || null,
+  };
+}
+
+function isAuditedRequest(method, requestPath) {
+  const upper = method.toUpperCase();
+  if (!MUTATING_METHODS.has(upper)) return false;
+  return !(upper === "POST" && READ_ONLY_POST.test(requestPath));
+}
+
+/**
+ * Singular item type from a collection segment: "semanticModels" → "SemanticModel"
+ */
+function itemType(collection) {
+  const singular = collection.replace(/ies$/, "y").replace(/s$/, "");
+  return singular.charAt(0).toUpperCase() + singular.slice(1);
+}
+
+/**
+ * Workspace, target item and a short summary derived from the request
+ */
+function describeRequest(method, requestPath, body) {
+  const upper = method.toUpperCase();
+  const segments = requestPath.split("?")[0].replace(/^https?:\/\/[^/]+/, "").split("/").filter(Boolean);
+  // Power BI paths: /v1.0/myorg/groups/{id}/...
+  const start = segments.findIndex((s) => s === "workspaces" || s === "groups");
+  const workspaceId = start >= 0 ? segments[start + 1] || null : null;
+  const rest = start >= 0 ? segments.slice(start + 2) : segments;
+
+  const fields = body && typeof body === "object" ? body : {};
+  let target = null;
+  let summary;
+
+  if (rest.length === 0) {
+    target = workspaceId ? { type: "Workspace", id: workspaceId, name: fields.displayName || null } : null;
+    summary = `${upper === "DELETE" ? "delete" : "update"} workspace${workspaceId ? ` ${workspaceId}` : ""}`;
+  } else if (rest.length === 1) {
+    const type = fields.type || itemType(rest[0]);
+    target = { type, id: null, name: fields.displayName || fields.name || null };
+    summary = upper === "POST" ? `create ${type}${target.name ? ` '${target.name}'` : ""}` : `${upper} ${rest[0]}`;
+  } else {
+    const type = itemType(rest[0]);
+    target = { type, id: rest[1], name: fields.displayName || null };
+    const action = rest.slice(2).join("/");
+    if (action) summary = `${action} on ${type} ${rest[1]}`;
+    else if (upper === "DELETE") summary = `delete ${type} ${rest[1]}`;
+    else summary = `update ${type} ${rest[1]}`;
+  }
+
+  return { workspaceId, target, summary };
+}
+
+/**
+ * Append an audit entry for a mutating request (no-op for reads).
+ * Audit failures are reported on stderr but never fail the request.
+ *
+ * @param {object} entry
+ * @param {string} entry.method
+ * @param {string} entry.path
+ * @param {object|string} [entry.body]
+ * @param {number} entry.status - HTTP status (0 for network errors)
+ * @param {boolean} entry.ok
+ * @param {string} [entry.error]
+ * @param {object} [entry.result] - response / LRO result (created item id)
+ * @param {string} [entry.operationId]
+ */
+async function recordAudit({ method, path: requestPath, body, status, ok, error, result, operationId }) {
+  if (!isAuditedRequest(method, requestPath)) return;
+
+  let parsedBody = body;
+  if (typeof body === "string") {
+    try {
+      parsedBody = JSON.parse(body);
+    } catch {
+      parsedBody = null;
+    }
+  }
+
+  const store = toolContext.getStore() || {};
+  const { workspaceId, target, summary } = describeRequest(method, requestPath, parsedBody);
+  if (target && result && typeof result === "object") {
+    target.id = target.id || result.id || null;
+    target.name = target.name || result.displayName || null;
+  }
+
+  const entry = {
+    timestamp: new Date().toISOString(),
+    user: chatUser(store.context),
+    conversation: conversationKey(store.context),
+    tool: store.tool || null,
+    workspace_id: workspaceId,
+    target,
+    request: `${method.toUpperCase()} ${requestPath.replace(/^https?:\/\/[^/]+/, "")}`,
+    summary,
+    status,
+    result: ok ? "succeeded" : "failed",
+  };
+  if (operationId) entry.operation_id = operationId;
+  if (error) entry.error = String(error).substring(0, 300);
+
+  try {
+    const file = auditFile();
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`, "utf8");
+  } catch (err) {
+    console.error(`[audit] Failed to write audit entry: ${err.message}`);
+  }
+}
+
+/**
+ * Parse a date filter: ISO date/time, "today", "yesterday" or "<n>h|d|w" ago
+ */
+function parseDateFilter(value, { endOfDay = false } = {}) {
+  if (!value) return null;
+  const text = String(value).trim().toLowerCase();
+  const now = new Date();
+  const relative = text.match(/^(\d+)\s*([hdw])$/);
+  if (relative) {
+    const hours = { h: 1, d: 24, w: 168 }[relative[2]] * Number(relative[1]);
+    return new Date(now.getTime() - hours * 3600000);
+  }
+  if (text === "today" || text === "yesterday") {
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (text === "yesterday" ? 1 : 0));
+    return endOfDay ? new Date(day.getTime() + 86400000 - 1) : day;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date '${value}'. Use an ISO date (2025-01-31), "today", "yesterday" or e.g. "7d"`);
+  }
+  // A bare date as the upper bound includes that whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text)) return new Date(date.getTime() + 86400000 - 1);
+  return date;
+}
+
+/**
+ * Query the audit log, newest first.
+ *
+ * @param {object} [filters]
+ * @param {string} [filters.since] / [filters.until] - see parseDateFilter
+ * @param {string} [filters.user] - user id or name (substring, case-insensitive)
+ * @param {string} [filters.item] - target item id or name (substring)
+ * @param {string} [filters.tool] - tool name
+ * @param {string} [filters.workspaceId]
+ * @param {string} [filters.result] - "succeeded" | "failed"
+ * @returns {Promise<object[]>}
+ */
+async function queryAuditLog({ since, until, user, item, tool, workspaceId, result } = {}) {
+  const from = parseDateFilter(since);
+  const to = parseDateFilter(until, { endOfDay: true });
+  const contains = (value, needle) => value != null && String(value).toLowerCase().includes(needle.toLowerCase());
+
+  const file = auditFile();
+  if (!fs.existsSync(file)) return [];
+
+  const entries = [];
+  const lines = readline.createInterface({ input: fs.createReadStream(file, "utf8"), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue; // a torn write must not hide the rest of the log
+    }
+    const time = new Date(entry.timestamp);
+    if (from && time < from) continue;
+    if (to && time > to) continue;
+    if (user && !contains(entry.user?.id, user) && !contains(entry.user?.name, user)) continue;
+    if (item && !contains(entry.target?.id, item) && !contains(entry.target?.name, item)) continue;
+    if (tool && entry.tool?.toLowerCase() !== tool.toLowerCase()) continue;
+    if (workspaceId && entry.workspace_id !== workspaceId) continue;
+    if (result && entry.result !== result) continue;
+    entries.push(entry);
+  }
+  return entries.reverse();
+}
+
+module.exports = {
+  withToolContext,
+  recordAudit,
+  queryAuditLog,
+  isAuditedRequest,
+  chatUser,
+};
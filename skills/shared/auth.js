@@ -0,0 +1,233 @@
+/**
+ * Azure AD authentication for the Fabric and Power BI REST APIs
+ *
+ * One token cache shared by every skill. The credential type is picked with
+ * AZURE_AUTH_METHOD, or detected from the environment:
+ *
+ *   workload_identity  AZURE_FEDERATED_TOKEN_FILE (AKS / federated credentials)
+ *   certificate        AZURE_CLIENT_CERTIFICATE_PATH (PEM with private key + certificate,
+ *                      optional AZURE_CLIENT_CERTIFICATE_PASSWORD)
+ *   client_secret      AZURE_CLIENT_SECRET
+ *
+ * All methods also need AZURE_TENANT_ID and AZURE_CLIENT_ID.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+
+// Fabric and Power BI both accept the Power BI resource scope
+const POWERBI_SCOPE = "https://analysis.windows.net/powerbi/api/.default";
+const DEFAULT_AUTHORITY = "https://login.microsoftonline.com";
+const REFRESH_MARGIN_MS = 60000;
+
+const AUTH_METHODS = {
+  client_secret: { label: "client secret", env: ["AZURE_CLIENT_SECRET"] },
+  certificate: { label: "certificate", env: ["AZURE_CLIENT_CERTIFICATE_PATH"] },
+  workload_identity: { label: "workload identity", env: ["AZURE_FEDERATED_TOKEN_FILE"] },
+};
+
+// scope -> { token, expiresAt }
+const tokenCache = new Map();
+// scope -> in-flight token request, so concurrent calls share one request
+const pending = new Map();
+
+/**
+ * Credential type in use: AZURE_AUTH_METHOD, else detected from env
+ */
+function getAuthMethod() {
+  const configured = (process.env.AZURE_AUTH_METHOD || "").trim().toLowerCase().replace(/-/g, "_");
+  if (configured) {
+    if (!AUTH_METHODS[configured]) {
+      throw new Error(
+        `Unknown AZURE_AUTH_METHOD '${process.env.AZURE_AUTH_METHOD}'. Use ${Object.keys(AUTH_METHODS).join(", ")}`
+      );
+    }
+    return configured;
+  }
+  if (process.env.AZURE_FEDERATED_TOKEN_FILE) return "workload_identity";
+  if (process.env.AZURE_CLIENT_CERTIFICATE_PATH) return "certificate";
+  return "client_secret";
+}
+
+/**
+ * Environment variables the current auth method needs but are not set
+ */
+function missingCredentials() {
+  const method = getAuthMethod();
+  return ["AZURE_TENANT_ID", "AZURE_CLIENT_ID", ...AUTH_METHODS[method].env].filter((key) => !process.env[key]);
+}
+
+function base64Url(input) {
+  return Buffer.from(input).toString("base64").replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+}
+
+/**
+ * Signed JWT client assertion for certificate credentials
+ */
+function buildCertificateAssertion(tokenUrl, clientId) {
+  const file = process.env.AZURE_CLIENT_CERTIFICATE_PATH;
+  let pem;
+  try {
+    pem = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    throw new Error(`Cannot read AZURE_CLIENT_CERTIFICATE_PATH (${file}): ${err.message}`);
+  }
+
+  const certMatch = pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/);
+  if (!certMatch) {
+    throw new Error(`${file} must contain both the private key and the certificate (PEM)`);
+  }
+  const privateKey = crypto.createPrivateKey({
+    key: pem,
+    passphrase: process.env.AZURE_CLIENT_CERTIFICATE_PASSWORD || undefined,
+  });
+  const thumbprint = new crypto.X509Certificate(certMatch[0]).fingerprint.replace(/:/g, "");
+
+  const now = Math.floor(Date.now() / 1000);
+  const header = { alg: "RS256", typ: "JWT", x5t: base64Url(Buffer.from(thumbprint, "hex")) };
+  const claims = {
+    aud: tokenUrl,
+    iss: clientId,
+    sub: clientId,
+    jti: crypto.randomUUID(),
+    nbf: now,
+    iat: now,
+    exp: now + 600,
+  };
+  const unsigned = `${base64Url(JSON.stringify(header))}.${base64Url(JSON.stringify(claims))}`;
+  const signature = crypto.sign("RSA-SHA256", Buffer.from(unsigned), privateKey);
+  return `${unsigned}.${base64Url(signature)}`;
+}
+
+/**
+ * Token request form fields for the configured credential
+ */
+function credentialFields(method, tokenUrl, clientId) {
+  const assertionType = "urn:ietf:params:oauth:client-assertion-type:jwt-bearer";
+  if (method === "certificate") {
+    return { client_assertion_type: assertionType, client_assertion: buildCertificateAssertion(tokenUrl, clientId) };
+  }
+  if (method === "workload_identity") {
+    const file = process.env.AZURE_FEDERATED_TOKEN_FILE;
+    let assertion;
+    try {
+      // Re-read every time: the projected token is rotated by the platform
+      assertion = fs.readFileSync(file, "utf8").trim();
+    } catch (err) {
+      throw new Error(`Cannot read AZURE_FEDERATED_TOKEN_FILE (${file}): ${err.message}`);
+    }
+    return { client_assertion_type: assertionType, client_assertion: assertion };
+  }
+  return { client_secret: process.env.AZURE_CLIENT_SECRET };
+}
+
+/**
+ * Hint for a failed token request, per credential type
+ */
+function authFailureHint(method) {
+  if (method === "certificate") {
+    return "Check that the certificate in AZURE_CLIENT_CERTIFICATE_PATH is uploaded to the app registration and not expired.";
+  }
+  if (method === "workload_identity") {
+    return "Check the federated credential (issuer / subject) on the app registration and that the projected token is current.";
+  }
+  return "Check AZURE_CLIENT_SECRET — it may have expired. Regenerate it in Azure Portal > App registrations.";
+}
+
+async function requestToken(scope) {
+  const method = getAuthMethod();
+  const missing = missingCredentials();
+  if (missing.length > 0) {
+    throw new Error(`Missing Azure AD credentials for ${AUTH_METHODS[method].label} auth. Set ${missing.join(", ")} in .env`);
+  }
+
+  const tenantId = process.env.AZURE_TENANT_ID;
+  const clientId = process.env.AZURE_CLIENT_ID;
+  const authority = (process.env.AZURE_AUTHORITY_HOST || DEFAULT_AUTHORITY).replace(/\/+$/, "");
+  const tokenUrl = `${authority}/${tenantId}/oauth2/v2.0/token`;
+
+  const body = new URLSearchParams({
+    grant_type: "client_credentials",
+    client_id: clientId,
+    scope,
+    ...credentialFields(method, tokenUrl, clientId),
+  });
+
+  const response = await fetch(tokenUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: body.toString(),
+  });
+
+  if (!response.ok) {
+    const status = response.status;
+    let detail = "";
+    try {
+      const error = await response.json();
+      detail = error.error_description ? ` ${error.error_description.split("\r\n")[0]}` : "";
+    } catch {
+      // non-JSON error body
+    }
+    if (status === 400 || status === 401 || status === 403) {
+      throw new Error(`Azure AD authentication failed (${status}).${detail} ${authFailureHint(method)}`);
+    }
+    throw new Error(`Azure AD token error (${status}). Check AZURE_TENANT_ID and AZURE_CLIENT_ID values.${detail}`);
+  }
+
+  const data = await response.json();
+  const entry = { token: data.access_token, expiresAt: Date.now() + data.expires_in * 1000 };
+  tokenCache.set(scope, entry);
+  return entry;
+}
+
+/**
+ * Access token with cache details: { token, cached, expiresIn, method }
+ */
+async function getTokenInfo({ scope = POWERBI_SCOPE, forceRefresh = false } = {}) {
+  const cached = tokenCache.get(scope);
+  const now = Date.now();
+  if (!forceRefresh && cached && cached.expiresAt > now + REFRESH_MARGIN_MS) {
+    return {
+      token: cached.token,
+      cached: true,
+      expiresIn: Math.floor((cached.expiresAt - now) / 1000),
+      method: getAuthMethod(),
+    };
+  }
+
+  if (!pending.has(scope)) {
+    pending.set(scope, requestToken(scope).finally(() => pending.delete(scope)));
+  }
+  const entry = await pending.get(scope);
+  return {
+    token: entry.token,
+    cached: false,
+    expiresIn: Math.floor((entry.expiresAt - Date.now()) / 1000),
+    method: getAuthMethod(),
+  };
+}
+
+/**
+ * Bearer token for the Fabric / Power BI APIs
+ */
+async function getAccessToken(options) {
+  return (await getTokenInfo(options)).token;
+}
+
+/**
+ * Drop cached tokens (all scopes, or one)
+ */
+function clearTokenCache(scope = null) {
+  if (scope) tokenCache.delete(scope);
+  else tokenCache.clear();
+}
+
+module.exports = {
+  POWERBI_SCOPE,
+  AUTH_METHODS,
+  getAuthMethod,
+  missingCredentials,
+  getAccessToken,
+  getTokenInfo,
+  clearTokenCache,
+};
@@ -0,0 +1,68 @@
+/**
+ * Single-use confirmation tokens for destructive calls
+ *
+ * A tool that needs confirmation first returns a preview with a token; the
+ * call only runs when it is repeated with that token. Tokens are bound to
+ * the exact request (method, path, body) and to the conversation, and expire.
+ */
+
+const crypto = require("crypto");
+
+const DEFAULT_TTL_SECONDS = 300;
+
+// confirmation token -> { fingerprint, conversation, expiresAt }
+const pendingConfirmations = new Map();
+
+/**
+ * Fingerprint binding a confirmation token to one exact request
+ */
+function requestFingerprint(method, requestPath, body) {
+  const normalizedBody = body == null || body === "" ? "" : typeof body === "string" ? body.trim() : JSON.stringify(body);
+  return crypto.createHash("sha256").update(`${method.toUpperCase()} ${requestPath}\n${normalizedBody}`).digest("hex");
+}
+
+/**
+ * Issue a single-use confirmation token for a request
+ */
+function issueConfirmation(method, requestPath, body, conversation, ttlSeconds = DEFAULT_TTL_SECONDS) {
+  const now = Date.now();
+  for (const [token, entry] of pendingConfirmations) {
+    if (entry.expiresAt <= now) pendingConfirmations.delete(token);
+  }
+  const token = `confirm-${crypto.randomBytes(4).toString("hex")}`;
+  const expiresAt = now + (ttlSeconds || DEFAULT_TTL_SECONDS) * 1000;
+  pendingConfirmations.set(token, {
+    fingerprint: requestFingerprint(method, requestPath, body),
+    conversation: conversation || null,
+    expiresAt,
+  });
+  return { token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Check and consume a confirmation token; returns an error message or null
+ */
+function redeemConfirmation(token, method, requestPath, body, conversation) {
+  const entry = pendingConfirmations.get(token);
+  if (!entry) {
+    return "The confirmation token is unknown or was already used. Send the request without a token to get a new preview.";
+  }
+  if (entry.expiresAt <= Date.now()) {
+    pendingConfirmations.delete(token);
+    return "The confirmation token has expired. Send the request without a token to get a new preview.";
+  }
+  if (entry.conversation && entry.conversation !== (conversation || null)) {
+    return "The confirmation token was issued in a different conversation.";
+  }
+  if (entry.fingerprint !== requestFingerprint(method, requestPath, body)) {
+    return "The confirmation token belongs to a different request. Method, path and body must match the previewed call exactly.";
+  }
+  pendingConfirmations.delete(token);
+  return null;
+}
+
+module.exports = {
+  DEFAULT_TTL_SECONDS,
+  issueConfirmation,
+  redeemConfirmation,
+};
@@ -0,0 +1,311 @@
+/**
+ * Shared REST client for the Fabric and Power BI APIs
+ *
+ * Adds the bearer token from shared/auth.js, retries transient failures
+ * (429, 5xx, network errors) with backoff, refreshes the token once on 401,
+ * follows Fabric long-running operations and turns failures into
+ * FabricApiError objects with the same fields and messages in every skill.
+ * Mutating calls are written to the audit log (shared/audit-log.js).
+ *
+ *   fabricRequest("GET", "/workspaces")                     → api.fabric.microsoft.com/v1
+ *   powerbiRequest("GET", "/groups/{id}/reports/{id}/pages") → api.powerbi.com/v1.0/myorg
+ *
+ * FABRIC_API_RETRIES sets the default retry count (2). FABRIC_API_BASE_URL /
+ * POWERBI_API_BASE_URL override the hosts, e.g. for a local mock server.
+ */
+
+const { getAccessToken, clearTokenCache } = require("./auth");
+const { isLongRunningOperation, waitForOperation } = require("./long-running-operation");
+const { recordAudit } = require("./audit-log");
+
+const DEFAULT_BASE_URLS = {
+  fabric: "https://api.fabric.microsoft.com/v1",
+  powerbi: "https://api.powerbi.com/v1.0/myorg",
+};
+const API_LABELS = { fabric: "Fabric API", powerbi: "Power BI API" };
+const DEFAULT_RETRIES = 2;
+const MAX_RETRY_DELAY_SECONDS = 30;
+
+/**
+ * Error thrown for failed API calls
+ *
+ * status / code / requestId come from the HTTP response; hint is a short
+ * next step for the user. status is 0 for network failures.
+ */
+class FabricApiError extends Error {
+  constructor(message, { status = 0, code = null, method, path, api = "fabric", requestId = null, details = null, hint = null } = {}) {
+    super(message);
+    this.name = "FabricApiError";
+    this.status = status;
+    this.code = code;
+    this.method = method;
+    this.path = path;
+    this.api = api;
+    this.requestId = requestId;
+    this.details = details;
+    this.hint = hint;
+  }
+
+  toJSON() {
+    return {
+      error: this.message,
+      status: this.status,
+      code: this.code || undefined,
+      request_id: this.requestId || undefined,
+      hint: this.hint || undefined,
+    };
+  }
+}
+
+function baseUrl(api) {
+  if (!DEFAULT_BASE_URLS[api]) throw new Error(`Unknown API '${api}'. Use 'fabric' or 'powerbi'`);
+  const override = api === "fabric" ? process.env.FABRIC_API_BASE_URL : process.env.POWERBI_API_BASE_URL;
+  return (override || DEFAULT_BASE_URLS[api]).replace(/\/+$/, "");
+}
+
+/**
+ * Full request URL. API paths must start with a single "/" and are always
+ * sent to the configured API base URL; absolute URLs (internal LRO polling
+ * only) must point at the Fabric or Power BI API host.
+ */
+function requestUrl(api, path, absoluteUrl) {
+  if (absoluteUrl) {
+    let url;
+    try {
+      url = new URL(absoluteUrl);
+    } catch {
+      throw new Error(`Invalid operation URL '${absoluteUrl}'`);
+    }
+    const hosts = Object.keys(DEFAULT_BASE_URLS).map((name) => new URL(baseUrl(name)).origin);
+    if (!hosts.includes(url.origin)) {
+      throw new Error(`Refusing to send the access token to ${url.origin} — only the Fabric and Power BI API hosts are allowed`);
+    }
+    return url.href;
+  }
+  if (!isApiPath(path)) {
+    throw new Error(`API path must start with a single '/' (e.g. /workspaces), got '${path}'`);
+  }
+  return `${baseUrl(api)}${path}`;
+}
+
+/**
+ * True for a path relative to the API base URL ("/workspaces/..."), false for
+ * absolute or protocol-relative URLs
+ */
+function isApiPath(path) {
+  return typeof path === "string" && /^\/(?![/\\])/.test(path);
+}
+
+function defaultRetries() {
+  const value = Number(process.env.FABRIC_API_RETRIES);
+  return Number.isInteger(value) && value >= 0 ? value : DEFAULT_RETRIES;
+}
+
+/**
+ * Seconds to wait before retry `attempt` (Retry-After wins over backoff)
+ */
+function retryDelaySeconds(response, attempt) {
+  const retryAfter = Number(response?.headers.get("retry-after"));
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return Math.min(retryAfter, MAX_RETRY_DELAY_SECONDS);
+  return Math.min(2 ** attempt, MAX_RETRY_DELAY_SECONDS);
+}
+
+/**
+ * Short next step for an HTTP status
+ */
+function errorHint(status) {
+  if (status === 401) return "Token rejected — check the app registration's API permissions and Azure credentials.";
+  if (status === 403) return "Access denied — add the Service Principal as Admin/Member in the workspace settings.";
+  if (status === 404) return "Resource not found — verify the path, workspace ID and item IDs.";
+  if (status === 429) return "Rate limited — wait a moment before retrying.";
+  if (status >= 500) return "The service had a temporary problem — try again in a moment.";
+  return null;
+}
+
+/**
+ * Pull errorCode / message / requestId out of Fabric or Power BI error bodies
+ */
+function parseErrorBody(text) {
+  try {
+    const data = JSON.parse(text);
+    return {
+      code: data.errorCode || data.error?.code || null,
+      message: data.message || data.error?.message || null,
+      requestId: data.requestId || null,
+    };
+  } catch {
+    return { code: null, message: text ? text.substring(0, 200) : null, requestId: null };
+  }
+}
+
+/**
+ * Build a FabricApiError from a failed response
+ */
+async function responseError(response, { method, path, api, attempts }) {
+  const status = response.status;
+  const text = await response.text().catch(() => "");
+  const body = parseErrorBody(text);
+  const requestId = body.requestId || response.headers.get("requestid") || response.headers.get("x-ms-request-id");
+  const fields = { status, code: body.code, method, path, api, requestId, details: text, hint: errorHint(status) };
+
+  let message;
+  if (status === 401) {
+    message = `Authentication token rejected (401) on ${method} ${path}, even after requesting a new token.`;
+  } else if (status === 403) {
+    message =
+      `Access denied (403) to ${path}. The Service Principal may not have permission for this workspace or item. ` +
+      "Add it as Admin/Member in the Power BI workspace settings.";
+  } else if (status === 404) {
+    message = `Resource not found (404): ${path}. Check that the workspace ID and item IDs are correct.`;
+  } else if (status === 429) {
+    message = `Rate limit exceeded (429) after ${attempts} attempt(s). Too many API requests. Wait a moment and try again.`;
+  } else {
+    const reason = body.message || body.code || "no error details returned";
+    message = `${API_LABELS[api]} error (${status}) on ${method} ${path}: ${reason}`;
+  }
+  return new FabricApiError(message, fields);
+}
+
+/**
+ * Send an authenticated request, retrying transient failures.
+ *
+ * Returns the final Response (which may be an error status) together with
+ * the token used, so callers can inspect it or follow an LRO themselves.
+ *
+ * @param {string} method
+ * @param {string} path - path after the API base URL, starting with "/"
+ * @param {object} [options]
+ * @param {"fabric"|"powerbi"} [options.api]
+ * @param {string} [options.absoluteUrl] - internal: LRO status URL on an API
+ *   host, used instead of path
+ * @param {object|string} [options.body] - objects are sent as JSON
+ * @param {object} [options.headers]
+ * @param {number} [options.retries] - retries for 429 / 5xx / network errors
+ * @returns {Promise<{ response: Response, token: string, attempts: number }>}
+ */
+async function sendRequest(method, path, { api = "fabric", body = null, headers = {}, retries = defaultRetries(), absoluteUrl = null } = {}) {
+  const url = requestUrl(api, path, absoluteUrl);
+  const payload = body == null ? undefined : typeof body === "string" ? body : JSON.stringify(body);
+  let refreshed = false;
+
+  for (let attempt = 0; ; attempt++) {
+    const token = await getAccessToken();
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json", ...headers },
+        body: payload,
+      });
+    } catch (err) {
+      if (attempt < retries) {
+        await sleep(retryDelaySeconds(null, attempt));
+        continue;
+      }
+      throw new FabricApiError(`Network error calling ${API_LABELS[api]} (${method} ${path}): ${err.message}`, {
+        method, path, api, hint: "Check internet connectivity of the bot host.",
+      });
+    }
+
+    // A revoked or rotated token: refresh once and start over
+    if (response.status === 401 && !refreshed) {
+      refreshed = true;
+      clearTokenCache();
+      attempt = -1;
+      continue;
+    }
+
+    if ((response.status === 429 || response.status >= 500) && attempt < retries) {
+      await sleep(retryDelaySeconds(response, attempt));
+      continue;
+    }
+
+    return { response, token, attempts: attempt + 1 };
+  }
+}
+
+/**
+ * Authenticated request returning the parsed JSON body (or null).
+ * Fabric 202 responses are followed as long-running operations.
+ *
+ * @param {object} [options] - sendRequest options plus onProgress (LRO
+ *   progress callback), onHeaders (called with the response headers of a
+ *   successful call) and responseType ("json" | "text" | "buffer")
+ */
+async function apiRequest(method, path, body = null, options = {}) {
+  const { api = "fabric", onProgress = null, onHeaders = null, responseType = "json", ...rest } = options;
+  const audit = (fields) => recordAudit({ method, path, body, ...fields });
+
+  let sent;
+  try {
+    sent = await sendRequest(method, path, { api, body, ...rest });
+  } catch (err) {
+    await audit({ status: err.status || 0, ok: false, error: err.message });
+    throw err;
+  }
+  const { response, token, attempts } = sent;
+
+  if (api === "fabric" && isLongRunningOperation(response)) {
+    const operationId = response.headers.get("x-ms-operation-id");
+    try {
+      const result = await followOperation(response, { description: `${method} ${path}`, onProgress });
+      await audit({ status: response.status, ok: true, result, operationId });
+      return result;
+    } catch (err) {
+      await audit({ status: response.status, ok: false, error: err.message, operationId });
+      throw err;
+    }
+  }
+  if (!response.ok) {
+    const error = await responseError(response, { method, path, api, attempts });
+    await audit({ status: response.status, ok: false, error: error.message });
+    throw error;
+  }
+  if (onHeaders) onHeaders(response.headers);
+
+  if (responseType === "buffer") {
+    const buffer = Buffer.from(await response.arrayBuffer());
+    await audit({ status: response.status, ok: true });
+    return buffer;
+  }
+  const text = await response.text();
+  const data = responseType === "text" ? text : text ? JSON.parse(text) : null;
+  await audit({ status: response.status, ok: true, result: data });
+  return data;
+}
+
+/**
+ * waitForOperation() with the status and result requests sent through
+ * sendRequest, so they only go to the API hosts
+ */
+function followOperation(response, options = {}) {
+  return waitForOperation(response, {
+    ...options,
+    fetchUrl: async (url) => (await sendRequest("GET", null, { absoluteUrl: url, retries: 0 })).response,
+  });
+}
+
+function fabricRequest(method, path, body = null, options = {}) {
+  return apiRequest(method, path, body, { ...options, api: "fabric" });
+}
+
+function powerbiRequest(method, path, body = null, options = {}) {
+  return apiRequest(method, path, body, { ...options, api: "powerbi" });
+}
+
+function sleep(seconds) {
+  return new Promise((r) => setTimeout(r, seconds * 1000));
+}
+
+module.exports = {
+  FabricApiError,
+  isApiPath,
+  sendRequest,
+  followOperation,
+  apiRequest,
+  fabricRequest,
+  powerbiRequest,
+  responseError,
+  errorHint,
+  baseUrl,
+};
@@ -0,0 +1,171 @@
+/**
+ * Long-running operation (LRO) support for the Fabric REST API
+ *
+ * Fabric answers slow calls (getDefinition, item creation, updateDefinition)
+ * with 202 Accepted plus `Location`, `x-ms-operation-id` and `Retry-After`
+ * headers. waitForOperation() polls the operation until it finishes and
+ * returns the operation result, so callers can treat 202 like a normal 200.
+ *
+ * Skill handlers receive an optional second `context` argument from OpenClaw;
+ * when it exposes `sendMessage(text)`, progress updates are sent to the chat.
+ */
+
+const DEFAULT_TIMEOUT_SECONDS = 300;
+const DEFAULT_POLL_SECONDS = 2;
+const MAX_POLL_SECONDS = 30;
+
+/**
+ * Thrown when an operation outlasts the time limit. The operation keeps
+ * running on the service and may still complete.
+ */
+class OperationTimeoutError extends Error {
+  constructor(message, operationId) {
+    super(message);
+    this.name = "OperationTimeoutError";
+    this.operationId = operationId;
+  }
+}
+
+function fabricBaseUrl() {
+  return (process.env.FABRIC_API_BASE_URL || "https://api.fabric.microsoft.com/v1").replace(/\/+$/, "");
+}
+
+/**
+ * Return true when a response is the start of a long-running operation
+ */
+function isLongRunningOperation(response) {
+  return (
+    response.status === 202 &&
+    Boolean(response.headers.get("x-ms-operation-id") || response.headers.get("location"))
+  );
+}
+
+/**
+ * Parse a Retry-After header (seconds) with sane bounds
+ */
+function retryAfterSeconds(response, fallback = DEFAULT_POLL_SECONDS) {
+  const value = Number(response.headers.get("retry-after"));
+  if (!Number.isFinite(value) || value <= 0) return fallback;
+  return Math.min(value, MAX_POLL_SECONDS);
+}
+
+/**
+ * Build a progress callback that posts operation updates to the chat.
+ * Only status / percentage changes are reported to avoid message spam.
+ */
+function chatProgressReporter(context, label) {
+  if (!context || typeof context.sendMessage !== "function") return null;
+  let last = null;
+  return ({ status, percentComplete }) => {
+    const key = `${status}:${percentComplete ?? ""}`;
+    if (key === last) return;
+    last = key;
+    const pct = percentComplete != null ? ` (${percentComplete}%)` : "";
+    Promise.resolve(context.sendMessage(`⏳ ${label}: ${status}${pct}`)).catch(() => {});
+  };
+}
+
+/**
+ * Poll a Fabric long-running operation until it completes.
+ *
+ * @param {Response} response - the initial 202 response
+ * @param {object} options
+ * @param {string} [options.token] - bearer token for polling requests
+ * @param {function} [options.fetchUrl] - sends a GET to a status / result URL
+ *   and returns the Response (default: fetch with the token)
+ * @param {string} [options.description] - operation label used in errors
+ * @param {function} [options.onProgress] - called with { status, percentComplete }
+ * @param {number} [options.timeoutSeconds] - overall time limit
+ * @returns {Promise<object|null>} operation result, or null if it has none
+ */
+async function waitForOperation(response, options = {}) {
+  const {
+    token,
+    fetchUrl = (url) => fetch(url, { headers: { Authorization: `Bearer ${token}` } }),
+    description = "Fabric operation",
+    onProgress = null,
+    timeoutSeconds = Number(process.env.FABRIC_LRO_TIMEOUT_SECONDS) || DEFAULT_TIMEOUT_SECONDS,
+  } = options;
+
+  const operationId = response.headers.get("x-ms-operation-id");
+  const statusUrl =
+    response.headers.get("location") || `${fabricBaseUrl()}/operations/${operationId}`;
+  const deadline = Date.now() + timeoutSeconds * 1000;
+  let delay = retryAfterSeconds(response);
+
+  if (onProgress) onProgress({ status: "NotStarted", percentComplete: 0 });
+
+  while (true) {
+    if (Date.now() + delay * 1000 > deadline) {
+      throw new OperationTimeoutError(
+        `${description} did not finish within ${timeoutSeconds} s (operation ${operationId || statusUrl}). ` +
+        "It may still complete — check again later with GET /operations/{id}.",
+        operationId || statusUrl
+      );
+    }
+    await new Promise((r) => setTimeout(r, delay * 1000));
+
+    const statusResponse = await fetchUrl(statusUrl);
+    if (!statusResponse.ok) {
+      if (statusResponse.status === 429 || statusResponse.status >= 500) {
+        delay = retryAfterSeconds(statusResponse, delay);
+        continue;
+      }
+      throw new Error(
+        `Failed to poll ${description} (${statusResponse.status}) — operation ${operationId || statusUrl}`
+      );
+    }
+
+    const state = await statusResponse.json();
+    if (onProgress) {
+      onProgress({ status: state.status, percentComplete: state.percentComplete });
+    }
+
+    if (state.status === "Succeeded") {
+      return fetchOperationResult(statusResponse, operationId, fetchUrl, description);
+    }
+    if (state.status === "Failed" || state.status === "Undefined") {
+      const reason = state.error?.message || state.error?.errorCode || "no error details returned";
+      throw new Error(`${description} failed: ${reason}`);
+    }
+
+    delay = retryAfterSeconds(statusResponse, delay);
+  }
+}
+
+/**
+ * Fetch /operations/{id}/result. Operations without a result payload
+ * (e.g. updateDefinition) return null; any other failure to read the
+ * result is an error, so a missing result is never reported as success.
+ */
+async function fetchOperationResult(statusResponse, operationId, fetchUrl, description) {
+  const resultUrl =
+    statusResponse.headers.get("location") ||
+    (operationId ? `${fabricBaseUrl()}/operations/${operationId}/result` : null);
+  if (!resultUrl) return null;
+
+  const response = await fetchUrl(resultUrl);
+  if (!response.ok) {
+    const text = await response.text().catch(() => "");
+    let error = {};
+    try {
+      error = JSON.parse(text) || {};
+    } catch {
+      // Not a JSON error body
+    }
+    if (error.errorCode === "OperationHasNoResult") return null;
+    const reason = error.message || error.errorCode || text.substring(0, 200) || "no error details returned";
+    throw new Error(
+      `${description} succeeded but its result is unavailable (${response.status}: ${reason}) — operation ${operationId || resultUrl}`
+    );
+  }
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+}
+
+module.exports = {
+  OperationTimeoutError,
+  isLongRunningOperation,
+  waitForOperation,
+  chatProgressReporter,
+};
@@ -0,0 +1,92 @@
+/**
+ * Continuation-token pagination for Fabric list endpoints
+ *
+ * Fabric list calls return at most one page of `value` plus a
+ * `continuationToken` / `continuationUri` when more items exist.
+ * fetchAllPages() follows the continuation transparently; paginateForChat()
+ * slices the collected items so a single reply stays Telegram-sized.
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Append a continuation token to an API path
+ */
+function withContinuationToken(path, token) {
+  const separator = path.includes("?") ? "&" : "?";
+  return `${path}${separator}continuationToken=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Fetch every page of a Fabric list endpoint.
+ *
+ * @param {function} fetchPage - async (path) => parsed JSON page
+ * @param {string} path - API path of the first page
+ * @param {object} [options]
+ * @param {number} [options.limit] - stop once this many items are collected
+ * @returns {Promise<{ items: object[], truncated: boolean }>}
+ */
+async function fetchAllPages(fetchPage, path, { limit } = {}) {
+  const max = Number(limit) > 0 ? Number(limit) : Infinity;
+  const items = [];
+  let nextPath = path;
+
+  while (nextPath) {
+    const page = (await fetchPage(nextPath)) || {};
+    items.push(...(page.value || []));
+
+    if (items.length >= max) {
+      const truncated = items.length > max || Boolean(page.continuationToken);
+      return { items: items.slice(0, max), truncated };
+    }
+
+    nextPath = page.continuationToken ? withContinuationToken(path, page.continuationToken) : null;
+  }
+
+  return { items, truncated: false };
+}
+
+/**
+ * Slice a collected list into one chat-sized page with paging metadata
+ */
+function paginateForChat(items, { page, page_size, truncated = false } = {}) {
+  const pageSize = Math.min(Math.max(Number(page_size) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const totalPages = Math.max(Math.ceil(items.length / pageSize), 1);
+  const current = Math.min(Math.max(Number(page) || 1, 1), totalPages);
+  const start = (current - 1) * pageSize;
+
+  const result = {
+    total: items.length,
+    page: current,
+    page_size: pageSize,
+    total_pages: totalPages,
+    items: items.slice(start, start + pageSize),
+  };
+
+  if (truncated) {
+    result.note = `Result limited to ${items.length} items — more exist in the workspace. Raise 'limit' to fetch them.`;
+  } else if (current < totalPages) {
+    result.note = `Showing ${result.items.length} of ${items.length}. Request page=${current + 1} for more.`;
+  }
+
+  return result;
+}
+
+/**
+ * Count items by a key (e.g. item type) for list summaries
+ */
+function countBy(items, key) {
+  const counts = {};
+  for (const item of items) {
+    const value = item[key] || "Unknown";
+    counts[value] = (counts[value] || 0) + 1;
+  }
+  return counts;
+}
+
+module.exports = {
+  fetchAllPages,
+  paginateForChat,
+  countBy,
+};
@@ -0,0 +1,27 @@
+/**
+ * Tool parameter helpers
+ *
+ * Chat models pass list parameters in several shapes: a real array, a JSON
+ * array string or a comma-separated string. toList() accepts all three.
+ */
+
+/**
+ * Accept a list, a JSON array or a comma-separated string
+ */
+function toList(value) {
+  if (value == null || value === "") return [];
+  if (Array.isArray(value)) return value;
+  const text = String(value).trim();
+  if (text.startsWith("[")) {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Invalid JSON list ${text}: ${err.message}`);
+    }
+  }
+  return text.split(",").map((v) => v.trim()).filter(Boolean);
+}
+
+module.exports = {
+  toList,
+};
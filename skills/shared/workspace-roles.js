@@ -0,0 +1,127 @@
+/**
+ * Workspace role assignments (Fabric roleAssignments API)
+ *
+ * Shared by the role management tools and check_health, which reports the
+ * service principal's own role. Principals are referenced in chat by display
+ * name, email (UPN), app ID or object ID; the API itself only knows the
+ * principal object ID, which is also the role assignment ID.
+ */
+
+const { fabricRequest } = require("./fabric-client");
+const { fetchAllPages } = require("./pagination");
+
+// Highest first
+const ROLES = ["Admin", "Member", "Contributor", "Viewer"];
+const PRINCIPAL_TYPES = ["User", "Group", "ServicePrincipal", "ServicePrincipalProfile"];
+const GUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const sameName = (a, b) => a != null && String(a).toLowerCase() === String(b).toLowerCase();
+
+/**
+ * Normalize a role name (case-insensitive)
+ */
+function normalizeRole(role) {
+  const match = ROLES.find((r) => sameName(r, role));
+  if (!match) throw new Error(`role must be one of ${ROLES.join(", ")}`);
+  return match;
+}
+
+/**
+ * Normalize a principal type; "service principal", "app" and "spn" are accepted
+ */
+function normalizePrincipalType(type) {
+  const key = String(type || "").replace(/[\s_-]/g, "").toLowerCase();
+  const aliases = { app: "ServicePrincipal", spn: "ServicePrincipal", sp: "ServicePrincipal", securitygroup: "Group" };
+  const match = PRINCIPAL_TYPES.find((t) => t.toLowerCase() === key) || aliases[key];
+  if (!match) throw new Error(`principal_type must be one of ${PRINCIPAL_TYPES.join(", ")}`);
+  return match;
+}
+
+async function listRoleAssignments(workspaceId) {
+  const { items } = await fetchAllPages(
+    (path) => fabricRequest("GET", path),
+    `/workspaces/${workspaceId}/roleAssignments`
+  );
+  return items;
+}
+
+/**
+ * One role assignment as a compact chat row
+ */
+function summarizeAssignment(assignment) {
+  const principal = assignment.principal || {};
+  return {
+    id: assignment.id,
+    name: principal.displayName || null,
+    type: principal.type,
+    role: assignment.role,
+    email: principal.userDetails?.userPrincipalName,
+    app_id: principal.servicePrincipalDetails?.aadAppId,
+    group_type: principal.groupDetails?.groupType,
+  };
+}
+
+function assignmentLabel(assignment) {
+  const { name, email, app_id: appId, type } = summarizeAssignment(assignment);
+  return `${name || email || appId || assignment.id} (${type})`;
+}
+
+/**
+ * Find an assignment by principal display name, email, app ID or ID
+ */
+function findAssignment(assignments, ref) {
+  const text = String(ref || "").trim();
+  if (!text) throw new Error("principal is required (name, email, app ID or object ID)");
+  const found = assignments.filter((a) => {
+    const p = a.principal || {};
+    return sameName(a.id, text) || sameName(p.id, text) || sameName(p.displayName, text) ||
+      sameName(p.userDetails?.userPrincipalName, text) || sameName(p.servicePrincipalDetails?.aadAppId, text);
+  });
+  if (found.length === 1) return found[0];
+  if (found.length > 1) {
+    throw new Error(`'${text}' matches several principals — use the ID of one of: ${found.map((a) => `${assignmentLabel(a)} ${a.id}`).join(", ")}`);
+  }
+  throw new Error(
+    `'${text}' has no role in this workspace — principals: ${assignments.map(assignmentLabel).join(", ") || "none"}`
+  );
+}
+
+/**
+ * Throw when a change would leave the workspace without an Admin
+ *
+ * @param {object[]} assignments - current assignments
+ * @param {object} target - assignment being changed
+ * @param {string|null} newRole - new role, null when it is removed
+ */
+function assertAdminRemains(assignments, target, newRole) {
+  if (target.role !== "Admin" || newRole === "Admin") return;
+  if (!assignments.some((a) => a.role === "Admin" && a.id !== target.id)) {
+    throw new Error(`${assignmentLabel(target)} is the only Admin of this workspace — add another Admin first`);
+  }
+}
+
+/**
+ * The service principal's highest directly assigned role (matched by app ID
+ * or object ID); null when it only has access through a group
+ */
+function servicePrincipalRole(assignments, { clientId, objectId } = {}) {
+  const own = assignments.filter((a) =>
+    (clientId && sameName(a.principal?.servicePrincipalDetails?.aadAppId, clientId)) ||
+    (objectId && sameName(a.principal?.id, objectId))
+  );
+  if (!own.length) return null;
+  return ROLES.find((role) => own.some((a) => a.role === role)) || own[0].role;
+}
+
+module.exports = {
+  ROLES,
+  GUID,
+  normalizeRole,
+  normalizePrincipalType,
+  listRoleAssignments,
+  summarizeAssignment,
+  assignmentLabel,
+  findAssignment,
+  assertAdminRemains,
+  servicePrincipalRole,
+};
@@ -0,0 +1,160 @@
+/**
+ * Workspace resolution for multi-workspace setups
+ *
+ * Every tool accepts an optional `workspace` parameter that may be a
+ * workspace ID, a display name, or an alias from skills/config/workspaces.json
+ * (override the path with FABIOBOT_WORKSPACES_FILE). Without it, the
+ * conversation's current workspace is used, then the config default, then
+ * POWERBI_WORKSPACE_ID from .env.
+ *
+ * Config format:
+ * {
+ *   "default": "dev",
+ *   "aliases": {
+ *     "dev": "00000000-0000-0000-0000-000000000000",
+ *     "prod": { "id": "11111111-...", "description": "Production" }
+ *   }
+ * }
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Per-conversation current workspace (conversation key -> workspace ID)
+const currentWorkspaces = new Map();
+
+let configCache = { file: null, mtimeMs: 0, config: null };
+
+function configFile() {
+  return process.env.FABIOBOT_WORKSPACES_FILE || path.join(__dirname, "..", "config", "workspaces.json");
+}
+
+/**
+ * Load the alias config (re-read when the file changes)
+ */
+function loadWorkspaceConfig() {
+  const file = configFile();
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    return { default: null, aliases: {} };
+  }
+  if (configCache.file === file && configCache.mtimeMs === stat.mtimeMs) {
+    return configCache.config;
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Workspace config ${file} is not valid JSON: ${err.message}`);
+  }
+
+  const aliases = {};
+  for (const [alias, value] of Object.entries(raw.aliases || {})) {
+    const entry = typeof value === "string" ? { id: value } : value;
+    aliases[alias.toLowerCase()] = { alias, id: entry.id, description: entry.description || "" };
+  }
+  const config = { default: raw.default || null, aliases };
+  configCache = { file, mtimeMs: stat.mtimeMs, config };
+  return config;
+}
+
+/**
+ * Key identifying the chat conversation a tool call belongs to
+ */
+function conversationKey(context) {
+  return context?.conversationId || context?.chatId || context?.sessionId || null;
+}
+
+/**
+ * Resolve a workspace reference to a workspace ID.
+ *
+ * @param {string} [ref] - ID, display name or alias; empty for the default
+ * @param {object} [options]
+ * @param {object} [options.context] - OpenClaw call context
+ * @param {function} [options.listWorkspaces] - async () => [{ id, displayName }],
+ *   needed to resolve display names
+ * @returns {Promise<string>}
+ */
+async function resolveWorkspaceId(ref, { context, listWorkspaces } = {}) {
+  const config = loadWorkspaceConfig();
+  let target = ref && String(ref).trim();
+
+  if (!target) {
+    const key = conversationKey(context);
+    if (key && currentWorkspaces.has(key)) return currentWorkspaces.get(key);
+    target = config.default || process.env.POWERBI_WORKSPACE_ID;
+  }
+  if (!target) {
+    throw new Error(
+      "No workspace selected. Pass 'workspace', pick one with set_current_workspace, or set POWERBI_WORKSPACE_ID in .env"
+    );
+  }
+
+  if (GUID_PATTERN.test(target)) return target;
+
+  const alias = config.aliases[target.toLowerCase()];
+  if (alias) return alias.id;
+
+  if (!listWorkspaces) {
+    throw new Error(`Unknown workspace alias '${target}'. Use a workspace ID or an alias from workspaces.json`);
+  }
+
+  const workspaces = await listWorkspaces();
+  const matches = workspaces.filter((w) => (w.displayName || "").toLowerCase() === target.toLowerCase());
+  if (matches.length === 1) return matches[0].id;
+  if (matches.length > 1) {
+    throw new Error(
+      `Several workspaces are named '${target}' (${matches.map((w) => w.id).join(", ")}). Use the workspace ID instead.`
+    );
+  }
+
+  const aliasNames = Object.values(config.aliases).map((a) => a.alias);
+  const close = workspaces
+    .map((w) => w.displayName)
+    .filter((n) => n && n.toLowerCase().includes(target.toLowerCase()));
+  const hint = close.length ? ` Similar names: ${close.slice(0, 5).join(", ")}.` : "";
+  throw new Error(
+    `Workspace '${target}' not found among ${workspaces.length} accessible workspaces` +
+    `${aliasNames.length ? ` or aliases (${aliasNames.join(", ")})` : ""}.${hint}`
+  );
+}
+
+/**
+ * Remember the current workspace for this conversation
+ */
+function setCurrentWorkspace(context, workspaceId) {
+  const key = conversationKey(context);
+  if (!key) {
+    throw new Error("This channel does not identify conversations, so a current workspace cannot be stored");
+  }
+  currentWorkspaces.set(key, workspaceId);
+}
+
+/**
+ * Current workspace ID for this conversation (or null)
+ */
+function getCurrentWorkspace(context) {
+  const key = conversationKey(context);
+  return key ? currentWorkspaces.get(key) || null : null;
+}
+
+/**
+ * Aliases configured in workspaces.json
+ */
+function listWorkspaceAliases() {
+  return Object.values(loadWorkspaceConfig().aliases);
+}
+
+module.exports = {
+  resolveWorkspaceId,
+  setCurrentWorkspace,
+  getCurrentWorkspace,
+  listWorkspaceAliases,
+  loadWorkspaceConfig,
+  conversationKey,
+};
@@ -0,0 +1,124 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+
+const { startMockFabric, chatContext } = require("./helpers");
+const { WORKSPACE_ID, OTHER_WORKSPACE_ID } = require("./fixtures");
+const { clearTokenCache } = require("../skills/shared/auth");
+const { fabricRequest } = require("../skills/shared/fabric-client");
+const { withToolContext } = require("../skills/shared/audit-log");
+const skill = require("../skills/bot-status");
+
+const parse = (text) => JSON.parse(text);
+
+describe("bot-status", () => {
+  let mock;
+  before(async () => {
+    mock = await startMockFabric();
+  });
+  after(() => mock.stop());
+  beforeEach(() => {
+    mock.server.clearFaults();
+    clearTokenCache();
+  });
+
+  it("check_health reports a healthy setup", async () => {
+    const result = parse(await skill.check_health({}, chatContext()));
+    assert.equal(result.status, "healthy");
+    assert.equal(result.checks.environment.status, "OK");
+    assert.match(result.checks.azure_auth.message, /Token acquired \(client secret/i);
+    assert.match(result.checks.fabric_api.message, /Workspace: Sales Analytics/);
+    assert.equal(result.checks.workspace_role.message, "Service principal is Member");
+    assert.equal(result.checks.llm_model.message, "Configured: test-model");
+  });
+
+  it("check_health accepts a default workspace from workspaces.json", async () => {
+    const workspaceId = process.env.POWERBI_WORKSPACE_ID;
+    delete process.env.POWERBI_WORKSPACE_ID;
+    fs.writeFileSync(process.env.FABIOBOT_WORKSPACES_FILE, JSON.stringify({ default: "sales", aliases: { sales: WORKSPACE_ID } }));
+    try {
+      const result = parse(await skill.check_health({}, chatContext()));
+      assert.equal(result.status, "healthy");
+      assert.equal(result.checks.environment.status, "OK");
+      assert.match(result.checks.fabric_api.message, /Workspace: Sales Analytics/);
+
+      fs.writeFileSync(process.env.FABIOBOT_WORKSPACES_FILE, JSON.stringify({ aliases: { sales: WORKSPACE_ID } }));
+      const missing = parse(await skill.check_health({}, chatContext()));
+      assert.equal(missing.checks.environment.status, "FAIL");
+      assert.match(missing.checks.environment.message, /POWERBI_WORKSPACE_ID \(or a default in workspaces\.json\)/);
+    } finally {
+      process.env.POWERBI_WORKSPACE_ID = workspaceId;
+      fs.rmSync(process.env.FABIOBOT_WORKSPACES_FILE, { force: true });
+    }
+  });
+
+  it("check_health notes when role assignments cannot be read", async () => {
+    mock.server.fail({ method: "GET", path: "/roleAssignments", status: 403 });
+    const result = parse(await skill.check_health({}, chatContext()));
+    assert.equal(result.status, "healthy");
+    assert.equal(result.checks.workspace_role.status, "WARN");
+    assert.match(result.checks.workspace_role.message, /probably Contributor or Viewer/);
+  });
+
+  it("check_health flags rejected credentials and skips the API check", async () => {
+    mock.server.fail({ method: "POST", path: "/oauth2/v2.0/token", status: 401, body: { error: "invalid_client", error_description: "AADSTS7000215: Invalid client secret provided." } });
+    const result = parse(await skill.check_health({}, chatContext()));
+    assert.equal(result.status, "unhealthy");
+    assert.equal(result.checks.azure_auth.status, "FAIL");
+    assert.match(result.checks.azure_auth.message, /AADSTS7000215/);
+    assert.equal(result.checks.fabric_api.status, "SKIP");
+  });
+
+  it("check_health explains missing workspace permissions", async () => {
+    mock.server.fail({ path: `/workspaces/${WORKSPACE_ID}`, status: 403 });
+    const result = parse(await skill.check_health({}, chatContext()));
+    assert.equal(result.status, "degraded");
+    assert.match(result.checks.fabric_api.message, /Access denied \(403\)/);
+  });
+
+  it("get_workspace_summary counts items by type", async () => {
+    const result = parse(await skill.get_workspace_summary({}, chatContext()));
+    assert.equal(result.workspace_name, "Sales Analytics");
+    assert.equal(result.total_items, 3);
+    assert.deepEqual(result.by_type, { SemanticModel: 1, Report: 1, Dashboard: 1 });
+
+    const other = parse(await skill.get_workspace_summary({ workspace: "Finance" }, chatContext()));
+    assert.equal(other.workspace_id, OTHER_WORKSPACE_ID);
+    assert.equal(other.workspace_name, "Finance");
+  });
+
+  it("get_bot_info masks credentials", async () => {
+    const info = parse(await skill.get_bot_info({}, chatContext()));
+    assert.equal(info.configuration.workspace_id, WORKSPACE_ID);
+    assert.equal(info.configuration.azure_tenant, "mock-ten...");
+    assert.ok(!JSON.stringify(info).includes("mock-secret"));
+  });
+
+  it("get_audit_log filters and pages audit entries", async () => {
+    const create = withToolContext({
+      create_notebook: (params) => fabricRequest("POST", `/workspaces/${WORKSPACE_ID}/items`, { displayName: params.name, type: "Notebook" }),
+    }).create_notebook;
+    await create({ name: "Audit A" }, chatContext());
+    await create({ name: "Audit B" }, chatContext({ user: { id: "user-2", name: "Other User" } }));
+
+    const all = parse(await skill.get_audit_log({ since: "1h" }, chatContext()));
+    assert.equal(all.total, 2);
+    assert.equal(all.items[0].summary, "create Notebook 'Audit B'");
+    assert.equal(all.items[0].tool, "create_notebook");
+
+    const byUser = parse(await skill.get_audit_log({ user: "other" }, chatContext()));
+    assert.deepEqual(byUser.items.map((e) => e.user), ["Other User"]);
+
+    const byItem = parse(await skill.get_audit_log({ item: "Audit A", page_size: 1 }, chatContext()));
+    assert.equal(byItem.total, 1);
+    assert.equal(byItem.filters.item, "Audit A");
+
+    const none = parse(await skill.get_audit_log({ workspace: "Finance" }, chatContext()));
+    assert.equal(none.total, 0);
+  });
+
+  it("get_audit_log rejects an invalid date", async () => {
+    const result = parse(await skill.get_audit_log({ since: "last tuesday" }, chatContext()));
+    assert.match(result.error, /Invalid date 'last tuesday'/);
+  });
+});
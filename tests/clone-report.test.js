@@ -0,0 +1,84 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startMockFabric, chatContext } = require("./helpers");
+const { WORKSPACE_ID, OTHER_WORKSPACE_ID, SEMANTIC_MODEL_ID, REPORT_ID, semanticModelParts } = require("./fixtures");
+const skill = require("../skills/powerbi-report-builder");
+
+const parse = (text) => JSON.parse(text);
+const decode = (part) => JSON.parse(Buffer.from(part.payload, "base64").toString("utf8"));
+const EU_MODEL_ID = "99999999-9999-4999-8999-999999999991";
+const LEGACY_MODEL_ID = "99999999-9999-4999-8999-999999999992";
+const CREATE_REPORT = new RegExp(`/workspaces/${WORKSPACE_ID}/reports$`);
+
+/**
+ * Sales model parts with Product[Category] renamed
+ */
+function renamedCategoryParts() {
+  return semanticModelParts().map((part) => {
+    if (part.path !== "definition/tables/Product.tmdl") return part;
+    const text = Buffer.from(part.payload, "base64").toString("utf8").replace("column Category", "column 'Product Category'");
+    return { ...part, payload: Buffer.from(text).toString("base64") };
+  });
+}
+
+describe("clone_report", () => {
+  let mock;
+  before(async () => {
+    mock = await startMockFabric();
+    mock.server.state.items.push(
+      { id: EU_MODEL_ID, workspaceId: OTHER_WORKSPACE_ID, type: "SemanticModel", displayName: "Sales Model EU", description: "", definition: semanticModelParts() },
+      { id: LEGACY_MODEL_ID, workspaceId: WORKSPACE_ID, type: "SemanticModel", displayName: "Sales Model 2019", description: "", definition: renamedCategoryParts() }
+    );
+  });
+  after(() => mock.stop());
+  beforeEach(() => mock.server.clearFaults());
+
+  it("clones a report onto a model in another workspace", async () => {
+    const result = parse(await skill.clone_report({
+      report_id: REPORT_ID,
+      target_semantic_model: "sales model eu",
+      target_workspace: "Finance",
+    }, chatContext()));
+
+    assert.equal(result.cloned, true);
+    assert.equal(result.report_name, "Sales Overview (Sales Model EU)");
+    assert.deepEqual(result.target_semantic_model, { id: EU_MODEL_ID, name: "Sales Model EU" });
+    assert.equal(result.source_report.semantic_model_id, SEMANTIC_MODEL_ID);
+    assert.equal(result.fields_checked, 3);
+    assert.deepEqual([result.pages, result.visuals], [1, 2]);
+
+    const clone = mock.server.item(result.id);
+    assert.equal(clone.workspaceId, OTHER_WORKSPACE_ID);
+    const pbir = decode(clone.definition.find((p) => p.path === "definition.pbir"));
+    assert.equal(pbir.datasetReference.byConnection.pbiModelDatabaseName, EU_MODEL_ID);
+    assert.equal(decode(clone.definition.find((p) => p.path === ".platform")).metadata.displayName, "Sales Overview (Sales Model EU)");
+    const source = mock.server.item(REPORT_ID).definition.filter((p) => p.path.startsWith("definition/pages/"));
+    assert.deepEqual(
+      clone.definition.filter((p) => p.path.startsWith("definition/pages/")).map(decode),
+      source.map(decode)
+    );
+  });
+
+  it("refuses to clone when fields are missing in the target model", async () => {
+    const creates = mock.server.requestsTo("POST", CREATE_REPORT).length;
+    await assert.rejects(
+      skill.clone_report({ report_id: REPORT_ID, target_semantic_model: LEGACY_MODEL_ID, report_name: "Sales 2019" }, chatContext()),
+      /Report 'Sales Overview' was not cloned — 1 field\(s\) do not match 'Sales Model 2019':\n- .*Product\[Category\]/
+    );
+    assert.equal(mock.server.requestsTo("POST", CREATE_REPORT).length, creates);
+
+    const check = parse(await skill.clone_report({ report_id: REPORT_ID, target_semantic_model: "Sales Model 2019", check_only: true }, chatContext()));
+    assert.equal(check.cloned, false);
+    assert.equal(check.valid, false);
+    assert.deepEqual(check.errors[0].suggestions, ["Product[Product Category]"]);
+  });
+
+  it("explains unknown target models", async () => {
+    await assert.rejects(
+      skill.clone_report({ report_id: REPORT_ID, target_semantic_model: "Sales Model US", target_workspace: "Finance" }, chatContext()),
+      /Semantic model 'Sales Model US' not found in the target workspace — models: Sales Model EU/
+    );
+    await assert.rejects(skill.clone_report({ report_id: REPORT_ID }, chatContext()), /target_semantic_model is required/);
+  });
+});
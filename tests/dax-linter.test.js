@@ -0,0 +1,141 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startMockFabric, chatContext } = require("./helpers");
+const { SEMANTIC_MODEL_ID } = require("./fixtures");
+const skill = require("../skills/powerbi-report-builder");
+const { tokenize } = require("../skills/powerbi-report-builder/dax-tokenizer");
+const { formatDax } = require("../skills/powerbi-report-builder/dax-formatter");
+const { lintDax } = require("../skills/powerbi-report-builder/dax-linter");
+
+const parse = (text) => JSON.parse(text);
+const rules = (findings) => findings.map((f) => f.rule);
+
+describe("DAX tokenizer and formatter", () => {
+  it("tokenizes with positions and keeps comments", () => {
+    const tokens = tokenize("SUM('Sales Line'[Net ]]Amount])\n// note \"x\"\n+ 1.5e2").filter((t) => t.type !== "whitespace");
+    assert.deepEqual(tokens.map((t) => [t.type, t.value]), [
+      ["identifier", "SUM"],
+      ["operator", "("],
+      ["table", "Sales Line"],
+      ["column", "Net ]Amount"],
+      ["operator", ")"],
+      ["comment", "// note \"x\""],
+      ["operator", "+"],
+      ["number", "1.5e2"],
+    ]);
+    assert.deepEqual([tokens[7].line, tokens[7].column], [3, 3]);
+  });
+
+  it("keeps short calls on one line and breaks long ones", () => {
+    assert.equal(formatDax("divide( [total sales],sum(Sales[Quantity]) )"), "DIVIDE([total sales], SUM(Sales[Quantity]))");
+    assert.equal(
+      formatDax("calculate([Total Sales], keepfilters(Product[Category] in {\"Bikes\",\"Clothing\"}), removefilters('Date'))", { width: 55 }),
+      [
+        "CALCULATE(",
+        "    [Total Sales],",
+        "    KEEPFILTERS(",
+        "        Product[Category] IN {\"Bikes\", \"Clothing\"}",
+        "    ),",
+        "    REMOVEFILTERS('Date')",
+        ")",
+      ].join("\n")
+    );
+  });
+
+  it("puts VAR / RETURN on their own lines and keeps comments", () => {
+    assert.equal(
+      formatDax("var x = [Total Sales] // net\nvar y=-1 return if(x>0,x*y,blank())"),
+      [
+        "VAR x = [Total Sales] // net",
+        "VAR y = -1",
+        "RETURN",
+        "    IF(x > 0, x * y, BLANK())",
+      ].join("\n")
+    );
+    assert.equal(
+      formatDax("define measure Sales[X] = sum(Sales[Amount]) evaluate summarizecolumns(Product[Category], \"X\", [X]) order by [X] desc"),
+      [
+        "DEFINE",
+        "    MEASURE Sales[X] = SUM(Sales[Amount])",
+        "EVALUATE SUMMARIZECOLUMNS(Product[Category], \"X\", [X])",
+        "ORDER BY [X] DESC",
+      ].join("\n")
+    );
+  });
+});
+
+describe("lint_dax", () => {
+  let mock;
+  before(async () => {
+    mock = await startMockFabric();
+  });
+  after(() => mock.stop());
+  beforeEach(() => mock.server.clearFaults());
+
+  it("reports unbalanced parentheses and unclosed strings with positions", () => {
+    const findings = lintDax("CALCULATE(\n  SUM(Sales[Amount],\n  Sales[Category] = \"Bikes)");
+    assert.deepEqual(
+      findings.map((f) => [f.rule, f.line, f.column]),
+      [["unbalanced-parentheses", 1, 10], ["unbalanced-parentheses", 2, 6], ["unterminated", 3, 21]]
+    );
+    assert.match(findings[0].message, /'\(' is never closed/);
+    assert.deepEqual(rules(lintDax("SUM(Sales[Amount]))")), ["unbalanced-parentheses"]);
+    assert.deepEqual(rules(lintDax("   ")), ["empty"]);
+  });
+
+  it("flags anti-patterns without a model", async () => {
+    const result = parse(await skill.lint_dax({
+      expression: "CALCULATE([Total Sales], FILTER(Sales, Sales[Amount] > 100))\n+ IFERROR([Total Sales] / [Order Count], 0)",
+    }, chatContext()));
+    assert.deepEqual(rules(result.findings), ["filter-table-in-calculate", "iferror", "divide-operator"]);
+    assert.deepEqual(result.summary, { errors: 0, warnings: 2, info: 1 });
+    assert.match(result.note, /Pass semantic_model_id/);
+
+    // Column filters and division by constants are fine
+    assert.deepEqual(lintDax("CALCULATE([Total Sales], FILTER(ALL(Sales[Amount]), Sales[Amount] > 100)) / 100"), []);
+  });
+
+  it("checks references against the model schema", async () => {
+    const result = parse(await skill.lint_dax({
+      semantic_model_id: SEMANTIC_MODEL_ID,
+      expression: "VAR t = FILTER(Sales, [Amount] > 0)\nRETURN SUMX(t, Sales[Amont]) + Sales[Total Sales] + [Margin] + COUNTROWS(Costs) + COUNTROWS(Prodcut)",
+    }, chatContext()));
+    const byRule = Object.fromEntries(result.findings.map((f) => [f.rule + (f.rule === "unknown-table" ? f.column : ""), f]));
+    assert.deepEqual(byRule["unknown-column"].suggestions, ["Sales[Amount]"]);
+    assert.match(byRule["unqualified-column"].message, /use Sales\[Amount\]/);
+    assert.match(byRule["qualified-measure"].message, /\[Total Sales\] is written with a table prefix/);
+    assert.match(byRule["unknown-reference"].message, /\[Margin\] is not a measure or column/);
+    assert.match(byRule["unknown-table74"].message, /'Costs' is not a table/);
+    assert.deepEqual(byRule["unknown-table93"].suggestions, ["Product"]);
+    assert.equal(result.summary.errors, 3);
+  });
+
+  it("lints every measure of a model", async () => {
+    const result = parse(await skill.lint_dax({ semantic_model_id: SEMANTIC_MODEL_ID }, chatContext()));
+    assert.ok(result.measures_checked >= 2);
+    assert.equal(result.summary.errors, 0);
+    await assert.rejects(skill.lint_dax({}, chatContext()), /Pass expression, or semantic_model_id/);
+  });
+
+  it("format_dax formats an existing measure without saving it", async () => {
+    const before = mock.server.requestsTo("POST", "updateDefinition").length;
+    const result = parse(await skill.format_dax({ semantic_model_id: SEMANTIC_MODEL_ID, measure: "order count" }, chatContext()));
+    assert.equal(result.measure, "Sales[Order Count]");
+    assert.equal(result.formatted, "COUNTROWS(Sales)");
+    assert.equal(result.changed, false);
+    assert.equal(mock.server.requestsTo("POST", "updateDefinition").length, before);
+
+    const broken = parse(await skill.format_dax({ expression: "sum(Sales[Amount]" }, chatContext()));
+    assert.equal(broken.syntax_errors[0].rule, "unbalanced-parentheses");
+  });
+
+  it("add_measure rejects DAX syntax errors before writing", async () => {
+    const before = mock.server.requestsTo("POST", "updateDefinition").length;
+    await assert.rejects(
+      skill.add_measure({ semantic_model_id: SEMANTIC_MODEL_ID, table: "Sales", name: "Broken", expression: "SUM(Sales[Amount]" }, chatContext()),
+      /'\(' is never closed \(line 1, column 4\)/
+    );
+    assert.equal(mock.server.requestsTo("POST", "updateDefinition").length, before);
+  });
+});
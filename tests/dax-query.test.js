@@ -0,0 +1,110 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+
+const { startMockFabric, chatContext, readAuditLog } = require("./helpers");
+const { SEMANTIC_MODEL_ID } = require("./fixtures");
+const skill = require("../skills/powerbi-report-builder");
+const { renderTable, toCsv } = require("../skills/powerbi-report-builder/dax-query");
+
+const parse = (text) => JSON.parse(text);
+
+describe("execute_dax_query", () => {
+  let mock;
+  before(async () => {
+    mock = await startMockFabric();
+  });
+  after(() => mock.stop());
+  beforeEach(() => mock.server.clearFaults());
+
+  const run = (params, context = chatContext()) =>
+    skill.execute_dax_query({ semantic_model_id: SEMANTIC_MODEL_ID, ...params }, context);
+
+  it("renders aligned tables with short headers and truncated cells", () => {
+    const table = renderTable(
+      ["Product[Product Name]", "[Total]"],
+      [
+        { "Product[Product Name]": "Mountain-200 Black, 42 (limited edition)", "[Total]": 1234.5 },
+        { "Product[Product Name]": "Jersey", "[Total]": 7 },
+      ],
+      { columnWidth: 12 }
+    );
+    assert.equal(table, [
+      "Product Name │  Total",
+      "─────────────┼───────",
+      "Mountain-20… │ 1234.5",
+      "Jersey       │      7",
+    ].join("\n"));
+  });
+
+  it("returns small results as a chat table without an attachment", async () => {
+    const context = chatContext();
+    const result = parse(await run({ dax_query: "// all products\nEVALUATE Product" }, context));
+    assert.equal(result.row_count, 3);
+    assert.deepEqual(result.columns, ["ProductKey", "Product Name", "Category"]);
+    assert.match(result.table, /^ProductKey │ Product Name/);
+    assert.match(result.table, /Mountain-200 Black, 42 … │ Bikes/);
+    assert.equal(result.note, undefined);
+    assert.equal(result.attachment, undefined);
+    assert.equal(context.files.length, 0);
+
+    // executeQueries is read-only and not audited
+    assert.ok(!readAuditLog(mock.auditFile).some((e) => e.tool === "execute_dax_query"));
+  });
+
+  it("limits rows and sends the full result as CSV", async () => {
+    const context = chatContext();
+    const result = parse(await run({ dax_query: "EVALUATE Sales", max_rows: 5 }, context));
+    assert.equal(result.row_count, 30);
+    assert.equal(result.shown_rows, 5);
+    assert.equal(result.table.split("\n").length, 7);
+    assert.match(result.note, /Showing 5 of 30 rows/);
+
+    assert.equal(result.attachment.sent, true);
+    assert.equal(context.files.length, 1);
+    assert.equal(context.files[0].filename, "dax-query-result.csv");
+    assert.equal(context.files[0].mimeType, "text/csv");
+    const csv = fs.readFileSync(result.attachment.path, "utf8");
+    const lines = csv.replace(/^\ufeff/, "").trimEnd().split("\r\n");
+    assert.equal(lines.length, 31);
+    assert.equal(lines[0], "ProductKey,OrderDate,Quantity,Amount,Category");
+  });
+
+  it("drops extra columns with a note", async () => {
+    const result = parse(await run({ dax_query: "EVALUATE Sales", max_rows: 100, max_columns: 2 }, chatContext()));
+    assert.equal(result.shown_rows, 30);
+    assert.match(result.note, /3 column\(s\) not shown: Quantity, Amount, Category/);
+    assert.ok(!result.table.includes("Quantity"));
+    assert.ok(result.attachment);
+  });
+
+  it("sends CSV on request and quotes values", async () => {
+    const context = chatContext();
+    const result = parse(await run({ dax_query: "EVALUATE Product", csv: "true" }, context));
+    assert.equal(context.files.length, 1);
+    assert.match(fs.readFileSync(result.attachment.path, "utf8"), /"Mountain-200 Black, 42 \(limited edition\)"/);
+    assert.equal(toCsv(["T[a]"], [{ "T[a]": "say \"hi\"" }]), "\ufeffa\r\n\"say \"\"hi\"\"\"\r\n");
+  });
+
+  it("rejects text that is not a DAX query without calling the API", async () => {
+    const calls = mock.server.requestsTo("POST", "executeQueries").length;
+    await assert.rejects(run({ dax_query: "SUM(Sales[Amount])" }), /must start with EVALUATE/);
+    await assert.rejects(run({ dax_query: "  " }), /dax_query is required/);
+    assert.equal(mock.server.requestsTo("POST", "executeQueries").length, calls);
+  });
+
+  it("explains DAX errors with the position in the query", async () => {
+    await assert.rejects(run({ dax_query: "DEFINE\n  VAR x = 1\nEVALUATE Salez" }), (err) => {
+      assert.match(err.message, /^DAX error at line 3, column 10: Failed to resolve name 'Salez'/);
+      assert.ok(err.message.endsWith("EVALUATE Salez\n         ^"));
+      return true;
+    });
+  });
+
+  it("reports unknown semantic models", async () => {
+    await assert.rejects(
+      skill.execute_dax_query({ semantic_model_id: "00000000-0000-4000-8000-000000000000", dax_query: "EVALUATE Sales" }, chatContext()),
+      /404/
+    );
+  });
+});
@@ -0,0 +1,190 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+
+const { startMockFabric, chatContext } = require("./helpers");
+const { WORKSPACE_ID, OTHER_WORKSPACE_ID, SEMANTIC_MODEL_ID, REPORT_ID } = require("./fixtures");
+const skill = require("../skills/powerbi-workspace-manager");
+const { resolveStage } = require("../skills/powerbi-workspace-manager/deployment-pipelines");
+
+const parse = (text) => JSON.parse(text);
+const PROD_WORKSPACE_ID = "77777777-7777-4777-8777-777777777777";
+const PIPELINE_ID = "88888888-8888-4888-8888-888888888888";
+
+/**
+ * Preview a deployment, then confirm it with the returned token
+ */
+async function deploy(params, context = chatContext()) {
+  const preview = parse(await skill.deploy_pipeline_stage(params, context));
+  assert.equal(preview.confirmation_required, true);
+  return parse(await skill.deploy_pipeline_stage({ ...params, confirmation_token: preview.confirmation_token }, context));
+}
+
+describe("deployment pipelines", () => {
+  let mock;
+  before(async () => {
+    mock = await startMockFabric();
+    fs.writeFileSync(process.env.FABIOBOT_WORKSPACES_FILE, JSON.stringify({
+      aliases: { live: { id: PROD_WORKSPACE_ID } },
+    }));
+    mock.server.state.workspaces.push({ id: PROD_WORKSPACE_ID, displayName: "Sales [Prod]", description: "", type: "Workspace" });
+    mock.server.state.deploymentPipelines.push({
+      id: PIPELINE_ID,
+      displayName: "Sales Pipeline",
+      description: "Sales content",
+      stages: [
+        { id: "stage-prod", order: 2, displayName: "Production", workspaceId: PROD_WORKSPACE_ID },
+        { id: "stage-dev", order: 0, displayName: "Development", workspaceId: WORKSPACE_ID },
+        { id: "stage-test", order: 1, displayName: "Test", workspaceId: OTHER_WORKSPACE_ID },
+      ],
+      pairs: [],
+      deployTimes: {},
+    });
+  });
+  after(() => mock.stop());
+  beforeEach(() => mock.server.clearFaults());
+
+  it("lists pipelines with their stages in order", async () => {
+    const result = parse(await skill.list_deployment_pipelines({}, chatContext()));
+    assert.equal(result.total, 1);
+    assert.equal(result.pipelines[0].name, "Sales Pipeline");
+    assert.deepEqual(
+      result.pipelines[0].stages.map((s) => [s.order, s.name, s.workspace_name]),
+      [[0, "Development", "Sales Analytics"], [1, "Test", "Finance"], [2, "Production", "Sales [Prod]"]]
+    );
+  });
+
+  it("compares a stage with the next one", async () => {
+    const result = parse(await skill.compare_pipeline_stages({ source_stage: "dev" }, chatContext()));
+    assert.equal(result.target_stage, "Test (Finance)");
+    assert.deepEqual(result.new_in_target.map((i) => i.name), ["Sales Model", "Sales Overview", "Exec Dashboard"]);
+    assert.deepEqual(result.overwritten_in_target, []);
+    assert.deepEqual(result.only_in_target.map((i) => i.name), ["Finance Lake"]);
+  });
+
+  it("deploys selected items forward and reports per-item results", async () => {
+    const context = chatContext();
+    const created = await deploy({
+      pipeline: "sales pipeline",
+      source_stage: "Development",
+      items: "Sales Overview, Sales Model (SemanticModel)",
+      note: "Q3 release",
+    }, context);
+
+    assert.equal(created.status, "Succeeded");
+    assert.equal(created.to, "Test (Finance)");
+    assert.deepEqual(created.items.map((i) => [i.name, i.result]), [["Sales Overview", "Created"], ["Sales Model", "Created"]]);
+    assert.deepEqual(JSON.parse(mock.server.requestsTo("POST", `/deploymentPipelines/${PIPELINE_ID}/deploy`).at(-1).body), {
+      sourceStageId: "stage-dev",
+      targetStageId: "stage-test",
+      items: [{ sourceItemId: REPORT_ID, itemType: "Report" }, { sourceItemId: SEMANTIC_MODEL_ID, itemType: "SemanticModel" }],
+      note: "Q3 release",
+    });
+    assert.ok(context.messages.some((m) => /Deploying: Running \(50%\)/.test(m)));
+
+    const report = mock.server.item(created.items[0].target_id);
+    assert.equal(report.workspaceId, OTHER_WORKSPACE_ID);
+
+    const compared = parse(await skill.compare_pipeline_stages({ source_stage: "0" }, chatContext()));
+    assert.deepEqual(compared.overwritten_in_target.map((i) => i.name), ["Sales Model", "Sales Overview"]);
+
+    const updated = await deploy({ source_stage: "dev", items: ["Sales Overview"] });
+    assert.deepEqual(updated.items.map((i) => [i.result, i.target_id]), [["Updated", created.items[0].target_id]]);
+  });
+
+  it("promotes a report to production by workspace alias", async () => {
+    const result = await deploy({ source_stage: "test", target_stage: "live", items: ["Sales Overview (Report)"] });
+    assert.equal(result.to, "Production (Sales [Prod])");
+    assert.equal(result.items[0].result, "Created");
+    assert.equal(mock.server.item(result.items[0].target_id).workspaceId, PROD_WORKSPACE_ID);
+  });
+
+  it("reports a failed deployment per item", async () => {
+    mock.server.failNextOperation("Deployment failed: the target workspace has no capacity");
+    const result = await deploy({ source_stage: "dev", items: ["Exec Dashboard"] });
+    assert.equal(result.status, "Failed");
+    assert.match(result.error, /the target workspace has no capacity/);
+    assert.deepEqual(result.items.map((i) => [i.name, i.result, i.target_id]), [["Exec Dashboard", "NotDeployed", null]]);
+  });
+
+  it("deploys only after the preview is confirmed", async () => {
+    const deploys = mock.server.requestsTo("POST", /\/deploy$/).length;
+    const context = chatContext();
+    const params = { source_stage: "dev", items: ["Sales Overview (Report)"] };
+    const preview = parse(await skill.deploy_pipeline_stage(params, context));
+    assert.equal(preview.ok, false);
+    assert.match(preview.confirmation_token, /^confirm-[0-9a-f]{8}$/);
+    assert.equal(preview.preview.target_stage, "Test (Finance)");
+    assert.deepEqual(preview.preview.items, ["Sales Overview (Report)"]);
+    assert.deepEqual(preview.preview.overwritten_in_target.map((i) => i.name), ["Sales Overview"]);
+    assert.equal(mock.server.requestsTo("POST", /\/deploy$/).length, deploys);
+
+    const other = parse(await skill.deploy_pipeline_stage({ source_stage: "dev", confirmation_token: preview.confirmation_token }, context));
+    assert.match(other.error, /belongs to a different request/);
+    const elsewhere = parse(await skill.deploy_pipeline_stage({ ...params, confirmation_token: preview.confirmation_token }, chatContext({ conversationId: "conversation-2" })));
+    assert.match(elsewhere.error, /issued in a different conversation/);
+    assert.equal(mock.server.requestsTo("POST", /\/deploy$/).length, deploys);
+  });
+
+  it("refuses stage prefixes that match several stages", () => {
+    const pipeline = {
+      name: "Finance Pipeline",
+      stages: [{ id: "a", order: 0, name: "Pre-production" }, { id: "b", order: 1, name: "Production" }],
+    };
+    assert.equal(resolveStage(pipeline, "prod").id, "b");
+    assert.throws(() => resolveStage(pipeline, "p"), /Stage 'p' is ambiguous in 'Finance Pipeline' — it matches Pre-production, Production/);
+    assert.throws(() => resolveStage(pipeline, "dev"), /Stage 'dev' not found in 'Finance Pipeline' — stages: Pre-production → Production/);
+  });
+
+  it("does not deploy items added to the source stage after the preview", async () => {
+    const context = chatContext();
+    const preview = parse(await skill.deploy_pipeline_stage({ source_stage: "dev" }, context));
+    assert.equal(preview.preview.items, "all items of the source stage");
+    const late = { id: "99999999-9999-4999-8999-999999999999", workspaceId: WORKSPACE_ID, type: "Notebook", displayName: "Late Notebook", description: "" };
+    mock.server.state.items.push(late);
+    try {
+      const deploys = mock.server.requestsTo("POST", /\/deploy$/).length;
+      const result = parse(await skill.deploy_pipeline_stage({ source_stage: "dev", confirmation_token: preview.confirmation_token }, context));
+      assert.match(result.error, /belongs to a different request/);
+      assert.equal(mock.server.requestsTo("POST", /\/deploy$/).length, deploys);
+    } finally {
+      mock.server.state.items = mock.server.state.items.filter((i) => i !== late);
+    }
+  });
+
+  it("reports a deployment that outlasts the time limit as in progress", async () => {
+    const { operationPolls } = mock.server;
+    mock.server.operationPolls = 1000;
+    process.env.FABRIC_LRO_TIMEOUT_SECONDS = "0.05";
+    try {
+      const result = await deploy({ source_stage: "dev", items: ["Exec Dashboard"] });
+      assert.equal(result.status, "InProgress");
+      assert.ok(result.operation_id);
+      assert.match(result.message, /may still complete/);
+      assert.deepEqual(result.items.map((i) => [i.name, i.result]), [["Exec Dashboard", "InProgress"]]);
+      assert.equal(result.error, undefined);
+    } finally {
+      mock.server.operationPolls = operationPolls;
+      delete process.env.FABRIC_LRO_TIMEOUT_SECONDS;
+    }
+  });
+
+  it("rejects skipped stages and unknown items before deploying", async () => {
+    const deploys = mock.server.requestsTo("POST", /\/deploy$/).length;
+    await assert.rejects(
+      skill.deploy_pipeline_stage({ source_stage: "dev", target_stage: "prod" }, chatContext()),
+      /one stage forward: Development → Test → Production\. The stage after 'Development' is 'Test'/
+    );
+    await assert.rejects(
+      skill.deploy_pipeline_stage({ source_stage: "production" }, chatContext()),
+      /'Production' is the last stage/
+    );
+    await assert.rejects(
+      skill.deploy_pipeline_stage({ source_stage: "dev", items: "Sales Report" }, chatContext()),
+      /'Sales Report' is not in the source stage — items: Sales Model \(SemanticModel\), Sales Overview \(Report\)/
+    );
+    await assert.rejects(skill.compare_pipeline_stages({ source_stage: "QA" }, chatContext()), /Stage 'QA' not found in 'Sales Pipeline'/);
+    assert.match(parse(await skill.deploy_pipeline_stage({}, chatContext())).error, /source_stage is required/);
+    assert.equal(mock.server.requestsTo("POST", /\/deploy$/).length, deploys);
+  });
+});
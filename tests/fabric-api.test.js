@@ -0,0 +1,158 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+
+const { startMockFabric, chatContext, readAuditLog } = require("./helpers");
+const { WORKSPACE_ID, OTHER_WORKSPACE_ID, SEMANTIC_MODEL_ID } = require("./fixtures");
+const skill = require("../skills/fabric-api");
+const { evaluateRequest, DEFAULT_POLICY } = require("../skills/fabric-api/policy");
+
+const parse = (text) => JSON.parse(text);
+const call = async (params, context = chatContext()) => parse(await skill.fabric_api_call(params, context));
+
+describe("fabric-api", () => {
+  let mock;
+  before(async () => {
+    mock = await startMockFabric();
+  });
+  after(() => mock.stop());
+  beforeEach(() => {
+    mock.server.clearFaults();
+    fs.rmSync(process.env.FABIOBOT_API_POLICY_FILE, { force: true });
+    delete process.env.FABRIC_API_READ_ONLY;
+  });
+
+  it("validates required parameters", async () => {
+    assert.match((await call({ path: "/workspaces" })).error, /method is required/);
+    assert.match((await call({ method: "GET" })).error, /path is required/);
+    const requests = mock.server.requests.length;
+    assert.match((await call({ method: "GET", path: `${mock.server.url}/v1/workspaces` })).error, /full URLs are not allowed/);
+    assert.match((await call({ method: "GET", path: "//attacker.example/x" })).error, /full URLs are not allowed/);
+    assert.equal(mock.server.requests.length, requests);
+  });
+
+  it("substitutes {workspaceId} with the resolved workspace", async () => {
+    const result = await call({ method: "get", path: "/workspaces/{workspaceId}" });
+    assert.equal(result.ok, true);
+    assert.equal(result.data.id, WORKSPACE_ID);
+
+    fs.writeFileSync(process.env.FABIOBOT_WORKSPACES_FILE, JSON.stringify({ aliases: { fin: OTHER_WORKSPACE_ID } }));
+    const other = await call({ method: "GET", path: "/workspaces/{workspaceId}", workspace: "fin" });
+    assert.equal(other.data.id, OTHER_WORKSPACE_ID);
+
+    const byName = await call({ method: "GET", path: "/workspaces/{workspaceId}", workspace: "finance" });
+    assert.equal(byName.data.id, OTHER_WORKSPACE_ID);
+
+    const missing = await call({ method: "GET", path: "/workspaces/{workspaceId}", workspace: "Nowhere" });
+    assert.match(missing.error, /Workspace 'Nowhere' not found among \d+ accessible workspaces or aliases \(fin\)/);
+  });
+
+  it("returns API errors with a hint instead of throwing", async () => {
+    const result = await call({ method: "GET", path: `/workspaces/${WORKSPACE_ID}/items/missing` });
+    assert.equal(result.ok, false);
+    assert.equal(result.status, 404);
+    assert.match(result.hint, /not found/i);
+  });
+
+  it("blocks calls matching a deny rule", async () => {
+    const result = await call({ method: "DELETE", path: `/workspaces/${OTHER_WORKSPACE_ID}` });
+    assert.equal(result.blocked, true);
+    assert.equal(result.rule, "DELETE /workspaces/*");
+    assert.equal(mock.server.requestsTo("DELETE", `/workspaces/${OTHER_WORKSPACE_ID}`).length, 0);
+  });
+
+  it("blocks mutating calls in read-only mode", async () => {
+    process.env.FABRIC_API_READ_ONLY = "true";
+    const result = await call({ method: "POST", path: "/workspaces/{workspaceId}/items", body: { displayName: "N", type: "Notebook" } });
+    assert.equal(result.blocked, true);
+    assert.equal(result.rule, "readOnly");
+
+    const read = await call({ method: "POST", path: `/workspaces/${WORKSPACE_ID}/semanticModels/${SEMANTIC_MODEL_ID}/getDefinition` });
+    assert.equal(read.ok, true);
+    assert.ok(read.data.definition.parts.length > 0);
+  });
+
+  it("blocks protected workspaces from the policy file", async () => {
+    fs.writeFileSync(process.env.FABIOBOT_API_POLICY_FILE, JSON.stringify({ protectedWorkspaces: [WORKSPACE_ID] }));
+    const result = await call({ method: "PATCH", path: `/workspaces/${WORKSPACE_ID}/items/${SEMANTIC_MODEL_ID}`, body: { description: "x" } });
+    assert.equal(result.blocked, true);
+    assert.equal(result.rule, "protectedWorkspaces");
+
+    const encoded = WORKSPACE_ID.replace(/^(.)/, (c) => `%${c.charCodeAt(0).toString(16)}`);
+    const hidden = await call({ method: "PATCH", path: `/workspaces/${encoded}/items/${SEMANTIC_MODEL_ID}`, body: { description: "x" } });
+    assert.equal(hidden.rule, "protectedWorkspaces");
+    assert.equal(mock.server.requestsTo("PATCH", "/items/").length, 0);
+  });
+
+  it("applies rules to the resolved path and refuses paths that resolve elsewhere", () => {
+    const decide = (method, requestPath) => evaluateRequest(method, requestPath, DEFAULT_POLICY);
+    assert.equal(decide("DELETE", "https://evil.example/workspaces/abc").rule, "path");
+    assert.equal(decide("DELETE", "//workspaces/abc").rule, "path");
+    assert.match(decide("DELETE", "/workspaces/abc/.").reason, /contains a '\.' segment/);
+    assert.match(decide("DELETE", "/workspaces/abc/%2E").reason, /contains a '\.' segment/);
+    assert.match(decide("POST", "/workspaces/../admin/x").reason, /contains a '\.\.' segment/);
+    assert.match(decide("DELETE", "/workspaces//abc").reason, /repeated slashes/);
+    assert.match(decide("DELETE", "/workspaces\\abc").reason, /backslash/);
+    assert.equal(decide("DELETE", "/workspaces/abc/").rule, "DELETE /workspaces/*");
+    assert.equal(decide("DELETE", "/workspaces/%61bc").rule, "DELETE /workspaces/*");
+    assert.equal(decide("GET", "/workspaces/abc/items?continuationToken=x").action, "allow");
+  });
+
+  it("requires a confirmation token for deletes", async () => {
+    const created = await call({ method: "POST", path: "/workspaces/{workspaceId}/items", body: { displayName: "Scratch", type: "Notebook" } });
+    assert.equal(created.status, 201);
+    const path = `/workspaces/${WORKSPACE_ID}/items/${created.data.id}`;
+
+    const preview = await call({ method: "DELETE", path });
+    assert.equal(preview.confirmation_required, true);
+    assert.equal(preview.preview.target.name, "Scratch");
+    assert.match(preview.confirmation_token, /^confirm-[0-9a-f]{8}$/);
+    assert.ok(mock.server.item(created.data.id), "preview must not delete");
+
+    const otherConversation = await call({ method: "DELETE", path, confirmation_token: preview.confirmation_token }, chatContext({ conversationId: "other" }));
+    assert.match(otherConversation.error, /different conversation/);
+
+    const wrongRequest = await call({ method: "DELETE", path: `/workspaces/${WORKSPACE_ID}/items/${SEMANTIC_MODEL_ID}`, confirmation_token: preview.confirmation_token });
+    assert.match(wrongRequest.error, /different request/);
+
+    const deleted = await call({ method: "DELETE", path, confirmation_token: preview.confirmation_token });
+    assert.equal(deleted.ok, true);
+    assert.equal(mock.server.item(created.data.id), null);
+
+    const reused = await call({ method: "DELETE", path, confirmation_token: preview.confirmation_token });
+    assert.match(reused.error, /unknown or was already used/);
+  });
+
+  it("follows long-running operations and audits them", async () => {
+    const context = chatContext();
+    const result = await call({
+      method: "POST",
+      path: "/workspaces/{workspaceId}/reports",
+      body: { displayName: "From API", definition: { parts: [{ path: "definition.pbir", payload: "e30=", payloadType: "InlineBase64" }] } },
+    }, context);
+    assert.equal(result.ok, true);
+    assert.equal(result.operation.status, "Succeeded");
+    assert.equal(result.data.displayName, "From API");
+
+    const entry = readAuditLog(mock.auditFile).at(-1);
+    assert.equal(entry.tool, "fabric_api_call");
+    assert.equal(entry.result, "succeeded");
+    assert.equal(entry.operation_id, result.operation.id);
+  });
+
+  it("reports and audits failed long-running operations", async () => {
+    mock.server.failNextOperation("Capacity is paused");
+    const result = await call({
+      method: "POST",
+      path: "/workspaces/{workspaceId}/reports",
+      body: { displayName: "Will Fail", definition: { parts: [{ path: "definition.pbir", payload: "e30=", payloadType: "InlineBase64" }] } },
+    });
+    assert.equal(result.ok, false);
+    assert.equal(result.operation.status, "Failed");
+    assert.match(result.error, /Capacity is paused/);
+
+    const entry = readAuditLog(mock.auditFile).at(-1);
+    assert.equal(entry.result, "failed");
+    assert.match(entry.error, /Capacity is paused/);
+  });
+});
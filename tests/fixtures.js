@@ -0,0 +1,303 @@
+/**
+ * Seed data for the mock Fabric server: two workspaces, a TMDL semantic
+ * model (Sales / Product / Date) and a PBIR report bound to it.
+ */
+
+const WORKSPACE_ID = "11111111-1111-4111-8111-111111111111";
+const OTHER_WORKSPACE_ID = "22222222-2222-4222-8222-222222222222";
+const SEMANTIC_MODEL_ID = "33333333-3333-4333-8333-333333333333";
+const REPORT_ID = "44444444-4444-4444-8444-444444444444";
+
+const MODEL_TMDL = `model Model
+	culture: en-US
+	defaultPowerBIDataSourceVersion: powerBI_V3
+`;
+
+const SALES_TMDL = `table Sales
+
+	/// Net sales amount
+	measure 'Total Sales' = SUM(Sales[Amount])
+		formatString: #,0.00
+
+	measure 'Order Count' = COUNTROWS(Sales)
+		formatString: 0
+
+	column Amount
+		dataType: decimal
+		summarizeBy: sum
+		sourceColumn: Amount
+
+	column Quantity
+		dataType: int64
+		summarizeBy: sum
+		sourceColumn: Quantity
+
+	column ProductKey
+		dataType: int64
+		isHidden
+		summarizeBy: none
+		sourceColumn: ProductKey
+
+	column OrderDate
+		dataType: dateTime
+		isHidden
+		summarizeBy: none
+		sourceColumn: OrderDate
+
+	partition Sales = m
+		mode: import
+		source = let Source = #table({"Amount"}, {}) in Source
+`;
+
+const PRODUCT_TMDL = `table Product
+
+	column ProductKey
+		dataType: int64
+		isHidden
+		isKey
+		summarizeBy: none
+		sourceColumn: ProductKey
+
+	column 'Product Name'
+		dataType: string
+		summarizeBy: none
+		sourceColumn: Product Name
+
+	column Category
+		dataType: string
+		summarizeBy: none
+		sourceColumn: Category
+
+	partition Product = m
+		mode: import
+		source = let Source = #table({"ProductKey"}, {}) in Source
+`;
+
+const DATE_TMDL = `table Date
+	dataCategory: Time
+
+	column Date
+		dataType: dateTime
+		isKey
+		summarizeBy: none
+		sourceColumn: Date
+
+	column Year
+		dataType: int64
+		summarizeBy: none
+		sourceColumn: Year
+
+	column Month
+		dataType: string
+		summarizeBy: none
+		sourceColumn: Month
+
+	partition Date = calculated
+		mode: import
+		source = CALENDARAUTO()
+`;
+
+const RELATIONSHIPS_TMDL = `relationship 8c1e6a52-0d8f-4a61-9d8c-1b2c3d4e5f60
+	fromColumn: Sales.ProductKey
+	toColumn: Product.ProductKey
+
+relationship 9d2f7b63-1e90-4b72-8e9d-2c3d4e5f6071
+	fromColumn: Sales.OrderDate
+	toColumn: Date.Date
+`;
+
+function jsonPart(path, content) {
+  return { path, payload: Buffer.from(JSON.stringify(content, null, 2)).toString("base64"), payloadType: "InlineBase64" };
+}
+
+function textPart(path, content) {
+  return { path, payload: Buffer.from(content).toString("base64"), payloadType: "InlineBase64" };
+}
+
+function semanticModelParts() {
+  return [
+    jsonPart("definition.pbism", { version: "4.0", settings: {} }),
+    textPart("definition/model.tmdl", MODEL_TMDL),
+    textPart("definition/tables/Sales.tmdl", SALES_TMDL),
+    textPart("definition/tables/Product.tmdl", PRODUCT_TMDL),
+    textPart("definition/tables/Date.tmdl", DATE_TMDL),
+    textPart("definition/relationships.tmdl", RELATIONSHIPS_TMDL),
+    jsonPart(".platform", { metadata: { type: "SemanticModel", displayName: "Sales Model" } }),
+  ];
+}
+
+function measureField(table, measure) {
+  return { Measure: { Expression: { SourceRef: { Entity: table } }, Property: measure } };
+}
+
+function columnField(table, column) {
+  return { Column: { Expression: { SourceRef: { Entity: table } }, Property: column } };
+}
+
+function titled(title) {
+  return { title: [{ properties: { show: { expr: { Literal: { Value: "true" } } }, text: { expr: { Literal: { Value: `'${title}'` } } } } }] };
+}
+
+function reportParts(semanticModelId = SEMANTIC_MODEL_ID) {
+  return [
+    jsonPart("definition.pbir", {
+      version: "4.0",
+      datasetReference: {
+        byConnection: {
+          connectionString: null,
+          pbiServiceModelId: null,
+          pbiModelVirtualServerName: "sobe_wowvirtualserver",
+          pbiModelDatabaseName: semanticModelId,
+          name: "EntityDataSource",
+          connectionType: "pbiServiceXmlaStyleLive",
+        },
+      },
+    }),
+    jsonPart("definition/version.json", { version: "2.0.0" }),
+    jsonPart("definition/report.json", {
+      themeCollection: { baseTheme: { name: "CY24SU06", type: "SharedResources" } },
+      layoutOptimization: "None",
+    }),
+    jsonPart("definition/pages/pages.json", { pageOrder: ["overview01"], activePageName: "overview01" }),
+    jsonPart("definition/pages/overview01/page.json", {
+      name: "overview01",
+      displayName: "Overview",
+      displayOption: "FitToPage",
+      height: 720,
+      width: 1280,
+    }),
+    jsonPart("definition/pages/overview01/visuals/card01/visual.json", {
+      name: "card01",
+      position: { x: 20, y: 20, z: 0, width: 300, height: 150 },
+      visual: {
+        visualType: "card",
+        query: { queryState: { Values: { projections: [{ field: measureField("Sales", "Total Sales"), queryRef: "Sales.Total Sales" }] } } },
+        visualContainerObjects: titled("Total Sales"),
+      },
+    }),
+    jsonPart("definition/pages/overview01/visuals/bar01/visual.json", {
+      name: "bar01",
+      position: { x: 20, y: 190, z: 1, width: 600, height: 400 },
+      visual: {
+        visualType: "clusteredBarChart",
+        query: {
+          queryState: {
+            Category: { projections: [{ field: columnField("Product", "Category"), queryRef: "Product.Category" }] },
+            Y: { projections: [{ field: measureField("Sales", "Total Sales"), queryRef: "Sales.Total Sales" }] },
+          },
+        },
+        visualContainerObjects: titled("Sales by Category"),
+      },
+    }),
+    jsonPart(".platform", { metadata: { type: "Report", displayName: "Sales Overview" } }),
+  ];
+}
+
+/**
+ * Role assignments of the sales workspace; the service principal is the mock
+ * client (AZURE_CLIENT_ID=mock-client)
+ */
+function roleAssignments() {
+  return [
+    {
+      id: "a0000000-0000-4000-8000-000000000001",
+      principal: { id: "a0000000-0000-4000-8000-000000000001", displayName: "Jana Nováková", type: "User", userDetails: { userPrincipalName: "jana@contoso.com" } },
+      role: "Admin",
+    },
+    {
+      id: "a0000000-0000-4000-8000-000000000002",
+      principal: { id: "a0000000-0000-4000-8000-000000000002", displayName: "FabioBot", type: "ServicePrincipal", servicePrincipalDetails: { aadAppId: "mock-client" } },
+      role: "Member",
+    },
+    {
+      id: "a0000000-0000-4000-8000-000000000003",
+      principal: { id: "a0000000-0000-4000-8000-000000000003", displayName: "Sales Readers", type: "Group", groupDetails: { groupType: "SecurityGroup" } },
+      role: "Viewer",
+    },
+  ];
+}
+
+/**
+ * Rows returned by executeQueries for `EVALUATE <table>`, keyed the way the
+ * service names result columns
+ */
+function queryTables() {
+  const categories = ["Bikes", "Accessories", "Clothing"];
+  return {
+    Product: [
+      { "Product[ProductKey]": 1, "Product[Product Name]": "Mountain-200 Black, 42 (limited edition)", "Product[Category]": "Bikes" },
+      { "Product[ProductKey]": 2, "Product[Product Name]": "Water Bottle", "Product[Category]": "Accessories" },
+      { "Product[ProductKey]": 3, "Product[Product Name]": "Jersey", "Product[Category]": "Clothing" },
+    ],
+    Sales: Array.from({ length: 30 }, (_, i) => ({
+      "Sales[ProductKey]": (i % 3) + 1,
+      "Sales[OrderDate]": `2024-01-${String(i + 1).padStart(2, "0")}T00:00:00`,
+      "Sales[Quantity]": (i % 4) + 1,
+      "Sales[Amount]": Math.round((i + 1) * 12.345 * 100) / 100,
+      "Sales[Category]": categories[i % 3],
+    })),
+  };
+}
+
+/**
+ * Refresh history of the sales model, newest first (relative to now)
+ */
+function refreshHistory() {
+  const at = (hoursAgo) => new Date(Date.now() - hoursAgo * 3600000).toISOString();
+  return [
+    { requestId: "a1b2c3d4-0000-4000-8000-000000000002", id: 2, refreshType: "Scheduled", startTime: at(3), endTime: new Date(Date.parse(at(3)) + 192000).toISOString(), status: "Completed" },
+    {
+      requestId: "a1b2c3d4-0000-4000-8000-000000000001",
+      id: 1,
+      refreshType: "Scheduled",
+      startTime: at(27),
+      endTime: new Date(Date.parse(at(27)) + 45000).toISOString(),
+      status: "Failed",
+      serviceExceptionJson: JSON.stringify({
+        errorCode: "ModelRefreshFailed_CredentialsNotSpecified",
+        errorDescription: "The credentials provided for the SQL source are invalid.",
+      }),
+    },
+  ];
+}
+
+/**
+ * Fresh mock state (every server instance gets its own copy)
+ */
+function createSeedState() {
+  return {
+    workspaces: [
+      { id: WORKSPACE_ID, displayName: "Sales Analytics", description: "Sales team workspace", type: "Workspace", capacityId: "cap-1" },
+      { id: OTHER_WORKSPACE_ID, displayName: "Finance", description: "", type: "Workspace", capacityId: "cap-1" },
+    ],
+    items: [
+      { id: SEMANTIC_MODEL_ID, workspaceId: WORKSPACE_ID, type: "SemanticModel", displayName: "Sales Model", description: "", definition: semanticModelParts() },
+      { id: REPORT_ID, workspaceId: WORKSPACE_ID, type: "Report", displayName: "Sales Overview", description: "", definition: reportParts() },
+      { id: "55555555-5555-4555-8555-555555555555", workspaceId: WORKSPACE_ID, type: "Dashboard", displayName: "Exec Dashboard", description: "" },
+      { id: "66666666-6666-4666-8666-666666666666", workspaceId: OTHER_WORKSPACE_ID, type: "Lakehouse", displayName: "Finance Lake", description: "" },
+    ],
+    queryTables: queryTables(),
+    refreshes: { [SEMANTIC_MODEL_ID]: refreshHistory() },
+    refreshSchedules: {
+      [SEMANTIC_MODEL_ID]: {
+        days: ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday"],
+        times: ["07:00"],
+        enabled: true,
+        localTimeZoneId: "UTC",
+        notifyOption: "MailOnFailure",
+      },
+    },
+    deploymentPipelines: [],
+    roleAssignments: { [WORKSPACE_ID]: roleAssignments() },
+  };
+}
+
+module.exports = {
+  WORKSPACE_ID,
+  OTHER_WORKSPACE_ID,
+  SEMANTIC_MODEL_ID,
+  REPORT_ID,
+  createSeedState,
+  semanticModelParts,
+  reportParts,
+};
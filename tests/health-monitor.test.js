@@ -0,0 +1,97 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+
+const { startMockFabric } = require("./helpers");
+const { WORKSPACE_ID } = require("./fixtures");
+const skill = require("../skills/bot-status");
+const { runMonitorCheck, stopHealthMonitor, summarizeHealthHistory, loadHealthHistory } = require("../skills/bot-status/health-monitor");
+
+const parse = (text) => JSON.parse(text);
+
+describe("health monitor", () => {
+  let mock;
+  before(async () => {
+    stopHealthMonitor();
+    mock = await startMockFabric();
+    process.env.FABIOBOT_ALERT_WEBHOOK_URL = `${mock.server.url}/hooks/chat`;
+    process.env.TELEGRAM_BOT_TOKEN = "123:abc";
+    process.env.FABIOBOT_ALERT_TELEGRAM_CHAT_ID = "-100200";
+    process.env.TELEGRAM_API_BASE_URL = `${mock.server.url}/hooks/telegram`;
+  });
+  after(() => mock.stop());
+  beforeEach(() => mock.server.clearFaults());
+
+  it("records a healthy run without alerting", async () => {
+    const { entry, alert } = await runMonitorCheck();
+    assert.equal(entry.status, "healthy");
+    assert.equal(entry.checks.fabric_api, "OK");
+    assert.equal(typeof entry.latency_ms.fabric_api, "number");
+    assert.equal(alert, null);
+    assert.equal(mock.server.requestsTo("POST", "/hooks/").length, 0);
+
+    const lines = fs.readFileSync(process.env.FABIOBOT_HEALTH_HISTORY_FILE, "utf8").trim().split("\n");
+    assert.equal(lines.length, 1);
+    assert.equal(JSON.parse(lines[0]).status, "healthy");
+  });
+
+  it("alerts the chat when the status changes and when it recovers", async () => {
+    mock.server.fail({ method: "GET", path: new RegExp(`/workspaces/${WORKSPACE_ID}$`), status: 503, times: 10 });
+    const degraded = await runMonitorCheck();
+    assert.equal(degraded.entry.status, "degraded");
+    assert.match(degraded.alert.text, /^⚠️ FabioBot is degraded \(was healthy\)\n- fabric_api: HTTP 503 from Fabric API/);
+    assert.deepEqual(degraded.alert.deliveries.map((d) => [d.channel, d.sent]), [["webhook", true], ["telegram", true]]);
+    assert.deepEqual(JSON.parse(mock.server.requestsTo("POST", "/hooks/chat").at(-1).body), { text: degraded.alert.text });
+    assert.deepEqual(JSON.parse(mock.server.requestsTo("POST", "/hooks/telegram/bot123:abc/sendMessage").at(-1).body), {
+      chat_id: "-100200",
+      text: degraded.alert.text,
+    });
+
+    mock.server.fail({ method: "GET", path: new RegExp(`/workspaces/${WORKSPACE_ID}$`), status: 503, times: 10 });
+    assert.equal((await runMonitorCheck()).alert, null);
+
+    mock.server.clearFaults();
+    const recovered = await runMonitorCheck();
+    assert.match(recovered.alert.text, /^✅ FabioBot is healthy again \(was degraded for \d+m\)$/);
+    assert.equal(mock.server.requestsTo("POST", "/hooks/chat").length, 2);
+  });
+
+  it("summarizes uptime and latency with get_health_history", async () => {
+    const result = parse(await skill.get_health_history({ hours: 1 }));
+    assert.equal(result.monitor.running, false);
+    assert.equal(result.checks_run, 4);
+    assert.equal(result.uptime_percent, 50);
+    assert.deepEqual(result.by_status, { healthy: 2, degraded: 2, unhealthy: 0 });
+    assert.equal(result.current.status, "healthy");
+    assert.deepEqual(result.state_changes.map((c) => [c.from, c.to]), [["healthy", "degraded"], ["degraded", "healthy"]]);
+    assert.equal(typeof result.latency_ms.fabric_api.p95, "number");
+    assert.equal(result.trend.reduce((sum, b) => sum + b.checks, 0), 4);
+
+    const invalid = parse(await skill.get_health_history({ hours: "a week" }));
+    assert.match(invalid.error, /hours must be a positive number/);
+  });
+
+  it("keeps the history within the configured size", async () => {
+    process.env.FABIOBOT_HEALTH_HISTORY_SIZE = "3";
+    for (let i = 0; i < 3; i++) await runMonitorCheck();
+    assert.equal(loadHealthHistory().length, 3);
+    assert.ok(fs.readFileSync(process.env.FABIOBOT_HEALTH_HISTORY_FILE, "utf8").trim().split("\n").length <= 4);
+
+    const now = Date.parse("2026-01-01T12:00:00Z");
+    const at = (minutes, status, ms) => ({
+      timestamp: new Date(now - minutes * 60000).toISOString(),
+      status,
+      latency_ms: ms ? { fabric_api: ms } : {},
+    });
+    const summary = summarizeHealthHistory(
+      [at(200, "unhealthy"), at(50, "healthy", 100), at(40, "unhealthy"), at(30, "healthy", 300), at(20, "healthy", 200)],
+      { hours: 1, now }
+    );
+    assert.equal(summary.checks_run, 4);
+    assert.equal(summary.uptime_percent, 75);
+    assert.equal(summary.current.since, at(30).timestamp);
+    assert.deepEqual(summary.latency_ms.fabric_api, { avg: 200, p95: 300, max: 300 });
+    assert.equal(summary.latency_ms.azure_auth, null);
+    assert.deepEqual(summarizeHealthHistory([], { hours: 1 }), { period_hours: 1, checks_run: 0 });
+  });
+});
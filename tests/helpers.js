@@ -0,0 +1,109 @@
+/**
+ * Test helpers: start the mock Fabric server and point the skills at it
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { MockFabricServer } = require("./mock-fabric-server");
+const { WORKSPACE_ID } = require("./fixtures");
+const { clearTokenCache } = require("../skills/shared/auth");
+
+// Variables that would change auth or policy behavior if set on the host
+const ISOLATED_ENV = [
+  "AZURE_AUTH_METHOD",
+  "AZURE_CLIENT_CERTIFICATE_PATH",
+  "AZURE_CLIENT_CERTIFICATE_PASSWORD",
+  "AZURE_FEDERATED_TOKEN_FILE",
+  "FABRIC_API_READ_ONLY",
+  "FABRIC_LRO_TIMEOUT_SECONDS",
+  "FABRIC_REFRESH_WAIT_SECONDS",
+  "FABRIC_EXPORT_TIMEOUT_SECONDS",
+  "FABIOBOT_HEALTH_INTERVAL_SECONDS",
+  "FABIOBOT_HEALTH_HISTORY_SIZE",
+  "FABIOBOT_ALERT_WEBHOOK_URL",
+  "FABIOBOT_ALERT_TELEGRAM_CHAT_ID",
+  "TELEGRAM_BOT_TOKEN",
+  "TELEGRAM_API_BASE_URL",
+];
+
+/**
+ * Start a mock server and set the environment for it.
+ *
+ * @returns {Promise<{ server: MockFabricServer, dir: string, auditFile: string, stop: function }>}
+ */
+async function startMockFabric(options) {
+  const server = new MockFabricServer(options);
+  await server.start();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fabiobot-test-"));
+
+  const env = {
+    ...server.env,
+    POWERBI_WORKSPACE_ID: WORKSPACE_ID,
+    POWERBI_WORKSPACE_NAME: "Sales Analytics",
+    FABIOBOT_WORKSPACES_FILE: path.join(dir, "workspaces.json"),
+    FABIOBOT_API_POLICY_FILE: path.join(dir, "api-policy.json"),
+    FABIOBOT_AUDIT_LOG_FILE: path.join(dir, "audit.jsonl"),
+    FABIOBOT_EXPORT_DIR: path.join(dir, "exports"),
+    FABIOBOT_SOURCE_DIR: path.join(dir, "source"),
+    FABIOBOT_HEALTH_HISTORY_FILE: path.join(dir, "health-history.jsonl"),
+    FABRIC_API_RETRIES: "2",
+    FABRIC_REFRESH_POLL_SECONDS: "0.01",
+    DEFAULT_MODEL: "test-model",
+  };
+  const saved = {};
+  for (const key of [...Object.keys(env), ...ISOLATED_ENV]) saved[key] = process.env[key];
+  for (const key of ISOLATED_ENV) delete process.env[key];
+  Object.assign(process.env, env);
+  clearTokenCache();
+
+  return {
+    server,
+    dir,
+    auditFile: env.FABIOBOT_AUDIT_LOG_FILE,
+    async stop() {
+      await server.stop();
+      for (const [key, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+      clearTokenCache();
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * OpenClaw-like call context that records chat messages and files
+ */
+function chatContext(overrides = {}) {
+  const messages = [];
+  const files = [];
+  return {
+    conversationId: "conversation-1",
+    user: { id: "user-1", name: "Test User" },
+    messages,
+    files,
+    sendMessage: async (text) => {
+      messages.push(text);
+    },
+    sendFile: async (file, options) => {
+      files.push({ path: file, ...options });
+    },
+    ...overrides,
+  };
+}
+
+/**
+ * Audit log entries written so far
+ */
+function readAuditLog(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, "utf8").split("\n").filter(Boolean).map((line) => JSON.parse(line));
+}
+
+module.exports = {
+  startMockFabric,
+  chatContext,
+  readAuditLog,
+};
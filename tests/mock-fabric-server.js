@@ -0,0 +1,740 @@
+/**
+ * Local stand-in for the Microsoft Fabric / Power BI REST APIs
+ *
+ * Serves the endpoints the skills use, backed by in-memory state:
+ *
+ *   POST /{tenant}/oauth2/v2.0/token                    Azure AD client credentials
+ *   /v1/workspaces[/{id}[/items|semanticModels|reports[/{id}]]]
+ *   POST /v1/workspaces/{id}/reports                   create (long-running)
+ *   POST /v1/workspaces/{id}/{semanticModels|reports}/{id}/getDefinition   (long-running)
+ *   POST /v1/workspaces/{id}/{semanticModels|reports}/{id}/updateDefinition (long-running)
+ *   GET|POST /v1/workspaces/{id}/roleAssignments, PATCH|DELETE .../roleAssignments/{id}
+ *   GET  /v1/operations/{id}[/result]
+ *   GET  /v1/deploymentPipelines[/{id}/stages[/{id}/items]]
+ *   POST /v1/deploymentPipelines/{id}/deploy           copies items to the next stage (long-running)
+ *   GET  /v1.0/myorg/groups/{id}/reports/{id}/pages    Power BI API
+ *   POST /v1.0/myorg/groups/{id}/datasets/{id}/executeQueries   EVALUATE <table> only
+ *   GET|POST /v1.0/myorg/groups/{id}/datasets/{id}/refreshes   history / trigger (finishes after operationPolls reads)
+ *   GET|PATCH /v1.0/myorg/groups/{id}/datasets/{id}/refreshSchedule
+ *   POST /v1.0/myorg/groups/{id}/reports/{id}/ExportTo, GET .../exports/{id}[/file]
+ *   GET  /external/{host}/...                          canned RSS / Learn content
+ *   POST /hooks/...                                    chat webhooks (alerts); answers { ok: true }
+ *
+ * Faults are scripted per test:
+ *
+ *   server.fail({ method: "GET", path: "/items", status: 429, times: 2 });
+ *   server.revokeTokens();   // next API call answers 401 until a new token is fetched
+ *
+ * Run it standalone with `node tests/mock-fabric-server.js [port]`; it prints
+ * the environment variables that point the bot at it.
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+const { createSeedState } = require("./fixtures");
+
+const COLLECTION_TYPES = { semanticModels: "SemanticModel", reports: "Report", items: null };
+
+class MockFabricServer {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.pageSize] - list page size before continuationToken kicks in
+   * @param {number} [options.operationPolls] - "Running" polls before an operation succeeds
+   * @param {number} [options.retryAfter] - Retry-After seconds sent with 202 / 429 responses
+   */
+  constructor({ pageSize = 100, operationPolls = 1, retryAfter = 0.01 } = {}) {
+    this.state = createSeedState();
+    this.pageSize = pageSize;
+    this.operationPolls = operationPolls;
+    this.retryAfter = retryAfter;
+    this.faults = [];
+    this.requests = [];
+    this.tokens = new Set();
+    this.tokenRequests = [];
+    this.operations = new Map();
+    this.exports = new Map();
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    this.url = null;
+  }
+
+  async start(port = 0) {
+    await new Promise((resolve) => this.server.listen(port, "127.0.0.1", resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  async stop() {
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+
+  /**
+   * Environment variables that route the skills to this server
+   */
+  get env() {
+    return {
+      AZURE_TENANT_ID: "mock-tenant",
+      AZURE_CLIENT_ID: "mock-client",
+      AZURE_CLIENT_SECRET: "mock-secret",
+      AZURE_AUTHORITY_HOST: this.url,
+      FABRIC_API_BASE_URL: `${this.url}/v1`,
+      POWERBI_API_BASE_URL: `${this.url}/v1.0/myorg`,
+    };
+  }
+
+  /**
+   * Inject a fault: the next `times` matching requests get `status`.
+   *
+   * @param {object} fault
+   * @param {string} [fault.method] - HTTP method or "*"
+   * @param {string|RegExp} fault.path - substring or pattern of the request path
+   * @param {number} fault.status
+   * @param {number} [fault.times] - how many requests to fail (default 1)
+   * @param {object} [fault.body] - error body (default: Fabric error shape)
+   * @param {object} [fault.headers]
+   * @param {boolean} [fault.network] - destroy the socket instead of answering
+   */
+  fail({ method = "*", path, status = 500, times = 1, body = null, headers = {}, network = false }) {
+    const fault = { method: method.toUpperCase(), path, status, remaining: times, body, headers, network };
+    this.faults.push(fault);
+    return fault;
+  }
+
+  clearFaults() {
+    this.faults = [];
+  }
+
+  /**
+   * Invalidate every issued token (simulates revocation / expiry)
+   */
+  revokeTokens() {
+    this.tokens.clear();
+  }
+
+  /**
+   * Let the next long-running operation end in "Failed"
+   */
+  failNextOperation(message = "Operation failed in mock") {
+    this.nextOperationError = message;
+  }
+
+  /**
+   * Let the next report export end in "Failed"
+   */
+  failNextExport(message = "Export failed in mock") {
+    this.nextExportError = message;
+  }
+
+  /**
+   * Let the next dataset refresh end in "Failed"
+   */
+  failNextRefresh(message = "Refresh failed in mock") {
+    this.nextRefreshError = message;
+  }
+
+  /**
+   * Answer the next refresh trigger without Location / x-ms-request-id and
+   * leave it out of the history for the first `hiddenReads` reads.
+   * `clockOffsetMs` shifts its startTime (a service clock behind the bot).
+   */
+  anonymizeNextRefresh(hiddenReads = 1, { clockOffsetMs = 0 } = {}) {
+    this.nextRefreshHiddenReads = hiddenReads;
+    this.nextRefreshClockOffset = clockOffsetMs;
+  }
+
+  /**
+   * Recorded API requests matching a method and path pattern
+   */
+  requestsTo(method, pattern) {
+    return this.requests.filter(
+      (r) => (method === "*" || r.method === method) && (pattern instanceof RegExp ? pattern.test(r.path) : r.path.includes(pattern))
+    );
+  }
+
+  item(id) {
+    return this.state.items.find((i) => i.id === id) || null;
+  }
+
+  // ---------------------------------------------------------------------------
+
+  async handle(req, res) {
+    const url = new URL(req.url, this.url);
+    const body = await readBody(req);
+    const record = { method: req.method, path: url.pathname + url.search, body, authorization: req.headers.authorization };
+    this.requests.push(record);
+
+    const fault = this.faults.find(
+      (f) => f.remaining > 0 && (f.method === "*" || f.method === req.method) &&
+        (f.path instanceof RegExp ? f.path.test(url.pathname) : url.pathname.includes(f.path))
+    );
+    if (fault) {
+      fault.remaining--;
+      if (fault.network) {
+        req.socket.destroy();
+        return;
+      }
+      const headers = { ...fault.headers };
+      if ((fault.status === 429 || fault.status >= 500) && !headers["Retry-After"]) {
+        headers["Retry-After"] = String(this.retryAfter);
+      }
+      return send(res, fault.status, fault.body || errorBody(fault.status), headers);
+    }
+
+    try {
+      if (/\/oauth2\/v2\.0\/token$/.test(url.pathname)) return this.token(res, body);
+      if (url.pathname.startsWith("/external/")) return this.external(res, url);
+      if (url.pathname.startsWith("/hooks/") && req.method === "POST") return send(res, 200, { ok: true });
+
+      if (!this.authorized(req)) {
+        return send(res, 401, { errorCode: "TokenExpired", message: "Access token has expired or is invalid" });
+      }
+      if (url.pathname.startsWith("/v1.0/myorg/")) return this.powerbi(res, req.method, url, body);
+      if (url.pathname.startsWith("/v1/")) return this.fabric(res, req.method, url, body);
+      return send(res, 404, errorBody(404));
+    } catch (err) {
+      return send(res, 500, { errorCode: "MockError", message: err.message });
+    }
+  }
+
+  authorized(req) {
+    const match = (req.headers.authorization || "").match(/^Bearer (.+)$/);
+    return Boolean(match && this.tokens.has(match[1]));
+  }
+
+  token(res, body) {
+    const form = new URLSearchParams(body);
+    this.tokenRequests.push(Object.fromEntries(form));
+    if (form.get("grant_type") !== "client_credentials" || !form.get("client_id")) {
+      return send(res, 400, { error: "invalid_request", error_description: "AADSTS900144: missing client_credentials" });
+    }
+    if (!form.get("client_secret") && !form.get("client_assertion")) {
+      return send(res, 401, { error: "invalid_client", error_description: "AADSTS7000215: Invalid client secret provided." });
+    }
+    const token = `mock-token-${this.tokenRequests.length}`;
+    this.tokens.add(token);
+    return send(res, 200, { token_type: "Bearer", expires_in: 3600, access_token: token });
+  }
+
+  // --- Fabric API ------------------------------------------------------------
+
+  fabric(res, method, url, rawBody) {
+    const segments = url.pathname.replace(/^\/v1\//, "").split("/").filter(Boolean);
+    const body = parseJson(rawBody);
+
+    if (segments[0] === "operations") return this.operation(res, segments[1], segments[2] === "result");
+    if (segments[0] === "deploymentPipelines") return this.deploymentPipeline(res, method, url, segments, body);
+    if (segments[0] !== "workspaces") return send(res, 404, errorBody(404));
+
+    if (segments.length === 1 && method === "GET") {
+      return this.list(res, url, this.state.workspaces);
+    }
+
+    const workspace = this.state.workspaces.find((w) => w.id === segments[1]);
+    if (!workspace) {
+      return send(res, 404, { errorCode: "WorkspaceNotFound", message: "The requested workspace was not found", requestId: requestId() });
+    }
+    if (segments.length === 2) {
+      if (method === "GET") return send(res, 200, workspace);
+      if (method === "PATCH") return send(res, 200, Object.assign(workspace, pick(body, ["displayName", "description"])));
+      if (method === "DELETE") {
+        this.state.workspaces = this.state.workspaces.filter((w) => w !== workspace);
+        return send(res, 200, null);
+      }
+    }
+
+    if (segments[2] === "roleAssignments") return this.roleAssignments(res, method, url, workspace, segments[3], body);
+
+    const collection = segments[2];
+    if (!(collection in COLLECTION_TYPES)) return send(res, 404, errorBody(404));
+    const type = COLLECTION_TYPES[collection];
+    const inScope = (i) => i.workspaceId === workspace.id && (!type || i.type === type);
+
+    if (segments.length === 3) {
+      if (method === "GET") {
+        const filterType = url.searchParams.get("type");
+        const items = this.state.items.filter((i) => inScope(i) && (!filterType || i.type === filterType));
+        return this.list(res, url, items.map(publicItem));
+      }
+      if (method === "POST") return this.createItem(res, workspace, type || body?.type, body);
+    }
+
+    const item = this.state.items.find((i) => i.id === segments[3] && inScope(i));
+    if (!item) {
+      return send(res, 404, { errorCode: "ItemNotFound", message: `The requested item ${segments[3]} was not found`, requestId: requestId() });
+    }
+
+    if (segments.length === 4) {
+      if (method === "GET") return send(res, 200, publicItem(item));
+      if (method === "PATCH") return send(res, 200, publicItem(Object.assign(item, pick(body, ["displayName", "description"]))));
+      if (method === "DELETE") {
+        this.state.items = this.state.items.filter((i) => i !== item);
+        return send(res, 200, null);
+      }
+    }
+
+    if (segments[4] === "getDefinition" && method === "POST") {
+      return this.startOperation(res, { definition: { parts: item.definition || [] } });
+    }
+    if (segments[4] === "updateDefinition" && method === "POST") {
+      if (!body?.definition?.parts) return send(res, 400, { errorCode: "InvalidDefinition", message: "definition.parts is required" });
+      const platform = (item.definition || []).filter((p) => p.path === ".platform");
+      item.definition = [...body.definition.parts.filter((p) => p.path !== ".platform"), ...platform];
+      return this.startOperation(res, null);
+    }
+    return send(res, 404, errorBody(404));
+  }
+
+  roleAssignments(res, method, url, workspace, assignmentId, body) {
+    const assignments = (this.state.roleAssignments[workspace.id] ||= []);
+    if (!assignmentId) {
+      if (method === "GET") return this.list(res, url, assignments);
+      if (method === "POST") {
+        if (!body?.principal?.id || !body?.principal?.type || !body?.role) {
+          return send(res, 400, { errorCode: "InvalidInput", message: "principal and role are required", requestId: requestId() });
+        }
+        if (assignments.some((a) => a.id === body.principal.id)) {
+          return send(res, 409, { errorCode: "PrincipalAlreadyHasWorkspaceRolePermissions", message: "The principal already has a workspace role", requestId: requestId() });
+        }
+        const assignment = { id: body.principal.id, principal: { ...body.principal, displayName: `Principal ${body.principal.id.substring(0, 8)}` }, role: body.role };
+        assignments.push(assignment);
+        return send(res, 201, assignment);
+      }
+    }
+    const assignment = assignments.find((a) => a.id === assignmentId);
+    if (!assignment) {
+      return send(res, 404, { errorCode: "WorkspaceRoleAssignmentNotFound", message: "The role assignment was not found", requestId: requestId() });
+    }
+    if (method === "GET") return send(res, 200, assignment);
+    if (method === "PATCH") return send(res, 200, Object.assign(assignment, pick(body, ["role"])));
+    if (method === "DELETE") {
+      this.state.roleAssignments[workspace.id] = assignments.filter((a) => a !== assignment);
+      return send(res, 200, null);
+    }
+    return send(res, 404, errorBody(404));
+  }
+
+  createItem(res, workspace, type, body) {
+    if (!body?.displayName) {
+      return send(res, 400, { errorCode: "InvalidInput", message: "displayName is required", requestId: requestId() });
+    }
+    if (this.state.items.some((i) => i.workspaceId === workspace.id && i.type === type && i.displayName === body.displayName)) {
+      return send(res, 409, { errorCode: "ItemDisplayNameAlreadyInUse", message: `${type} name '${body.displayName}' is already in use`, requestId: requestId() });
+    }
+    const item = {
+      id: crypto.randomUUID(),
+      workspaceId: workspace.id,
+      type,
+      displayName: body.displayName,
+      description: body.description || "",
+      definition: body.definition?.parts || null,
+    };
+    this.state.items.push(item);
+    // Items with a definition are created asynchronously, like the real service
+    if (item.definition) return this.startOperation(res, publicItem(item));
+    return send(res, 201, publicItem(item));
+  }
+
+  list(res, url, all) {
+    const offset = Number(Buffer.from(url.searchParams.get("continuationToken") || "", "base64").toString() || 0);
+    const page = all.slice(offset, offset + this.pageSize);
+    const body = { value: page };
+    if (offset + this.pageSize < all.length) {
+      body.continuationToken = Buffer.from(String(offset + this.pageSize)).toString("base64");
+      const next = new URL(url);
+      next.searchParams.set("continuationToken", body.continuationToken);
+      body.continuationUri = next.toString();
+    }
+    return send(res, 200, body);
+  }
+
+  startOperation(res, result) {
+    const id = crypto.randomUUID();
+    const error = this.nextOperationError;
+    this.nextOperationError = null;
+    this.operations.set(id, { polls: 0, result, error });
+    return send(res, 202, null, {
+      Location: `${this.url}/v1/operations/${id}`,
+      "x-ms-operation-id": id,
+      "Retry-After": String(this.retryAfter),
+    });
+  }
+
+  operation(res, id, wantResult) {
+    const op = this.operations.get(id);
+    if (!op) return send(res, 404, { errorCode: "OperationNotFound", message: `Operation ${id} not found` });
+
+    if (wantResult) {
+      if (op.polls <= this.operationPolls || op.error) {
+        return send(res, 400, { errorCode: "OperationNotSucceeded", message: "The operation has not succeeded" });
+      }
+      if (op.result == null) {
+        return send(res, 400, { errorCode: "OperationHasNoResult", message: "The operation has no result", requestId: requestId() });
+      }
+      return send(res, 200, op.result);
+    }
+
+    op.polls++;
+    const now = new Date().toISOString();
+    if (op.polls <= this.operationPolls) {
+      return send(res, 200, { status: "Running", createdTimeUtc: now, percentComplete: 50 }, { "Retry-After": String(this.retryAfter) });
+    }
+    if (op.error) {
+      return send(res, 200, { status: "Failed", createdTimeUtc: now, error: { errorCode: "OperationFailed", message: op.error } });
+    }
+    const headers = op.result == null ? {} : { Location: `${this.url}/v1/operations/${id}/result` };
+    return send(res, 200, { status: "Succeeded", createdTimeUtc: now, percentComplete: 100 }, headers);
+  }
+
+  deploymentPipeline(res, method, url, segments, body) {
+    if (segments.length === 1 && method === "GET") {
+      return this.list(res, url, this.state.deploymentPipelines.map(({ id, displayName, description }) => ({ id, displayName, description })));
+    }
+    const pipeline = this.state.deploymentPipelines.find((p) => p.id === segments[1]);
+    if (!pipeline) {
+      return send(res, 404, { errorCode: "PipelineNotFound", message: "The requested deployment pipeline was not found", requestId: requestId() });
+    }
+    const stageInfo = (stage) => ({
+      id: stage.id,
+      order: stage.order,
+      displayName: stage.displayName,
+      workspaceId: stage.workspaceId,
+      workspaceName: this.state.workspaces.find((w) => w.id === stage.workspaceId)?.displayName,
+    });
+
+    if (segments[2] === "stages" && method === "GET") {
+      if (segments.length === 3) return this.list(res, url, pipeline.stages.map(stageInfo));
+      const stage = pipeline.stages.find((s) => s.id === segments[3]);
+      if (!stage || segments[4] !== "items") return send(res, 404, errorBody(404));
+      const items = this.state.items.filter((i) => i.workspaceId === stage.workspaceId).map((i) => ({
+        itemId: i.id,
+        itemDisplayName: i.displayName,
+        itemType: i.type,
+        sourceItemId: pipeline.pairs.find((p) => p.targetItemId === i.id)?.sourceItemId,
+        targetItemId: pipeline.pairs.find((p) => p.sourceItemId === i.id)?.targetItemId,
+        lastDeploymentTime: pipeline.deployTimes[i.id],
+      }));
+      return this.list(res, url, items);
+    }
+
+    if (segments[2] === "deploy" && method === "POST") {
+      const source = pipeline.stages.find((s) => s.id === body?.sourceStageId);
+      const target = pipeline.stages.find((s) => s.id === body?.targetStageId);
+      if (!source || !target || target.order !== source.order + 1) {
+        return send(res, 400, { errorCode: "InvalidStages", message: "Deployments must go to the next stage", requestId: requestId() });
+      }
+      // A scripted operation failure deploys nothing
+      if (!this.nextOperationError) {
+        const selected = body.items
+          ? body.items.map((ref) => this.state.items.find((i) => i.id === ref.sourceItemId && i.workspaceId === source.workspaceId)).filter(Boolean)
+          : this.state.items.filter((i) => i.workspaceId === source.workspaceId);
+        const now = new Date().toISOString();
+        for (const item of selected) {
+          const pair = pipeline.pairs.find((p) => p.sourceItemId === item.id);
+          let copy = pair && this.state.items.find((i) => i.id === pair.targetItemId);
+          if (copy) {
+            Object.assign(copy, { displayName: item.displayName, description: item.description, definition: item.definition });
+          } else {
+            copy = { ...item, id: crypto.randomUUID(), workspaceId: target.workspaceId };
+            this.state.items.push(copy);
+            pipeline.pairs.push({ sourceItemId: item.id, targetItemId: copy.id });
+          }
+          pipeline.deployTimes[item.id] = now;
+          pipeline.deployTimes[copy.id] = now;
+        }
+      }
+      return this.startOperation(res, null);
+    }
+    return send(res, 404, errorBody(404));
+  }
+
+  // --- Power BI API ----------------------------------------------------------
+
+  powerbi(res, method, url, rawBody) {
+    const query = url.pathname.match(/^\/v1\.0\/myorg\/groups\/([^/]+)\/datasets\/([^/]+)\/executeQueries$/);
+    if (query && method === "POST") return this.executeQueries(res, query[1], query[2], parseJson(rawBody));
+
+    const dataset = url.pathname.match(/^\/v1\.0\/myorg\/groups\/([^/]+)\/datasets\/([^/]+)\/(refreshes|refreshSchedule)$/);
+    if (dataset) return this.datasetRefresh(res, method, url, dataset[1], dataset[2], dataset[3], parseJson(rawBody));
+
+    const exportMatch = url.pathname.match(/^\/v1\.0\/myorg\/groups\/([^/]+)\/reports\/([^/]+)\/(ExportTo|exports\/([^/]+)(\/file)?)$/);
+    if (exportMatch) {
+      return this.reportExport(res, method, exportMatch[1], exportMatch[2], exportMatch[4], Boolean(exportMatch[5]), parseJson(rawBody));
+    }
+
+    const match = url.pathname.match(/^\/v1\.0\/myorg\/groups\/([^/]+)\/reports\/([^/]+)\/pages$/);
+    if (!match || method !== "GET") {
+      return send(res, 404, { error: { code: "PowerBIEntityNotFound", message: "Not found" } });
+    }
+    const report = this.state.items.find((i) => i.id === match[2] && i.workspaceId === match[1] && i.type === "Report");
+    if (!report) return send(res, 404, { error: { code: "PowerBIEntityNotFound", message: "Report not found" } });
+
+    const decoded = (report.definition || []).map((p) => ({ path: p.path, text: Buffer.from(p.payload, "base64").toString() }));
+    const order = JSON.parse(decoded.find((p) => p.path === "definition/pages/pages.json")?.text || "{}").pageOrder || [];
+    const pages = decoded
+      .filter((p) => /^definition\/pages\/[^/]+\/page\.json$/.test(p.path))
+      .map((p) => JSON.parse(p.text))
+      .map((page) => ({ name: page.name, displayName: page.displayName, order: Math.max(order.indexOf(page.name), 0) }))
+      .sort((a, b) => a.order - b.order);
+    return send(res, 200, { value: pages });
+  }
+
+  /**
+   * ExportTo jobs: "Running" for operationPolls status reads, then a small
+   * fake file whose content echoes the request
+   */
+  reportExport(res, method, workspaceId, reportId, exportId, wantFile, body) {
+    const report = this.state.items.find((i) => i.id === reportId && i.workspaceId === workspaceId && i.type === "Report");
+    if (!report) return send(res, 404, { error: { code: "PowerBIEntityNotFound", message: "Report not found" } });
+
+    if (!exportId) {
+      if (method !== "POST") return send(res, 404, errorBody(404));
+      if (!["PDF", "PNG", "PPTX"].includes(body?.format)) {
+        return send(res, 400, { error: { code: "InvalidRequest", message: `Unsupported export format '${body?.format}'` } });
+      }
+      const pageNames = (report.definition || [])
+        .map((p) => p.path.match(/^definition\/pages\/([^/]+)\/page\.json$/))
+        .filter(Boolean)
+        .map((m) => m[1]);
+      const requested = (body.powerBIReportConfiguration?.pages || []).map((p) => p.pageName);
+      const unknown = requested.find((name) => !pageNames.includes(name));
+      if (unknown) return send(res, 400, { error: { code: "InvalidRequest", message: `Page '${unknown}' not found` } });
+
+      const pageCount = requested.length || pageNames.length;
+      const job = {
+        id: requestId(),
+        reportId,
+        reportName: report.displayName,
+        createdDateTime: new Date().toISOString(),
+        status: "NotStarted",
+        percentComplete: 0,
+        resourceFileExtension: body.format === "PNG" && pageCount > 1 ? ".zip" : `.${body.format.toLowerCase()}`,
+        polls: 0,
+        failure: this.nextExportError,
+        body,
+      };
+      this.nextExportError = null;
+      this.exports.set(job.id, job);
+      return send(res, 202, publicExport(job), { "Retry-After": String(this.retryAfter) });
+    }
+
+    const job = this.exports.get(exportId);
+    if (!job || method !== "GET") return send(res, 404, { error: { code: "PowerBIEntityNotFound", message: "Export not found" } });
+    if (wantFile) {
+      if (job.status !== "Succeeded") return send(res, 400, { error: { code: "ExportNotReady", message: "The export has not finished" } });
+      return send(res, 200, `MOCK ${job.body.format}\n${JSON.stringify(job.body.powerBIReportConfiguration)}`, {
+        "Content-Type": "application/octet-stream",
+      });
+    }
+
+    job.polls++;
+    if (job.polls <= this.operationPolls) {
+      Object.assign(job, { status: "Running", percentComplete: 50 });
+    } else if (job.failure) {
+      Object.assign(job, { status: "Failed", percentComplete: 100, error: { code: "ExportFailed", message: job.failure } });
+    } else {
+      Object.assign(job, { status: "Succeeded", percentComplete: 100, resourceLocation: `${this.url}/v1.0/myorg/groups/${workspaceId}/reports/${reportId}/exports/${job.id}/file` });
+    }
+    return send(res, 200, publicExport(job), { "Retry-After": String(this.retryAfter) });
+  }
+
+  /**
+   * Refresh history, trigger and schedule of a dataset. A triggered refresh
+   * reports "Unknown" (running) for operationPolls history reads.
+   */
+  datasetRefresh(res, method, url, workspaceId, datasetId, resource, body) {
+    const model = this.state.items.find((i) => i.id === datasetId && i.workspaceId === workspaceId && i.type === "SemanticModel");
+    if (!model) return send(res, 404, { error: { code: "ItemNotFound", message: "Dataset not found" } });
+
+    if (resource === "refreshSchedule") {
+      const schedule = this.state.refreshSchedules[datasetId] ||
+        (this.state.refreshSchedules[datasetId] = { days: [], times: [], enabled: false, localTimeZoneId: "UTC", notifyOption: "MailOnFailure" });
+      if (method === "GET") return send(res, 200, schedule);
+      if (method === "PATCH") {
+        if (!body?.value) return send(res, 400, { error: { code: "InvalidRequest", message: "value is required" } });
+        Object.assign(schedule, body.value);
+        return send(res, 200, null);
+      }
+      return send(res, 404, errorBody(404));
+    }
+
+    const history = this.state.refreshes[datasetId] || (this.state.refreshes[datasetId] = []);
+    if (method === "POST") {
+      const entry = {
+        requestId: requestId(),
+        id: history.length + 1,
+        refreshType: body?.type ? "ViaEnhancedApi" : "ViaApi",
+        startTime: new Date(Date.now() + (this.nextRefreshClockOffset || 0)).toISOString(),
+        status: "Unknown",
+        objects: body?.objects,
+        polls: 0,
+        error: this.nextRefreshError,
+      };
+      this.nextRefreshError = null;
+      this.nextRefreshClockOffset = 0;
+      history.unshift(entry);
+      if (this.nextRefreshHiddenReads != null) {
+        entry.hiddenReads = this.nextRefreshHiddenReads;
+        this.nextRefreshHiddenReads = null;
+        return send(res, 202, null, { requestid: null });
+      }
+      const location = `${this.url}/v1.0/myorg/groups/${workspaceId}/datasets/${datasetId}/refreshes/${entry.requestId}`;
+      return send(res, 202, null, { Location: location, "x-ms-request-id": entry.requestId });
+    }
+    if (method !== "GET") return send(res, 404, errorBody(404));
+
+    for (const entry of history.filter((e) => e.status === "Unknown")) {
+      if (++entry.polls <= this.operationPolls) continue;
+      entry.endTime = new Date().toISOString();
+      entry.status = entry.error ? "Failed" : "Completed";
+      if (entry.error) entry.serviceExceptionJson = JSON.stringify({ errorCode: "ModelRefreshFailed", errorDescription: entry.error });
+    }
+    const top = Number(url.searchParams.get("$top")) || history.length;
+    const listed = history.filter((e) => !(e.hiddenReads > 0 && e.hiddenReads--));
+    return send(res, 200, { value: listed.slice(0, top).map(({ polls, error, hiddenReads, ...entry }) => entry) });
+  }
+
+  /**
+   * Minimal DAX engine: `EVALUATE <table>` returns state.queryTables[table];
+   * anything else fails with the service's DAX error shape
+   */
+  executeQueries(res, workspaceId, datasetId, body) {
+    const model = this.state.items.find((i) => i.id === datasetId && i.workspaceId === workspaceId && i.type === "SemanticModel");
+    if (!model) return send(res, 404, { error: { code: "PowerBIEntityNotFound", message: "Dataset not found" } });
+
+    const query = body?.queries?.[0]?.query || "";
+    const lines = query.split(/\r?\n/);
+    const line = lines.findIndex((l) => /\bEVALUATE\b/i.test(l));
+    const match = line === -1 ? null : lines[line].match(/\bEVALUATE\s+'?([^'\s(]+)'?\s*$/i);
+    if (!match) {
+      const column = line === -1 ? 1 : lines[line].search(/\bEVALUATE\b/i) + 10;
+      return send(res, 400, daxError(line === -1 ? 1 : line + 1, column, "The syntax for the query is incorrect."));
+    }
+    const rows = this.state.queryTables[match[1]];
+    if (!rows) {
+      const column = lines[line].indexOf(match[1]) + 1;
+      return send(res, 400, daxError(line + 1, column, `Failed to resolve name '${match[1]}'. It is not a valid table, variable, or function name.`));
+    }
+    return send(res, 200, { results: [{ tables: [{ rows }] }] });
+  }
+
+  // --- Public web content for the news tracker -------------------------------
+
+  external(res, url) {
+    const [, , host, ...rest] = url.pathname.split("/");
+    const target = `/${rest.join("/")}`;
+    if (/blog/.test(host) || /feed/.test(target)) {
+      return send(res, 200, rssFeed(host), { "Content-Type": "application/rss+xml" });
+    }
+    if (target.startsWith("/api/search")) {
+      const query = url.searchParams.get("search") || "";
+      return send(res, 200, {
+        results: [
+          { title: `${query} - overview`, url: "https://learn.microsoft.com/en-us/power-bi/overview", description: `Docs for ${query}`, lastUpdatedDate: "2025-01-15" },
+          { title: "Fabric REST API", url: "https://learn.microsoft.com/en-us/rest/api/fabric/", description: "REST reference", lastUpdatedDate: "2025-01-10" },
+        ],
+      });
+    }
+    return send(res, 200, `<html><body><nav>menu</nav><main><h1>${host}${target}</h1><p>Documentation content for ${target}.</p></main></body></html>`, {
+      "Content-Type": "text/html",
+    });
+  }
+}
+
+function rssFeed(host) {
+  const now = Date.now();
+  const item = (title, daysAgo, description) => `
+    <item>
+      <title>${title}</title>
+      <link>https://${host}/post/${encodeURIComponent(title)}</link>
+      <pubDate>${new Date(now - daysAgo * 86400000).toUTCString()}</pubDate>
+      <description><![CDATA[<p>${description}</p>]]></description>
+    </item>`;
+  return `<?xml version="1.0"?><rss><channel><title>${host} feed</title><link>https://${host}</link><description>Feed</description>
+    ${item("New REST API endpoints for semantic models", 2, "The developer API adds new endpoints.")}
+    ${item("Visual calculations now generally available", 5, "Visual calculations are GA.")}
+    ${item("Old announcement", 200, "Ancient news about the api.")}
+  </channel></rss>`;
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString()));
+  });
+}
+
+function parseJson(text) {
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return null;
+  }
+}
+
+function send(res, status, body, headers = {}) {
+  const isText = typeof body === "string";
+  const all = { "Content-Type": isText ? "text/plain" : "application/json", requestid: requestId(), ...headers };
+  // null drops a default header
+  res.writeHead(status, Object.fromEntries(Object.entries(all).filter(([, value]) => value != null)));
+  res.end(body == null ? undefined : isText ? body : JSON.stringify(body));
+}
+
+function daxError(line, column, message) {
+  return {
+    error: {
+      code: "DatasetExecuteQueriesError",
+      "pbi.error": {
+        code: "DatasetExecuteQueriesError",
+        parameters: {},
+        details: [
+          { code: "DetailsMessage", detail: { type: 1, value: `Query (${line}, ${column}) ${message}` } },
+          { code: "AnalysisServicesErrorCode", detail: { type: 1, value: "3238002562" } },
+        ],
+      },
+    },
+  };
+}
+
+function errorBody(status) {
+  const codes = { 400: "BadRequest", 401: "Unauthorized", 403: "InsufficientPrivileges", 404: "EntityNotFound", 409: "Conflict", 429: "RequestBlocked" };
+  const messages = {
+    401: "The caller is not authenticated",
+    403: "The caller does not have sufficient permissions",
+    404: "The requested resource was not found",
+    429: "Too many requests",
+  };
+  return {
+    errorCode: codes[status] || "InternalServerError",
+    message: messages[status] || `Mock failure (${status})`,
+    requestId: requestId(),
+  };
+}
+
+function publicExport(job) {
+  const { polls, failure, body, ...rest } = job;
+  return rest;
+}
+
+function publicItem(item) {
+  const { definition, ...rest } = item;
+  return rest;
+}
+
+function pick(source, keys) {
+  return Object.fromEntries(keys.filter((k) => source && source[k] !== undefined).map((k) => [k, source[k]]));
+}
+
+function requestId() {
+  return crypto.randomUUID();
+}
+
+module.exports = { MockFabricServer };
+
+if (require.main === module) {
+  const server = new MockFabricServer({ retryAfter: 1 });
+  server.start(Number(process.argv[2]) || 0).then(() => {
+    console.log(`Mock Fabric server listening on ${server.url}\n`);
+    for (const [key, value] of Object.entries(server.env)) console.log(`${key}=${value}`);
+    console.log(`POWERBI_WORKSPACE_ID=${server.state.workspaces[0].id}`);
+  });
+}
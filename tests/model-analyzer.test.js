@@ -0,0 +1,143 @@
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { startMockFabric, chatContext } = require("./helpers");
+const { WORKSPACE_ID, SEMANTIC_MODEL_ID } = require("./fixtures");
+const skill = require("../skills/powerbi-report-builder");
+
+const parse = (text) => JSON.parse(text);
+const LEGACY_MODEL_ID = "77777777-7777-4777-8777-777777777777";
+
+// A model.bim with one of everything the default rules look for
+const LEGACY_BIM = {
+  name: "Legacy",
+  compatibilityLevel: 1550,
+  model: {
+    annotations: [{ name: "__PBI_TimeIntelligenceEnabled", value: "1" }],
+    tables: [
+      {
+        name: "FactSales",
+        columns: [
+          { name: "CustomerKey", dataType: "int64" },
+          { name: "Net Amount", dataType: "double" },
+          { name: "Quantity", dataType: "int64" },
+          { name: "LoadBatch", dataType: "int64", isHidden: true },
+        ],
+        measures: [
+          { name: "Revenue", expression: "SUM(FactSales[Net Amount])", formatString: "#,0" },
+          { name: "Units", expression: "SUM(FactSales[Quantity]", description: "Units sold" },
+        ],
+      },
+      {
+        name: "Customer",
+        columns: [{ name: "CustomerKey", dataType: "int64", isHidden: true }, { name: "Name", dataType: "string" }],
+      },
+      {
+        name: "LocalDateTable_1234",
+        isHidden: true,
+        showAsVariationsOnly: true,
+        columns: [{ name: "Date", dataType: "dateTime", isHidden: true }],
+      },
+    ],
+    relationships: [
+      {
+        name: "r1",
+        fromTable: "FactSales",
+        fromColumn: "CustomerKey",
+        toTable: "Customer",
+        toColumn: "CustomerKey",
+        crossFilteringBehavior: "bothDirections",
+      },
+    ],
+  },
+};
+
+describe("analyze_model_best_practices", () => {
+  let mock;
+  let rulesFile;
+  before(async () => {
+    mock = await startMockFabric();
+    rulesFile = path.join(mock.dir, "model-rules.json");
+    process.env.FABIOBOT_MODEL_RULES_FILE = rulesFile;
+    mock.server.state.items.push({
+      id: LEGACY_MODEL_ID,
+      workspaceId: WORKSPACE_ID,
+      type: "SemanticModel",
+      displayName: "Legacy Model",
+      description: "",
+      definition: [{ path: "model.bim", payload: Buffer.from(JSON.stringify(LEGACY_BIM)).toString("base64"), payloadType: "InlineBase64" }],
+    });
+  });
+  after(async () => {
+    delete process.env.FABIOBOT_MODEL_RULES_FILE;
+    await mock.stop();
+  });
+  afterEach(() => fs.rmSync(rulesFile, { force: true }));
+
+  const analyze = async (params = {}) =>
+    parse(await skill.analyze_model_best_practices({ semantic_model_id: LEGACY_MODEL_ID, ...params }, chatContext()));
+  const byRule = (result) =>
+    Object.fromEntries(Object.values(result.findings).flat().map((f) => [f.rule, f]));
+
+  it("groups findings by severity", async () => {
+    const result = await analyze();
+    const rules = byRule(result);
+
+    assert.deepEqual(result.findings.error.map((f) => f.rule), ["INVALID_DAX"]);
+    assert.deepEqual(rules.INVALID_DAX.objects, ["FactSales[Units]"]);
+    assert.deepEqual(rules.BIDIRECTIONAL_RELATIONSHIP.objects, ["FactSales[CustomerKey] → Customer[CustomerKey]"]);
+    assert.deepEqual(rules.VISIBLE_FOREIGN_KEY.objects, ["FactSales[CustomerKey]"]);
+    assert.deepEqual(rules.MEASURE_WITHOUT_FORMAT_STRING.objects, ["FactSales[Units]"]);
+    assert.deepEqual(rules.MEASURE_WITHOUT_DESCRIPTION.objects, ["FactSales[Revenue]"]);
+    assert.deepEqual(rules.FLOATING_POINT_CURRENCY.objects, ["FactSales[Net Amount]"]);
+    assert.deepEqual(rules.UNUSED_HIDDEN_COLUMN.objects, ["FactSales[LoadBatch]"]);
+    assert.ok(rules.NO_DATE_TABLE);
+    assert.ok(rules.AUTO_DATE_TIME);
+    assert.equal(rules.MANY_TO_MANY_RELATIONSHIP, undefined);
+    assert.equal(result.findings.warning.find((f) => f.rule === "AUTO_DATE_TIME").fix.includes("Auto date/time"), true);
+    assert.deepEqual(result.summary, { errors: 1, warnings: 6, info: 2 });
+  });
+
+  it("filters by minimum severity", async () => {
+    const result = await analyze({ min_severity: "warning" });
+    assert.equal(result.findings.info.length, 0);
+    assert.ok(result.findings.warning.length > 0);
+    await assert.rejects(analyze({ min_severity: "critical" }), /min_severity must be one of error, warning, info/);
+  });
+
+  it("reports few findings for the well-built fixture model", async () => {
+    const result = parse(await skill.analyze_model_best_practices({ semantic_model_id: SEMANTIC_MODEL_ID }, chatContext()));
+    assert.deepEqual(result.findings.error, []);
+    assert.deepEqual(result.findings.warning, []);
+    assert.deepEqual(byRule(result).MEASURE_WITHOUT_DESCRIPTION.objects, ["Sales[Order Count]"]);
+  });
+
+  it("applies team rules, severity overrides and disabled rules", async () => {
+    fs.writeFileSync(rulesFile, JSON.stringify({
+      disable: ["MEASURE_WITHOUT_DESCRIPTION"],
+      severity: { UNUSED_HIDDEN_COLUMN: "error" },
+      rules: [{
+        id: "TABLE_PREFIX",
+        name: "Table name has a Dim / Fact prefix",
+        severity: "warning",
+        scope: "table",
+        match: { property: "name", matches: "^(dim|fact)" },
+      }],
+    }));
+    const result = await analyze();
+    const rules = byRule(result);
+    assert.equal(rules.MEASURE_WITHOUT_DESCRIPTION, undefined);
+    assert.ok(result.findings.error.some((f) => f.rule === "UNUSED_HIDDEN_COLUMN"));
+    assert.deepEqual(rules.TABLE_PREFIX.objects, ["FactSales"]);
+    assert.equal(rules.TABLE_PREFIX.source, "team");
+  });
+
+  it("rejects malformed team rules", async () => {
+    fs.writeFileSync(rulesFile, JSON.stringify({
+      rules: [{ id: "BAD", name: "Bad", severity: "warning", scope: "column", match: { property: "name", startsWith: "x" } }],
+    }));
+    await assert.rejects(analyze(), /Rule BAD in .*model-rules\.json match: use exactly one of equals/);
+  });
+});
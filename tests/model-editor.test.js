@@ -0,0 +1,143 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startMockFabric, chatContext, readAuditLog } = require("./helpers");
+const { SEMANTIC_MODEL_ID } = require("./fixtures");
+const skill = require("../skills/powerbi-report-builder");
+const { decodePart } = require("../skills/powerbi-report-builder/semantic-model-parser");
+const { daxReferences } = require("../skills/powerbi-report-builder/model-editor");
+
+const parse = (text) => JSON.parse(text);
+
+describe("measure editing", () => {
+  let mock;
+  before(async () => {
+    mock = await startMockFabric();
+  });
+  after(() => mock.stop());
+  beforeEach(() => mock.server.clearFaults());
+
+  const tableFile = (name) =>
+    decodePart(mock.server.item(SEMANTIC_MODEL_ID).definition.find((p) => p.path === `definition/tables/${name}.tmdl`));
+  const measures = async (table) => {
+    const schema = parse(await skill.get_semantic_model_schema({ semantic_model_id: SEMANTIC_MODEL_ID }, chatContext()));
+    return schema.tables.find((t) => t.name === table).measures;
+  };
+
+  it("finds qualified and unqualified references outside strings and comments", () => {
+    const refs = daxReferences("SUMX('Sales Line', Sales[Amount]) + [Total Sales] // [Ignored]\n& \"[text]\" /* Date[X] */");
+    assert.deepEqual(refs, [
+      { table: "Sales Line", name: null },
+      { table: "Sales", name: "Amount" },
+      { table: null, name: "Total Sales" },
+    ]);
+  });
+
+  it("add_measure writes the measure into the table file", async () => {
+    const context = chatContext();
+    const result = parse(await skill.add_measure({
+      semantic_model_id: SEMANTIC_MODEL_ID,
+      table: "Sales",
+      name: "Average Price",
+      expression: "DIVIDE(\n    [Total Sales],\n    SUM(Sales[Quantity])\n)",
+      format_string: "#,0.00",
+      display_folder: "KPIs",
+      description: "Sales amount per unit",
+    }, context));
+    assert.equal(result.change, "Added measure Sales[Average Price]");
+    assert.equal(result.warnings, undefined);
+
+    const added = (await measures("Sales")).find((m) => m.name === "Average Price");
+    assert.equal(added.expression, "DIVIDE(\n    [Total Sales],\n    SUM(Sales[Quantity])\n)");
+    assert.equal(added.formatString, "#,0.00");
+    assert.equal(added.displayFolder, "KPIs");
+    assert.equal(added.description, "Sales amount per unit");
+    assert.match(tableFile("Sales"), /\t\/\/\/ Sales amount per unit\n\tmeasure 'Average Price' =\n\t\t\tDIVIDE\(/);
+    assert.ok(context.messages.some((m) => m.includes("Adding measure")));
+
+    const entry = readAuditLog(mock.auditFile).at(-1);
+    assert.equal(entry.tool, "add_measure");
+    assert.match(entry.request, /updateDefinition/);
+  });
+
+  it("add_measure rejects duplicate names and unknown columns", async () => {
+    const before = mock.server.requestsTo("POST", "updateDefinition").length;
+    await assert.rejects(
+      skill.add_measure({ semantic_model_id: SEMANTIC_MODEL_ID, table: "Product", name: "total sales", expression: "1" }, chatContext()),
+      /A measure named 'Total Sales' already exists in table 'Sales'/
+    );
+    await assert.rejects(
+      skill.add_measure({ semantic_model_id: SEMANTIC_MODEL_ID, table: "Sales", name: "Margin", expression: "SUM(Sales[Amont]) - SUM(Costs[Value])" }, chatContext()),
+      (err) => {
+        assert.match(err.message, /was not added — 2 problem\(s\)/);
+        assert.match(err.message, /Column 'Sales\[Amont\]' not found\. Did you mean: Sales\[Amount\]\?/);
+        assert.match(err.message, /Table 'Costs' not found/);
+        return true;
+      }
+    );
+    await assert.rejects(
+      skill.add_measure({ semantic_model_id: SEMANTIC_MODEL_ID, table: "Sale", name: "Margin", expression: "1" }, chatContext()),
+      /Table 'Sale' not found in the semantic model\. Did you mean: Sales/
+    );
+    assert.equal(mock.server.requestsTo("POST", "updateDefinition").length, before);
+  });
+
+  it("add_measure warns about unknown unqualified references", async () => {
+    const result = parse(await skill.add_measure({
+      semantic_model_id: SEMANTIC_MODEL_ID,
+      table: "Product",
+      name: "Products With Sales",
+      expression: "COUNTROWS(FILTER(ADDCOLUMNS(Product, \"Sold\", [Order Count]), [Sold] > 0))",
+    }, chatContext()));
+    assert.equal(result.warnings.length, 1);
+    assert.match(result.warnings[0], /\[Sold\] is not a measure or column/);
+    // Product had no measures yet: the new one goes before the first column
+    assert.match(tableFile("Product"), /^table Product\n\n\tmeasure 'Products With Sales' = COUNTROWS/);
+  });
+
+  it("update_measure changes only the given properties", async () => {
+    const result = parse(await skill.update_measure({
+      semantic_model_id: SEMANTIC_MODEL_ID,
+      name: "Total Sales",
+      expression: "SUMX(Sales, Sales[Amount])",
+      display_folder: "KPIs",
+    }, chatContext()));
+    assert.equal(result.change, "Updated expression, display folder of measure Sales[Total Sales]");
+
+    const updated = (await measures("Sales")).find((m) => m.name === "Total Sales");
+    assert.equal(updated.expression, "SUMX(Sales, Sales[Amount])");
+    assert.equal(updated.formatString, "#,0.00");
+    assert.equal(updated.displayFolder, "KPIs");
+    assert.equal(updated.description, "Net sales amount");
+
+    await skill.update_measure({ semantic_model_id: SEMANTIC_MODEL_ID, table: "Sales", name: "Total Sales", format_string: "", description: "" }, chatContext());
+    const cleared = (await measures("Sales")).find((m) => m.name === "Total Sales");
+    assert.equal(cleared.formatString, undefined);
+    assert.equal(cleared.description, undefined);
+  });
+
+  it("update_measure rejects self references and unknown measures", async () => {
+    await assert.rejects(
+      skill.update_measure({ semantic_model_id: SEMANTIC_MODEL_ID, name: "Order Count", expression: "[Order Count] * 2" }, chatContext()),
+      /refers to itself/
+    );
+    await assert.rejects(
+      skill.update_measure({ semantic_model_id: SEMANTIC_MODEL_ID, name: "Order Cnt", expression: "1" }, chatContext()),
+      /Measure 'Order Cnt' not found in the semantic model\. Did you mean: Order Count\?/
+    );
+    await assert.rejects(
+      skill.update_measure({ semantic_model_id: SEMANTIC_MODEL_ID, name: "Order Count" }, chatContext()),
+      /Nothing to update/
+    );
+  });
+
+  it("delete_measure removes the measure and warns about dependents", async () => {
+    const result = parse(await skill.delete_measure({ semantic_model_id: SEMANTIC_MODEL_ID, name: "Total Sales" }, chatContext()));
+    assert.equal(result.change, "Deleted measure Sales[Total Sales]");
+    assert.match(result.warnings[0], /Sales\[Average Price\]/);
+
+    const names = (await measures("Sales")).map((m) => m.name);
+    assert.deepEqual(names, ["Order Count", "Average Price"]);
+    assert.ok(!tableFile("Sales").includes("\n\n\n"));
+  });
+});
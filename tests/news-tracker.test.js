@@ -0,0 +1,68 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startMockFabric } = require("./helpers");
+const skill = require("../skills/powerbi-news-tracker");
+
+const parse = (text) => JSON.parse(text);
+const EXTERNAL_HOSTS = /^https:\/\/(powerbi\.microsoft\.com|blog\.fabric\.microsoft\.com|learn\.microsoft\.com)\//;
+
+describe("powerbi-news-tracker", () => {
+  let mock;
+  let realFetch;
+  before(async () => {
+    mock = await startMockFabric();
+    // The tracker calls public Microsoft sites; send them to the mock instead
+    realFetch = global.fetch;
+    global.fetch = (url, options) =>
+      realFetch(String(url).replace(EXTERNAL_HOSTS, (_, host) => `${mock.server.url}/external/${host}/`), options);
+  });
+  after(async () => {
+    global.fetch = realFetch;
+    await mock.stop();
+  });
+  beforeEach(() => mock.server.clearFaults());
+
+  it("get_powerbi_updates merges both blogs newest first", async () => {
+    const result = parse(await skill.get_powerbi_updates({ max_items: 4 }));
+    assert.equal(result.total, 4);
+    assert.equal(result.items[0].title, "New REST API endpoints for semantic models");
+    assert.deepEqual(new Set(result.items.map((i) => i.source)), new Set(["Power BI Blog", "Fabric Blog"]));
+    assert.equal(result.items[0].summary, "The developer API adds new endpoints.");
+  });
+
+  it("get_powerbi_updates reads Learn pages for api-changes", async () => {
+    const result = parse(await skill.get_powerbi_updates({ topic: "api-changes" }));
+    assert.equal(result.items[0].title, "Fabric REST API Documentation");
+    assert.match(result.items[0].summary, /Documentation content for \/en-us\/rest\/api\/fabric/);
+    assert.ok(!result.items[0].summary.includes("menu"));
+  });
+
+  it("get_powerbi_updates reports feed failures", async () => {
+    mock.server.fail({ path: "/external/powerbi.microsoft.com", status: 503 });
+    const result = parse(await skill.get_powerbi_updates({ topic: "powerbi" }));
+    assert.match(result.error, /Failed to fetch RSS feed: 503/);
+  });
+
+  it("get_powerbi_feature_details searches Learn and reads the top result", async () => {
+    const result = parse(await skill.get_powerbi_feature_details({ feature_name: "visual calculations" }));
+    assert.equal(result.documentation.length, 2);
+    assert.equal(result.primaryUrl, "https://learn.microsoft.com/en-us/power-bi/overview");
+    assert.match(result.details, /Documentation content/);
+  });
+
+  it("get_fabric_api_changelog keeps recent API posts only", async () => {
+    const result = parse(await skill.get_fabric_api_changelog({ since_days: 30 }));
+    assert.equal(result.period, "Last 30 days");
+    assert.deepEqual(result.recentApiPosts.map((p) => p.title), ["New REST API endpoints for semantic models"]);
+    assert.equal(result.fabricApiDocs.length, 2);
+  });
+
+  it("get_dax_reference falls back to a search link", async () => {
+    mock.server.fail({ path: "/external/learn.microsoft.com/api/search", status: 500 });
+    const result = parse(await skill.get_dax_reference({ query: "CALCULATE" }));
+    assert.deepEqual(result.results, []);
+    assert.match(result.searchUrl, /terms=DAX%20CALCULATE/);
+    assert.equal(result.daxGuide, "https://dax.guide/");
+  });
+});
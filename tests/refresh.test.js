@@ -0,0 +1,139 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startMockFabric, chatContext } = require("./helpers");
+const { WORKSPACE_ID, SEMANTIC_MODEL_ID } = require("./fixtures");
+const skill = require("../skills/powerbi-report-builder");
+const { buildScheduleUpdate, formatDuration } = require("../skills/powerbi-report-builder/refresh");
+
+const parse = (text) => JSON.parse(text);
+const REFRESHES = `/v1.0/myorg/groups/${WORKSPACE_ID}/datasets/${SEMANTIC_MODEL_ID}/refreshes`;
+
+describe("semantic model refresh", () => {
+  let mock;
+  before(async () => {
+    mock = await startMockFabric();
+  });
+  after(() => mock.stop());
+  beforeEach(() => mock.server.clearFaults());
+
+  it("refreshes the whole model and waits for the result", async () => {
+    const context = chatContext();
+    const result = parse(await skill.refresh_semantic_model({ semantic_model_id: SEMANTIC_MODEL_ID }, context));
+
+    assert.equal(result.status, "Completed");
+    assert.equal(result.semantic_model, "Sales Model");
+    assert.equal(result.refreshed, "whole model");
+    assert.match(result.duration, /^\d+s$/);
+    assert.ok(result.request_id);
+    assert.deepEqual(JSON.parse(mock.server.requestsTo("POST", REFRESHES).at(-1).body), { notifyOption: "NoNotification" });
+    assert.ok(context.messages.some((m) => /Refreshing semantic model: InProgress/.test(m)));
+  });
+
+  it("refreshes specific tables and partitions with the enhanced API", async () => {
+    mock.server.failNextRefresh("The credentials provided for the SQL source are invalid.");
+    const result = parse(await skill.refresh_semantic_model({
+      semantic_model_id: SEMANTIC_MODEL_ID,
+      tables: "product",
+      partitions: ["Sales/Sales"],
+      type: "dataonly",
+    }, chatContext()));
+
+    assert.deepEqual(JSON.parse(mock.server.requestsTo("POST", REFRESHES).at(-1).body), {
+      type: "DataOnly",
+      commitMode: "transactional",
+      retryCount: 0,
+      objects: [{ table: "Product" }, { table: "Sales", partition: "Sales" }],
+    });
+    assert.equal(result.status, "Failed");
+    assert.deepEqual(result.refreshed, ["Product", "Sales/Sales"]);
+    assert.equal(result.error.message, "The credentials provided for the SQL source are invalid.");
+
+    await assert.rejects(
+      skill.refresh_semantic_model({ semantic_model_id: SEMANTIC_MODEL_ID, tables: "Prodcut" }, chatContext()),
+      /Table 'Prodcut' not found in the semantic model — did you mean Product\?/
+    );
+    await assert.rejects(
+      skill.refresh_semantic_model({ semantic_model_id: SEMANTIC_MODEL_ID, partitions: "Sales/2024" }, chatContext()),
+      /Partition '2024' not found in table 'Sales' \(partitions: Sales\)/
+    );
+    await assert.rejects(
+      skill.refresh_semantic_model({ semantic_model_id: SEMANTIC_MODEL_ID, type: "Incremental" }, chatContext()),
+      /Refresh type must be one of Full, ClearValues/
+    );
+  });
+
+  it("posts the result to the chat when the refresh outlasts the wait", async () => {
+    const context = chatContext();
+    const result = parse(await skill.refresh_semantic_model({ semantic_model_id: SEMANTIC_MODEL_ID, wait: "false" }, context));
+    assert.equal(result.status, "InProgress");
+    assert.match(result.note, /posted to this chat/);
+
+    for (let i = 0; i < 100 && !context.messages.some((m) => m.startsWith("✅")); i++) {
+      await new Promise((r) => setTimeout(r, 20));
+    }
+    assert.match(context.messages.at(-1), /^✅ Refresh of 'Sales Model' completed in \d+s$/);
+  });
+
+  it("does not mistake an earlier refresh for one without a request id", async () => {
+    assert.ok(mock.server.state.refreshes[SEMANTIC_MODEL_ID].some((r) => r.status === "Completed"));
+    mock.server.anonymizeNextRefresh(1);
+    mock.server.failNextRefresh("Gateway offline");
+    const context = chatContext();
+    const result = parse(await skill.refresh_semantic_model({ semantic_model_id: SEMANTIC_MODEL_ID }, context));
+
+    assert.equal(result.request_id, mock.server.state.refreshes[SEMANTIC_MODEL_ID][0].requestId);
+    assert.equal(result.status, "Failed");
+    assert.equal(result.error.message, "Gateway offline");
+    assert.ok(context.messages.some((m) => /Refreshing semantic model: NotStarted/.test(m)));
+  });
+
+  it("finds a refresh without a request id when the service clock is behind", async () => {
+    mock.server.anonymizeNextRefresh(1, { clockOffsetMs: -5 * 60000 });
+    const result = parse(await skill.refresh_semantic_model({ semantic_model_id: SEMANTIC_MODEL_ID }, chatContext()));
+
+    assert.equal(result.request_id, mock.server.state.refreshes[SEMANTIC_MODEL_ID][0].requestId);
+    assert.equal(result.status, "Completed");
+  });
+
+  it("summarizes the refresh history with durations and errors", async () => {
+    const result = parse(await skill.get_refresh_history({ semantic_model_id: SEMANTIC_MODEL_ID, top: 50 }, chatContext()));
+    const seeded = result.refreshes.filter((r) => r.refresh_type === "Scheduled");
+
+    assert.deepEqual(seeded.map((r) => [r.status, r.duration]), [["Completed", "3m 12s"], ["Failed", "45s"]]);
+    assert.deepEqual(seeded[1].error, {
+      code: "ModelRefreshFailed_CredentialsNotSpecified",
+      message: "The credentials provided for the SQL source are invalid.",
+    });
+    assert.ok(result.last_successful_refresh.age.endsWith(" ago"));
+    assert.ok(result.failures >= 1);
+    await assert.rejects(skill.get_refresh_history({ semantic_model_id: SEMANTIC_MODEL_ID, top: 0 }, chatContext()), /top must be/);
+  });
+
+  it("reads and changes the refresh schedule", async () => {
+    const before = parse(await skill.get_refresh_schedule({ semantic_model_id: SEMANTIC_MODEL_ID }, chatContext()));
+    assert.deepEqual(before.times, ["07:00"]);
+    assert.equal(before.enabled, true);
+
+    const result = parse(await skill.set_refresh_schedule({
+      semantic_model_id: SEMANTIC_MODEL_ID,
+      days: "daily",
+      times: "18:30, 6:00",
+      time_zone: "Central Europe Standard Time",
+    }, chatContext()));
+    assert.deepEqual(result.changed, ["days", "times", "localTimeZoneId"]);
+    assert.equal(result.days.length, 7);
+    assert.deepEqual(result.times, ["06:00", "18:30"]);
+    assert.equal(result.time_zone, "Central Europe Standard Time");
+    assert.equal(result.enabled, true);
+  });
+
+  it("validates schedule changes before calling the API", () => {
+    assert.deepEqual(buildScheduleUpdate({ days: ["fri", "Mon"], enabled: "false" }).value, { enabled: false, days: ["Monday", "Friday"] });
+    assert.throws(() => buildScheduleUpdate({ times: "07:15" }), /on the hour or half hour/);
+    assert.throws(() => buildScheduleUpdate({ days: "Funday" }), /Unknown day 'Funday'/);
+    assert.throws(() => buildScheduleUpdate({ enabled: true, times: [] }), /at least one time/);
+    assert.throws(() => buildScheduleUpdate({}), /Nothing to change/);
+    assert.deepEqual([formatDuration(8), formatDuration(192), formatDuration(3725)], ["8s", "3m 12s", "1h 2m"]);
+  });
+});
@@ -0,0 +1,139 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { startMockFabric, chatContext } = require("./helpers");
+const { SEMANTIC_MODEL_ID, REPORT_ID, reportParts } = require("./fixtures");
+const skill = require("../skills/powerbi-report-builder");
+const { decodeDefinitionParts, applyReportChanges } = require("../skills/powerbi-report-builder/report-definition");
+const { compileReportSpec } = require("../skills/powerbi-report-builder/report-spec-compiler");
+const { analyzeReportParts, GUIDELINES } = require("../skills/powerbi-report-builder/report-analyzer");
+
+const parse = (text) => JSON.parse(text);
+const checks = (result, severity) => result.findings[severity].map((f) => f.check);
+
+const literal = (value) => ({ expr: { Literal: { Value: value } } });
+const visualPart = (page, name, visualType, position, extra = {}) => ({
+  path: `definition/pages/${page}/visuals/${name}/visual.json`,
+  content: { name, position: { z: 0, ...position }, visual: { visualType, ...extra } },
+});
+const titled = (text, objects = {}) => ({
+  visualContainerObjects: { title: [{ properties: { show: literal("true"), text: literal(`'${text}'`) } }] },
+  objects,
+});
+
+describe("analyze_report", () => {
+  let mock;
+  before(async () => {
+    mock = await startMockFabric();
+  });
+  after(() => mock.stop());
+
+  it("checks an existing report", async () => {
+    const result = parse(await skill.analyze_report({ report_id: REPORT_ID }, chatContext()));
+    assert.equal(result.report_id, REPORT_ID);
+    assert.equal(result.semantic_model_id, SEMANTIC_MODEL_ID);
+    assert.deepEqual([result.pages, result.visuals], [1, 2]);
+    assert.deepEqual(checks(result, "error"), []);
+    assert.deepEqual(checks(result, "warning"), ["slicers"]);
+    assert.deepEqual(checks(result, "info"), ["mobile"]);
+    assert.equal(result.findings.info[0].guideline, "Ensure mobile-responsive layout where possible");
+    assert.equal(result.findings.info[0].location, "page 'Overview'");
+  });
+
+  it("checks layout, titles, fonts, colors and phone layout", () => {
+    const parts = decodeDefinitionParts(reportParts());
+    parts.push(
+      { path: "StaticResources/RegisteredResources/Brand.json", content: { name: "Brand", dataColors: ["#118DFF", "#12239E"] } },
+      visualPart("overview01", "table01", "tableEx", { x: 640, y: 500, width: 800, height: 200 }, titled("Orders", {
+        columnHeaders: [{ properties: { fontFamily: literal("'Arial'"), fontColor: { solid: { color: literal("'#FF0000'") } } } }],
+      })),
+      visualPart("overview01", "line01", "lineChart", { x: 700, y: 20, width: 500, height: 300 }, {
+        visualContainerObjects: { title: [{ properties: { show: literal("false") } }] },
+        objects: { legend: [{ properties: { fontFamily: literal("'Comic Sans MS', sans-serif") } }] },
+      }),
+      visualPart("overview01", "pie01", "pieChart", { x: 1000, y: 520, width: 200, height: 150 }, {
+        objects: { labels: [{ properties: { fontFamily: literal("'Georgia'"), color: { solid: { color: literal("'#118dff'") } } } }] },
+      }),
+      visualPart("overview01", "shape01", "shape", { x: 0, y: 0, width: 1280, height: 720 }),
+      { path: "definition/pages/overview01/visuals/line01/mobile.json", content: { position: { x: 0, y: 0, width: 400, height: 200 } } }
+    );
+    const result = analyzeReportParts(parts);
+    const all = Object.values(result.findings).flat();
+    const find = (check, location) => all.filter((f) => f.check === check && f.location.includes(location));
+
+    assert.match(find("layout", "'Orders'")[0].message, /outside the 1280×720 page/);
+    assert.equal(result.findings.error.length, 1);
+    assert.equal(find("layout", "'Orders'")[1].message, "Overlaps visual 'pie01'");
+    assert.equal(find("layout", "'shape01'").length, 0);
+    assert.equal(find("titles", "'line01'")[0].message, "The title is turned off");
+    assert.match(find("titles", "'pie01'")[0].message, /pieChart has no title/);
+    assert.match(find("fonts", "report")[0].message, /3 fonts are used: Arial \(1 visual\(s\)\), Comic Sans MS/);
+    assert.equal(find("colors", "report")[0].message, "1 hard-coded color(s) are not in the report theme: #FF0000");
+    assert.match(find("mobile", "'line01'")[0].message, /wider than the 320 px phone canvas/);
+    const missing = result.findings.warning.filter((f) => f.check === "mobile" && f.location.includes("'Orders'"));
+    assert.match(missing[0].message, /Missing from the phone layout/);
+    assert.equal(find("mobile", "'shape01'").length, 0);
+    assert.equal(find("slicers", "page 'Overview'")[0].guideline, "Slicers for interactive filtering");
+
+    const filtered = analyzeReportParts(parts, { minSeverity: "warning" });
+    assert.deepEqual(filtered.findings.info, []);
+    assert.throws(() => analyzeReportParts(parts, { minSeverity: "critical" }), /min_severity must be one of/);
+  });
+
+  it("checks a report spec before create_report", async () => {
+    const spec = {
+      pages: [
+        {
+          name: "Trends",
+          visuals: [
+            { type: "column", title: "Sales by Month", fields: { category: "Date[Month]", values: ["[Total Sales]"] } },
+            { type: "slicer", title: "Category", fields: { field: "Product[Category]" } },
+          ],
+        },
+        {
+          name: "Busy",
+          visuals: Array.from({ length: 9 }, (_, i) => ({ type: "card", title: `KPI ${i}`, fields: { values: "[Total Sales]" } })),
+        },
+      ],
+    };
+    const result = parse(await skill.analyze_report({
+      report_spec: JSON.stringify(spec),
+      semantic_model_id: SEMANTIC_MODEL_ID,
+    }, chatContext()));
+    const all = Object.values(result.findings).flat();
+
+    assert.equal(result.source, "report spec");
+    assert.deepEqual(all.find((f) => f.check === "kpis").location, "page 'Trends'");
+    assert.match(all.find((f) => f.check === "trends").message, /clusteredColumnChart over dates/);
+    assert.equal(all.find((f) => f.check === "focus").location, "page 'Busy'");
+    assert.ok(!all.some((f) => f.location === "report" && f.check === "slicers"));
+    assert.ok(!all.some((f) => f.check === "mobile"), "compiled reports come with a phone layout");
+
+    await assert.rejects(skill.analyze_report({}, chatContext()), /Provide exactly one of report_id or report_spec/);
+    await assert.rejects(skill.analyze_report({ report_spec: "{" }, chatContext()), /report_spec is not valid JSON/);
+  });
+
+  it("keeps the phone layout complete when visuals and pages are added", () => {
+    const spec = { pages: [{ name: "Summary", visuals: [{ type: "card", title: "Revenue", fields: { values: "Sales[Amount]" } }] }] };
+    const { parts, applied } = applyReportChanges(compileReportSpec(spec), [
+      { op: "add_visual", page: "Summary", visual: { type: "bar", title: "By Category", fields: { category: "Product[Category]", values: "Sales[Amount]" } } },
+      { op: "add_page", page: { name: "Detail", visuals: [{ type: "table", title: "Orders" }, { type: "card", title: "Count" }] } },
+    ]);
+    assert.equal(applied[1], "Added page 'Detail' with 2 visual(s)");
+    const phone = parts.filter((p) => p.path.endsWith("/mobile.json")).map((p) => p.content.position);
+    assert.equal(phone.length, 4);
+    assert.deepEqual([phone[1].y, phone[1].width], [phone[0].height + 10, 320]);
+    assert.deepEqual(Object.values(analyzeReportParts(parts).findings).flat().filter((f) => f.check === "mobile"), []);
+  });
+
+  it("maps every check to a line of the agent's visualization guidelines", () => {
+    const config = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "agent-config.json"), "utf8"));
+    const prompt = config.agents[0].system_prompt;
+    const section = prompt.slice(prompt.indexOf("## VISUALIZATION GUIDELINES"));
+    for (const guideline of Object.values(GUIDELINES)) {
+      assert.ok(section.includes(`- ${guideline}`), guideline);
+    }
+  });
+});
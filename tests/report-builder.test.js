@@ -0,0 +1,452 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startMockFabric, chatContext, readAuditLog } = require("./helpers");
+const { WORKSPACE_ID, OTHER_WORKSPACE_ID, SEMANTIC_MODEL_ID, REPORT_ID, semanticModelParts } = require("./fixtures");
+const skill = require("../skills/powerbi-report-builder");
+const { compileReportSpec, parseFieldRef, resolveVisualType } = require("../skills/powerbi-report-builder/report-spec-compiler");
+const { validateReportParts, formatValidationErrors } = require("../skills/powerbi-report-builder/report-validator");
+const { buildStarterReportSpec } = require("../skills/powerbi-report-builder/starter-report");
+const { applyReportChanges, listPages } = require("../skills/powerbi-report-builder/report-definition");
+const { diffReportParts } = require("../skills/powerbi-report-builder/report-diff");
+const { parseSemanticModelDefinition } = require("../skills/powerbi-report-builder/semantic-model-parser");
+
+const parse = (text) => JSON.parse(text);
+
+const SPEC = {
+  pages: [
+    {
+      name: "Summary",
+      visuals: [
+        { type: "card", title: "Revenue", fields: { values: "[Total Sales]" } },
+        { type: "bar", title: "Revenue by Category", fields: { category: "Product[Category]", values: ["[Total Sales]"] } },
+      ],
+    },
+  ],
+};
+
+describe("powerbi-report-builder", () => {
+  let mock;
+  before(async () => {
+    mock = await startMockFabric();
+  });
+  after(() => mock.stop());
+  beforeEach(() => mock.server.clearFaults());
+
+  it("list_semantic_models pages the models of the default workspace", async () => {
+    const result = parse(await skill.list_semantic_models({}, chatContext()));
+    assert.equal(result.total, 1);
+    assert.deepEqual(result.items[0], { id: SEMANTIC_MODEL_ID, name: "Sales Model", description: "" });
+  });
+
+  it("list_semantic_models resolves a workspace by display name", async () => {
+    const result = parse(await skill.list_semantic_models({ workspace: "Finance" }, chatContext()));
+    assert.equal(result.total, 0);
+    assert.ok(mock.server.requestsTo("GET", `/workspaces/${OTHER_WORKSPACE_ID}/semanticModels`).length > 0);
+  });
+
+  it("get_semantic_model_schema parses the TMDL definition", async () => {
+    const context = chatContext();
+    const schema = parse(await skill.get_semantic_model_schema({ semantic_model_id: SEMANTIC_MODEL_ID }, context));
+    assert.equal(schema.format, "TMDL");
+    assert.deepEqual(schema.tables.map((t) => t.name).sort(), ["Date", "Product", "Sales"]);
+    const sales = schema.tables.find((t) => t.name === "Sales");
+    assert.equal(sales.measures.find((m) => m.name === "Total Sales").expression, "SUM(Sales[Amount])");
+    assert.equal(schema.relationships.length, 2);
+    assert.ok(context.messages.some((m) => m.includes("Loading model definition")));
+  });
+
+  it("get_semantic_model_schema reports a missing model", async () => {
+    await assert.rejects(
+      skill.get_semantic_model_schema({ semantic_model_id: "00000000-0000-4000-8000-000000000000" }, chatContext()),
+      /Resource not found \(404\)/
+    );
+  });
+
+  it("validate_report_definition accepts a valid spec and flags typos", async () => {
+    const ok = parse(await skill.validate_report_definition({ semantic_model_id: SEMANTIC_MODEL_ID, report_spec: JSON.stringify(SPEC) }, chatContext()));
+    assert.equal(ok.valid, true);
+
+    const bad = {
+      pages: [{ name: "P", visuals: [{ type: "card", fields: { values: "Sales[Total Sale]" } }] }],
+    };
+    const result = parse(await skill.validate_report_definition({ semantic_model_id: SEMANTIC_MODEL_ID, report_spec: bad }, chatContext()));
+    assert.equal(result.valid, false);
+    assert.ok(result.errors[0].suggestions.includes("Sales[Total Sales]"));
+  });
+
+  it("create_report deploys a validated report and audits it", async () => {
+    const context = chatContext();
+    const result = parse(await skill.create_report({
+      semantic_model_id: SEMANTIC_MODEL_ID,
+      report_name: "Revenue Report",
+      report_spec: JSON.stringify(SPEC),
+    }, context));
+
+    assert.equal(result.name, "Revenue Report");
+    assert.equal(result.pages, 1);
+    assert.equal(result.visuals, 2);
+    const created = mock.server.item(result.id);
+    assert.equal(created.type, "Report");
+    assert.ok(created.definition.some((p) => p.path === "definition.pbir"));
+
+    const entry = readAuditLog(mock.auditFile).find((e) => e.target?.id === result.id);
+    assert.equal(entry.tool, "create_report");
+    assert.equal(entry.user.name, "Test User");
+    assert.equal(entry.summary, "create Report 'Revenue Report'");
+  });
+
+  it("create_report refuses to deploy an invalid spec", async () => {
+    const before = mock.server.requestsTo("POST", `/workspaces/${WORKSPACE_ID}/reports`).length;
+    const spec = { pages: [{ name: "P", visuals: [{ type: "card", fields: { values: "Sales[Nope]" } }] }] };
+    await assert.rejects(
+      skill.create_report({ semantic_model_id: SEMANTIC_MODEL_ID, report_name: "Broken", report_spec: spec }, chatContext()),
+      /was not deployed — 1 validation error/
+    );
+    assert.equal(mock.server.requestsTo("POST", `/workspaces/${WORKSPACE_ID}/reports`).length, before);
+  });
+
+  it("create_report surfaces a name conflict", async () => {
+    await assert.rejects(
+      skill.create_report({ semantic_model_id: SEMANTIC_MODEL_ID, report_name: "Sales Overview", report_spec: SPEC }, chatContext()),
+      /\(409\).*already in use/
+    );
+  });
+
+  it("compiles ISO dates as datetime literals only for dateTime columns", () => {
+    const schema = {
+      tables: [{
+        name: "Sales",
+        columns: [{ name: "OrderDate", dataType: "dateTime" }, { name: "Batch", dataType: "string" }],
+        measures: [],
+      }],
+    };
+    const parts = compileReportSpec({
+      pages: [{
+        name: "Dates",
+        filters: [{ field: "Sales[OrderDate]", operator: ">=", value: "2024-01-01" }, { field: "Sales[Batch]", values: ["2024-01-01"] }],
+        visuals: [{ type: "card", title: "2024-01-01", fields: { values: "Sum(Sales[OrderDate])" } }],
+      }],
+    }, { schema });
+    const page = parts.find((p) => p.path.endsWith("/page.json")).content;
+    const [dateFilter, textFilter] = page.filterConfig.filters;
+    assert.deepEqual(dateFilter.filter.Where[0].Condition.Comparison.Right, { Literal: { Value: "datetime'2024-01-01T00:00:00'" } });
+    assert.deepEqual(textFilter.filter.Where[0].Condition.In.Values, [[{ Literal: { Value: "'2024-01-01'" } }]]);
+    const visual = parts.find((p) => p.path.endsWith("/visual.json")).content;
+    assert.deepEqual(visual.visual.visualContainerObjects.title[0].properties.text.expr, { Literal: { Value: "'2024-01-01'" } });
+  });
+
+  it("compiles a phone layout that stacks visuals in reading order", () => {
+    const parts = compileReportSpec({
+      pages: [{
+        name: "Phone",
+        visuals: [
+          { type: "bar", title: "Chart", position: { x: 20, y: 200, width: 640, height: 320 } },
+          { type: "card", title: "Card", position: { x: 20, y: 20, width: 290, height: 140 } },
+        ],
+      }],
+    });
+    const mobile = parts.filter((p) => p.path.endsWith("/mobile.json")).map((p) => p.content.position);
+    assert.deepEqual(mobile.map((p) => [p.x, p.y, p.width, p.height]), [[0, 164, 320, 160], [0, 0, 320, 154]]);
+  });
+
+  it("generate_starter_report previews and deploys a starter report", async () => {
+    const preview = parse(await skill.generate_starter_report({ semantic_model_id: SEMANTIC_MODEL_ID, preview_only: true }, chatContext()));
+    assert.equal(preview.deployed, false);
+    assert.equal(preview.report_spec.pages[0].name, "Overview");
+
+    const deployed = parse(await skill.generate_starter_report({ semantic_model_id: SEMANTIC_MODEL_ID }, chatContext()));
+    assert.equal(deployed.deployed, true);
+    assert.equal(deployed.name, "Sales Model - Starter Report");
+    assert.ok(deployed.page_names.includes("By Product"));
+  });
+
+  it("get_report_definition summarizes pages and visuals", async () => {
+    const result = parse(await skill.get_report_definition({ report_id: REPORT_ID }, chatContext()));
+    assert.equal(result.format, "PBIR");
+    assert.equal(result.semantic_model_id, SEMANTIC_MODEL_ID);
+    assert.equal(result.pages[0].name, "Overview");
+    assert.deepEqual(result.pages[0].visuals.map((v) => v.title), ["Total Sales", "Sales by Category"]);
+    assert.equal(result.parts, undefined);
+
+    const withParts = parse(await skill.get_report_definition({ report_id: REPORT_ID, include_parts: "true" }, chatContext()));
+    assert.ok(withParts.parts.some((p) => p.path === "definition/report.json"));
+  });
+
+  it("diff_reports previews proposed changes without applying them", async () => {
+    const result = parse(await skill.diff_reports({
+      report_id: REPORT_ID,
+      proposed_changes: [{ op: "set_title", page: "Overview", visual: "Total Sales", title: "Revenue" }],
+    }, chatContext()));
+    assert.equal(result.identical, false);
+    assert.equal(result.summary.visuals_changed, 1);
+    assert.match(result.changes[0], /retitled 'Total Sales' → 'Revenue'/);
+    assert.equal(mock.server.requestsTo("POST", "updateDefinition").length, 0);
+  });
+
+  it("diff_reports requires exactly one comparison target", async () => {
+    await assert.rejects(skill.diff_reports({ report_id: REPORT_ID }, chatContext()), /exactly one of/);
+  });
+
+  it("diff_reports explains malformed proposed_changes", async () => {
+    const result = parse(await skill.diff_reports({ report_id: REPORT_ID, proposed_changes: "[{ op: set_title }" }, chatContext()));
+    assert.match(result.error, /^proposed_changes is not valid JSON: /);
+  });
+
+  it("update_report applies changes with updateDefinition", async () => {
+    const result = parse(await skill.update_report({
+      report_id: REPORT_ID,
+      changes: JSON.stringify([
+        { op: "rename_page", page: "Overview", name: "Summary" },
+        { op: "add_visual", page: "Summary", visual: { type: "table", title: "Detail", fields: { values: ["Product[Category]", "[Order Count]"] } } },
+      ]),
+    }, chatContext()));
+    assert.equal(result.validated, true);
+    assert.equal(result.changes.length, 2);
+
+    const after = parse(await skill.get_report_definition({ report_id: REPORT_ID }, chatContext()));
+    assert.equal(after.pages[0].name, "Summary");
+    assert.equal(after.pages[0].visuals.length, 3);
+    assert.ok(mock.server.item(REPORT_ID).definition.some((p) => p.path === ".platform"));
+  });
+
+  it("update_report rejects changes that break field references", async () => {
+    await assert.rejects(
+      skill.update_report({
+        report_id: REPORT_ID,
+        changes: { op: "add_visual", page: "Summary", visual: { type: "card", fields: { values: "Sales[Profit]" } } },
+      }, chatContext()),
+      /was not updated — 1 validation error/
+    );
+  });
+
+  it("diff_reports compares two reports", async () => {
+    const created = parse(await skill.create_report({ semantic_model_id: SEMANTIC_MODEL_ID, report_name: "Diff Target", report_spec: SPEC }, chatContext()));
+    const result = parse(await skill.diff_reports({ report_id: REPORT_ID, other_report_id: created.id }, chatContext()));
+    assert.equal(result.compared_with, created.id);
+    assert.equal(result.identical, false);
+  });
+
+  it("list_reports includes created reports", async () => {
+    const result = parse(await skill.list_reports({ page_size: 2 }, chatContext()));
+    assert.ok(result.total >= 3);
+    assert.equal(result.items.length, 2);
+    assert.equal(result.total_pages, Math.ceil(result.total / 2));
+  });
+
+  it("list_reports fails for an unknown workspace alias", async () => {
+    await assert.rejects(skill.list_reports({ workspace: "Nowhere" }, chatContext()), /Workspace 'Nowhere' not found/);
+  });
+});
+
+describe("report-spec-compiler", () => {
+  const schema = {
+    tables: [
+      { name: "Sales", columns: [{ name: "Amount", dataType: "decimal" }], measures: [{ name: "Total Sales" }] },
+      { name: "Sales Region", columns: [{ name: "Region", dataType: "string" }], measures: [] },
+    ],
+  };
+
+  it("parses every field reference form", () => {
+    assert.deepEqual(parseFieldRef("[Total Sales]", schema), { kind: "measure", table: "Sales", name: "Total Sales", aggregation: null });
+    assert.deepEqual(parseFieldRef("'Sales Region'[Region]", schema), { kind: "column", table: "Sales Region", name: "Region", aggregation: null });
+    assert.deepEqual(parseFieldRef("Sum(Sales[Amount])"), { kind: "column", table: "Sales", name: "Amount", aggregation: 0 });
+    assert.deepEqual(parseFieldRef({ table: "Sales", measure: "Total Sales" }), { kind: "measure", table: "Sales", name: "Total Sales", aggregation: null });
+  });
+
+  it("explains invalid field references", () => {
+    assert.throws(() => parseFieldRef("Sales.Amount"), /Invalid field reference 'Sales\.Amount'/);
+    assert.throws(() => parseFieldRef("Total(Sales[Amount])"), /Unknown aggregation 'Total'/);
+    assert.throws(() => parseFieldRef("[Region]", schema), /Field 'Region' needs a table/);
+  });
+
+  it("resolves friendly visual type names", () => {
+    assert.equal(resolveVisualType("Bar"), "clusteredBarChart");
+    assert.equal(resolveVisualType("multi-row card"), "multiRowCard");
+    assert.equal(resolveVisualType("scatterChart"), "scatterChart");
+    assert.throws(() => resolveVisualType(undefined), /Every visual needs a 'type'/);
+  });
+
+  it("compiles a spec into report, page and visual parts", () => {
+    const parts = compileReportSpec(JSON.stringify(SPEC), { schema });
+    const paths = parts.map((p) => p.path);
+    assert.ok(paths.includes("definition/version.json"));
+    assert.ok(paths.includes("definition/report.json"));
+    assert.ok(paths.includes("definition/pages/pages.json"));
+    assert.equal(paths.filter((p) => p.endsWith("/page.json")).length, 1);
+    assert.equal(paths.filter((p) => p.endsWith("/visual.json")).length, 2);
+
+    const bar = parts.find((p) => p.content.visual && p.content.visual.visualType === "clusteredBarChart").content;
+    const roles = Object.keys(bar.visual.query.queryState);
+    assert.deepEqual(roles.sort(), ["Category", "Y"]);
+    assert.deepEqual(bar.visual.query.queryState.Y.projections[0].field, {
+      Measure: { Expression: { SourceRef: { Entity: "Sales" } }, Property: "Total Sales" },
+    });
+  });
+
+  it("rejects a spec without pages", () => {
+    assert.throws(() => compileReportSpec({ pages: [] }), /non-empty 'pages' array/);
+  });
+});
+
+describe("report-validator", () => {
+  const schema = {
+    tables: [{
+      name: "Sales",
+      columns: [{ name: "Amount", dataType: "decimal" }],
+      measures: [{ name: "Total Sales" }],
+      hierarchies: [],
+    }],
+  };
+  const field = (kind, table, name) => ({ [kind]: { Expression: { SourceRef: { Entity: table } }, Property: name } });
+  const visualPart = (name, visualType, projections, extra = {}) => ({
+    path: `definition/pages/p1/visuals/${name}/visual.json`,
+    content: {
+      name,
+      visual: { visualType, query: { queryState: { Values: { projections: projections.map((f) => ({ field: f })) } } } },
+      ...extra,
+    },
+  });
+  const parts = (...visuals) => [
+    { path: "definition/report.json", content: { publicCustomVisuals: ["sankey1234"] } },
+    { path: "definition/pages/p1/page.json", content: { name: "p1", displayName: "Overview" } },
+    ...visuals,
+  ];
+
+  it("accepts known fields and custom visuals", () => {
+    const result = validateReportParts(parts(
+      visualPart("a", "card", [field("Measure", "Sales", "Total Sales")]),
+      visualPart("b", "sankey1234", [field("Column", "Sales", "Amount")])
+    ), schema);
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.checked, { pages: 1, visuals: 2, fields: 2, filters: 0 });
+  });
+
+  it("flags fields used as the wrong kind and unknown visual types", () => {
+    const result = validateReportParts(parts(
+      visualPart("a", "card", [field("Column", "Sales", "Total Sales"), field("Measure", "Sales", "Amount")]),
+      visualPart("b", "clusteredBarChrt", [field("Column", "Sales", "Amount")])
+    ), schema);
+    assert.deepEqual(result.errors.map((e) => e.message), [
+      "Sales[Total Sales] is a measure, not a column",
+      "Sales[Amount] is a column, not a measure",
+      "Unknown visual type 'clusteredBarChrt'",
+    ]);
+    assert.ok(result.errors[2].suggestions.includes("clusteredBarChart"));
+  });
+
+  it("reports a filter on a missing table once", () => {
+    const filtered = visualPart("a", "card", [field("Measure", "Sales", "Total Sales")], {
+      filterConfig: {
+        filters: [{
+          filter: {
+            From: [{ Name: "s", Entity: "Sale" }],
+            Where: [{ Condition: { In: { Expressions: [{ Column: { Expression: { SourceRef: { Source: "s" } }, Property: "Amount" } }] } } }],
+          },
+        }],
+      },
+    });
+    const result = validateReportParts(parts(filtered), schema);
+    assert.equal(result.errors.length, 1);
+    assert.equal(formatValidationErrors(result), "- page 'Overview' › visual 'a' › filter: Table 'Sale' not found in the semantic model. Did you mean: Sales?");
+  });
+});
+
+describe("starter-report", () => {
+  const summary = (spec) => spec.pages.map((p) => [p.name, p.visuals.map((v) => `${v.type}:${v.title}`)]);
+
+  it("builds overview, trend and breakdown pages from the model", () => {
+    const schema = parseSemanticModelDefinition(semanticModelParts());
+    const spec = buildStarterReportSpec(schema);
+    assert.deepEqual(summary(spec), [
+      ["Overview", ["slicer:Year", "slicer:Category", "card:Total Sales", "card:Order Count", "bar:Total Sales by Product Name", "line:Total Sales over time"]],
+      ["Trends", ["line:Total Sales and Order Count over time", "table:Month detail"]],
+      ["By Product", ["bar:Total Sales by Product Name", "table:Product detail"]],
+    ]);
+    assert.equal(validateReportParts(compileReportSpec(spec, { schema }), schema).valid, true);
+  });
+
+  it("treats an unmarked date table as a plain dimension", () => {
+    const schema = parseSemanticModelDefinition(semanticModelParts());
+    for (const table of schema.tables) table.isDateTable = false;
+    assert.deepEqual(buildStarterReportSpec(schema).pages.map((p) => p.name), ["Overview", "By Product", "By Date"]);
+  });
+
+  it("needs at least one visible measure", () => {
+    const schema = parseSemanticModelDefinition(semanticModelParts());
+    for (const table of schema.tables) for (const measure of table.measures) measure.isHidden = true;
+    assert.throws(() => buildStarterReportSpec(schema), /no visible measures/);
+  });
+});
+
+describe("report-definition", () => {
+  const schema = parseSemanticModelDefinition(semanticModelParts());
+  const titles = (parts) => listPages(parts).map((p) => [p.displayName, p.visuals.map((v) => v.doc.visual.visualContainerObjects.title[0].properties.text.expr.Literal.Value)]);
+
+  it("renames pages, retitles and removes visuals", () => {
+    const { parts, applied } = applyReportChanges(compileReportSpec(SPEC, { schema }), [
+      { op: "rename_page", page: "Summary", name: "Overview" },
+      { op: "set_title", page: "Overview", visual: "Revenue", title: "Total revenue" },
+      { op: "remove_visual", page: "Overview", visual: "Revenue by Category" },
+    ]);
+    assert.deepEqual(titles(parts), [["Overview", ["'Total revenue'"]]]);
+    assert.equal(parts.filter((p) => p.path.includes("/visuals/")).length, 2);
+    assert.deepEqual(applied, [
+      "Renamed page 'Summary' to 'Overview'",
+      "Set title of 'Revenue' on page 'Overview' to 'Total revenue'",
+      "Removed visual 'Revenue by Category' from page 'Overview'",
+    ]);
+  });
+
+  it("rejects changes it cannot apply", () => {
+    const parts = compileReportSpec(SPEC, { schema });
+    assert.throws(() => applyReportChanges(parts, [{ op: "remove_page", page: "Summary" }]), /Cannot remove the only page/);
+    assert.throws(() => applyReportChanges(parts, [{ op: "set_title", page: "Summary", visual: "Profit", title: "x" }]), /Visual 'Profit' not found on page 'Summary'\. Visuals: Revenue, Revenue by Category/);
+    assert.throws(() => applyReportChanges(parts, [{ op: "move_visual" }]), /Unknown change op 'move_visual'/);
+    assert.throws(() => applyReportChanges(parts, []), /non-empty array/);
+  });
+
+  it("refuses to edit a legacy report.json definition", () => {
+    assert.throws(
+      () => applyReportChanges([{ path: "report.json", content: {} }], [{ op: "rename_page", page: "Summary", name: "x" }]),
+      /legacy report\.json format/
+    );
+  });
+});
+
+describe("report-diff", () => {
+  const schema = parseSemanticModelDefinition(semanticModelParts());
+  const before = compileReportSpec(SPEC, { schema });
+
+  it("reports added pages, filters and rebound fields", () => {
+    const spec = JSON.parse(JSON.stringify(SPEC));
+    spec.pages[0].visuals[1].fields.values = ["[Order Count]"];
+    spec.pages[0].filters = [{ field: "Product[Category]", values: ["Bikes"] }];
+    spec.pages.push({ name: "Detail", visuals: [{ type: "table", title: "Rows", fields: { values: ["Product[Category]"] } }] });
+
+    const diff = diffReportParts(before, compileReportSpec(spec, { schema }));
+    assert.deepEqual(diff.changes, [
+      "added page 'Detail' with 1 visual(s)",
+      "page Summary: added filter column Product[Category] in (Bikes)",
+      "page Summary: visual 'Revenue by Category' changed measure Sales[Total Sales] → Sales[Order Count] in Y",
+    ]);
+    assert.deepEqual(diff.summary, { pages_added: 1, pages_removed: 0, visuals_added: 1, visuals_removed: 0, visuals_changed: 1 });
+  });
+
+  it("matches visuals by id across renames and removals", () => {
+    const { parts } = applyReportChanges(before, [
+      { op: "rename_page", page: "Summary", name: "Overview" },
+      { op: "set_title", page: "Overview", visual: "Revenue", title: "Sales" },
+      { op: "remove_visual", page: "Overview", visual: "Revenue by Category" },
+    ]);
+    assert.deepEqual(diffReportParts(before, parts).changes, [
+      "page Summary: renamed to 'Overview'",
+      "page Overview: removed visual 'Revenue by Category'",
+      "page Overview: visual 'Revenue' retitled 'Revenue' → 'Sales'",
+    ]);
+  });
+
+  it("finds no changes between identical definitions", () => {
+    assert.equal(diffReportParts(before, compileReportSpec(SPEC, { schema })).identical, true);
+  });
+});
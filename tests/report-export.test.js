@@ -0,0 +1,86 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+
+const { startMockFabric, chatContext } = require("./helpers");
+const { WORKSPACE_ID, REPORT_ID } = require("./fixtures");
+const skill = require("../skills/powerbi-report-builder");
+const { exportFilter } = require("../skills/powerbi-report-builder/report-export");
+
+const parse = (text) => JSON.parse(text);
+const EXPORT_TO = `/v1.0/myorg/groups/${WORKSPACE_ID}/reports/${REPORT_ID}/ExportTo`;
+
+describe("export_report", () => {
+  let mock;
+  before(async () => {
+    mock = await startMockFabric();
+    const report = mock.server.item(REPORT_ID);
+    report.definition.push({
+      path: "definition/bookmarks/Bookmark7f3a.bookmark.json",
+      payload: Buffer.from(JSON.stringify({ name: "Bookmark7f3a", displayName: "Bikes only" })).toString("base64"),
+      payloadType: "InlineBase64",
+    });
+  });
+  after(() => mock.stop());
+  beforeEach(() => mock.server.clearFaults());
+
+  it("exports the whole report to PDF and sends it to the chat", async () => {
+    const context = chatContext();
+    const result = parse(await skill.export_report({ report_id: REPORT_ID }, context));
+
+    assert.equal(result.format, "PDF");
+    assert.equal(result.pages, "all pages");
+    assert.equal(result.attachment.filename, "Sales_Overview.pdf");
+    assert.equal(result.attachment.mime_type, "application/pdf");
+    assert.equal(result.attachment.sent, true);
+    assert.equal(context.files[0].caption, "Sales Overview — PDF (all pages)");
+    assert.match(fs.readFileSync(result.attachment.path, "utf8"), /^MOCK PDF\n\{\}$/);
+    assert.ok(context.messages.some((m) => /Exporting report: Running \(50%\)/.test(m)));
+  });
+
+  it("exports chosen pages with a bookmark and filters", async () => {
+    const result = parse(await skill.export_report({
+      report_id: REPORT_ID,
+      format: "pptx",
+      pages: "overview",
+      bookmark: "bikes only",
+      filters: JSON.stringify([{ field: "Product[Category]", values: ["Bikes", "Clothing"] }, { field: "'Sales'[Amount]", operator: ">", value: 100 }]),
+    }, chatContext()));
+
+    assert.deepEqual(JSON.parse(mock.server.requestsTo("POST", EXPORT_TO).at(-1).body), {
+      format: "PPTX",
+      powerBIReportConfiguration: {
+        pages: [{ pageName: "overview01" }],
+        defaultBookmark: { name: "Bookmark7f3a" },
+        reportLevelFilters: [{ filter: "Product/Category in ('Bikes', 'Clothing') and Sales/Amount gt 100" }],
+      },
+    });
+    assert.equal(result.pages, "Overview");
+    assert.equal(result.attachment.filename, "Sales_Overview.pptx");
+  });
+
+  it("explains unknown pages and bookmarks and failed exports", async () => {
+    await assert.rejects(
+      skill.export_report({ report_id: REPORT_ID, pages: "Overveiw" }, chatContext()),
+      /Page 'Overveiw' not found in the report — did you mean Overview\?/
+    );
+    await assert.rejects(
+      skill.export_report({ report_id: REPORT_ID, bookmark: "Cars" }, chatContext()),
+      /Bookmark 'Cars' not found — bookmarks: Bikes only/
+    );
+    await assert.rejects(skill.export_report({ report_id: REPORT_ID, format: "XLSX" }, chatContext()), /format must be one of PDF, PNG, PPTX/);
+
+    mock.server.failNextExport("The report contains unsupported visuals");
+    await assert.rejects(
+      skill.export_report({ report_id: REPORT_ID }, chatContext()),
+      /Export of 'Sales Overview' failed: The report contains unsupported visuals/
+    );
+  });
+
+  it("builds ExportTo filters", () => {
+    assert.equal(exportFilter("Store/Territory eq 'NC'"), "Store/Territory eq 'NC'");
+    assert.equal(exportFilter([{ field: "'Sales Line'[Ship Mode]", values: ["Air's"] }]), "Sales_x0020_Line/Ship_x0020_Mode eq 'Air''s'");
+    assert.equal(exportFilter(null), null);
+    assert.throws(() => exportFilter([{ field: "Sum(Sales[Amount])", values: [1] }]), /must be a column/);
+  });
+});
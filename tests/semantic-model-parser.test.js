@@ -0,0 +1,102 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { semanticModelParts } = require("./fixtures");
+const { parseSemanticModelDefinition } = require("../skills/powerbi-report-builder/semantic-model-parser");
+
+const bimPart = (content) => ({
+  path: "model.bim",
+  payload: Buffer.from(typeof content === "string" ? content : JSON.stringify(content)).toString("base64"),
+  payloadType: "InlineBase64",
+});
+
+// Legacy TMSL model: multi-line expressions and descriptions are arrays
+const MODEL_BIM = {
+  name: "Legacy Sales",
+  compatibilityLevel: 1550,
+  model: {
+    culture: "en-US",
+    annotations: [{ name: "__PBI_TimeIntelligenceEnabled", value: "0" }],
+    tables: [
+      {
+        name: "Sales",
+        description: ["Order lines", "from the ERP"],
+        columns: [
+          { type: "rowNumber", name: "RowNumber-2662979B" },
+          { name: "Amount", dataType: "decimal", sourceColumn: "Amount", formatString: "#,0.00", summarizeBy: "sum" },
+          { name: "OrderDate", dataType: "dateTime", sourceColumn: "OrderDate" },
+          { type: "calculated", name: "Is Large", dataType: "boolean", expression: "Sales[Amount] > 1000" },
+        ],
+        measures: [
+          { name: "Total Sales", expression: ["SUM(", "    Sales[Amount]", ")"], formatString: "#,0", displayFolder: "KPIs" },
+        ],
+        partitions: [{ name: "Sales", mode: "import", source: { type: "m", expression: "let Source = 1 in Source" } }],
+      },
+      {
+        name: "Date",
+        dataCategory: "Time",
+        columns: [{ name: "Date", dataType: "dateTime", isKey: true, sourceColumn: "Date" }],
+        hierarchies: [{ name: "Calendar", levels: [{ name: "Day", column: "Date" }] }],
+      },
+    ],
+    relationships: [
+      { name: "r1", fromTable: "Sales", fromColumn: "OrderDate", toTable: "Date", toColumn: "Date", isActive: false },
+    ],
+    roles: [
+      {
+        name: "EMEA",
+        modelPermission: "read",
+        tablePermissions: [{ name: "Sales", filterExpression: "[Region] = \"EMEA\"" }],
+        members: [{ memberName: "emea@contoso.com" }],
+      },
+    ],
+    expressions: [{ name: "ServerName", kind: "m", expression: "\"sql01\"" }],
+  },
+};
+
+describe("semantic model parser", () => {
+  it("parses a TMDL definition", () => {
+    const schema = parseSemanticModelDefinition(semanticModelParts());
+    assert.equal(schema.format, "TMDL");
+    assert.deepEqual(schema.tables.map((t) => t.name), ["Sales", "Product", "Date"]);
+    assert.equal(schema.summary.relationships, 2);
+  });
+
+  it("parses a legacy model.bim (TMSL) definition", () => {
+    const schema = parseSemanticModelDefinition([bimPart(MODEL_BIM), { path: "definition.pbism", payload: "e30=" }]);
+    assert.equal(schema.format, "TMSL");
+    assert.equal(schema.name, "Legacy Sales");
+    assert.equal(schema.compatibilityLevel, 1550);
+    assert.equal(schema.autoDateTime, false);
+
+    const sales = schema.tables.find((t) => t.name === "Sales");
+    assert.equal(sales.description, "Order lines\nfrom the ERP");
+    assert.deepEqual(sales.columns.map((c) => [c.name, c.dataType, c.type]), [
+      ["Amount", "decimal", "data"],
+      ["OrderDate", "dateTime", "data"],
+      ["Is Large", "boolean", "calculated"],
+    ]);
+    assert.deepEqual(sales.measures[0], {
+      name: "Total Sales",
+      expression: "SUM(\n    Sales[Amount]\n)",
+      formatString: "#,0",
+      displayFolder: "KPIs",
+      isHidden: false,
+      description: undefined,
+    });
+    assert.deepEqual(sales.partitions, [{ name: "Sales", sourceType: "m", mode: "import" }]);
+    assert.deepEqual(schema.tables[1].hierarchies[0].levels, [{ name: "Day", column: "Date" }]);
+
+    assert.equal(schema.relationships[0].cardinality, "many-to-one");
+    assert.equal(schema.relationships[0].isActive, false);
+    assert.deepEqual(schema.roles[0].tablePermissions, [{ table: "Sales", filterExpression: "[Region] = \"EMEA\"" }]);
+    assert.deepEqual(schema.roles[0].members, ["emea@contoso.com"]);
+    assert.deepEqual(schema.expressions, [{ name: "ServerName", kind: "m" }]);
+    assert.deepEqual(schema.summary, { tables: 2, columns: 4, measures: 1, hierarchies: 1, relationships: 1, roles: 1 });
+  });
+
+  it("names model.bim when it is not valid JSON", () => {
+    assert.throws(() => parseSemanticModelDefinition([bimPart("{ \"model\": ")]), /^Error: model\.bim is not valid JSON: /);
+    assert.throws(() => parseSemanticModelDefinition([]), /contains no parts/);
+  });
+});
@@ -0,0 +1,496 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const { startMockFabric, readAuditLog } = require("./helpers");
+const { WORKSPACE_ID, OTHER_WORKSPACE_ID, SEMANTIC_MODEL_ID } = require("./fixtures");
+const { fabricRequest, powerbiRequest, sendRequest, FabricApiError } = require("../skills/shared/fabric-client");
+const { getTokenInfo, getAuthMethod, missingCredentials, clearTokenCache } = require("../skills/shared/auth");
+const { toList } = require("../skills/shared/params");
+const { withToolContext, recordAudit, queryAuditLog, isAuditedRequest } = require("../skills/shared/audit-log");
+const { resolveWorkspaceId, setCurrentWorkspace } = require("../skills/shared/workspaces");
+const { fetchAllPages, paginateForChat } = require("../skills/shared/pagination");
+const { waitForOperation, chatProgressReporter, OperationTimeoutError } = require("../skills/shared/long-running-operation");
+
+describe("shared/auth", () => {
+  let mock;
+  before(async () => {
+    mock = await startMockFabric();
+  });
+  after(() => mock.stop());
+  beforeEach(() => {
+    clearTokenCache();
+    delete process.env.AZURE_AUTH_METHOD;
+    delete process.env.AZURE_FEDERATED_TOKEN_FILE;
+    delete process.env.AZURE_CLIENT_CERTIFICATE_PATH;
+  });
+
+  it("caches the client-secret token", async () => {
+    const first = await getTokenInfo();
+    const second = await getTokenInfo();
+    assert.equal(first.cached, false);
+    assert.equal(second.cached, true);
+    assert.equal(second.token, first.token);
+    assert.equal(first.method, "client_secret");
+    assert.equal(mock.server.tokenRequests.at(-1).client_secret, "mock-secret");
+  });
+
+  it("shares one token request between concurrent callers", async () => {
+    const before = mock.server.tokenRequests.length;
+    const tokens = await Promise.all([getTokenInfo(), getTokenInfo(), getTokenInfo()]);
+    assert.equal(mock.server.tokenRequests.length, before + 1);
+    assert.equal(new Set(tokens.map((t) => t.token)).size, 1);
+  });
+
+  it("uses the federated token file for workload identity", async () => {
+    const file = path.join(mock.dir, "federated-token");
+    fs.writeFileSync(file, "federated-jwt\n");
+    process.env.AZURE_FEDERATED_TOKEN_FILE = file;
+
+    assert.equal(getAuthMethod(), "workload_identity");
+    await getTokenInfo();
+    const form = mock.server.tokenRequests.at(-1);
+    assert.equal(form.client_assertion, "federated-jwt");
+    assert.equal(form.client_assertion_type, "urn:ietf:params:oauth:client-assertion-type:jwt-bearer");
+    assert.equal(form.client_secret, undefined);
+  });
+
+  it("rejects a certificate file without a certificate", async () => {
+    const { privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    const file = path.join(mock.dir, "key-only.pem");
+    fs.writeFileSync(file, privateKey.export({ type: "pkcs8", format: "pem" }));
+    process.env.AZURE_CLIENT_CERTIFICATE_PATH = file;
+
+    assert.equal(getAuthMethod(), "certificate");
+    await assert.rejects(getTokenInfo(), /must contain both the private key and the certificate/);
+  });
+
+  it("reports missing variables for the selected method", () => {
+    process.env.AZURE_AUTH_METHOD = "workload-identity";
+    assert.deepEqual(missingCredentials(), ["AZURE_FEDERATED_TOKEN_FILE"]);
+    process.env.AZURE_AUTH_METHOD = "kerberos";
+    assert.throws(() => getAuthMethod(), /Unknown AZURE_AUTH_METHOD/);
+  });
+
+  it("explains a rejected client secret", async () => {
+    mock.server.fail({ method: "POST", path: "/oauth2/v2.0/token", status: 401, body: { error: "invalid_client", error_description: "AADSTS7000215: Invalid client secret provided." } });
+    await assert.rejects(getTokenInfo(), (err) => {
+      assert.match(err.message, /Azure AD authentication failed \(401\)/);
+      assert.match(err.message, /AADSTS7000215/);
+      assert.match(err.message, /AZURE_CLIENT_SECRET/);
+      return true;
+    });
+  });
+});
+
+describe("shared/fabric-client", () => {
+  let mock;
+  before(async () => {
+    mock = await startMockFabric();
+  });
+  after(() => mock.stop());
+  beforeEach(() => {
+    mock.server.clearFaults();
+    clearTokenCache();
+  });
+
+  it("sends authenticated Fabric requests", async () => {
+    const workspace = await fabricRequest("GET", `/workspaces/${WORKSPACE_ID}`);
+    assert.equal(workspace.displayName, "Sales Analytics");
+    assert.match(mock.server.requests.at(-1).authorization, /^Bearer mock-token-/);
+  });
+
+  it("retries 429 responses and honors Retry-After", async () => {
+    mock.server.fail({ method: "GET", path: `/workspaces/${WORKSPACE_ID}/items`, status: 429, times: 2 });
+    const before = mock.server.requestsTo("GET", "/items").length;
+    const result = await fabricRequest("GET", `/workspaces/${WORKSPACE_ID}/items`);
+    assert.ok(result.value.length > 0);
+    assert.equal(mock.server.requestsTo("GET", "/items").length - before, 3);
+  });
+
+  it("gives up after the configured retries", async () => {
+    mock.server.fail({ method: "GET", path: `/workspaces/${WORKSPACE_ID}`, status: 503, times: 5 });
+    await assert.rejects(fabricRequest("GET", `/workspaces/${WORKSPACE_ID}`, null, { retries: 1 }), (err) => {
+      assert.ok(err instanceof FabricApiError);
+      assert.equal(err.status, 503);
+      assert.match(err.message, /Fabric API error \(503\) on GET/);
+      assert.match(err.hint, /temporary problem/);
+      return true;
+    });
+  });
+
+  it("surfaces 429 after retries are exhausted", async () => {
+    mock.server.fail({ path: "/items", status: 429, times: 10 });
+    await assert.rejects(fabricRequest("GET", `/workspaces/${WORKSPACE_ID}/items`), (err) => {
+      assert.equal(err.status, 429);
+      assert.match(err.message, /Rate limit exceeded \(429\) after 3 attempt/);
+      return true;
+    });
+  });
+
+  it("refreshes a revoked token once and retries", async () => {
+    await fabricRequest("GET", "/workspaces");
+    const tokensBefore = mock.server.tokenRequests.length;
+    mock.server.revokeTokens();
+
+    const result = await fabricRequest("GET", "/workspaces");
+    assert.equal(result.value.length, 2);
+    assert.equal(mock.server.tokenRequests.length, tokensBefore + 1);
+  });
+
+  it("reports a 401 that persists after refreshing", async () => {
+    mock.server.fail({ path: `/workspaces/${WORKSPACE_ID}`, status: 401, times: 2 });
+    await assert.rejects(fabricRequest("GET", `/workspaces/${WORKSPACE_ID}`), (err) => {
+      assert.equal(err.status, 401);
+      assert.match(err.message, /even after requesting a new token/);
+      assert.match(err.hint, /API permissions/);
+      return true;
+    });
+  });
+
+  it("maps 403 and 404 to hints with error codes and request ids", async () => {
+    mock.server.fail({ path: "/semanticModels", status: 403 });
+    await assert.rejects(fabricRequest("GET", `/workspaces/${WORKSPACE_ID}/semanticModels`), (err) => {
+      assert.equal(err.status, 403);
+      assert.equal(err.code, "InsufficientPrivileges");
+      assert.match(err.message, /Admin\/Member/);
+      return true;
+    });
+
+    await assert.rejects(fabricRequest("GET", `/workspaces/${WORKSPACE_ID}/reports/does-not-exist`), (err) => {
+      assert.equal(err.status, 404);
+      assert.equal(err.code, "ItemNotFound");
+      assert.ok(err.requestId);
+      assert.match(err.message, /Resource not found \(404\)/);
+      assert.deepEqual(Object.keys(err.toJSON()), ["error", "status", "code", "request_id", "hint"]);
+      return true;
+    });
+  });
+
+  it("reads Power BI error bodies", async () => {
+    await assert.rejects(powerbiRequest("GET", `/groups/${WORKSPACE_ID}/reports/nope/pages`), (err) => {
+      assert.equal(err.api, "powerbi");
+      assert.equal(err.code, "PowerBIEntityNotFound");
+      return true;
+    });
+  });
+
+  it("wraps network failures", async () => {
+    mock.server.fail({ path: "/workspaces", network: true, times: 5 });
+    await assert.rejects(fabricRequest("GET", "/workspaces", null, { retries: 0 }), (err) => {
+      assert.ok(err instanceof FabricApiError);
+      assert.equal(err.status, 0);
+      assert.match(err.message, /Network error calling Fabric API/);
+      return true;
+    });
+  });
+
+  it("follows long-running operations to their result", async () => {
+    const progress = [];
+    const result = await fabricRequest(
+      "POST",
+      `/workspaces/${WORKSPACE_ID}/semanticModels/${SEMANTIC_MODEL_ID}/getDefinition`,
+      null,
+      { onProgress: (p) => progress.push(p.status) }
+    );
+    assert.ok(result.definition.parts.some((p) => p.path.endsWith("Sales.tmdl")));
+    assert.deepEqual(progress, ["NotStarted", "Running", "Succeeded"]);
+  });
+
+  it("reports failed long-running operations", async () => {
+    mock.server.failNextOperation("Definition export failed");
+    await assert.rejects(
+      fabricRequest("POST", `/workspaces/${WORKSPACE_ID}/semanticModels/${SEMANTIC_MODEL_ID}/getDefinition`),
+      /failed: Definition export failed/
+    );
+  });
+
+  it("reports an operation result that cannot be read instead of returning nothing", async () => {
+    const path = `/workspaces/${WORKSPACE_ID}/semanticModels/${SEMANTIC_MODEL_ID}/getDefinition`;
+    mock.server.fail({ method: "GET", path: /\/operations\/[^/]+\/result$/, status: 404, body: { errorCode: "EntityNotFound", message: "The result has expired" } });
+    await assert.rejects(fabricRequest("POST", path), /succeeded but its result is unavailable \(404: The result has expired\) — operation [0-9a-f-]{36}/);
+
+    // Operations without a result (updateDefinition) still resolve to null
+    const parts = (await fabricRequest("POST", path)).definition.parts;
+    const updated = await fabricRequest("POST", `/workspaces/${WORKSPACE_ID}/semanticModels/${SEMANTIC_MODEL_ID}/updateDefinition`, { definition: { parts } });
+    assert.equal(updated, null);
+  });
+
+  it("returns raw responses from sendRequest without throwing", async () => {
+    const { response } = await sendRequest("GET", `/workspaces/${WORKSPACE_ID}/items/missing`, { retries: 0 });
+    assert.equal(response.status, 404);
+  });
+
+  it("refuses absolute URLs so the token never leaves the API hosts", async () => {
+    const realFetch = global.fetch;
+    const sent = [];
+    global.fetch = (url, options) => {
+      sent.push(String(url));
+      return realFetch(url, options);
+    };
+    try {
+      for (const path of ["https://attacker.example/x", "//attacker.example/x", "workspaces"]) {
+        await assert.rejects(fabricRequest("GET", path), /API path must start with a single '\/'/);
+      }
+      await assert.rejects(
+        sendRequest("GET", null, { absoluteUrl: "https://attacker.example/v1/operations/1" }),
+        /Refusing to send the access token to https:\/\/attacker\.example/
+      );
+      assert.deepEqual(sent, []);
+
+      const { response } = await sendRequest("GET", null, { absoluteUrl: `${mock.server.url}/v1/workspaces/${WORKSPACE_ID}` });
+      assert.equal(response.status, 200);
+    } finally {
+      global.fetch = realFetch;
+    }
+  });
+
+  it("follows continuation tokens", async () => {
+    mock.server.pageSize = 1;
+    try {
+      const { items, truncated } = await fetchAllPages((p) => fabricRequest("GET", p), `/workspaces/${WORKSPACE_ID}/items`);
+      assert.equal(items.length, 3);
+      assert.equal(truncated, false);
+      assert.equal(mock.server.requestsTo("GET", "continuationToken").length >= 2, true);
+    } finally {
+      mock.server.pageSize = 100;
+    }
+  });
+
+  it("audits mutating calls but not reads", async () => {
+    const auditBefore = readAuditLog(mock.auditFile).length;
+    await fabricRequest("GET", `/workspaces/${WORKSPACE_ID}`);
+    await fabricRequest("POST", `/workspaces/${WORKSPACE_ID}/semanticModels/${SEMANTIC_MODEL_ID}/getDefinition`);
+    await fabricRequest("POST", `/workspaces/${WORKSPACE_ID}/items`, { displayName: "Notes", type: "Notebook" });
+
+    const entries = readAuditLog(mock.auditFile).slice(auditBefore);
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].summary, "create Notebook 'Notes'");
+    assert.equal(entries[0].status, 201);
+    assert.equal(entries[0].result, "succeeded");
+    assert.ok(entries[0].target.id);
+  });
+});
+
+describe("shared/long-running-operation", () => {
+  const OPERATION_ID = "0f0e0d0c-0b0a-4909-8807-060504030201";
+  const reply = (status, body, headers = {}) =>
+    new Response(body == null ? null : JSON.stringify(body), { status, headers });
+  const accepted = () => reply(202, null, { "x-ms-operation-id": OPERATION_ID, "Retry-After": "0.01" });
+
+  it("polls through throttling until the operation succeeds and reads the result", async () => {
+    const replies = [
+      reply(429, null, { "Retry-After": "0.01" }),
+      reply(200, { status: "Running", percentComplete: 40 }),
+      reply(200, { status: "Succeeded", percentComplete: 100 }, { Location: "https://api.fabric.test/v1/operations/x/result" }),
+      reply(200, { definition: { parts: [] } }),
+    ];
+    const urls = [];
+    const progress = [];
+    const result = await waitForOperation(accepted(), {
+      fetchUrl: async (url) => {
+        urls.push(url);
+        return replies.shift();
+      },
+      onProgress: (p) => progress.push(`${p.status}:${p.percentComplete}`),
+    });
+
+    assert.deepEqual(result, { definition: { parts: [] } });
+    assert.match(urls[0], new RegExp(`/v1/operations/${OPERATION_ID}$`));
+    assert.equal(urls.at(-1), "https://api.fabric.test/v1/operations/x/result");
+    assert.deepEqual(progress, ["NotStarted:0", "Running:40", "Succeeded:100"]);
+  });
+
+  it("gives up after the time limit with the operation id", async () => {
+    await assert.rejects(
+      waitForOperation(accepted(), {
+        description: "POST /deploy",
+        timeoutSeconds: 0.05,
+        fetchUrl: async () => reply(200, { status: "Running" }),
+      }),
+      (err) => {
+        assert.ok(err instanceof OperationTimeoutError);
+        assert.equal(err.operationId, OPERATION_ID);
+        assert.match(err.message, /^POST \/deploy did not finish within 0\.05 s .*It may still complete/);
+        return true;
+      }
+    );
+  });
+
+  it("posts each progress change to the chat once", async () => {
+    const messages = [];
+    const report = chatProgressReporter({ sendMessage: async (text) => messages.push(text) }, "Deploying");
+    for (const p of [{ status: "Running", percentComplete: 50 }, { status: "Running", percentComplete: 50 }, { status: "Succeeded" }]) report(p);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepEqual(messages, ["⏳ Deploying: Running (50%)", "⏳ Deploying: Succeeded"]);
+    assert.equal(chatProgressReporter({}, "Deploying"), null);
+  });
+});
+
+describe("shared/pagination", () => {
+  const pages = {
+    "/workspaces/w/items?type=Report": { value: [{ id: 1 }, { id: 2 }], continuationToken: "a b" },
+    "/workspaces/w/items?type=Report&continuationToken=a%20b": { value: [{ id: 3 }] },
+  };
+
+  it("keeps the query string when it appends a continuation token", async () => {
+    const requested = [];
+    const result = await fetchAllPages(async (path) => {
+      requested.push(path);
+      return pages[path];
+    }, "/workspaces/w/items?type=Report");
+
+    assert.deepEqual(result, { items: [{ id: 1 }, { id: 2 }, { id: 3 }], truncated: false });
+    assert.deepEqual(requested, Object.keys(pages));
+  });
+
+  it("stops at the limit and reports that more items exist", async () => {
+    const result = await fetchAllPages(async (path) => pages[path], "/workspaces/w/items?type=Report", { limit: 2 });
+    assert.deepEqual(result, { items: [{ id: 1 }, { id: 2 }], truncated: true });
+  });
+
+  it("slices a list into chat pages with a note for the next page", () => {
+    const items = Array.from({ length: 5 }, (_, i) => i);
+    assert.deepEqual(paginateForChat(items, { page: 2, page_size: 2 }), {
+      total: 5,
+      page: 2,
+      page_size: 2,
+      total_pages: 3,
+      items: [2, 3],
+      note: "Showing 2 of 5. Request page=3 for more.",
+    });
+    assert.equal(paginateForChat(items, { page: 9, page_size: 2 }).page, 3);
+    assert.match(paginateForChat(items, { truncated: true }).note, /^Result limited to 5 items/);
+  });
+});
+
+describe("shared/workspaces", () => {
+  let mock;
+  before(async () => {
+    mock = await startMockFabric();
+  });
+  after(() => mock.stop());
+
+  // A fresh file per config: the loader caches by path and mtime
+  const useConfig = (name, content) => {
+    process.env.FABIOBOT_WORKSPACES_FILE = path.join(mock.dir, `${name}.json`);
+    if (content !== undefined) fs.writeFileSync(process.env.FABIOBOT_WORKSPACES_FILE, content);
+  };
+  const listWorkspaces = async () => [
+    { id: WORKSPACE_ID, displayName: "Sales Analytics" },
+    { id: OTHER_WORKSPACE_ID, displayName: "Finance" },
+    { id: "22222222-2222-4222-8222-222222222222", displayName: "finance" },
+  ];
+
+  it("prefers the conversation's workspace, then the config default, then .env", async () => {
+    useConfig("none");
+    assert.equal(await resolveWorkspaceId("", {}), WORKSPACE_ID);
+
+    useConfig("default", JSON.stringify({ default: "fin", aliases: { fin: OTHER_WORKSPACE_ID } }));
+    assert.equal(await resolveWorkspaceId(null, {}), OTHER_WORKSPACE_ID);
+
+    const context = { conversationId: "workspaces-test" };
+    setCurrentWorkspace(context, WORKSPACE_ID);
+    assert.equal(await resolveWorkspaceId(undefined, { context }), WORKSPACE_ID);
+    assert.equal(await resolveWorkspaceId(undefined, { context: { conversationId: "other" } }), OTHER_WORKSPACE_ID);
+    assert.throws(() => setCurrentWorkspace({}, WORKSPACE_ID), /does not identify conversations/);
+  });
+
+  it("resolves display names and explains ambiguous or unknown ones", async () => {
+    useConfig("aliases", JSON.stringify({ aliases: { fin: OTHER_WORKSPACE_ID } }));
+    assert.equal(await resolveWorkspaceId("sales analytics", { listWorkspaces }), WORKSPACE_ID);
+    await assert.rejects(resolveWorkspaceId("Finance", { listWorkspaces }), /Several workspaces are named 'Finance'/);
+    await assert.rejects(
+      resolveWorkspaceId("Sales", { listWorkspaces }),
+      /^Error: Workspace 'Sales' not found among 3 accessible workspaces or aliases \(fin\)\. Similar names: Sales Analytics\.$/
+    );
+    await assert.rejects(resolveWorkspaceId("Sales"), /Unknown workspace alias 'Sales'/);
+  });
+
+  it("names the config file when it is not valid JSON", async () => {
+    useConfig("broken", "{ aliases: ");
+    await assert.rejects(resolveWorkspaceId("fin"), /Workspace config .*broken\.json is not valid JSON/);
+  });
+});
+
+describe("shared/audit-log", () => {
+  let mock;
+  before(async () => {
+    mock = await startMockFabric();
+  });
+  after(() => mock.stop());
+
+  it("audits writes but not reads or read-only POSTs", () => {
+    assert.equal(isAuditedRequest("patch", `/workspaces/${WORKSPACE_ID}/items/x`), true);
+    assert.equal(isAuditedRequest("GET", `/workspaces/${WORKSPACE_ID}/items`), false);
+    assert.equal(isAuditedRequest("POST", `/workspaces/${WORKSPACE_ID}/items/x/getDefinition?format=TMDL`), false);
+    assert.equal(isAuditedRequest("POST", "/v1.0/myorg/datasets/x/executeQueries"), false);
+  });
+
+  it("attributes entries to the tool and chat user", async () => {
+    const tools = withToolContext({
+      refresh: () => recordAudit({
+        method: "POST",
+        path: `https://api.powerbi.com/v1.0/myorg/groups/${WORKSPACE_ID}/datasets/${SEMANTIC_MODEL_ID}/refreshes`,
+        body: "not json",
+        status: 202,
+        ok: true,
+      }),
+      create: () => recordAudit({
+        method: "POST",
+        path: `/workspaces/${WORKSPACE_ID}/reports`,
+        body: { displayName: "Q3" },
+        status: 0,
+        ok: false,
+        error: "x".repeat(400),
+        result: { id: "new-report" },
+      }),
+    });
+    await tools.refresh({}, { conversationId: "c1", user: { id: 7, username: "ana" } });
+    await tools.create({}, {});
+
+    const [create, refresh] = await queryAuditLog();
+    assert.deepEqual(
+      { user: refresh.user, conversation: refresh.conversation, tool: refresh.tool, workspace: refresh.workspace_id, target: refresh.target, summary: refresh.summary, request: refresh.request },
+      {
+        user: { id: 7, name: "ana" },
+        conversation: "c1",
+        tool: "refresh",
+        workspace: WORKSPACE_ID,
+        target: { type: "Dataset", id: SEMANTIC_MODEL_ID, name: null },
+        summary: `refreshes on Dataset ${SEMANTIC_MODEL_ID}`,
+        request: `POST /v1.0/myorg/groups/${WORKSPACE_ID}/datasets/${SEMANTIC_MODEL_ID}/refreshes`,
+      }
+    );
+    assert.deepEqual(create.target, { type: "Report", id: "new-report", name: "Q3" });
+    assert.equal(create.summary, "create Report 'Q3'");
+    assert.equal(create.result, "failed");
+    assert.equal(create.error.length, 300);
+  });
+
+  it("skips torn lines and includes the whole day of a bare 'until' date", async () => {
+    const lines = [
+      { timestamp: "2025-01-31T23:30:00.000Z", tool: "a", result: "succeeded" },
+      { timestamp: "2025-02-01T00:30:00.000Z", tool: "b", result: "succeeded" },
+    ].map((e) => JSON.stringify(e));
+    fs.writeFileSync(mock.auditFile, `${lines[0]}\n{"timestamp": "2025-\n${lines[1]}\n`);
+
+    const all = await queryAuditLog({ since: "2025-01-01T00:00:00Z" });
+    assert.deepEqual(all.map((e) => e.tool), ["b", "a"]);
+    const january = await queryAuditLog({ until: "2025-01-31" });
+    assert.deepEqual(january.map((e) => e.tool), ["a"]);
+    await assert.rejects(queryAuditLog({ since: "last tuesday" }), /Invalid date 'last tuesday'/);
+  });
+});
+
+describe("shared/params", () => {
+  it("reads lists from arrays, JSON arrays and comma-separated strings", () => {
+    assert.deepEqual(toList(["a", "b"]), ["a", "b"]);
+    assert.deepEqual(toList('["Sales, EMEA", "Product"]'), ["Sales, EMEA", "Product"]);
+    assert.deepEqual(toList(" Sales , Product,, "), ["Sales", "Product"]);
+    assert.deepEqual(toList(""), []);
+    assert.throws(() => toList("[Sales"), /Invalid JSON list \[Sales/);
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+
+const { startMockFabric, chatContext } = require("./helpers");
+const { WORKSPACE_ID, OTHER_WORKSPACE_ID, REPORT_ID } = require("./fixtures");
+const skill = require("../skills/powerbi-workspace-manager");
+
+const parse = (text) => JSON.parse(text);
+
+describe("powerbi-workspace-manager", () => {
+  let mock;
+  before(async () => {
+    mock = await startMockFabric();
+    fs.writeFileSync(process.env.FABIOBOT_WORKSPACES_FILE, JSON.stringify({
+      aliases: { fin: { id: OTHER_WORKSPACE_ID, description: "Finance team" } },
+    }));
+  });
+  after(() => mock.stop());
+  beforeEach(() => mock.server.clearFaults());
+
+  it("list_workspaces shows workspaces, aliases and the current workspace", async () => {
+    const result = parse(await skill.list_workspaces({}, chatContext()));
+    assert.equal(result.total, 2);
+    assert.equal(result.current_workspace, WORKSPACE_ID);
+    const finance = result.items.find((w) => w.id === OTHER_WORKSPACE_ID);
+    assert.deepEqual(finance.aliases, ["fin"]);
+    assert.equal(result.items.find((w) => w.id === WORKSPACE_ID).current, true);
+  });
+
+  it("get_workspace_info returns the default workspace", async () => {
+    const result = parse(await skill.get_workspace_info({}, chatContext()));
+    assert.equal(result.id, WORKSPACE_ID);
+    assert.equal(result.displayName, "Sales Analytics");
+  });
+
+  it("set_current_workspace switches the workspace for one conversation only", async () => {
+    const context = chatContext({ conversationId: "switching" });
+    const result = parse(await skill.set_current_workspace({ workspace: "fin" }, context));
+    assert.equal(result.current_workspace, OTHER_WORKSPACE_ID);
+
+    const info = parse(await skill.get_workspace_info({}, context));
+    assert.equal(info.displayName, "Finance");
+
+    const elsewhere = parse(await skill.get_workspace_info({}, chatContext({ conversationId: "other" })));
+    assert.equal(elsewhere.displayName, "Sales Analytics");
+  });
+
+  it("set_current_workspace explains an unknown workspace", async () => {
+    const result = parse(await skill.set_current_workspace({ workspace: "Marketing" }, chatContext()));
+    assert.match(result.error, /Workspace 'Marketing' not found/);
+    assert.match(result.error, /aliases \(fin\)/);
+  });
+
+  it("list_workspace_items filters by type and pages results", async () => {
+    const all = parse(await skill.list_workspace_items({}, chatContext()));
+    assert.equal(all.total, 3);
+
+    const reports = parse(await skill.list_workspace_items({ item_type: "Report" }, chatContext()));
+    assert.deepEqual(reports.items.map((i) => i.displayName), ["Sales Overview"]);
+
+    const paged = parse(await skill.list_workspace_items({ page: 2, page_size: 2 }, chatContext()));
+    assert.equal(paged.items.length, 1);
+    assert.equal(paged.total_pages, 2);
+  });
+
+  it("list_workspace_items retries throttled calls", async () => {
+    mock.server.fail({ path: "/items", status: 429, times: 1 });
+    const result = parse(await skill.list_workspace_items({}, chatContext()));
+    assert.equal(result.total, 3);
+  });
+
+  it("get_report_pages reads pages from the Power BI API", async () => {
+    const pages = parse(await skill.get_report_pages({ report_id: REPORT_ID }, chatContext()));
+    assert.deepEqual(pages, [{ name: "overview01", displayName: "Overview", order: 0 }]);
+    assert.ok(mock.server.requestsTo("GET", `/v1.0/myorg/groups/${WORKSPACE_ID}/reports/${REPORT_ID}/pages`).length > 0);
+  });
+
+  it("get_report_pages validates input and reports missing reports", async () => {
+    assert.deepEqual(parse(await skill.get_report_pages({}, chatContext())), { error: "report_id is required" });
+    await assert.rejects(skill.get_report_pages({ report_id: "missing" }, chatContext()), /Resource not found \(404\)/);
+  });
+
+  it("get_workspace_info reports missing permissions", async () => {
+    mock.server.fail({ path: `/workspaces/${WORKSPACE_ID}`, status: 403 });
+    await assert.rejects(skill.get_workspace_info({}, chatContext()), /Access denied \(403\)/);
+  });
+});
@@ -0,0 +1,93 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startMockFabric, chatContext } = require("./helpers");
+const { WORKSPACE_ID } = require("./fixtures");
+const skill = require("../skills/powerbi-workspace-manager");
+const { normalizePrincipalType, servicePrincipalRole } = require("../skills/shared/workspace-roles");
+
+const parse = (text) => JSON.parse(text);
+const NEW_USER_ID = "b0000000-0000-4000-8000-000000000009";
+
+describe("workspace roles", () => {
+  let mock;
+  before(async () => {
+    mock = await startMockFabric();
+  });
+  after(() => mock.stop());
+  beforeEach(() => mock.server.clearFaults());
+
+  it("lists role assignments with emails and app IDs", async () => {
+    const result = parse(await skill.list_workspace_roles({}, chatContext()));
+    assert.equal(result.total, 3);
+    assert.deepEqual(result.by_role, { Admin: 1, Member: 1, Viewer: 1 });
+    assert.deepEqual(
+      result.assignments.map((a) => [a.name, a.type, a.role, a.email || a.app_id || a.group_type]),
+      [
+        ["Jana Nováková", "User", "Admin", "jana@contoso.com"],
+        ["FabioBot", "ServicePrincipal", "Member", "mock-client"],
+        ["Sales Readers", "Group", "Viewer", "SecurityGroup"],
+      ]
+    );
+  });
+
+  it("adds and updates roles", async () => {
+    const added = parse(await skill.add_workspace_role({ principal_id: NEW_USER_ID, principal_type: "user", role: "contributor" }, chatContext()));
+    assert.equal(added.added.role, "Contributor");
+    assert.deepEqual(JSON.parse(mock.server.requestsTo("POST", "/roleAssignments").at(-1).body), {
+      principal: { id: NEW_USER_ID, type: "User" },
+      role: "Contributor",
+    });
+
+    const again = parse(await skill.add_workspace_role({ principal_id: NEW_USER_ID, principal_type: "User", role: "Viewer" }, chatContext()));
+    assert.match(again.error, /already has the Contributor role — use update_workspace_role/);
+    const email = parse(await skill.add_workspace_role({ principal_id: "petr@contoso.com", principal_type: "User", role: "Viewer" }, chatContext()));
+    assert.match(email.error, /must be the Azure AD object ID/);
+
+    const updated = parse(await skill.update_workspace_role({ principal: "sales readers", role: "Member" }, chatContext()));
+    assert.deepEqual([updated.previous_role, updated.role, updated.changed], ["Viewer", "Member", true]);
+    const unchanged = parse(await skill.update_workspace_role({ principal: "jana@contoso.com", role: "admin" }, chatContext()));
+    assert.equal(unchanged.changed, false);
+
+    await assert.rejects(
+      skill.update_workspace_role({ principal: "Jana Nováková", role: "Viewer" }, chatContext()),
+      /Jana Nováková \(User\) is the only Admin of this workspace/
+    );
+    await assert.rejects(
+      skill.update_workspace_role({ principal: "Petr", role: "Viewer" }, chatContext()),
+      /'Petr' has no role in this workspace — principals: Jana Nováková \(User\), FabioBot \(ServicePrincipal\)/
+    );
+    await assert.rejects(skill.update_workspace_role({ principal: "FabioBot", role: "Owner" }, chatContext()), /role must be one of Admin, Member, Contributor, Viewer/);
+  });
+
+  it("removes a role only after confirmation", async () => {
+    const context = chatContext();
+    const preview = parse(await skill.remove_workspace_role({ principal: "Sales Readers" }, context));
+    assert.equal(preview.confirmation_required, true);
+    assert.equal(preview.preview.principal, "Sales Readers (Group)");
+    assert.match(preview.confirmation_token, /^confirm-[0-9a-f]{8}$/);
+    assert.equal(mock.server.requestsTo("DELETE", "/roleAssignments/").length, 0);
+
+    const wrong = parse(await skill.remove_workspace_role({ principal: "FabioBot", confirmation_token: preview.confirmation_token }, context));
+    assert.match(wrong.error, /belongs to a different request/);
+
+    const removed = parse(await skill.remove_workspace_role({ principal: "Sales Readers", confirmation_token: preview.confirmation_token }, context));
+    assert.equal(removed.ok, true);
+    assert.equal(removed.removed, "Sales Readers (Group)");
+    assert.equal(mock.server.state.roleAssignments[WORKSPACE_ID].some((a) => a.principal.displayName === "Sales Readers"), false);
+
+    const self = parse(await skill.remove_workspace_role({ principal: "mock-client" }, context));
+    assert.match(self.preview.warning, /bot's own service principal/);
+  });
+
+  it("finds the service principal's role", () => {
+    const assignments = [
+      { id: "1", principal: { id: "1", type: "Group" }, role: "Admin" },
+      { id: "2", principal: { id: "2", type: "ServicePrincipal", servicePrincipalDetails: { aadAppId: "app-1" } }, role: "Contributor" },
+    ];
+    assert.equal(servicePrincipalRole(assignments, { clientId: "APP-1" }), "Contributor");
+    assert.equal(servicePrincipalRole(assignments, { clientId: "app-2" }), null);
+    assert.equal(normalizePrincipalType("service principal"), "ServicePrincipal");
+    assert.throws(() => normalizePrincipalType("Robot"), /principal_type must be one of/);
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { startMockFabric, chatContext } = require("./helpers");
+const { OTHER_WORKSPACE_ID, SEMANTIC_MODEL_ID, REPORT_ID, semanticModelParts } = require("./fixtures");
+const skill = require("../skills/powerbi-report-builder");
+const { itemFolderName } = require("../skills/powerbi-report-builder/workspace-source");
+
+const parse = (text) => JSON.parse(text);
+const decode = (part) => JSON.parse(Buffer.from(part.payload, "base64").toString("utf8"));
+
+/**
+ * Import after confirming the plan with the returned token
+ */
+async function importConfirmed(params, context = chatContext()) {
+  const plan = parse(await skill.import_workspace(params, context));
+  assert.equal(plan.confirmation_required, true);
+  return parse(await skill.import_workspace({ ...params, confirmation_token: plan.confirmation_token }, context));
+}
+
+describe("export_workspace / import_workspace", () => {
+  let mock;
+  let tree;
+  before(async () => {
+    mock = await startMockFabric();
+    tree = path.join(process.env.FABIOBOT_SOURCE_DIR, "backup");
+  });
+  after(() => mock.stop());
+  beforeEach(() => mock.server.clearFaults());
+
+  it("exports reports and semantic models as <Name>.<Type> folders", async () => {
+    const result = parse(await skill.export_workspace({ directory: "backup" }, chatContext()));
+
+    assert.equal(result.workspace, "Sales Analytics");
+    assert.equal(result.directory, tree);
+    assert.deepEqual(result.exported.map((i) => i.folder), ["Sales Model.SemanticModel", "Sales Overview.Report"]);
+    assert.equal(result.failed, undefined);
+
+    const tmdl = semanticModelParts().find((p) => p.path === "definition/tables/Sales.tmdl");
+    assert.equal(
+      fs.readFileSync(path.join(tree, "Sales Model.SemanticModel", "definition", "tables", "Sales.tmdl"), "utf8"),
+      Buffer.from(tmdl.payload, "base64").toString("utf8")
+    );
+    const pbir = JSON.parse(fs.readFileSync(path.join(tree, "Sales Overview.Report", "definition.pbir"), "utf8"));
+    assert.deepEqual(pbir.datasetReference, { byPath: { path: "../Sales Model.SemanticModel" }, byConnection: null });
+    const platform = JSON.parse(fs.readFileSync(path.join(tree, "Sales Overview.Report", ".platform"), "utf8"));
+    assert.deepEqual(platform.metadata, { type: "Report", displayName: "Sales Overview" });
+  });
+
+  it("recreates the items in another workspace and binds the report to the new model", async () => {
+    const preview = parse(await skill.import_workspace({ directory: "backup", workspace: OTHER_WORKSPACE_ID, dry_run: true }, chatContext()));
+    assert.deepEqual(preview.items.map((i) => [i.name, i.action]), [["Sales Model", "create"], ["Sales Overview", "create"]]);
+    assert.equal(mock.server.requestsTo("POST", `/workspaces/${OTHER_WORKSPACE_ID}/`).length, 0);
+
+    const result = await importConfirmed({ directory: "backup", workspace: OTHER_WORKSPACE_ID });
+    assert.deepEqual([result.created, result.updated, result.failed], [2, 0, 0]);
+    const [model, report] = result.items;
+    assert.notEqual(model.id, SEMANTIC_MODEL_ID);
+    const pbir = decode(mock.server.item(report.id).definition.find((p) => p.path === "definition.pbir"));
+    assert.equal(pbir.datasetReference.byConnection.pbiModelDatabaseName, model.id);
+
+    const again = await importConfirmed({ directory: "backup", workspace: OTHER_WORKSPACE_ID });
+    assert.deepEqual(again.items.map((i) => [i.action, i.id]), [["updated", model.id], ["updated", report.id]]);
+  });
+
+  it("restores a broken report in place", async () => {
+    const report = mock.server.item(REPORT_ID);
+    const original = report.definition.map((p) => p.path).sort();
+    report.definition = report.definition.filter((p) => !p.path.startsWith("definition/pages/"));
+
+    const result = await importConfirmed({ directory: "backup", items: "Sales Overview (Report)" });
+    assert.deepEqual(result.items.map((i) => [i.name, i.action, i.id]), [["Sales Overview", "updated", REPORT_ID]]);
+    assert.deepEqual(report.definition.map((p) => p.path).sort(), original);
+    assert.equal(decode(report.definition.find((p) => p.path === "definition.pbir")).datasetReference.byConnection.pbiModelDatabaseName, SEMANTIC_MODEL_ID);
+  });
+
+  it("only overwrites existing items after the plan is confirmed", async () => {
+    const updates = mock.server.requestsTo("POST", "/updateDefinition").length;
+    const context = chatContext();
+    const plan = parse(await skill.import_workspace({ directory: "backup" }, context));
+    assert.equal(plan.ok, false);
+    assert.deepEqual(plan.items.map((i) => [i.name, i.action]), [["Sales Model", "update"], ["Sales Overview", "update"]]);
+    assert.deepEqual(plan.overwritten, ["Sales Model (SemanticModel)", "Sales Overview (Report)"]);
+    assert.match(plan.confirmation_token, /^confirm-[0-9a-f]{8}$/);
+
+    const narrower = parse(await skill.import_workspace({ directory: "backup", items: "Sales Model", confirmation_token: plan.confirmation_token }, context));
+    assert.match(narrower.error, /belongs to a different request/);
+    const elsewhere = parse(await skill.import_workspace({ directory: "backup", workspace: OTHER_WORKSPACE_ID, confirmation_token: plan.confirmation_token }, context));
+    assert.match(elsewhere.error, /belongs to a different request/);
+    assert.equal(mock.server.requestsTo("POST", "/updateDefinition").length, updates);
+  });
+
+  it("needs a new preview when the files change after the plan", async () => {
+    const updates = mock.server.requestsTo("POST", "/updateDefinition").length;
+    const context = chatContext();
+    const params = { directory: "backup", items: "Sales Overview (Report)" };
+    const plan = parse(await skill.import_workspace(params, context));
+    const file = path.join(tree, itemFolderName("Sales Overview", "Report"), "definition", "report.json");
+    const original = fs.readFileSync(file, "utf8");
+    fs.writeFileSync(file, original.replace("{", '{ "edited": true,'));
+    try {
+      const result = parse(await skill.import_workspace({ ...params, confirmation_token: plan.confirmation_token }, context));
+      assert.match(result.error, /belongs to a different request/);
+      assert.equal(mock.server.requestsTo("POST", "/updateDefinition").length, updates);
+    } finally {
+      fs.writeFileSync(file, original);
+    }
+  });
+
+  it("rejects folders outside the source directory and unknown items", async () => {
+    await assert.rejects(skill.export_workspace({ directory: "../outside" }, chatContext()), /directory must be inside the source folder/);
+    await assert.rejects(skill.import_workspace({ directory: "missing" }, chatContext()), /Source folder '.*missing' does not exist/);
+    await assert.rejects(skill.import_workspace({}, chatContext()), /directory is required/);
+    await assert.rejects(
+      skill.export_workspace({ directory: "partial", items: ["Sales Overveiw"] }, chatContext()),
+      /'Sales Overveiw' not found — items: Sales Model \(SemanticModel\), Sales Overview \(Report\)/
+    );
+    assert.equal(itemFolderName("Q1: Sales/Margin.", "Report"), "Q1_ Sales_Margin.Report");
+  });
+});